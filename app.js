@@ -1,7 +1,14 @@
 // データ操作関数
 const STORAGE_KEY = 'MEMORY';
+const SCHEMA_VERSION_KEY = 'SCHEMA_VERSION'; // 保存データのスキーマバージョン
+const MIGRATION_BACKUP_KEY = 'MEMORY_BACKUP'; // 移行前のバックアップ（localStorage保存時）
+const IMPORT_BATCHES_KEY = 'IMPORT_BATCHES'; // インポートの履歴（まとめて取り消すため）
+const MAX_IMPORT_BATCHES = 20; // 保存するインポート履歴の最大件数
 const API_KEY_STORAGE_KEY = 'GEMINI_API_KEY';
+const GEMINI_SETTINGS_KEY = 'GEMINI_SETTINGS'; // Gemini APIのモデル・接続先・生成パラメータ
 const MAX_IMPORT_TEXT_LENGTH = 100000; // インポートテキストの最大長
+const EXPORT_FORMAT_NAME = 'word-list-exporter'; // エクスポートファイルの識別子
+const EXPORT_FORMAT_VERSION = 2; // エクスポートファイルのフォーマットバージョン（2で学習履歴を追加）
 
 /**
  * 衝突のないユニークIDを生成
@@ -41,7 +48,7 @@ function debounce(func, wait) {
 }
 
 /**
- * localStorageエラーハンドリングヘルパー関数
+ * ストレージ（localStorage・IndexedDB）エラーハンドリングヘルパー関数
  * @param {Error} e - エラーオブジェクト
  * @param {string} context - エラーコンテキスト
  * @throws {Error} ユーザー向けエラーメッセージ
@@ -58,49 +65,611 @@ function handleStorageError(e, context) {
 }
 
 /**
- * ローカルストレージから単語カードを読み込む
- * レガシーカード（ID未設定）を自動的に移行
- * @returns {Array} カード配列
+ * localStorageに保存されたカードを読み込む（スキーマの移行は行わない）
+ * @returns {Array|null} カード配列（データが破損している場合はnull）
  */
-function loadCards() {
+function readLegacyCards() {
     const data = localStorage.getItem(STORAGE_KEY);
     if (!data) return [];
 
     try {
         const parsed = JSON.parse(data);
         // 配列であることを確認
-        if (!Array.isArray(parsed)) return [];
-
-        // レガシーカード（IDがない）を移行
-        let needsMigration = false;
-        const migratedCards = parsed.map(card => {
-            if (!card.id) {
-                needsMigration = true;
-                return {
-                    ...card,
-                    id: generateUniqueId()
-                };
-            }
-            return card;
-        });
+        return Array.isArray(parsed) ? parsed : null;
+    } catch (e) {
+        console.error('Failed to parse cards from localStorage:', e);
+        return null;
+    }
+}
 
-        // 移行が必要な場合は保存
-        if (needsMigration) {
-            try {
-                localStorage.setItem(STORAGE_KEY, JSON.stringify(migratedCards));
-                console.log('レガシーカードを移行しました:', migratedCards.length);
-            } catch (e) {
-                console.error('カードの移行中にエラーが発生しました:', e);
-                // 移行失敗してもデータは返す
-            }
+/**
+ * カードデータの移行ステップ（バージョン順）
+ * 各ステップはカード配列を受け取って新しい配列を返す。同じデータに2回適用しても結果が変わらない（冪等）こと
+ * 新しいフィールドを追加する場合は、末尾に次のバージョンのステップを追加する
+ */
+const CARD_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'カードにIDを割り当てる',
+        migrate: cards => cards.map(card => (card && typeof card === 'object' && !card.id)
+            ? { ...card, id: generateUniqueId() }
+            : card)
+    },
+    {
+        version: 2,
+        description: 'カードとして読み込めないエントリ（nullなど）を取り除く',
+        migrate: cards => cards.filter(card => card && typeof card === 'object' && !Array.isArray(card))
+    }
+];
+const CURRENT_SCHEMA_VERSION = CARD_MIGRATIONS[CARD_MIGRATIONS.length - 1].version;
+
+let cardMigrationPromise = null; // 実行中の移行
+let migrationErrorReported = false; // 移行エラーを通知済みかどうか
+
+// 保存データのスキーマバージョンを取得（未設定の場合は0）
+function loadSchemaVersion() {
+    const version = parseInt(localStorage.getItem(SCHEMA_VERSION_KEY), 10);
+    return Number.isInteger(version) && version > 0 ? version : 0;
+}
+
+// 保存データのスキーマバージョンを保存
+function saveSchemaVersion(version) {
+    try {
+        localStorage.setItem(SCHEMA_VERSION_KEY, String(version));
+    } catch (e) {
+        handleStorageError(e, 'スキーマバージョン');
+    }
+}
+
+/**
+ * 未適用の移行ステップをカード配列に適用（保存はしない）
+ * @param {Array} cards - 移行前のカード配列
+ * @param {number} fromVersion - 移行前のスキーマバージョン
+ * @returns {{cards: Array, version: number, applied: Array<string>}} 移行後のカード配列、バージョン、適用したステップの説明
+ * @throws {Error} 移行ステップが失敗した場合（どのステップかをメッセージに含める）
+ */
+function applyCardMigrations(cards, fromVersion) {
+    let migrated = cards;
+    let version = fromVersion;
+    const applied = [];
+
+    CARD_MIGRATIONS.filter(step => step.version > fromVersion).forEach(step => {
+        try {
+            migrated = step.migrate(migrated);
+        } catch (e) {
+            throw new Error(`データの移行（バージョン${step.version}: ${step.description}）に失敗しました: ${e.message}`);
         }
+        version = step.version;
+        applied.push(step.description);
+    });
+
+    return { cards: migrated, version, applied };
+}
+
+// 移行の失敗をユーザーに通知（同じセッションで繰り返し通知しない）
+function reportMigrationError(e) {
+    console.error('データの移行に失敗しました:', e);
+    if (migrationErrorReported) return;
+    migrationErrorReported = true;
+    alert(`${e.message}\n保存されているデータは変更していません。データを守るため、移行が完了するまで変更は保存されません。設定画面の「データの復旧」からバックアップをダウンロードし、復元または初期化できます。`);
+}
+
+// カードストレージ（IndexedDB、使えない環境ではlocalStorage）
+const CARD_DB_NAME = 'word-list-exporter';
+const CARD_DB_VERSION = 2; // 2で移行前のバックアップ用ストアを追加
+const CARD_STORE_NAME = 'cards';
+const BACKUP_STORE_NAME = 'backups';
+const MIGRATION_BACKUP_RECORD = 'pre-migration'; // バックアップのレコードキー（末尾に移行前のスキーマバージョンを付ける）
 
-        return migratedCards;
+let cardStorePromise = null; // 初期化済みのカードストア
+
+// IDBRequestをPromiseに変換
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// トランザクションの完了を待つ
+function waitForTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('トランザクションが中断されました'));
+    });
+}
+
+// バックアップの中から最も新しいものを取得
+function findLatestBackup(backups) {
+    return backups
+        .filter(backup => backup && typeof backup === 'object')
+        .reduce((latest, backup) => (!latest || backup.createdAt > latest.createdAt ? backup : latest), null);
+}
+
+// localStorageに保存した移行前のバックアップ（スキーマバージョン → バックアップ）
+function readLocalStorageBackups() {
+    try {
+        const data = JSON.parse(localStorage.getItem(MIGRATION_BACKUP_KEY));
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
     } catch (e) {
-        console.error('Failed to parse cards from localStorage:', e);
+        return {};
+    }
+}
+
+// IndexedDBのレコードからカードを取り出す（並び順は保存用の内部フィールド）
+function recordToCard(record) {
+    const { order, ...card } = record;
+    return card;
+}
+
+/**
+ * localStorageを使うカードストア（IndexedDBが使えない環境用）
+ * カード配列全体を1つのJSON文字列として保存する
+ */
+const localStorageCardStore = {
+    async getAll() {
         // データが破損している場合は空配列を返す
-        return [];
+        return readLegacyCards() || [];
+    },
+
+    // 保存されたデータが破損しているかどうか
+    async isCorrupted() {
+        return readLegacyCards() === null;
+    },
+
+    // 保存されている文字列をそのまま取得（破損したデータのバックアップ用）
+    async getRawData() {
+        return localStorage.getItem(STORAGE_KEY);
+    },
+
+    async get(id) {
+        return (await this.getAll()).find(card => card.id === id) || null;
+    },
+
+    async getByCategory(category) {
+        return (await this.getAll()).filter(card => card.category === category);
+    },
+
+    async replaceAll(cards) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(cards));
+        } catch (e) {
+            handleStorageError(e, 'カードデータ');
+        }
+    },
+
+    async addAll(cards) {
+        await this.replaceAll([...await this.getAll(), ...cards]);
+    },
+
+    async put(card) {
+        const cards = await this.getAll();
+        const index = cards.findIndex(c => c.id === card.id);
+        if (index === -1) return false;
+        cards[index] = card;
+        await this.replaceAll(cards);
+        return true;
+    },
+
+    async putAll(updatedCards) {
+        const updates = new Map(updatedCards.map(card => [card.id, card]));
+        const cards = await this.getAll();
+        await this.replaceAll(cards.map(card => updates.get(card.id) || card));
+    },
+
+    async removeAll(ids) {
+        const idSet = new Set(ids);
+        const cards = await this.getAll();
+        await this.replaceAll(cards.filter(card => !idSet.has(card.id)));
+    },
+
+    // 同じスキーマバージョンのバックアップがある場合は上書きしない（最初の移行前のデータを残す）
+    // カードと同じ領域にもう1つ全体のコピーを置くため、容量が足りない場合はバックアップせずにfalseを返す
+    async saveBackup(backup) {
+        const backups = readLocalStorageBackups();
+        if (backups[backup.schemaVersion]) return false;
+        try {
+            localStorage.setItem(MIGRATION_BACKUP_KEY, JSON.stringify({ ...backups, [backup.schemaVersion]: backup }));
+        } catch (e) {
+            if (e.name === 'QuotaExceededError') {
+                console.warn('容量が不足しているため、移行前のバックアップを保存しませんでした:', e);
+                return false;
+            }
+            handleStorageError(e, '移行前のバックアップ');
+        }
+        return true;
+    },
+
+    async getBackup() {
+        return findLatestBackup(Object.values(readLocalStorageBackups()));
+    },
+
+    // 指定したスキーマバージョン以外のバックアップを削除
+    async pruneBackups(keepVersion) {
+        const kept = readLocalStorageBackups()[keepVersion];
+        if (!kept) {
+            localStorage.removeItem(MIGRATION_BACKUP_KEY);
+            return;
+        }
+        try {
+            localStorage.setItem(MIGRATION_BACKUP_KEY, JSON.stringify({ [keepVersion]: kept }));
+        } catch (e) {
+            handleStorageError(e, '移行前のバックアップ');
+        }
+    }
+};
+
+/**
+ * IndexedDBを使うカードストアを作成
+ * カードは1件ずつレコードとして保存し、登録順を保つためにorderフィールドを付ける
+ * @param {IDBDatabase} db - 開いたデータベース
+ * @returns {Object} localStorageCardStoreと同じメソッドを持つカードストア
+ */
+function createIndexedDbCardStore(db) {
+    // 書き込みトランザクションを実行し、エラーはユーザー向けのメッセージに変換する
+    const write = async (callback, storeName = CARD_STORE_NAME) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        callback(transaction.objectStore(storeName));
+        try {
+            await waitForTransaction(transaction);
+        } catch (e) {
+            handleStorageError(e, storeName === CARD_STORE_NAME ? 'カードデータ' : '移行前のバックアップ');
+        }
+    };
+    const read = () => db.transaction(CARD_STORE_NAME, 'readonly').objectStore(CARD_STORE_NAME);
+
+    return {
+        async getAll() {
+            const records = await promisifyRequest(read().index('order').getAll());
+            return records.map(recordToCard);
+        },
+
+        // IndexedDBのレコードは常に読み込める
+        async isCorrupted() {
+            return false;
+        },
+
+        async getRawData() {
+            return null;
+        },
+
+        async get(id) {
+            const record = await promisifyRequest(read().get(id));
+            return record ? recordToCard(record) : null;
+        },
+
+        async getByCategory(category) {
+            const records = await promisifyRequest(read().index('category').getAll(category));
+            return records.sort((a, b) => a.order - b.order).map(recordToCard);
+        },
+
+        async replaceAll(cards) {
+            await write(store => {
+                store.clear();
+                cards.forEach((card, index) => store.put({ ...card, order: index }));
+            });
+        },
+
+        async addAll(cards) {
+            await write(store => {
+                // 最後のカードの次の並び順から追加
+                const request = store.index('order').openCursor(null, 'prev');
+                request.onsuccess = () => {
+                    const last = request.result;
+                    const start = last ? last.value.order + 1 : 0;
+                    cards.forEach((card, index) => store.put({ ...card, order: start + index }));
+                };
+            });
+        },
+
+        async put(card) {
+            let found = false;
+            await write(store => {
+                // 並び順を保ったまま上書き
+                const request = store.get(card.id);
+                request.onsuccess = () => {
+                    if (!request.result) return;
+                    found = true;
+                    store.put({ ...card, order: request.result.order });
+                };
+            });
+            return found;
+        },
+
+        async putAll(cards) {
+            await write(store => {
+                // 存在するカードだけを並び順を保ったまま上書き
+                cards.forEach(card => {
+                    const request = store.get(card.id);
+                    request.onsuccess = () => {
+                        if (request.result) {
+                            store.put({ ...card, order: request.result.order });
+                        }
+                    };
+                });
+            });
+        },
+
+        async removeAll(ids) {
+            await write(store => {
+                ids.forEach(id => store.delete(id));
+            });
+        },
+
+        // 同じスキーマバージョンのバックアップがある場合は上書きしない（最初の移行前のデータを残す）
+        async saveBackup(backup) {
+            const key = `${MIGRATION_BACKUP_RECORD}-v${backup.schemaVersion}`;
+            let saved = false;
+            await write(store => {
+                const request = store.getKey(key);
+                request.onsuccess = () => {
+                    if (request.result !== undefined) return;
+                    saved = true;
+                    store.put(backup, key);
+                };
+            }, BACKUP_STORE_NAME);
+            return saved;
+        },
+
+        async getBackup() {
+            const store = db.transaction(BACKUP_STORE_NAME, 'readonly').objectStore(BACKUP_STORE_NAME);
+            return findLatestBackup(await promisifyRequest(store.getAll()));
+        },
+
+        async pruneBackups(keepVersion) {
+            const keepKey = `${MIGRATION_BACKUP_RECORD}-v${keepVersion}`;
+            await write(store => {
+                const request = store.getAllKeys();
+                request.onsuccess = () => {
+                    request.result.filter(key => key !== keepKey).forEach(key => store.delete(key));
+                };
+            }, BACKUP_STORE_NAME);
+        }
+    };
+}
+
+/**
+ * 書き込みを拒否するカードストアを作成
+ * 移行に失敗した状態で保存すると、読み込めなかったデータや移行前のデータを上書きしてしまうため
+ * @param {Object} store - カードストア
+ * @returns {Object} 読み込みとバックアップだけができるカードストア
+ */
+function createReadOnlyCardStore(store) {
+    const refuse = async () => {
+        throw new Error('データの移行に失敗したため、保存されているデータを守るために変更を保存できません。設定画面の「データの復旧」から復元または初期化してください。');
+    };
+    return { ...store, replaceAll: refuse, addAll: refuse, put: refuse, putAll: refuse, removeAll: refuse };
+}
+
+/**
+ * 保存データのスキーマを最新版に移行
+ * 移行前のデータをバックアップしてから未適用のステップを適用し、まとめて保存する
+ * 失敗した場合は保存データとスキーマバージョンを変更せずにエラーを通知する
+ * @param {Object} store - カードストア
+ * @param {Array} [legacyCards] - IndexedDBに移すlocalStorageのカード
+ * @returns {Promise<boolean>} 移行に成功した（または移行が不要だった）場合true
+ */
+async function runCardMigrations(store, legacyCards = null) {
+    const fromVersion = loadSchemaVersion();
+    if (!legacyCards && fromVersion >= CURRENT_SCHEMA_VERSION) return true;
+
+    try {
+        // 破損したデータを移行結果で上書きしないよう、読み込めない場合は元の文字列をバックアップして移行しない
+        if (await store.isCorrupted()) {
+            await store.saveBackup({ schemaVersion: fromVersion, createdAt: Date.now(), cards: null, raw: await store.getRawData() });
+            throw new Error('保存されているカードデータが破損しているため、データを移行できませんでした。元のデータはバックアップに保存しました。');
+        }
+
+        let original = await store.getAll();
+        if (legacyCards) {
+            // 別のタブで移行済みの場合などに備え、IndexedDBにないカードだけを追加する
+            const existingIds = new Set(original.map(card => card.id));
+            original = [...original, ...legacyCards.filter(card => !(card && existingIds.has(card.id)))];
+        }
+
+        // 移行ステップが失敗した場合も復旧できるよう、適用する前にバックアップする
+        await store.saveBackup({ schemaVersion: fromVersion, createdAt: Date.now(), cards: original });
+
+        // localStorageから移すデータのバージョンは分からないため、すべてのステップを適用する（各ステップは冪等）
+        const result = applyCardMigrations(original, legacyCards ? 0 : fromVersion);
+        await store.replaceAll(result.cards);
+        saveSchemaVersion(result.version);
+
+        if (result.applied.length > 0) {
+            console.log(`データをバージョン${result.version}に移行しました:`, result.applied);
+        }
+
+        // 移行が完了したら、今回の移行前のバックアップだけを残す（失敗しても移行は完了している）
+        try {
+            await store.pruneBackups(fromVersion);
+        } catch (e) {
+            console.error('古いバックアップを削除できませんでした:', e);
+        }
+        return true;
+    } catch (e) {
+        reportMigrationError(e);
+        return false;
+    }
+}
+
+/**
+ * localStorageのカードをIndexedDBに移行（初回のみ）
+ * IDは引き継ぎ、移行が完了したらlocalStorageのデータを削除する
+ * @param {Object} store - IndexedDBのカードストア
+ */
+async function migrateLegacyCards(store) {
+    if (localStorage.getItem(STORAGE_KEY) === null) return;
+
+    const legacyCards = readLegacyCards();
+    if (!legacyCards) {
+        // 破損したデータは削除せずに残す
+        console.error('localStorageのカードデータが破損しているため移行できませんでした');
+        return;
+    }
+
+    if (await runCardMigrations(store, legacyCards)) {
+        localStorage.removeItem(STORAGE_KEY);
+        console.log('カードをIndexedDBに移行しました:', legacyCards.length);
+    }
+}
+
+// IndexedDBを開いてカードストアを作成
+async function openIndexedDbCardStore() {
+    const request = indexedDB.open(CARD_DB_NAME, CARD_DB_VERSION);
+    request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+            const store = db.createObjectStore(CARD_STORE_NAME, { keyPath: 'id' });
+            store.createIndex('category', 'category');
+            store.createIndex('order', 'order');
+        }
+        if (event.oldVersion < 2) {
+            db.createObjectStore(BACKUP_STORE_NAME);
+        }
+    };
+    const db = await promisifyRequest(request);
+
+    // 別のタブでデータベースが更新・削除される場合は接続を閉じ、次回のアクセスで開き直す
+    db.onversionchange = () => {
+        db.close();
+        cardStorePromise = null;
+    };
+
+    const store = createIndexedDbCardStore(db);
+    await migrateLegacyCards(store);
+    return store;
+}
+
+/**
+ * カードストアを開く（スキーマの移行は行わない）
+ * IndexedDBが使えない場合（未対応のブラウザ、一部のプライベートブラウジングなど）はlocalStorageを使う
+ * @returns {Promise<Object>} カードストア
+ */
+function openCardStore() {
+    if (!cardStorePromise) {
+        cardStorePromise = typeof indexedDB === 'undefined'
+            ? Promise.resolve(localStorageCardStore)
+            : openIndexedDbCardStore().catch(e => {
+                console.error('IndexedDBを開けないため、localStorageに保存します:', e);
+                return localStorageCardStore;
+            });
+    }
+    return cardStorePromise;
+}
+
+/**
+ * カードストアを取得
+ * IndexedDBが使えない場合（未対応のブラウザ、一部のプライベートブラウジングなど）はlocalStorageを使う
+ * 保存データのスキーマが古い場合は、先に移行を実行する（失敗した場合は書き込みを拒否するストアを返す）
+ * @returns {Promise<Object>} カードストア
+ */
+async function getCardStore() {
+    const store = await openCardStore();
+
+    // 同時に呼ばれた場合も移行は1回だけ実行する
+    if (loadSchemaVersion() < CURRENT_SCHEMA_VERSION) {
+        if (!cardMigrationPromise) {
+            cardMigrationPromise = runCardMigrations(store).finally(() => {
+                cardMigrationPromise = null;
+            });
+        }
+        if (!await cardMigrationPromise) {
+            return createReadOnlyCardStore(store);
+        }
+    }
+    return store;
+}
+
+/**
+ * ゴミ箱のカードを含めてすべてのカードを読み込む（登録順）
+ * @returns {Promise<Array>} カード配列
+ */
+async function loadAllCards() {
+    const cards = await (await getCardStore()).getAll();
+
+    // 移行を保存できなかった場合も、このセッションでは最新の形式で扱う（保存データは変更しない）
+    const version = loadSchemaVersion();
+    if (version >= CURRENT_SCHEMA_VERSION) return cards;
+    try {
+        return applyCardMigrations(cards, version).cards;
+    } catch (e) {
+        return cards;
+    }
+}
+
+/**
+ * 単語カードを読み込む（登録順、ゴミ箱のカードを除く）
+ * @returns {Promise<Array>} カード配列
+ */
+async function loadCards() {
+    return (await loadAllCards()).filter(card => !card.deletedAt);
+}
+
+/**
+ * 直近の移行前に保存したバックアップを取得（バックアップはスキーマバージョンごとに保存される）
+ * @returns {Promise<{schemaVersion: number, createdAt: number, cards: Array}|null>} バックアップ（ない場合はnull）
+ */
+async function getMigrationBackup() {
+    return (await getCardStore()).getBackup();
+}
+
+/**
+ * 復旧用のデータを取得（直近の移行前のバックアップ、ない場合は現在保存されているデータ）
+ * 容量が足りずにバックアップを保存できなかった場合も、移行できなかったデータを取り出せるようにする
+ * @returns {Promise<{schemaVersion: number, createdAt: number, cards: Array|null, raw: string|null}>} 復旧用のデータ（破損している場合はcardsがnullで、rawに元の文字列）
+ */
+async function getRecoveryData() {
+    const store = await openCardStore();
+    const backup = await store.getBackup();
+    if (backup) return backup;
+
+    const corrupted = await store.isCorrupted();
+    return {
+        schemaVersion: loadSchemaVersion(),
+        createdAt: Date.now(),
+        cards: corrupted ? null : await store.getAll(),
+        raw: corrupted ? await store.getRawData() : null
+    };
+}
+
+/**
+ * 保存データを置き換えて、変更を保存できる状態に戻す
+ * 移行に失敗した後でも使えるよう、書き込みを拒否するストアを通さずに保存する
+ * @param {Array} cards - 新しいカード配列
+ * @param {number} fromVersion - カード配列のスキーマバージョン（未適用の移行ステップを適用してから保存する）
+ * @throws {Error} 移行ステップまたは保存に失敗した場合（保存データは変更しない）
+ */
+async function replaceCardDataForRecovery(cards, fromVersion) {
+    const result = applyCardMigrations(cards, fromVersion);
+    await (await openCardStore()).replaceAll(result.cards);
+    saveSchemaVersion(CURRENT_SCHEMA_VERSION);
+    migrationErrorReported = false;
+}
+
+/**
+ * 直近の移行前のバックアップからカードを復元
+ * @returns {Promise<Object>} 復元したバックアップ
+ * @throws {Error} 復元できるバックアップがない場合（破損したデータのバックアップを含む）
+ */
+async function restoreMigrationBackup() {
+    const backup = await getMigrationBackup();
+    if (!backup || !Array.isArray(backup.cards)) {
+        throw new Error('復元できるバックアップがありません。');
     }
+    await replaceCardDataForRecovery(backup.cards, backup.schemaVersion);
+    return backup;
+}
+
+// すべてのカードを削除して、変更を保存できる状態に戻す（学習履歴と設定は残す）
+async function resetCardData() {
+    await replaceCardDataForRecovery([], CURRENT_SCHEMA_VERSION);
+}
+
+// 移行に失敗して変更を保存できない状態かどうか
+async function isCardDataReadOnly() {
+    await getCardStore();
+    return loadSchemaVersion() < CURRENT_SCHEMA_VERSION;
 }
 
 // Gemini API Keyの保存
@@ -123,6 +692,85 @@ function clearApiKey() {
     localStorage.removeItem(API_KEY_STORAGE_KEY);
 }
 
+// Gemini APIの設定のデフォルト
+const DEFAULT_GEMINI_SETTINGS = {
+    model: 'gemini-2.5-flash',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    temperature: 0,
+    maxOutputTokens: 8192
+};
+const GEMINI_MODEL_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/; // モデル名（例: gemini-2.5-flash）
+const MAX_GEMINI_TEMPERATURE = 2;
+const MAX_GEMINI_OUTPUT_TOKENS = 65536;
+
+/**
+ * Gemini APIの設定を検証して整える
+ * @param {Object} settings - { model, baseUrl, temperature, maxOutputTokens }
+ * @returns {Object} 整えた設定
+ * @throws {Error} 不正な値がある場合（メッセージは設定画面にそのまま表示する）
+ */
+function validateGeminiSettings(settings) {
+    // 「models/gemini-2.5-flash」の形式でも受け付ける
+    const model = String(settings.model ?? '').trim().replace(/^models\//, '');
+    if (!GEMINI_MODEL_PATTERN.test(model)) {
+        throw new Error('モデル名は英数字・ピリオド・ハイフン・アンダースコアで入力してください（例: gemini-2.5-flash）');
+    }
+
+    const baseUrl = String(settings.baseUrl ?? '').trim().replace(/\/+$/, '');
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch (e) {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || url.search || url.hash) {
+        throw new Error('APIのURLはhttp://またはhttps://で始まるURLを入力してください（例: https://generativelanguage.googleapis.com/v1beta）');
+    }
+
+    const temperature = Number(settings.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > MAX_GEMINI_TEMPERATURE) {
+        throw new Error(`temperatureは0〜${MAX_GEMINI_TEMPERATURE}の数値で入力してください`);
+    }
+
+    const maxOutputTokens = Number(settings.maxOutputTokens);
+    if (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 1 || maxOutputTokens > MAX_GEMINI_OUTPUT_TOKENS) {
+        throw new Error(`最大出力トークン数は1〜${MAX_GEMINI_OUTPUT_TOKENS}の整数で入力してください`);
+    }
+
+    return { model, baseUrl, temperature, maxOutputTokens };
+}
+
+// Gemini APIの設定の読み込み（不正な値はデフォルトに戻す）
+function loadGeminiSettings() {
+    try {
+        const data = JSON.parse(localStorage.getItem(GEMINI_SETTINGS_KEY) || '{}');
+        return validateGeminiSettings({ ...DEFAULT_GEMINI_SETTINGS, ...data });
+    } catch (e) {
+        console.error('Failed to load Gemini settings from localStorage:', e);
+        return { ...DEFAULT_GEMINI_SETTINGS };
+    }
+}
+
+// Gemini APIの設定の保存
+function saveGeminiSettings(settings) {
+    const validSettings = validateGeminiSettings(settings);
+    try {
+        localStorage.setItem(GEMINI_SETTINGS_KEY, JSON.stringify(validSettings));
+    } catch (e) {
+        handleStorageError(e, 'Gemini APIの設定');
+    }
+}
+
+// 既定以外のURL（ローカルのプロキシなど）を使うかどうか（API Keyが不要な場合がある）
+function usesCustomGeminiBaseUrl(settings) {
+    return settings.baseUrl !== DEFAULT_GEMINI_SETTINGS.baseUrl;
+}
+
+// Gemini APIのgenerateContentのURL
+function getGeminiEndpoint(settings) {
+    return `${settings.baseUrl}/models/${encodeURIComponent(settings.model)}:generateContent`;
+}
+
 /**
  * Gemini API Keyのバリデーション
  * @param {string} apiKey - 検証するAPIキー
@@ -147,13 +795,14 @@ function validateApiKey(apiKey) {
     return apiKey.length >= 20 && apiKey.length <= 100;
 }
 
-// ローカルストレージに単語カードを保存
-function saveCards(cards) {
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(cards));
-    } catch (e) {
-        handleStorageError(e, 'カードデータ');
-    }
+/**
+ * 単語カードをすべて置き換えて保存（ゴミ箱のカードは残す）
+ * @param {Array} cards - 保存するカード配列
+ */
+async function saveCards(cards) {
+    const ids = new Set(cards.map(card => card.id));
+    const trash = (await loadAllCards()).filter(card => card.deletedAt && !ids.has(card.id));
+    await (await getCardStore()).replaceAll([...cards, ...trash]);
 }
 
 /**
@@ -161,65 +810,436 @@ function saveCards(cards) {
  * @param {string} category - カテゴリ名
  * @param {string} question - 問題文
  * @param {string} answer - 解答
+ * @returns {Promise<Object>} 作成したカード
  */
-function createCard(category, question, answer) {
+async function createCard(category, question, answer) {
     const card = {
         id: generateUniqueId(),
         category,
         question,
         answer
     };
-    const cards = loadCards();
-    cards.push(card);
-    saveCards(cards);
+    await addCards([card]);
+    return card;
 }
 
 /**
- * カードをIDで削除（インデックスベースの削除はレガシーサポート）
- * @param {string|number} idOrIndex - カードIDまたはインデックス
+ * 既存のカードの後ろにカードを追加
+ * @param {Array} cards - 追加するカード配列（IDは設定済みであること）
  */
-function deleteCard(idOrIndex) {
-    const cards = loadCards();
+async function addCards(cards) {
+    await (await getCardStore()).addAll(cards);
+}
 
+/**
+ * カードをIDで削除してゴミ箱に移動（インデックスベースの削除はレガシーサポート）
+ * @param {string|number} idOrIndex - カードIDまたはインデックス
+ * @returns {Promise<Object|null>} ゴミ箱に移動したカード（見つからない場合はnull）
+ */
+async function deleteCard(idOrIndex) {
     // 数値の場合はインデックスとして扱う（レガシーサポート）
-    if (typeof idOrIndex === 'number') {
-        cards.splice(idOrIndex, 1);
-    } else {
-        // IDで削除
-        const index = cards.findIndex(c => c.id === idOrIndex);
-        if (index !== -1) {
-            cards.splice(index, 1);
-        }
-    }
+    const card = typeof idOrIndex === 'number'
+        ? (await loadCards())[idOrIndex]
+        : (await loadCards()).find(c => c.id === idOrIndex);
+    if (!card) return null;
 
-    saveCards(cards);
+    await moveCardsToTrash([card.id]);
+    return card;
 }
 
-// カード配列をシャッフル
-function shuffleCards(cards) {
-    const shuffled = [...cards];
-    for (let i = shuffled.length - 1; i > 0; i--) {
+/**
+ * カードをゴミ箱に移動（並び順はそのまま残し、復元すると元の位置に戻る）
+ * @param {Array<string>} ids - カードIDの配列
+ * @param {number} now - 削除日時（ミリ秒）
+ */
+async function moveCardsToTrash(ids, now = Date.now()) {
+    const idSet = new Set(ids);
+    const cards = (await loadCards()).filter(card => idSet.has(card.id));
+    await (await getCardStore()).putAll(cards.map(card => ({ ...card, deletedAt: now })));
+}
+
+/**
+ * ゴミ箱のカードを読み込む（削除日時の新しい順）
+ * @returns {Promise<Array>} カード配列
+ */
+async function loadTrash() {
+    const cards = await loadAllCards();
+    return cards.filter(card => card.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * ゴミ箱のカードを元に戻す
+ * @param {Array<string>} ids - カードIDの配列
+ */
+async function restoreCards(ids) {
+    const idSet = new Set(ids);
+    const cards = (await loadTrash()).filter(card => idSet.has(card.id));
+    await (await getCardStore()).putAll(cards.map(({ deletedAt, ...card }) => card));
+}
+
+/**
+ * ゴミ箱のカードを完全に削除
+ * @param {Array<string>} ids - カードIDの配列
+ */
+async function permanentlyDeleteCards(ids) {
+    // ゴミ箱にないカードは削除しない
+    const trashIds = new Set((await loadTrash()).map(card => card.id));
+    await (await getCardStore()).removeAll(ids.filter(id => trashIds.has(id)));
+}
+
+// ゴミ箱を空にする
+async function emptyTrash() {
+    await permanentlyDeleteCards((await loadTrash()).map(card => card.id));
+}
+
+/**
+ * 保存期間を過ぎたゴミ箱のカードのIDを取得
+ * @param {Array} trash - ゴミ箱のカード配列
+ * @param {number} retentionDays - 保存期間（日）
+ * @param {number} now - 現在日時（ミリ秒）
+ * @returns {Array<string>} カードIDの配列
+ */
+function getExpiredTrashIds(trash, retentionDays, now) {
+    const limit = now - retentionDays * 24 * 60 * 60 * 1000;
+    return trash.filter(card => card.deletedAt <= limit).map(card => card.id);
+}
+
+/**
+ * 保存期間を過ぎたゴミ箱のカードを完全に削除（起動時に実行）
+ * @param {number} now - 現在日時（ミリ秒）
+ * @returns {Promise<number>} 削除したカード数
+ */
+async function purgeExpiredTrash(now = Date.now()) {
+    const expiredIds = getExpiredTrashIds(await loadTrash(), loadStudySettings().trashRetentionDays, now);
+    if (expiredIds.length > 0) {
+        await permanentlyDeleteCards(expiredIds);
+    }
+    return expiredIds.length;
+}
+
+// インポート履歴の読み込み（古い順）
+function loadImportBatches() {
+    try {
+        const batches = JSON.parse(localStorage.getItem(IMPORT_BATCHES_KEY) || '[]');
+        return Array.isArray(batches) ? batches : [];
+    } catch (e) {
+        console.error('Failed to parse import batches from localStorage:', e);
+        return [];
+    }
+}
+
+// インポート履歴の保存（新しいものから最大件数まで）
+function saveImportBatches(batches) {
+    try {
+        localStorage.setItem(IMPORT_BATCHES_KEY, JSON.stringify(batches.slice(-MAX_IMPORT_BATCHES)));
+    } catch (e) {
+        handleStorageError(e, 'インポート履歴');
+    }
+}
+
+// インポートで上書きするカードの内容（取り消し時にこの項目だけを元に戻す）
+const IMPORT_OVERWRITE_FIELDS = ['category', 'question', 'answer', 'note'];
+
+/**
+ * カードを1回のインポートとして追加・上書き・置き換え（後からまとめて取り消せるようにする）
+ * 上書きしたカードは上書き前の内容を、置き換えたカード（ゴミ箱に移動）はIDをインポート履歴に残す
+ * @param {Array} cards - 追加するカード配列（IDは設定済みで、ゴミ箱のカードとも重複しないこと）
+ * @param {Array} overwrites - 上書きするカード [{ id, fields }]
+ * @param {Array<string>} replacedIds - 置き換えるためにゴミ箱に移動するカードのID
+ * @returns {Promise<Object>} インポート履歴のエントリ
+ */
+async function importCardsAsBatch(cards, overwrites = [], replacedIds = []) {
+    const batch = {
+        id: generateUniqueId(),
+        createdAt: Date.now(),
+        count: cards.length,
+        categories: [...new Set([...cards, ...overwrites.map(overwrite => overwrite.fields)].map(card => card.category))],
+        overwritten: [],
+        replaced: [...replacedIds]
+    };
+    if (replacedIds.length > 0) await moveCardsToTrash(replacedIds);
+
+    const store = await getCardStore();
+    const updatedCards = [];
+    for (const { id, fields } of overwrites) {
+        const card = await store.get(id);
+        if (!card || card.deletedAt) continue;
+        const previous = {};
+        IMPORT_OVERWRITE_FIELDS.filter(field => field in card).forEach(field => {
+            previous[field] = card[field];
+        });
+        batch.overwritten.push({ id, previous });
+        updatedCards.push({ ...card, ...fields, id });
+    }
+
+    if (updatedCards.length > 0) await store.putAll(updatedCards);
+    if (cards.length > 0) await addCards(cards.map(card => ({ ...card, importBatchId: batch.id })));
+    saveImportBatches([...loadImportBatches(), batch]);
+    return batch;
+}
+
+/**
+ * インポートをまとめて取り消す
+ * 追加したカードはゴミ箱に移動し、上書きしたカードは元の内容に、置き換えたカードはゴミ箱から元に戻す
+ * @param {string} batchId - インポート履歴のID
+ * @returns {Promise<number>} ゴミ箱に移動したカード数と元に戻したカード数の合計
+ */
+async function rollbackImportBatch(batchId) {
+    const batch = loadImportBatches().find(entry => entry.id === batchId);
+    const ids = (await loadCards()).filter(card => card.importBatchId === batchId).map(card => card.id);
+    await moveCardsToTrash(ids);
+
+    let restored = 0;
+    if (batch && !batch.rolledBackAt && Array.isArray(batch.replaced) && batch.replaced.length > 0) {
+        // 完全に削除されたカードは戻せない
+        const replacedIds = new Set(batch.replaced);
+        restored += (await loadTrash()).filter(card => replacedIds.has(card.id)).length;
+        await restoreCards(batch.replaced);
+    }
+    if (batch && !batch.rolledBackAt && Array.isArray(batch.overwritten) && batch.overwritten.length > 0) {
+        const store = await getCardStore();
+        const restoredCards = [];
+        for (const { id, previous } of batch.overwritten) {
+            const card = await store.get(id);
+            if (!card) continue;
+            const content = { ...card };
+            IMPORT_OVERWRITE_FIELDS.forEach(field => delete content[field]);
+            restoredCards.push({ ...content, ...previous });
+        }
+        await store.putAll(restoredCards);
+        restored += restoredCards.length;
+    }
+
+    saveImportBatches(loadImportBatches().map(entry =>
+        entry.id === batchId ? { ...entry, rolledBackAt: Date.now() } : entry
+    ));
+    return ids.length + restored;
+}
+
+// インポートを取り消したときに元に戻せる（上書き・置き換えた）カードの件数
+function countRestorableCards(batch) {
+    if (batch.rolledBackAt) return 0;
+    return (Array.isArray(batch.overwritten) ? batch.overwritten.length : 0) +
+        (Array.isArray(batch.replaced) ? batch.replaced.length : 0);
+}
+
+/**
+ * カードをIDで更新（IDと並び順は変更しない）
+ * @param {string} id - カードID
+ * @param {Object} fields - 更新するフィールド（category, question, answerなど）
+ * @returns {Promise<Object>} 更新後のカード
+ * @throws {Error} カードが見つからない場合
+ */
+async function updateCard(id, fields) {
+    const store = await getCardStore();
+    const card = await store.get(id);
+    // ゴミ箱のカードは更新しない
+    if (!card || card.deletedAt) {
+        throw new Error('カードが見つかりません。削除された可能性があります。');
+    }
+
+    const updatedCard = { ...card, ...fields, id };
+    if (!await store.put(updatedCard)) {
+        throw new Error('カードが見つかりません。削除された可能性があります。');
+    }
+    return updatedCard;
+}
+
+/**
+ * カテゴリのカードを取得（登録順）
+ * @param {string} category - カテゴリ名
+ * @returns {Promise<Array>} カード配列
+ */
+async function getCardsByCategory(category) {
+    const cards = await (await getCardStore()).getByCategory(category);
+    return cards.filter(card => !card.deletedAt);
+}
+
+// カード配列をシャッフル
+function shuffleCards(cards) {
+    const shuffled = [...cards];
+    for (let i = shuffled.length - 1; i > 0; i--) {
         const j = Math.floor(Math.random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
 }
 
-// カテゴリ一覧を取得
-function getCategories() {
-    const cards = loadCards();
-    return [...new Set(cards.map(card => card.category))].sort();
+// カテゴリ一覧を取得（ゴミ箱のカードだけのカテゴリは含めない）
+async function getCategories() {
+    return [...new Set((await loadCards()).map(card => card.category))].sort();
+}
+
+// 重複カードの検出
+
+// 重複判定用のキーを取得（[同じカテゴリの同じ問題, カテゴリを問わず同じ問題と解答]、問題が空なら判定しない）
+function getDuplicateKeys(card) {
+    const question = normalizeAnswer(card.question);
+    if (!question) return [];
+    return [
+        JSON.stringify([normalizeAnswer(card.category), question]),
+        JSON.stringify([question, normalizeAnswer(card.answer)])
+    ];
+}
+
+/**
+ * 重複しているカードを探す
+ * 正規化した問題が同じカテゴリにある場合と、問題と解答の組み合わせがカテゴリを問わず同じ場合を重複とみなす
+ * @param {Object} card - 調べるカード
+ * @param {Array} cards - 比較対象のカード配列
+ * @param {string|null} excludeId - 比較から除くカードID（編集中のカードなど）
+ * @returns {Object|null} { card: 重複しているカード, reason: 'pair' | 'question' }、重複がなければnull
+ */
+function findDuplicateCard(card, cards, excludeId = null) {
+    const [questionKey, pairKey] = getDuplicateKeys(card);
+    if (!questionKey) return null;
+
+    let questionMatch = null;
+    for (const other of cards) {
+        if (other === card || (excludeId && other.id === excludeId)) continue;
+        const [otherQuestionKey, otherPairKey] = getDuplicateKeys(other);
+        // 問題と解答がどちらも同じカードを優先する
+        if (otherPairKey === pairKey) return { card: other, reason: 'pair' };
+        if (!questionMatch && otherQuestionKey === questionKey) questionMatch = other;
+    }
+    return questionMatch ? { card: questionMatch, reason: 'question' } : null;
+}
+
+// 重複の内容を説明する文字列を作成
+function describeDuplicate(duplicate) {
+    const category = duplicate.card.category;
+    return duplicate.reason === 'pair'
+        ? `同じ問題と解答のカードがあります（カテゴリ: ${category}）`
+        : `カテゴリ「${category}」に同じ問題のカードがあります（解答: ${duplicate.card.answer}）`;
+}
+
+/**
+ * 重複判定用のキーからカードを引けるようにする（キーごとに最初のカード）
+ * インポートのように多くのカードを比較する場合、キーの計算を1回で済ませるために使う
+ * @param {Array} cards - カード配列
+ * @returns {{question: Map, pair: Map}} 同じカテゴリの同じ問題・同じ問題と解答のキー → カード
+ */
+function createDuplicateIndex(cards) {
+    const index = { question: new Map(), pair: new Map() };
+    cards.forEach(card => addToDuplicateIndex(index, card));
+    return index;
+}
+
+// 重複判定用のインデックスにカードを追加
+function addToDuplicateIndex(index, card) {
+    const [questionKey, pairKey] = getDuplicateKeys(card);
+    if (!questionKey) return;
+    if (!index.question.has(questionKey)) index.question.set(questionKey, card);
+    if (!index.pair.has(pairKey)) index.pair.set(pairKey, card);
+}
+
+// インデックスから重複しているカードを探す（findDuplicateCardと同じく問題と解答がどちらも同じカードを優先）
+function findInDuplicateIndex(index, card) {
+    const [questionKey, pairKey] = getDuplicateKeys(card);
+    if (!questionKey) return null;
+    if (index.pair.has(pairKey)) return { card: index.pair.get(pairKey), reason: 'pair' };
+    if (index.question.has(questionKey)) return { card: index.question.get(questionKey), reason: 'question' };
+    return null;
+}
+
+/**
+ * インポートするカードの重複を探す（既存のカードを優先し、なければ同じインポート内の前のカードと比較）
+ * @param {Array} cards - インポートするカード配列
+ * @param {Object} existingIndex - 既存のカードのインデックス（createDuplicateIndex）
+ * @returns {Array<Object|null>} カードごとのfindDuplicateCardの結果にexisting（既存のカードかどうか）を加えたもの
+ */
+function findImportDuplicates(cards, existingIndex) {
+    const earlierIndex = createDuplicateIndex([]);
+    return cards.map(card => {
+        const existing = findInDuplicateIndex(existingIndex, card);
+        const earlier = existing ? null : findInDuplicateIndex(earlierIndex, card);
+        addToDuplicateIndex(earlierIndex, card);
+        if (existing) return { ...existing, existing: true };
+        return earlier ? { ...earlier, existing: false } : null;
+    });
+}
+
+/**
+ * インポート時の重複の扱いを決める
+ * 重複したカードは指定がなければスキップし、上書きは既存のカードと重複した場合だけ行う
+ * @param {Array} cards - インポートするカード配列
+ * @param {Array} existingCards - 既存のカード配列
+ * @param {Map} actions - カード → 'skip' | 'overwrite' | 'keep'
+ * @returns {Object} { cardsToAdd: 追加するカード, overwrites: [{ id, fields }], skipped: スキップしたカード数 }
+ */
+function resolveImportDuplicates(cards, existingCards, actions) {
+    const cardsToAdd = [];
+    const overwrites = [];
+    let skipped = 0;
+    const duplicates = findImportDuplicates(cards, createDuplicateIndex(existingCards));
+
+    cards.forEach((card, index) => {
+        const duplicate = duplicates[index];
+        const action = duplicate ? (actions.get(card) || 'skip') : 'keep';
+
+        if (action === 'keep') {
+            cardsToAdd.push(card);
+        } else if (action === 'overwrite' && duplicate.existing) {
+            overwrites.push({
+                id: duplicate.card.id,
+                fields: { category: card.category, question: card.question, answer: card.answer, ...(card.note ? { note: card.note } : {}) }
+            });
+        } else {
+            skipped++;
+        }
+    });
+
+    return { cardsToAdd, overwrites, skipped };
+}
+
+/**
+ * 重複しているカードをグループにまとめる（重複がつながっているカードは同じグループ）
+ * @param {Array} cards - カード配列
+ * @returns {Array} 2枚以上のカードを含むグループの配列（登録順）
+ */
+function findDuplicateGroups(cards) {
+    // 最初に同じキーを持っていたカードの位置を親として、つながったカードをまとめる
+    const parents = cards.map((card, index) => index);
+    const findRoot = (index) => {
+        while (parents[index] !== index) {
+            parents[index] = parents[parents[index]];
+            index = parents[index];
+        }
+        return index;
+    };
+
+    const firstIndexByKey = new Map();
+    cards.forEach((card, index) => {
+        getDuplicateKeys(card).forEach(key => {
+            if (!firstIndexByKey.has(key)) {
+                firstIndexByKey.set(key, index);
+                return;
+            }
+            const rootA = findRoot(firstIndexByKey.get(key));
+            const rootB = findRoot(index);
+            if (rootA !== rootB) parents[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+        });
+    });
+
+    const groups = new Map();
+    cards.forEach((card, index) => {
+        const root = findRoot(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(card);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
 }
 
 /**
  * HTMLエスケープ関数（XSS対策）
+ * 属性値の中でも使えるよう、引用符もエスケープする
  * @param {string} text - エスケープするテキスト
  * @returns {string} エスケープされたHTML
  */
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -266,18 +1286,64 @@ function showView(viewId) {
     document.getElementById(viewId).classList.remove('hidden');
 }
 
+// トースト通知
+const TOAST_DURATION = 6000; // トーストを表示する時間（ミリ秒）
+let toastTimer = null;
+
+/**
+ * 画面下部にトーストを表示（「元に戻す」などの操作ボタン付き）
+ * @param {string} message - 表示するメッセージ
+ * @param {Object} options - actionLabel（ボタンの文言）、onAction（ボタンを押したときの処理）、duration（表示時間）
+ */
+function showToast(message, { actionLabel = '', onAction = null, duration = TOAST_DURATION } = {}) {
+    const toast = document.getElementById('toast');
+    const actionBtn = document.getElementById('toast-action-btn');
+    document.getElementById('toast-message').textContent = message;
+
+    actionBtn.textContent = actionLabel;
+    actionBtn.classList.toggle('hidden', !onAction);
+    actionBtn.onclick = async () => {
+        hideToast();
+        try {
+            await onAction();
+        } catch (error) {
+            alert('元に戻せませんでした: ' + error.message);
+        }
+    };
+
+    toast.classList.remove('hidden');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, duration);
+}
+
+// トーストを閉じる
+function hideToast() {
+    clearTimeout(toastTimer);
+    document.getElementById('toast').classList.add('hidden');
+}
+
 // ホーム画面の初期化
 function initHomeView() {
     showView('home-view');
 }
 
 // ホーム画面: 学習開始ボタン
-document.getElementById('start-quiz-btn').addEventListener('click', () => {
-    const cards = loadCards();
+document.getElementById('start-quiz-btn').addEventListener('click', async () => {
+    const cards = await loadCards();
+    if (cards.length === 0) {
+        alert('まずは単語を登録してください');
+    } else {
+        await initQuizSetupView();
+    }
+});
+
+// ホーム画面: 今日の復習ボタン
+document.getElementById('start-review-btn').addEventListener('click', async () => {
+    const cards = await loadCards();
     if (cards.length === 0) {
         alert('まずは単語を登録してください');
     } else {
-        startQuiz();
+        await startReviewSession();
     }
 });
 
@@ -291,22 +1357,39 @@ document.getElementById('settings-btn').addEventListener('click', () => {
     initSettingsView();
 });
 
+// 編集中のカードID（nullの場合は新規追加）
+let editingCardId = null;
+
 // 単語カード追加画面の初期化
 function initAddView() {
     showView('add-view');
+    editingCardId = null;
+    document.getElementById('add-view-title').textContent = '新規追加';
     // 入力欄をクリア
     document.getElementById('category-input').value = '';
     document.getElementById('question-input').value = '';
     document.getElementById('answer-input').value = '';
 }
 
+// 単語カード編集画面の初期化（追加画面のフォームを再利用）
+function initEditView(card) {
+    showView('add-view');
+    editingCardId = card.id;
+    document.getElementById('add-view-title').textContent = '編集';
+    // 既存の値をプリセット
+    document.getElementById('category-input').value = card.category;
+    document.getElementById('question-input').value = card.question;
+    document.getElementById('answer-input').value = card.answer;
+    document.getElementById('question-input').focus();
+}
+
 // 追加画面: キャンセルボタン
 document.getElementById('cancel-add-btn').addEventListener('click', () => {
     renderListView();
 });
 
 // 追加画面: 保存ボタン
-document.getElementById('save-card-btn').addEventListener('click', () => {
+document.getElementById('save-card-btn').addEventListener('click', async () => {
     const category = document.getElementById('category-input').value.trim();
     const question = document.getElementById('question-input').value.trim();
     const answer = document.getElementById('answer-input').value.trim();
@@ -319,8 +1402,26 @@ document.getElementById('save-card-btn').addEventListener('click', () => {
     // カテゴリが空の場合はデフォルト値を設定
     const finalCategory = category || '未分類';
 
+    // 重複がある場合は確認してから保存（編集中のカード自身は除く）
+    const duplicate = findDuplicateCard({ category: finalCategory, question, answer }, await loadCards(), editingCardId);
+    if (duplicate && !confirm(`${describeDuplicate(duplicate)}\n\nこのまま保存しますか？`)) {
+        return;
+    }
+
+    // 編集モード: 既存カードを更新して一覧に戻る
+    if (editingCardId) {
+        try {
+            await updateCard(editingCardId, { category: finalCategory, question, answer });
+            editingCardId = null;
+            renderListView();
+        } catch (error) {
+            alert('保存に失敗しました: ' + error.message);
+        }
+        return;
+    }
+
     try {
-        createCard(finalCategory, question, answer);
+        await createCard(finalCategory, question, answer);
         alert('保存しました');
 
         // 入力欄をクリア
@@ -335,727 +1436,5353 @@ document.getElementById('save-card-btn').addEventListener('click', () => {
     }
 });
 
-// 単語カード一覧画面の表示
-function renderListView() {
-    showView('list-view');
-    const cards = loadCards();
-    const cardListElement = document.getElementById('card-list');
-    cardListElement.innerHTML = '';
+// 一覧画面の選択モード
+let listSelectMode = false;
+let selectedCardIds = new Set();
 
-    if (cards.length === 0) {
-        cardListElement.innerHTML = '<div class="empty-message">まだ単語カードが登録されていません。<br>「追加」ボタンから登録してください。</div>';
-        return;
+// 一覧画面の検索と折りたたみ（編集から戻っても維持する）
+let listSearchQuery = '';
+let collapsedCategories = new Set();
+
+/**
+ * 検索用にテキストを正規化し、正規化後の各文字が元のテキストのどの範囲に当たるかを記録する
+ * 1文字ずつ（半角カナの濁点・半濁点は前の文字とまとめて）normalizeAnswerで正規化する
+ * @param {string} text - 検索対象のテキスト
+ * @returns {{normalized: string, starts: Array<number>, ends: Array<number>}} 正規化したテキストと、各文字の元のテキストでの開始・終了位置
+ */
+function buildSearchIndex(text) {
+    let normalized = '';
+    const starts = [];
+    const ends = [];
+    for (const match of (text || '').matchAll(/[\s\S][\uFF9E\uFF9F]?/gu)) {
+        const unit = normalizeAnswer(match[0]);
+        for (let i = 0; i < unit.length; i++) {
+            starts.push(match.index);
+            ends.push(match.index + match[0].length);
+        }
+        normalized += unit;
     }
+    return { normalized, starts, ends };
+}
 
-    // カテゴリ別にグループ化
-    const categories = getCategories();
+// 検索語を正規化して空白で分割
+function parseSearchTerms(query) {
+    return normalizeAnswer(query).split(' ').filter(term => term);
+}
+
+/**
+ * テキスト中の検索語に一致する範囲を取得（全角・半角、カタカナ・ひらがな、大文字・小文字の違いを無視）
+ * @param {string} text - 検索対象のテキスト
+ * @param {Array<string>} terms - parseSearchTermsで正規化した検索語
+ * @returns {Array<{start: number, end: number}>} 元のテキストでの範囲（重なる範囲はまとめる）
+ */
+function findMatchRanges(text, terms) {
+    const { normalized, starts, ends } = buildSearchIndex(text);
+    const ranges = [];
+    terms.forEach(term => {
+        let index = normalized.indexOf(term);
+        while (index !== -1) {
+            ranges.push({ start: starts[index], end: ends[index + term.length - 1] });
+            index = normalized.indexOf(term, index + term.length);
+        }
+    });
 
-    categories.forEach(category => {
-        const categorySection = document.createElement('div');
-        categorySection.className = 'category-section';
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+        return merged;
+    }, []);
+}
 
-        const categoryHeader = document.createElement('div');
-        categoryHeader.className = 'category-header';
-        categoryHeader.textContent = category;
-        categorySection.appendChild(categoryHeader);
+// カードがすべての検索語を含むか（問題・解答・カテゴリのいずれかに含まれればよい）
+function cardMatchesSearch(card, terms) {
+    const fields = [card.question, card.answer, card.category].map(field => buildSearchIndex(field).normalized);
+    return terms.every(term => fields.some(field => field.includes(term)));
+}
 
-        // このカテゴリのカードを取得
-        cards.forEach((card, index) => {
-            if (card.category === category) {
-                const cardItem = document.createElement('div');
-                cardItem.className = 'card-item';
+/**
+ * 要素内のテキストで検索語に一致する部分を<mark>で強調表示
+ * 上付き・下付き文字をまたぐ一致は強調しない
+ * @param {HTMLElement} element - 対象の要素
+ * @param {Array<string>} terms - parseSearchTermsで正規化した検索語
+ */
+function highlightSearchMatches(element, terms) {
+    if (terms.length === 0) return;
 
-                const cardContent = document.createElement('div');
-                cardContent.className = 'card-content';
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
 
-                const cardQuestion = document.createElement('div');
-                cardQuestion.className = 'card-question';
-                cardQuestion.innerHTML = parseSubscriptSuperscript(card.question);
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        const ranges = findMatchRanges(text, terms);
+        if (ranges.length === 0) return;
+
+        const fragment = document.createDocumentFragment();
+        let position = 0;
+        ranges.forEach(({ start, end }) => {
+            fragment.appendChild(document.createTextNode(text.slice(position, start)));
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            position = end;
+        });
+        fragment.appendChild(document.createTextNode(text.slice(position)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
 
-                const cardAnswer = document.createElement('div');
-                cardAnswer.className = 'card-answer';
-                cardAnswer.innerHTML = parseSubscriptSuperscript(card.answer);
+// 非同期で描画する画面の読み込みに失敗したとき、空の画面のままにせずエラーを表示
+function showViewError(containerId, message, error) {
+    console.error(message, error);
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'empty-message view-error';
+    messageDiv.textContent = `${message}: ${error.message}`;
+    container.appendChild(messageDiv);
+}
 
-                cardContent.appendChild(cardQuestion);
-                cardContent.appendChild(cardAnswer);
+// 単語カード一覧画面の表示
+async function renderListView() {
+    showView('list-view');
+    try {
+        const cards = await loadCards();
+        const cardListElement = document.getElementById('card-list');
+        cardListElement.innerHTML = '';
+
+        // 削除などで存在しなくなったカードの選択を外す
+        const cardIds = new Set(cards.map(card => card.id));
+        selectedCardIds = new Set([...selectedCardIds].filter(id => cardIds.has(id)));
+        document.getElementById('toggle-select-mode-btn').textContent = listSelectMode ? '完了' : '選択';
+        document.getElementById('bulk-action-bar').classList.toggle('hidden', !listSelectMode);
+        document.getElementById('card-search-input').value = listSearchQuery;
+
+        // 検索語で絞り込み
+        const terms = parseSearchTerms(listSearchQuery);
+        const visibleCards = terms.length > 0 ? cards.filter(card => cardMatchesSearch(card, terms)) : cards;
+        document.getElementById('card-search-count').textContent = terms.length > 0
+            ? `${visibleCards.length}件 / 全${cards.length}件`
+            : `全${cards.length}件`;
+
+        if (cards.length === 0) {
+            cardListElement.innerHTML = '<div class="empty-message">まだ単語カードが登録されていません。<br>「追加」ボタンから登録してください。</div>';
+            updateBulkSelectionState();
+            return;
+        }
+        if (visibleCards.length === 0) {
+            cardListElement.innerHTML = '<div class="empty-message">検索条件に一致するカードはありません。</div>';
+            updateBulkSelectionState();
+            return;
+        }
 
-                const deleteBtn = document.createElement('button');
-                deleteBtn.className = 'delete-btn';
-                deleteBtn.textContent = '削除';
-                deleteBtn.addEventListener('click', () => {
-                    if (confirm('この単語カードを削除しますか?')) {
+        // カテゴリ別にグループ化
+        const categoryOptions = document.getElementById('bulk-category-options');
+        categoryOptions.innerHTML = '';
+        (await getCategories()).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            categoryOptions.appendChild(option);
+        });
+        const categories = [...new Set(visibleCards.map(card => card.category))].sort();
+
+        categories.forEach(category => {
+            const categoryCards = visibleCards.filter(card => card.category === category);
+            const categorySection = document.createElement('div');
+            categorySection.className = 'category-section';
+            categorySection.classList.toggle('collapsed', collapsedCategories.has(category));
+
+            const categoryHeader = document.createElement('div');
+            categoryHeader.className = 'category-header';
+
+            // カテゴリの折りたたみ
+            const toggleBtn = document.createElement('button');
+            toggleBtn.className = 'category-toggle-btn';
+            const updateToggleBtn = () => {
+                const collapsed = collapsedCategories.has(category);
+                toggleBtn.textContent = collapsed ? '▶' : '▼';
+                toggleBtn.setAttribute('aria-expanded', String(!collapsed));
+                toggleBtn.setAttribute('aria-label', collapsed ? `${category}を開く` : `${category}を閉じる`);
+            };
+            updateToggleBtn();
+            toggleBtn.addEventListener('click', () => {
+                if (collapsedCategories.has(category)) {
+                    collapsedCategories.delete(category);
+                } else {
+                    collapsedCategories.add(category);
+                }
+                categorySection.classList.toggle('collapsed', collapsedCategories.has(category));
+                updateToggleBtn();
+            });
+            categoryHeader.appendChild(toggleBtn);
+
+            const categoryTitle = document.createElement('span');
+            categoryTitle.textContent = category;
+            highlightSearchMatches(categoryTitle, terms);
+
+            if (listSelectMode) {
+                // カテゴリ内の表示中のカードをまとめて選択
+                const label = document.createElement('label');
+                label.className = 'checkbox-label';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'category-select-checkbox';
+                checkbox.dataset.category = category;
+                checkbox.addEventListener('change', () => {
+                    categoryCards.forEach(card => {
+                        if (checkbox.checked) {
+                            selectedCardIds.add(card.id);
+                        } else {
+                            selectedCardIds.delete(card.id);
+                        }
+                    });
+                    updateBulkSelectionState();
+                });
+                label.appendChild(checkbox);
+                label.appendChild(categoryTitle);
+                categoryHeader.appendChild(label);
+            } else {
+                categoryHeader.appendChild(categoryTitle);
+            }
+
+            const categoryCount = document.createElement('span');
+            categoryCount.className = 'category-count';
+            categoryCount.textContent = `${categoryCards.length}件`;
+            categoryHeader.appendChild(categoryCount);
+            categorySection.appendChild(categoryHeader);
+
+            // このカテゴリのカードを取得
+            visibleCards.forEach((card, index) => {
+                if (card.category === category) {
+                    const cardItem = document.createElement('div');
+                    cardItem.className = 'card-item';
+                    cardItem.dataset.cardId = card.id;
+                    cardItem.dataset.category = category;
+
+                    const cardContent = document.createElement('div');
+                    cardContent.className = 'card-content';
+
+                    const cardQuestion = document.createElement('div');
+                    cardQuestion.className = 'card-question';
+                    cardQuestion.innerHTML = parseSubscriptSuperscript(card.question);
+
+                    const cardAnswer = document.createElement('div');
+                    cardAnswer.className = 'card-answer';
+                    cardAnswer.innerHTML = parseSubscriptSuperscript(card.answer);
+
+                    highlightSearchMatches(cardQuestion, terms);
+                    highlightSearchMatches(cardAnswer, terms);
+                    cardContent.appendChild(cardQuestion);
+                    cardContent.appendChild(cardAnswer);
+                    if (card.note) {
+                        const cardNote = document.createElement('div');
+                        cardNote.className = 'card-note';
+                        cardNote.textContent = card.note;
+                        cardContent.appendChild(cardNote);
+                    }
+
+                    if (listSelectMode) {
+                        // 選択モードではタップで選択を切り替える
+                        const checkbox = document.createElement('input');
+                        checkbox.type = 'checkbox';
+                        checkbox.className = 'card-select-checkbox';
+                        checkbox.checked = selectedCardIds.has(card.id);
+                        checkbox.setAttribute('aria-label', '選択');
+                        checkbox.addEventListener('change', () => {
+                            toggleCardSelection(card.id, checkbox.checked);
+                        });
+                        cardContent.classList.add('editable');
+                        cardContent.addEventListener('click', () => {
+                            checkbox.checked = !checkbox.checked;
+                            toggleCardSelection(card.id, checkbox.checked);
+                        });
+
+                        cardItem.appendChild(checkbox);
+                        cardItem.appendChild(cardContent);
+                        categorySection.appendChild(cardItem);
+                        return;
+                    }
+
+                    // カードをタップすると編集画面を表示
+                    cardContent.classList.add('editable');
+                    cardContent.title = 'タップして編集';
+                    cardContent.addEventListener('click', () => {
+                        initEditView(card);
+                    });
+
+                    // スターの切り替え（出題設定で「スター付きのみ」を選べる）
+                    const starBtn = document.createElement('button');
+                    starBtn.className = card.starred ? 'star-btn starred' : 'star-btn';
+                    starBtn.textContent = card.starred ? '★' : '☆';
+                    starBtn.setAttribute('aria-label', card.starred ? 'スターを外す' : 'スターを付ける');
+                    starBtn.addEventListener('click', async () => {
+                        try {
+                            await updateCard(card.id, { starred: !card.starred });
+                            await renderListView();
+                        } catch (error) {
+                            alert('スターの更新に失敗しました: ' + error.message);
+                        }
+                    });
+
+                    const deleteBtn = document.createElement('button');
+                    deleteBtn.className = 'delete-btn';
+                    deleteBtn.textContent = '削除';
+                    deleteBtn.addEventListener('click', async () => {
+                        // ゴミ箱に移動するだけなので確認せず、トーストから元に戻せるようにする
                         try {
                             // IDベースで削除（移行により全カードにIDが設定済み）
-                            deleteCard(card.id);
-                            renderListView();
+                            await deleteCard(card.id);
+                            await renderListView();
+                            showToast('カードをゴミ箱に移動しました', {
+                                actionLabel: '元に戻す',
+                                onAction: async () => {
+                                    await restoreCards([card.id]);
+                                    await renderListView();
+                                }
+                            });
                         } catch (error) {
                             alert('削除に失敗しました: ' + error.message);
                         }
-                    }
-                });
+                    });
 
-                cardItem.appendChild(cardContent);
-                cardItem.appendChild(deleteBtn);
-                categorySection.appendChild(cardItem);
-            }
+                    cardItem.appendChild(cardContent);
+                    cardItem.appendChild(starBtn);
+                    cardItem.appendChild(deleteBtn);
+                    categorySection.appendChild(cardItem);
+                }
+            });
+
+            cardListElement.appendChild(categorySection);
         });
 
-        cardListElement.appendChild(categorySection);
+        updateBulkSelectionState();
+    } catch (error) {
+        showViewError('card-list', 'カード一覧を読み込めませんでした', error);
+    }
+}
+
+// カードの選択を切り替える
+function toggleCardSelection(cardId, selected) {
+    if (selected) {
+        selectedCardIds.add(cardId);
+    } else {
+        selectedCardIds.delete(cardId);
+    }
+    updateBulkSelectionState();
+}
+
+// 選択件数、カテゴリのチェックボックス、一括操作ボタンの状態を更新
+function updateBulkSelectionState() {
+    const count = selectedCardIds.size;
+    document.getElementById('bulk-selection-count').textContent = `${count}件選択中`;
+    document.querySelectorAll('.bulk-action-btn').forEach(btn => {
+        btn.disabled = count === 0;
+    });
+
+    document.querySelectorAll('.category-select-checkbox').forEach(checkbox => {
+        const items = [...document.querySelectorAll('#card-list .card-item')]
+            .filter(item => item.dataset.category === checkbox.dataset.category);
+        const selected = items.filter(item => selectedCardIds.has(item.dataset.cardId)).length;
+        checkbox.checked = items.length > 0 && selected === items.length;
+        checkbox.indeterminate = selected > 0 && selected < items.length;
+    });
+}
+
+/**
+ * 選択したカードにまとめて操作を適用（保存はしない）
+ * @param {Array} cards - カード配列
+ * @param {Set<string>} ids - 選択したカードのID
+ * @param {string} action - 'delete'（ゴミ箱に移動）、'move'（カテゴリを移動）、'duplicate'（複製）、'swap'（問題と解答を入れ替え）
+ * @param {Object} options - category（移動先のカテゴリ）、now（削除日時）
+ * @returns {Array} 操作後のカード配列（並び順は維持し、複製は元のカードの直後に追加）
+ */
+function applyBulkAction(cards, ids, action, options = {}) {
+    return cards.flatMap(card => {
+        if (!ids.has(card.id)) return [card];
+
+        switch (action) {
+            case 'delete':
+                return [{ ...card, deletedAt: options.now || Date.now() }];
+            case 'move':
+                return [{ ...card, category: options.category }];
+            case 'duplicate': {
+                // 復習状態やインポート履歴は引き継がない
+                const { review, importBatchId, ...content } = card;
+                return [card, { ...content, id: generateUniqueId() }];
+            }
+            case 'swap':
+                return [{ ...card, question: card.answer, answer: card.question }];
+            default:
+                throw new Error(`不明な操作です: ${action}`);
+        }
     });
 }
 
+/**
+ * 選択したカードに一括操作を行い、まとめて1回で保存する
+ * @param {string} action - applyBulkActionの操作
+ * @param {Object} options - applyBulkActionのオプション
+ * @param {string} message - 完了後にトーストで表示するメッセージ
+ */
+async function runBulkAction(action, options, message) {
+    const ids = new Set(selectedCardIds);
+    try {
+        await saveCards(applyBulkAction(await loadCards(), ids, action, options));
+    } catch (error) {
+        alert('一括操作に失敗しました: ' + error.message);
+        return;
+    }
+
+    selectedCardIds.clear();
+    await renderListView();
+    showToast(message, action === 'delete' ? {
+        actionLabel: '元に戻す',
+        onAction: async () => {
+            await restoreCards([...ids]);
+            await renderListView();
+        }
+    } : {});
+}
+
 // 一覧画面: 戻るボタン
 document.getElementById('back-from-list-btn').addEventListener('click', () => {
+    listSelectMode = false;
+    selectedCardIds.clear();
+    listSearchQuery = '';
     initHomeView();
 });
 
-// 一覧画面: 追加ボタン
-document.getElementById('add-from-list-btn').addEventListener('click', () => {
-    initAddView();
+// 一覧画面: 検索
+document.getElementById('card-search-input').addEventListener('input', debounce((e) => {
+    listSearchQuery = e.target.value;
+    renderListView();
+}, 200));
+
+// 一覧画面: すべてのカテゴリを開く
+document.getElementById('expand-all-categories-btn').addEventListener('click', () => {
+    collapsedCategories.clear();
+    renderListView();
 });
 
-// 一覧画面: インポートボタン
-document.getElementById('import-from-list-btn').addEventListener('click', () => {
-    initImportView();
+// 一覧画面: すべてのカテゴリを閉じる
+document.getElementById('collapse-all-categories-btn').addEventListener('click', async () => {
+    collapsedCategories = new Set(await getCategories());
+    renderListView();
 });
 
-// 学習画面の変数
-let quizWordArray = [];
-let currentIndex = 0;
-let isAnswerShown = false;
+// 一覧画面: 選択モードの切り替え
+document.getElementById('toggle-select-mode-btn').addEventListener('click', () => {
+    listSelectMode = !listSelectMode;
+    selectedCardIds.clear();
+    renderListView();
+});
 
-// 学習モードを開始
-function startQuiz() {
-    const cards = loadCards();
-    quizWordArray = shuffleCards(cards);
+// 一覧画面: 選択したカードを削除（ゴミ箱に移動）
+document.getElementById('bulk-delete-btn').addEventListener('click', () => {
+    runBulkAction('delete', {}, `${selectedCardIds.size}件のカードをゴミ箱に移動しました`);
+});
+
+// 一覧画面: 選択したカードのカテゴリを移動
+document.getElementById('bulk-move-btn').addEventListener('click', () => {
+    const category = sanitizeInput(document.getElementById('bulk-category-input').value.trim());
+    if (!category) {
+        alert('移動先のカテゴリを入力してください');
+        return;
+    }
+    document.getElementById('bulk-category-input').value = '';
+    runBulkAction('move', { category }, `${selectedCardIds.size}件のカードを「${category}」に移動しました`);
+});
+
+// 一覧画面: 選択したカードを複製
+document.getElementById('bulk-duplicate-btn').addEventListener('click', () => {
+    runBulkAction('duplicate', {}, `${selectedCardIds.size}件のカードを複製しました`);
+});
+
+// 一覧画面: 選択したカードの問題と解答を入れ替え
+document.getElementById('bulk-swap-btn').addEventListener('click', () => {
+    runBulkAction('swap', {}, `${selectedCardIds.size}件のカードの問題と解答を入れ替えました`);
+});
+
+// 一覧画面: 選択したカードをエクスポート（学習履歴も含めたJSON）
+document.getElementById('bulk-export-btn').addEventListener('click', async () => {
+    const cards = (await loadCards()).filter(card => selectedCardIds.has(card.id));
+    const history = loadHistory().filter(entry => selectedCardIds.has(entry.cardId));
+    const json = JSON.stringify(buildExportData(cards, history), null, 2);
+    downloadFile(json, `wordlist-selection-${formatDateForFilename(new Date())}.json`, 'application/json');
+    showToast(`${cards.length}件のカードをエクスポートしました`);
+});
+
+// 一覧画面: 追加ボタン
+document.getElementById('add-from-list-btn').addEventListener('click', () => {
+    initAddView();
+});
+
+// 一覧画面: インポートボタン
+document.getElementById('import-from-list-btn').addEventListener('click', () => {
+    initImportView();
+});
+
+// 一覧画面: ゴミ箱ボタン
+document.getElementById('show-trash-btn').addEventListener('click', () => {
+    renderTrashView();
+});
+
+// 日時を表示用の文字列に変換（例: 2024/1/31 9:30）
+function formatDateTime(timestamp) {
+    const date = new Date(timestamp);
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()} ${date.getHours()}:${minutes}`;
+}
+
+// ゴミ箱画面の表示
+async function renderTrashView() {
+    showView('trash-view');
+    try {
+        const trash = await loadTrash();
+        const retentionDays = loadStudySettings().trashRetentionDays;
+        document.getElementById('trash-retention-note').textContent =
+            `ゴミ箱のカードは${retentionDays}日後に自動で完全に削除されます。`;
+        document.getElementById('empty-trash-btn').disabled = trash.length === 0;
+
+        const trashList = document.getElementById('trash-list');
+        trashList.innerHTML = '';
+        if (trash.length === 0) {
+            trashList.innerHTML = '<div class="empty-message">ゴミ箱は空です。</div>';
+        }
+        trash.forEach(card => {
+            const cardItem = document.createElement('div');
+            cardItem.className = 'card-item';
+            cardItem.innerHTML = `
+                <div class="card-content">
+                    <div class="card-question">${parseSubscriptSuperscript(card.question)}</div>
+                    <div class="card-answer">${parseSubscriptSuperscript(card.answer)}</div>
+                    <div class="trash-meta">${escapeHtml(card.category)}・${formatDateTime(card.deletedAt)}に削除</div>
+                </div>
+            `;
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'secondary-button';
+            restoreBtn.textContent = '復元';
+            restoreBtn.addEventListener('click', async () => {
+                try {
+                    await restoreCards([card.id]);
+                    await renderTrashView();
+                } catch (error) {
+                    alert('復元に失敗しました: ' + error.message);
+                }
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-btn';
+            deleteBtn.textContent = '完全に削除';
+            deleteBtn.addEventListener('click', async () => {
+                if (confirm('このカードを完全に削除しますか？元に戻すことはできません。')) {
+                    try {
+                        await permanentlyDeleteCards([card.id]);
+                        await renderTrashView();
+                    } catch (error) {
+                        alert('削除に失敗しました: ' + error.message);
+                    }
+                }
+            });
+
+            cardItem.appendChild(restoreBtn);
+            cardItem.appendChild(deleteBtn);
+            trashList.appendChild(cardItem);
+        });
+
+        renderImportBatchList(await loadCards());
+    } catch (error) {
+        showViewError('trash-list', 'ゴミ箱を読み込めませんでした', error);
+    }
+}
+
+/**
+ * インポート履歴を表示（新しい順、まとめて取り消すボタン付き）
+ * @param {Array} cards - 現在のカード配列（取り消せるカードを数えるため）
+ */
+function renderImportBatchList(cards) {
+    const batchList = document.getElementById('import-batch-list');
+    batchList.innerHTML = '';
+
+    const batches = loadImportBatches().reverse();
+    if (batches.length === 0) {
+        batchList.innerHTML = '<div class="stats-empty">インポートの履歴はありません</div>';
+        return;
+    }
+
+    batches.forEach(batch => {
+        const remaining = cards.filter(card => card.importBatchId === batch.id).length;
+        const restorable = countRestorableCards(batch);
+        const row = document.createElement('div');
+        row.className = 'import-batch-row';
+        row.innerHTML = `
+            <div class="import-batch-info">
+                <div>${formatDateTime(batch.createdAt)}・${batch.count}件${batch.overwritten?.length ? `（上書き${batch.overwritten.length}件）` : ''}${batch.replaced?.length ? `（置き換え${batch.replaced.length}件）` : ''}</div>
+                <div class="trash-meta">${batch.categories.map(escapeHtml).join('、')}${batch.rolledBackAt ? '（取り消し済み）' : ''}</div>
+            </div>
+        `;
+
+        const rollbackBtn = document.createElement('button');
+        rollbackBtn.className = 'secondary-button';
+        rollbackBtn.textContent = `取り消す（${remaining + restorable}件）`;
+        rollbackBtn.disabled = remaining + restorable === 0;
+        rollbackBtn.addEventListener('click', async () => {
+            const restoreMessage = restorable > 0 ? `、上書き・置き換えた${restorable}件のカードを元に戻し` : '';
+            if (confirm(`このインポートで追加した${remaining}件のカードをゴミ箱に移動${restoreMessage}ますか？`)) {
+                try {
+                    await rollbackImportBatch(batch.id);
+                    await renderTrashView();
+                } catch (error) {
+                    alert('インポートの取り消しに失敗しました: ' + error.message);
+                }
+            }
+        });
+
+        row.appendChild(rollbackBtn);
+        batchList.appendChild(row);
+    });
+}
+
+// 一覧画面: 重複を探すボタン
+document.getElementById('find-duplicates-btn').addEventListener('click', () => {
+    renderDuplicatesView();
+});
+
+// 重複カード画面の表示
+async function renderDuplicatesView() {
+    showView('duplicates-view');
+    try {
+        const groups = findDuplicateGroups(await loadCards());
+        const groupList = document.getElementById('duplicate-group-list');
+        groupList.innerHTML = '';
+        if (groups.length === 0) {
+            groupList.innerHTML = '<div class="empty-message">重複しているカードはありません。</div>';
+            return;
+        }
+
+        groups.forEach(group => {
+            const groupDiv = document.createElement('div');
+            groupDiv.className = 'duplicate-group';
+
+            const header = document.createElement('div');
+            header.className = 'duplicate-group-header';
+            header.innerHTML = `<span>${group.length}件の重複</span>`;
+
+            const keepFirstBtn = document.createElement('button');
+            keepFirstBtn.className = 'secondary-button';
+            keepFirstBtn.textContent = '最初のカードだけ残す';
+            keepFirstBtn.addEventListener('click', () => {
+                trashDuplicateCards(group.slice(1).map(card => card.id));
+            });
+            header.appendChild(keepFirstBtn);
+            groupDiv.appendChild(header);
+
+            group.forEach(card => {
+                const cardItem = document.createElement('div');
+                cardItem.className = 'card-item';
+                cardItem.innerHTML = `
+                    <div class="card-content">
+                        <div class="card-question">${parseSubscriptSuperscript(card.question)}</div>
+                        <div class="card-answer">${parseSubscriptSuperscript(card.answer)}</div>
+                        <div class="trash-meta">${escapeHtml(card.category)}</div>
+                    </div>
+                `;
+
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'delete-btn';
+                deleteBtn.textContent = '削除';
+                deleteBtn.addEventListener('click', () => {
+                    trashDuplicateCards([card.id]);
+                });
+
+                cardItem.appendChild(deleteBtn);
+                groupDiv.appendChild(cardItem);
+            });
+
+            groupList.appendChild(groupDiv);
+        });
+    } catch (error) {
+        showViewError('duplicate-group-list', '重複カードを読み込めませんでした', error);
+    }
+}
+
+// 重複カードをゴミ箱に移動して画面を更新（トーストから元に戻せる）
+async function trashDuplicateCards(ids) {
+    try {
+        await moveCardsToTrash(ids);
+        await renderDuplicatesView();
+        showToast(`${ids.length}件のカードをゴミ箱に移動しました`, {
+            actionLabel: '元に戻す',
+            onAction: async () => {
+                await restoreCards(ids);
+                await renderDuplicatesView();
+            }
+        });
+    } catch (error) {
+        alert('削除に失敗しました: ' + error.message);
+    }
+}
+
+// 重複カード画面: 戻るボタン
+document.getElementById('back-from-duplicates-btn').addEventListener('click', () => {
+    renderListView();
+});
+
+// ゴミ箱画面: 戻るボタン
+document.getElementById('back-from-trash-btn').addEventListener('click', () => {
+    renderListView();
+});
+
+// ゴミ箱画面: 空にするボタン
+document.getElementById('empty-trash-btn').addEventListener('click', async () => {
+    if (confirm('ゴミ箱のカードをすべて完全に削除しますか？元に戻すことはできません。')) {
+        try {
+            await emptyTrash();
+            await renderTrashView();
+        } catch (error) {
+            alert('ゴミ箱を空にできませんでした: ' + error.message);
+        }
+    }
+});
+
+// 間隔反復（SM-2）スケジューリング
+const STUDY_SETTINGS_KEY = 'STUDY_SETTINGS';
+const DEFAULT_STUDY_SETTINGS = {
+    newCardsPerDay: 20, // 1日に新しく学習するカードの上限
+    categoryDirections: {}, // カテゴリごとの出題方向（{ カテゴリ名: 'forward' | 'reverse' | 'mixed' }）
+    trashRetentionDays: 30 // ゴミ箱のカードを自動で完全に削除するまでの日数
+};
+
+/**
+ * 自己評価とSM-2の品質値（0-5）の対応
+ * 3未満は「覚えていなかった」とみなし、復習間隔をリセットする
+ */
+const SRS_GRADES = {
+    again: 1, // もう一度
+    hard: 3,  // 難しい
+    good: 4,  // 正解
+    easy: 5   // 簡単
+};
+const SRS_MIN_EASE_FACTOR = 1.3;
+
+/**
+ * ローカル日付の文字列を取得（例: 2024-01-31）
+ * @param {Date} date - 日時（デフォルト: 現在）
+ * @returns {string} YYYY-MM-DD形式の日付
+ */
+function getLocalDateString(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 日付文字列に日数を加算
+ * @param {string} dateString - YYYY-MM-DD形式の日付
+ * @param {number} days - 加算する日数
+ * @returns {string} YYYY-MM-DD形式の日付
+ */
+function addDays(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return getLocalDateString(new Date(year, month - 1, day + days));
+}
+
+// 未学習カードの復習状態
+function createInitialReviewState() {
+    return {
+        easeFactor: 2.5,
+        interval: 0,
+        repetitions: 0,
+        dueDate: null
+    };
+}
+
+/**
+ * SM-2アルゴリズムで次回の復習日を計算
+ * @param {Object} review - 現在の復習状態（easeFactor, interval, repetitions, dueDate）
+ * @param {string} grade - 自己評価（'again' | 'hard' | 'good' | 'easy'）
+ * @param {string} today - 今日の日付（YYYY-MM-DD）
+ * @returns {Object} 新しい復習状態
+ */
+function scheduleReview(review, grade, today) {
+    const quality = SRS_GRADES[grade];
+    if (quality === undefined) {
+        throw new Error(`不明な評価です: ${grade}`);
+    }
+
+    let { easeFactor, interval, repetitions } = review;
+
+    if (quality < 3) {
+        // 覚えていなかった場合は最初からやり直す（易しさ係数は変更しない）
+        repetitions = 0;
+        interval = 1;
+    } else {
+        repetitions += 1;
+        if (repetitions === 1) {
+            interval = 1;
+        } else if (repetitions === 2) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * easeFactor);
+        }
+        easeFactor = Math.max(
+            SRS_MIN_EASE_FACTOR,
+            easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
+    }
+
+    return {
+        easeFactor: Math.round(easeFactor * 100) / 100,
+        interval,
+        repetitions,
+        dueDate: addDays(today, interval),
+        lastReviewed: today,
+        // 初めて学習した日（1日の新規カード上限の計算に使用）
+        introducedOn: review.introducedOn || today
+    };
+}
+
+/**
+ * 今日学習するカードを取得
+ * 復習日が来たカード（期限が古い順）と、1日の上限までの新規カード（登録順）を返す
+ * @param {Array} cards - カード配列
+ * @param {string} today - 今日の日付（YYYY-MM-DD）
+ * @param {number} newCardsPerDay - 1日の新規カード上限
+ * @returns {{dueCards: Array, newCards: Array}} 復習カードと新規カード
+ */
+function getDueSession(cards, today, newCardsPerDay) {
+    const dueCards = cards
+        .filter(card => card.review && card.review.dueDate && card.review.dueDate <= today)
+        .sort((a, b) => a.review.dueDate.localeCompare(b.review.dueDate));
+
+    // 今日すでに学習を始めた新規カードの数を上限から差し引く
+    const introducedToday = cards.filter(card => card.review && card.review.introducedOn === today).length;
+    const remaining = Math.max(0, newCardsPerDay - introducedToday);
+    const newCards = cards.filter(card => !card.review).slice(0, remaining);
+
+    return { dueCards, newCards };
+}
+
+// 学習設定の読み込み
+function loadStudySettings() {
+    try {
+        const data = JSON.parse(localStorage.getItem(STUDY_SETTINGS_KEY) || '{}');
+        return { ...DEFAULT_STUDY_SETTINGS, ...data };
+    } catch (e) {
+        console.error('Failed to parse study settings from localStorage:', e);
+        return { ...DEFAULT_STUDY_SETTINGS };
+    }
+}
+
+// 学習設定の保存
+function saveStudySettings(settings) {
+    try {
+        localStorage.setItem(STUDY_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        handleStorageError(e, '学習設定');
+    }
+}
+
+// 出題方向
+const QUIZ_DIRECTIONS = ['forward', 'reverse']; // 'forward'（問題→解答）、'reverse'（解答→問題）
+const QUIZ_DIRECTION_LABELS = {
+    forward: '問題 → 解答',
+    reverse: '解答 → 問題',
+    mixed: 'ランダム'
+};
+
+/**
+ * 出題するカードそれぞれの出題方向を決める
+ * @param {Array} cards - 出題するカード配列
+ * @param {string} direction - 'forward'、'reverse'、'mixed'（カードごとにランダム）、'category'（カテゴリごとの設定に従う）
+ * @param {Object} categoryDirections - カテゴリごとの出題方向（未設定のカテゴリは'forward'）
+ * @returns {Array<string>} カードと同じ順の出題方向（'forward'または'reverse'）
+ */
+function resolveQuizDirections(cards, direction, categoryDirections = {}) {
+    return cards.map(card => {
+        const cardDirection = direction === 'category' ? (categoryDirections[card.category] || 'forward') : direction;
+        if (cardDirection === 'mixed') {
+            return Math.random() < 0.5 ? 'forward' : 'reverse';
+        }
+        return cardDirection === 'reverse' ? 'reverse' : 'forward';
+    });
+}
+
+// 出題方向に応じて表示する面（prompt）と答える面（answer）を取得
+function getQuizSides(card, direction) {
+    return direction === 'reverse'
+        ? { prompt: card.answer, answer: card.question }
+        : { prompt: card.question, answer: card.answer };
+}
+
+// 学習履歴
+const HISTORY_STORAGE_KEY = 'STUDY_HISTORY';
+const MAX_HISTORY_SIZE = 1000000; // 保存する履歴のJSONの文字数の上限（カードの保存領域を圧迫しないよう、古いものから削除）
+const HISTORY_QUESTION_MAX_LENGTH = 200; // 履歴に記録する問題文の最大文字数
+const HISTORY_FLUSH_INTERVAL = 10; // まだ保存していない履歴をまとめて保存する件数
+const HISTORY_RESULTS = ['correct', 'incorrect'];
+
+// まだ保存していない学習履歴（解答のたびに履歴全体を読み書きしないよう、まとめて保存する）
+let pendingHistoryEntries = [];
+
+/**
+ * 学習履歴を読み込む（まだ保存していない履歴を含む）
+ * @returns {Array} 履歴エントリの配列（{ cardId, timestamp, result, responseTime, direction, category, question }）
+ */
+function loadHistory() {
+    return readSavedHistory().concat(pendingHistoryEntries);
+}
+
+// localStorageに保存された学習履歴を読み込む
+function readSavedHistory() {
+    const data = localStorage.getItem(HISTORY_STORAGE_KEY);
+    if (!data) return [];
+
+    try {
+        const parsed = JSON.parse(data);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        console.error('Failed to parse study history from localStorage:', e);
+        return [];
+    }
+}
+
+/**
+ * 学習履歴を保存できる大きさに収める（新しいものから残す）
+ * @param {Array} history - 学習履歴
+ * @param {number} maxSize - JSONの文字数の上限
+ * @returns {Array} 上限に収まる新しい方の履歴
+ */
+function trimHistoryToSize(history, maxSize = MAX_HISTORY_SIZE) {
+    let size = 2; // 配列の括弧
+    let start = history.length;
+    while (start > 0) {
+        // 区切りのカンマを含めた大きさ
+        const entrySize = JSON.stringify(history[start - 1]).length + 1;
+        if (size + entrySize > maxSize) break;
+        size += entrySize;
+        start--;
+    }
+    return history.slice(start);
+}
+
+/**
+ * 学習履歴を保存（まだ保存していない履歴は、渡された履歴に含まれているものとして破棄する）
+ * @param {Array} history - 保存する学習履歴
+ * @throws {Error} 保存に失敗した場合
+ */
+function saveHistory(history) {
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(trimHistoryToSize(history)));
+    } catch (e) {
+        handleStorageError(e, '学習履歴');
+    }
+    pendingHistoryEntries = [];
+}
+
+/**
+ * まだ保存していない学習履歴を保存
+ * 失敗した場合は履歴を残しておき、次の保存で再試行する
+ * @throws {Error} 保存に失敗した場合
+ */
+function flushHistory() {
+    if (pendingHistoryEntries.length === 0) return;
+    saveHistory(loadHistory());
+}
+
+/**
+ * 学習履歴に1件追加
+ * カード削除後も統計を表示できるよう、カテゴリと問題文も記録する
+ * 保存は一定件数ごとにまとめて行う（学習の終了時にも保存する）
+ * @param {Object} card - 学習したカード
+ * @param {boolean} correct - 正解したか
+ * @param {number} responseTime - 解答までの時間（ミリ秒）
+ * @param {string} direction - 出題方向（'forward'または'reverse'）
+ * @throws {Error} 保存に失敗した場合
+ */
+function appendHistoryEntry(card, correct, responseTime, direction = 'forward') {
+    pendingHistoryEntries.push({
+        cardId: card.id,
+        timestamp: Date.now(),
+        result: correct ? 'correct' : 'incorrect',
+        responseTime,
+        direction,
+        category: card.category,
+        question: card.question.slice(0, HISTORY_QUESTION_MAX_LENGTH)
+    });
+    if (pendingHistoryEntries.length % HISTORY_FLUSH_INTERVAL === 0) {
+        flushHistory();
+    }
+}
+
+// 学習履歴の保存に失敗したことをトーストで知らせる（学習は続けられるようにする）
+function reportHistorySaveError(error) {
+    console.error('学習履歴の保存に失敗しました:', error);
+    showToast(`学習履歴を保存できませんでした: ${error.message}`);
+}
+
+// 学習の終了時にまだ保存していない学習履歴を保存
+function saveSessionHistory() {
+    try {
+        flushHistory();
+    } catch (error) {
+        reportHistorySaveError(error);
+    }
+}
+
+// ページを閉じる前にまだ保存していない学習履歴を保存
+window.addEventListener('pagehide', () => {
+    try {
+        flushHistory();
+    } catch (error) {
+        console.error('学習履歴の保存に失敗しました:', error);
+    }
+});
+
+/**
+ * 履歴エントリの形式を検証（インポート用）
+ * @param {Object} entry - 履歴エントリ
+ * @returns {boolean} 有効な場合true
+ */
+function isValidHistoryEntry(entry) {
+    return !!entry && typeof entry === 'object' &&
+        typeof entry.cardId === 'string' &&
+        Number.isFinite(entry.timestamp) &&
+        HISTORY_RESULTS.includes(entry.result) &&
+        (entry.direction === undefined || QUIZ_DIRECTIONS.includes(entry.direction));
+}
+
+/**
+ * 学習履歴を出題方向で絞り込む
+ * 出題方向を記録していない古い履歴は「問題→解答」とみなす
+ * @param {Array} history - 学習履歴
+ * @param {string} direction - 'all'（すべて）、'forward'または'reverse'
+ * @returns {Array} 絞り込んだ履歴
+ */
+function filterHistoryByDirection(history, direction) {
+    if (direction === 'all') return history;
+    return history.filter(entry => (entry.direction || 'forward') === direction);
+}
+
+/**
+ * 履歴のカードIDを付け替える（インポート時にIDが変わったカード用）
+ * @param {Array} history - 履歴
+ * @param {Map<string, string>} idMap - 元のID → 新しいID
+ * @returns {Array} カードIDを付け替えた履歴
+ */
+function remapHistoryCardIds(history, idMap) {
+    return history.map(entry => (idMap.has(entry.cardId) ? { ...entry, cardId: idMap.get(entry.cardId) } : entry));
+}
+
+/**
+ * インポートした履歴を既存の履歴と統合
+ * 追加モードでは同じカード・同じ時刻のエントリを重複とみなす
+ * @param {Array} existingHistory - 既存の履歴
+ * @param {Array} importedHistory - インポートした履歴
+ * @param {string} mode - 'replace'（置き換え）または'append'（追加）
+ * @returns {Array} 時刻順に並んだ履歴
+ */
+function mergeImportedHistory(existingHistory, importedHistory, mode) {
+    const base = mode === 'replace' ? [] : existingHistory;
+    const seen = new Set(base.map(entry => `${entry.cardId}:${entry.timestamp}`));
+    const added = importedHistory.filter(entry => !seen.has(`${entry.cardId}:${entry.timestamp}`));
+    return [...base, ...added].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// 入力式の解答判定
+const ANSWER_SEPARATOR_PATTERN = /[/／、]/; // 複数の正解を区切る文字
+
+/**
+ * 解答を比較用に正規化
+ * 全角・半角、大文字・小文字、カタカナ・ひらがな、空白の違いと上付き・下付きの記法を無視する
+ * @param {string} text - 正規化するテキスト
+ * @returns {string} 正規化されたテキスト
+ */
+function normalizeAnswer(text) {
+    return (text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+        .replace(/[\^_{}]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// 正解の候補を取得（解答全体と、区切り文字で分けたそれぞれの解答）
+function splitAcceptableAnswers(answer) {
+    const parts = answer.split(ANSWER_SEPARATOR_PATTERN).map(part => part.trim()).filter(part => part);
+    return [...new Set([answer.trim(), ...parts])];
+}
+
+// 2つの文字列の編集距離（隣り合う文字の入れ替えも1回の編集として数える）
+function editDistance(a, b) {
+    const source = Array.from(a);
+    const target = Array.from(b);
+    let beforePrevious = [];
+    let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= source.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= target.length; j++) {
+            const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+        }
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[target.length];
+}
+
+// 正解の長さに応じて許容するタイプミスの数（短い単語は完全一致のみ）
+function getTypoTolerance(length) {
+    if (length <= 3) return 0;
+    if (length <= 7) return 1;
+    return 2;
+}
+
+/**
+ * 入力された解答を判定
+ * @param {string} input - 入力された解答
+ * @param {string} answer - カードの解答（'/'や'、'で区切って複数の正解を指定できる）
+ * @returns {{correct: boolean, exact: boolean, matchedAnswer: string, distance: number}} 判定結果（matchedAnswerは最も近い正解）
+ */
+function checkTypedAnswer(input, answer) {
+    const normalizedInput = normalizeAnswer(input);
+    const candidates = splitAcceptableAnswers(answer);
+
+    if (!normalizedInput) {
+        return { correct: false, exact: false, matchedAnswer: candidates[0] || '', distance: Infinity };
+    }
+
+    let best = null;
+    candidates.forEach(candidate => {
+        const normalizedCandidate = normalizeAnswer(candidate);
+        const distance = editDistance(normalizedInput, normalizedCandidate);
+        if (!best || distance < best.distance) {
+            best = { candidate, distance, length: Array.from(normalizedCandidate).length };
+        }
+    });
+
+    return {
+        correct: best.distance <= getTypoTolerance(best.length),
+        exact: best.distance === 0,
+        matchedAnswer: best.candidate,
+        distance: best.distance
+    };
+}
+
+/**
+ * 正解と入力の文字単位の差分を計算（最長共通部分列による）
+ * @param {string} expected - 正解
+ * @param {string} actual - 入力
+ * @returns {Array<{type: string, text: string}>} 差分（'equal'、'missing'（入力に不足）、'extra'（余分な入力））
+ */
+function diffCharacters(expected, actual) {
+    const a = Array.from(expected);
+    const b = Array.from(actual);
+
+    // lcs[i][j]: a[i:]とb[j:]の最長共通部分列の長さ
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const segments = [];
+    const push = (type, char) => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) {
+            last.text += char;
+        } else {
+            segments.push({ type, text: char });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            push('extra', b[j]);
+            j++;
+        } else {
+            push('missing', a[i]);
+            i++;
+        }
+    }
+    return segments;
+}
+
+// 差分をHTMLに変換
+function renderAnswerDiff(segments) {
+    return segments.map(segment => {
+        const text = escapeHtml(segment.text);
+        if (segment.type === 'missing') return `<span class="diff-missing">${text}</span>`;
+        if (segment.type === 'extra') return `<span class="diff-extra">${text}</span>`;
+        return text;
+    }).join('');
+}
+
+// 4択問題の選択肢生成
+const CHOICE_COUNT = 4; // 選択肢の数（正解を含む）
+
+/**
+ * テキストの主な文字種を判定（選択肢の見た目を揃えるために使う）
+ * @param {string} text - 判定するテキスト
+ * @returns {string} 'latin'、'kana'、'kanji'、'digit'または'other'
+ */
+function getTextScript(text) {
+    const counts = {
+        latin: (text.match(/[a-zA-Zａ-ｚＡ-Ｚ]/g) || []).length,
+        kana: (text.match(/[ぁ-んァ-ヶｦ-ﾟー]/g) || []).length,
+        kanji: (text.match(/[一-龯々]/g) || []).length,
+        digit: (text.match(/[0-9０-９]/g) || []).length
+    };
+    const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? script : 'other';
+}
+
+/**
+ * 4択問題の選択肢を生成
+ * 誤答は他のカードから選び、同じカテゴリ・同じ文字種・近い長さのものを優先する
+ * 正規化すると同じになる選択肢は重複とみなして除く
+ * @param {Object} card - 出題するカード
+ * @param {Array} cards - 誤答の候補となるカード配列
+ * @param {string} direction - 出題方向（'forward'または'reverse'）
+ * @param {number} count - 選択肢の数（正解を含む）
+ * @returns {{choices: Array<string>, correctIndex: number}} シャッフルした選択肢と正解の位置
+ */
+function generateChoices(card, cards, direction = 'forward', count = CHOICE_COUNT) {
+    const correct = getQuizSides(card, direction).answer;
+    const correctLength = Array.from(correct).length;
+    const correctScript = getTextScript(correct);
+    const seen = new Set([normalizeAnswer(correct)]);
+
+    const candidates = cards
+        .filter(other => other.id !== card.id)
+        .map(other => {
+            const text = getQuizSides(other, direction).answer;
+            const length = Array.from(text).length;
+            const lengthSimilarity = 1 - Math.abs(length - correctLength) / Math.max(length, correctLength, 1);
+            const score = (other.category === card.category ? 4 : 0) +
+                (getTextScript(text) === correctScript ? 2 : 0) +
+                lengthSimilarity * 2 +
+                Math.random(); // 毎回同じ誤答にならないようにする
+            return { text, score };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    const distractors = [];
+    for (const candidate of candidates) {
+        if (distractors.length >= count - 1) break;
+        const normalized = normalizeAnswer(candidate.text);
+        if (!normalized || seen.has(normalized)) continue;
+        seen.add(normalized);
+        distractors.push(candidate.text);
+    }
+
+    const choices = shuffleCards([correct, ...distractors]);
+    return { choices, correctIndex: choices.indexOf(correct) };
+}
+
+// 学習画面の変数
+let quizWordArray = [];
+let quizDirections = []; // quizWordArrayと同じ順の出題方向（'forward'または'reverse'）
+let quizDirection = 'category'; // このセッションの出題方向の設定（もう一度出題するときに使う）
+let currentIndex = 0;
+let isAnswerShown = false;
+let quizMode = 'normal'; // 'normal'（通常学習）または'review'（今日の復習）
+let sessionResults = []; // このセッションの正誤記録 { card, correct, direction }
+let cardShownAt = 0; // 現在のカードを表示した時刻
+let responseTime = 0; // 答えを表示するまでの時間（ミリ秒）
+let quizAnswerMode = 'flip'; // 'flip'（答えを表示して自己判定）、'typed'（入力して自動判定）または'choice'（4択）
+let currentAnswerCorrect = false; // 入力式・4択で現在のカードに正解したか
+let choicePool = []; // 4択の誤答の候補となるカード
+
+/**
+ * セッションの正誤記録を集計
+ * @param {Array} results - 正誤記録の配列（{ card, correct, direction }）
+ * @returns {{total: number, correct: number, accuracy: number, byCategory: Array, byDirection: Array, missedCards: Array}} 集計結果
+ */
+function summarizeSessionResults(results) {
+    const categoryMap = new Map();
+    const directionMap = new Map();
+    const missedCards = [];
+    const missedIds = new Set();
+
+    results.forEach(({ card, correct, direction = 'forward' }) => {
+        const directionStats = directionMap.get(direction) || { direction, total: 0, correct: 0 };
+        directionStats.total++;
+        if (correct) directionStats.correct++;
+        directionMap.set(direction, directionStats);
+
+        const stats = categoryMap.get(card.category) || { category: card.category, total: 0, correct: 0 };
+        stats.total++;
+        if (correct) {
+            stats.correct++;
+        } else if (!missedIds.has(card.id)) {
+            // 同じカードを複数回間違えても1回だけ数える
+            missedIds.add(card.id);
+            missedCards.push(card);
+        }
+        categoryMap.set(card.category, stats);
+    });
+
+    const toAccuracy = (correct, total) => (total === 0 ? 0 : Math.round((correct / total) * 100));
+    const correctCount = results.filter(result => result.correct).length;
+
+    return {
+        total: results.length,
+        correct: correctCount,
+        accuracy: toAccuracy(correctCount, results.length),
+        byCategory: [...categoryMap.values()]
+            .sort((a, b) => a.category.localeCompare(b.category))
+            .map(stats => ({ ...stats, accuracy: toAccuracy(stats.correct, stats.total) })),
+        byDirection: QUIZ_DIRECTIONS
+            .filter(direction => directionMap.has(direction))
+            .map(direction => directionMap.get(direction))
+            .map(stats => ({ ...stats, accuracy: toAccuracy(stats.correct, stats.total) })),
+        missedCards
+    };
+}
+
+// 出題設定のデフォルト値
+const DEFAULT_QUIZ_CONFIG = {
+    categories: null, // 出題するカテゴリ（nullの場合はすべて）
+    limit: 0, // 出題数（0の場合はすべて）
+    order: 'random', // 'random'（ランダム）、'insertion'（登録順）、'weakest'（苦手な順）
+    starredOnly: false, // スター付きのカードのみ
+    missedOnly: false, // 過去に間違えたカードのみ
+    answerMode: 'flip', // 'flip'（答えを表示して自己判定）、'typed'（入力して自動判定）または'choice'（4択）
+    direction: 'category', // 'forward'、'reverse'、'mixed'、'category'（カテゴリごとの設定に従う）
+    categoryDirections: null // カテゴリごとの出題方向（nullの場合は学習設定の値）
+};
+
+/**
+ * 学習履歴からカードごとの解答数と間違えた回数を集計
+ * @param {Array} history - 学習履歴
+ * @returns {Map<string, {total: number, missed: number}>} カードIDごとの集計
+ */
+function getCardResultCounts(history) {
+    const counts = new Map();
+    history.forEach(entry => {
+        const count = counts.get(entry.cardId) || { total: 0, missed: 0 };
+        count.total++;
+        if (entry.result === 'incorrect') count.missed++;
+        counts.set(entry.cardId, count);
+    });
+    return counts;
+}
+
+/**
+ * 出題設定に従ってカードを絞り込み、並べ替える
+ * 苦手な順では正答率の低い順に並べ、未学習のカードは最後に登録順で並べる
+ * 出題方向が1つに決まっている場合は、その方向の履歴だけを使う
+ * @param {Array} cards - カード配列
+ * @param {Object} config - 出題設定（DEFAULT_QUIZ_CONFIGと同じ形式）
+ * @param {Array} history - 学習履歴
+ * @returns {Array} 出題するカード配列
+ */
+function selectQuizCards(cards, config, history) {
+    const { categories, limit, order, starredOnly, missedOnly, direction } = { ...DEFAULT_QUIZ_CONFIG, ...config };
+    const counts = getCardResultCounts(QUIZ_DIRECTIONS.includes(direction) ? filterHistoryByDirection(history, direction) : history);
+
+    let selected = cards.filter(card =>
+        (!categories || categories.includes(card.category)) &&
+        (!starredOnly || card.starred) &&
+        (!missedOnly || (counts.has(card.id) && counts.get(card.id).missed > 0))
+    );
+
+    if (order === 'random') {
+        selected = shuffleCards(selected);
+    } else if (order === 'weakest') {
+        const accuracy = card => {
+            const count = counts.get(card.id);
+            return count ? (count.total - count.missed) / count.total : Infinity;
+        };
+        // Array.prototype.sortは安定ソートのため、同じ正答率のカードは登録順を維持する
+        selected = [...selected].sort((a, b) => {
+            const diff = accuracy(a) - accuracy(b);
+            if (diff !== 0 && !Number.isNaN(diff)) return diff;
+            return (counts.has(b.id) ? counts.get(b.id).missed : 0) - (counts.has(a.id) ? counts.get(a.id).missed : 0);
+        });
+    }
+
+    return limit > 0 ? selected.slice(0, limit) : selected;
+}
+
+/**
+ * 学習モードを開始
+ * @param {Object} config - 出題設定（DEFAULT_QUIZ_CONFIGと同じ形式）。cardsを指定した場合はその中から出題する
+ */
+async function startQuiz(config = {}) {
+    const cards = config.cards || await loadCards();
+    quizWordArray = selectQuizCards(cards, config, loadHistory());
+    quizDirection = config.direction || DEFAULT_QUIZ_CONFIG.direction;
+    quizDirections = resolveQuizDirections(quizWordArray, quizDirection, config.categoryDirections || loadStudySettings().categoryDirections);
+    currentIndex = 0;
+    isAnswerShown = false;
+    quizMode = 'normal';
+    quizAnswerMode = config.answerMode || DEFAULT_QUIZ_CONFIG.answerMode;
+    // 誤答は出題範囲外も含めたすべてのカードから選ぶ
+    choicePool = quizAnswerMode === 'choice' ? await loadCards() : [];
+    sessionResults = [];
+    document.getElementById('quiz-title').textContent = '学習中';
+    showView('quiz-view');
+    displayCurrentCard();
+}
+
+// 今日の復習を開始（復習日が来たカードと新規カードのみ）
+async function startReviewSession() {
+    const settings = loadStudySettings();
+    const { dueCards, newCards } = getDueSession(await loadCards(), getLocalDateString(), settings.newCardsPerDay);
+
+    if (dueCards.length === 0 && newCards.length === 0) {
+        alert('今日復習するカードはありません');
+        return;
+    }
+
+    quizWordArray = [...shuffleCards(dueCards), ...newCards];
+    // 復習スケジュールは問題→解答の方向で管理する
+    quizDirections = quizWordArray.map(() => 'forward');
     currentIndex = 0;
     isAnswerShown = false;
+    quizMode = 'review';
+    quizAnswerMode = 'flip';
+    sessionResults = [];
+    document.getElementById('quiz-title').textContent = `復習中（復習${dueCards.length}・新規${newCards.length}）`;
     showView('quiz-view');
     displayCurrentCard();
 }
 
-// 現在のカードを表示
-function displayCurrentCard() {
-    if (currentIndex >= quizWordArray.length) {
-        showCompletionView();
+// 出題設定画面で使うカード（画面を開いたときに読み込む）
+let quizSetupCards = [];
+
+// 出題設定画面の初期化
+async function initQuizSetupView() {
+    showView('quiz-setup-view');
+    const cards = await loadCards();
+    quizSetupCards = cards;
+    const categoryList = document.getElementById('quiz-category-list');
+    categoryList.innerHTML = '';
+
+    const { categoryDirections } = loadStudySettings();
+
+    (await getCategories()).forEach(category => {
+        const count = cards.filter(card => card.category === category).length;
+        const row = document.createElement('div');
+        row.className = 'quiz-category-row';
+
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'quiz-category-checkbox';
+        checkbox.value = category;
+        checkbox.checked = true;
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${category}（${count}枚）`));
+
+        // カテゴリごとの出題方向（出題方向が「カテゴリごと」のときに使う）
+        const directionSelect = document.createElement('select');
+        directionSelect.className = 'quiz-category-direction';
+        directionSelect.dataset.category = category;
+        directionSelect.setAttribute('aria-label', `${category}の出題方向`);
+        ['forward', 'reverse', 'mixed'].forEach(direction => {
+            const option = document.createElement('option');
+            option.value = direction;
+            option.textContent = QUIZ_DIRECTION_LABELS[direction];
+            directionSelect.appendChild(option);
+        });
+        directionSelect.value = categoryDirections[category] || 'forward';
+
+        row.appendChild(label);
+        row.appendChild(directionSelect);
+        categoryList.appendChild(row);
+    });
+
+    updateCategoryDirectionVisibility();
+
+    updateQuizSetupSummary();
+}
+
+// 出題設定画面の入力内容を取得
+function readQuizSetupConfig() {
+    const limit = parseInt(document.getElementById('quiz-card-limit-input').value, 10);
+    return {
+        categories: [...document.querySelectorAll('.quiz-category-checkbox:checked')].map(checkbox => checkbox.value),
+        limit: Number.isNaN(limit) || limit < 0 ? 0 : limit,
+        order: document.getElementById('quiz-order-select').value,
+        starredOnly: document.getElementById('quiz-starred-only').checked,
+        missedOnly: document.getElementById('quiz-missed-only').checked,
+        answerMode: document.getElementById('quiz-answer-mode-select').value,
+        direction: document.getElementById('quiz-direction-select').value,
+        categoryDirections: readCategoryDirections()
+    };
+}
+
+// 出題設定画面のカテゴリごとの出題方向を取得
+function readCategoryDirections() {
+    const categoryDirections = {};
+    document.querySelectorAll('.quiz-category-direction').forEach(select => {
+        categoryDirections[select.dataset.category] = select.value;
+    });
+    return categoryDirections;
+}
+
+// 出題方向が「カテゴリごと」のときだけカテゴリ別の出題方向を表示
+function updateCategoryDirectionVisibility() {
+    const perCategory = document.getElementById('quiz-direction-select').value === 'category';
+    document.querySelectorAll('.quiz-category-direction').forEach(select => {
+        select.classList.toggle('hidden', !perCategory);
+    });
+}
+
+// カテゴリごとの出題方向を学習設定に保存（次回の出題設定画面でも使う）
+function saveCategoryDirections(categoryDirections) {
+    const settings = loadStudySettings();
+    saveStudySettings({ ...settings, categoryDirections: { ...settings.categoryDirections, ...categoryDirections } });
+}
+
+// 出題設定画面: 出題数の表示を更新
+function updateQuizSetupSummary() {
+    const count = selectQuizCards(quizSetupCards, { ...readQuizSetupConfig(), order: 'insertion' }, loadHistory()).length;
+    document.getElementById('quiz-setup-summary').textContent = `${count}枚のカードを出題します`;
+    document.getElementById('start-configured-quiz-btn').disabled = count === 0;
+}
+
+// 出題設定画面: 入力が変わったら出題数を更新
+document.getElementById('quiz-setup-view').addEventListener('change', () => {
+    updateCategoryDirectionVisibility();
+    updateQuizSetupSummary();
+});
+document.getElementById('quiz-card-limit-input').addEventListener('input', debounce(() => {
+    updateQuizSetupSummary();
+}, 300));
+
+// 出題設定画面: すべて選択・すべて解除ボタン
+document.getElementById('select-all-categories-btn').addEventListener('click', () => {
+    document.querySelectorAll('.quiz-category-checkbox').forEach(checkbox => { checkbox.checked = true; });
+    updateQuizSetupSummary();
+});
+document.getElementById('deselect-all-categories-btn').addEventListener('click', () => {
+    document.querySelectorAll('.quiz-category-checkbox').forEach(checkbox => { checkbox.checked = false; });
+    updateQuizSetupSummary();
+});
+
+// 出題設定画面: 戻るボタン
+document.getElementById('back-from-quiz-setup-btn').addEventListener('click', () => {
+    initHomeView();
+});
+
+// 出題設定画面: 開始ボタン
+document.getElementById('start-configured-quiz-btn').addEventListener('click', async () => {
+    const config = readQuizSetupConfig();
+    if (selectQuizCards(quizSetupCards, config, loadHistory()).length === 0) {
+        alert('条件に合うカードがありません');
+        return;
+    }
+    if (config.answerMode === 'choice' && quizSetupCards.length < 2) {
+        alert('4択で出題するには2枚以上のカードが必要です');
+        return;
+    }
+    try {
+        saveCategoryDirections(config.categoryDirections);
+    } catch (error) {
+        // 保存に失敗しても今回の設定で学習を始められるようにする
+        console.error('出題方向の保存に失敗しました:', error);
+    }
+    await startQuiz(config);
+});
+
+// 現在のカードを表示
+function displayCurrentCard() {
+    if (currentIndex >= quizWordArray.length) {
+        showCompletionView();
+        return;
+    }
+
+    const currentCard = quizWordArray[currentIndex];
+    const direction = quizDirections[currentIndex];
+
+    // カテゴリと出題方向を表示
+    document.getElementById('quiz-category').textContent = currentCard.category;
+    document.getElementById('quiz-direction-label').textContent = QUIZ_DIRECTION_LABELS[direction];
+    document.getElementById('prompt-side-label').textContent = direction === 'reverse' ? '解答' : '問題';
+    document.getElementById('answer-side-label').textContent = direction === 'reverse' ? '問題' : '解答';
+
+    // 問題（逆方向では解答）を表示
+    document.getElementById('question-text').innerHTML = parseSubscriptSuperscript(getQuizSides(currentCard, direction).prompt);
+
+    // 解答エリアを非表示にする
+    document.getElementById('answer-area').classList.add('hidden');
+    document.getElementById('answer-text').innerHTML = '';
+    showAnswerNote(null);
+
+    // ボタンのテキストを「答えを表示」（入力式では「解答する」）に設定（4択では選択後に「次へ」を表示）
+    const typedAnswerArea = document.getElementById('typed-answer-area');
+    const typedAnswerInput = document.getElementById('typed-answer-input');
+    document.getElementById('quiz-action-btn').textContent = quizAnswerMode === 'typed' ? '解答する' : '答えを表示';
+    document.getElementById('quiz-action-btn').classList.toggle('hidden', quizAnswerMode === 'choice');
+    renderChoiceButtons(currentCard, direction);
+    document.getElementById('grade-buttons').classList.add('hidden');
+    document.getElementById('judge-buttons').classList.add('hidden');
+    document.getElementById('typed-answer-feedback').innerHTML = '';
+    typedAnswerArea.classList.toggle('hidden', quizAnswerMode !== 'typed');
+    typedAnswerInput.value = '';
+    typedAnswerInput.disabled = false;
+    isAnswerShown = false;
+    cardShownAt = Date.now();
+
+    if (quizAnswerMode === 'typed') {
+        typedAnswerInput.focus();
+    }
+}
+
+// 4択の選択肢ボタンを表示（4択モード以外では非表示）
+function renderChoiceButtons(card, direction) {
+    const container = document.getElementById('choice-buttons');
+    container.innerHTML = '';
+    container.classList.toggle('hidden', quizAnswerMode !== 'choice');
+    if (quizAnswerMode !== 'choice') return;
+
+    const { choices, correctIndex } = generateChoices(card, choicePool, direction);
+    choices.forEach((choice, index) => {
+        const button = document.createElement('button');
+        button.className = 'choice-btn';
+        button.dataset.correct = String(index === correctIndex);
+        button.innerHTML = `<span class="choice-number">${index + 1}</span>${parseSubscriptSuperscript(choice)}`;
+        button.addEventListener('click', () => {
+            selectChoice(index);
+        });
+        container.appendChild(button);
+    });
+}
+
+// 4択の選択肢を選んで正誤を表示
+function selectChoice(index) {
+    if (isAnswerShown) return;
+    const buttons = document.querySelectorAll('#choice-buttons .choice-btn');
+    if (!buttons[index]) return;
+
+    currentAnswerCorrect = buttons[index].dataset.correct === 'true';
+    buttons.forEach((button, i) => {
+        button.disabled = true;
+        if (button.dataset.correct === 'true') button.classList.add('choice-correct');
+        else if (i === index) button.classList.add('choice-incorrect');
+    });
+
+    isAnswerShown = true;
+    responseTime = Date.now() - cardShownAt;
+    document.getElementById('quiz-action-btn').textContent = '次へ';
+    document.getElementById('quiz-action-btn').classList.remove('hidden');
+}
+
+// 入力された解答を判定して結果を表示
+function submitTypedAnswer() {
+    const currentCard = quizWordArray[currentIndex];
+    const expected = getQuizSides(currentCard, quizDirections[currentIndex]).answer;
+    const input = document.getElementById('typed-answer-input');
+    const result = checkTypedAnswer(input.value, expected);
+    currentAnswerCorrect = result.correct;
+    input.disabled = true;
+
+    const feedback = document.getElementById('typed-answer-feedback');
+    if (result.exact) {
+        feedback.innerHTML = '<div class="typed-result typed-correct">○ 正解</div>';
+    } else {
+        const label = result.correct
+            ? '<div class="typed-result typed-correct">○ 正解（タイプミスあり）</div>'
+            : '<div class="typed-result typed-incorrect">× 不正解</div>';
+        const diff = diffCharacters(normalizeAnswer(result.matchedAnswer), normalizeAnswer(input.value));
+        feedback.innerHTML = `${label}<div class="answer-diff">${renderAnswerDiff(diff)}</div>` +
+            '<p class="form-help">緑: 足りない文字 / 赤: 余分な文字</p>';
+    }
+
+    // 解答を表示し、ボタンを「次へ」に切り替え
+    document.getElementById('answer-text').innerHTML = parseSubscriptSuperscript(expected);
+    showAnswerNote(currentCard);
+    document.getElementById('answer-area').classList.remove('hidden');
+    document.getElementById('quiz-action-btn').textContent = '次へ';
+    isAnswerShown = true;
+    responseTime = Date.now() - cardShownAt;
+}
+
+// 現在のカードの正誤を記録して次の問題へ
+function recordAnswerAndNext(correct) {
+    const card = quizWordArray[currentIndex];
+    const direction = quizDirections[currentIndex];
+    sessionResults.push({ card, correct, direction });
+
+    // 履歴の保存に失敗しても学習は続けられるようにする
+    try {
+        appendHistoryEntry(card, correct, responseTime, direction);
+    } catch (error) {
+        reportHistorySaveError(error);
+    }
+
+    currentIndex++;
+    displayCurrentCard();
+}
+
+// 自己評価ボタンに次回の復習間隔を表示
+function updateGradeButtonLabels(card) {
+    const today = getLocalDateString();
+    const review = card.review || createInitialReviewState();
+    document.querySelectorAll('.grade-btn').forEach(btn => {
+        const next = scheduleReview(review, btn.dataset.grade, today);
+        btn.querySelector('.grade-interval').textContent = `${next.interval}日後`;
+    });
+}
+
+// 学習画面: アクションボタン
+document.getElementById('quiz-action-btn').addEventListener('click', () => {
+    if (quizAnswerMode === 'typed') {
+        // 入力式: 1回目で判定、2回目で次の問題へ
+        if (isAnswerShown) {
+            recordAnswerAndNext(currentAnswerCorrect);
+        } else {
+            submitTypedAnswer();
+        }
+        return;
+    }
+
+    if (quizAnswerMode === 'choice') {
+        // 4択: 選択肢を選んだ後は次の問題へ
+        if (isAnswerShown) {
+            recordAnswerAndNext(currentAnswerCorrect);
+        }
+        return;
+    }
+
+    if (isAnswerShown) return;
+
+    // 解答（逆方向では問題）を表示
+    const currentCard = quizWordArray[currentIndex];
+    const sides = getQuizSides(currentCard, quizDirections[currentIndex]);
+    document.getElementById('answer-text').innerHTML = parseSubscriptSuperscript(sides.answer);
+    showAnswerNote(currentCard);
+    document.getElementById('answer-area').classList.remove('hidden');
+    document.getElementById('quiz-action-btn').classList.add('hidden');
+    isAnswerShown = true;
+    responseTime = Date.now() - cardShownAt;
+
+    if (quizMode === 'review') {
+        // 復習モードでは自己評価ボタンを表示
+        updateGradeButtonLabels(currentCard);
+        document.getElementById('grade-buttons').classList.remove('hidden');
+    } else {
+        // 通常モードでは○/×ボタンを表示
+        document.getElementById('judge-buttons').classList.remove('hidden');
+    }
+});
+
+// 学習画面: 解答入力欄でEnterキーを押したら解答（IME変換中は除く）
+document.getElementById('typed-answer-input').addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.isComposing) {
+        event.preventDefault();
+        document.getElementById('quiz-action-btn').click();
+    }
+});
+
+// 学習画面: 4択では1〜4キーで選択、選択後はEnterキーで次へ
+document.addEventListener('keydown', (event) => {
+    if (quizAnswerMode !== 'choice' || document.getElementById('quiz-view').classList.contains('hidden')) return;
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+
+    const number = Number(event.key);
+    if (!isAnswerShown && Number.isInteger(number) && number >= 1 && number <= CHOICE_COUNT) {
+        selectChoice(number - 1);
+    } else if (isAnswerShown && event.key === 'Enter' && event.target.tagName !== 'BUTTON') {
+        // ボタンにフォーカスがある場合はブラウザのクリック動作に任せる
+        document.getElementById('quiz-action-btn').click();
+    }
+});
+
+// 学習画面: ○ボタン
+document.getElementById('judge-correct-btn').addEventListener('click', () => {
+    recordAnswerAndNext(true);
+});
+
+// 学習画面: ×ボタン
+document.getElementById('judge-incorrect-btn').addEventListener('click', () => {
+    recordAnswerAndNext(false);
+});
+
+// 学習画面: 自己評価ボタン（もう一度/難しい/正解/簡単）
+document.querySelectorAll('.grade-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+        const currentCard = quizWordArray[currentIndex];
+        const review = scheduleReview(currentCard.review || createInitialReviewState(), btn.dataset.grade, getLocalDateString());
+
+        // 保存が終わるまでに二重に評価されないよう、先にボタンを隠す
+        document.getElementById('grade-buttons').classList.add('hidden');
+
+        try {
+            await updateCard(currentCard.id, { review });
+        } catch (error) {
+            alert('復習結果の保存に失敗しました: ' + error.message);
+        }
+
+        // 「もう一度」のカードはこのセッションの最後にもう一度出題
+        if (btn.dataset.grade === 'again') {
+            quizWordArray.push({ ...currentCard, review });
+            quizDirections.push('forward');
+        }
+
+        recordAnswerAndNext(btn.dataset.grade !== 'again');
+    });
+});
+
+// 学習画面: 終了ボタン
+document.getElementById('quit-quiz-btn').addEventListener('click', () => {
+    if (confirm('学習を終了してホームに戻りますか?')) {
+        saveSessionHistory();
+        initHomeView();
+    }
+});
+
+// 完了画面を表示（スコア・カテゴリ別正答率・間違えた問題）
+function showCompletionView() {
+    showView('completion-view');
+    saveSessionHistory();
+
+    const summary = summarizeSessionResults(sessionResults);
+    const resultsDiv = document.getElementById('session-results');
+    const retryBtn = document.getElementById('retry-missed-btn');
+    resultsDiv.innerHTML = '';
+    retryBtn.classList.toggle('hidden', summary.missedCards.length === 0);
+
+    if (summary.total === 0) return;
+
+    const score = document.createElement('div');
+    score.className = 'session-score';
+    score.textContent = `${summary.total}問中${summary.correct}問正解（${summary.accuracy}%）`;
+    resultsDiv.appendChild(score);
+
+    // カテゴリ別の正答率
+    const categoryTable = document.createElement('table');
+    categoryTable.className = 'result-table';
+    categoryTable.innerHTML = '<tr><th>カテゴリ</th><th>正解</th><th>正答率</th></tr>';
+    summary.byCategory.forEach(stats => {
+        const row = document.createElement('tr');
+        [stats.category, `${stats.correct}/${stats.total}`, `${stats.accuracy}%`].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        categoryTable.appendChild(row);
+    });
+    resultsDiv.appendChild(categoryTable);
+
+    // 両方向を出題した場合は出題方向別の正答率
+    if (summary.byDirection.length > 1) {
+        const directionTable = document.createElement('table');
+        directionTable.className = 'result-table';
+        directionTable.innerHTML = '<tr><th>出題方向</th><th>正解</th><th>正答率</th></tr>';
+        summary.byDirection.forEach(stats => {
+            const row = document.createElement('tr');
+            [QUIZ_DIRECTION_LABELS[stats.direction], `${stats.correct}/${stats.total}`, `${stats.accuracy}%`].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            directionTable.appendChild(row);
+        });
+        resultsDiv.appendChild(directionTable);
+    }
+
+    // 間違えた問題の一覧
+    if (summary.missedCards.length > 0) {
+        const heading = document.createElement('h3');
+        heading.className = 'result-heading';
+        heading.textContent = `間違えた問題（${summary.missedCards.length}問）`;
+        resultsDiv.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'missed-list';
+        summary.missedCards.forEach(card => {
+            const item = document.createElement('li');
+            item.innerHTML = `${parseSubscriptSuperscript(card.question)} → ${parseSubscriptSuperscript(card.answer)}`;
+            list.appendChild(item);
+        });
+        resultsDiv.appendChild(list);
+    }
+}
+
+// 完了画面: 間違えた問題だけもう一度ボタン
+document.getElementById('retry-missed-btn').addEventListener('click', async () => {
+    const { missedCards } = summarizeSessionResults(sessionResults);
+    if (missedCards.length === 0) return;
+    await startQuiz({ cards: missedCards, answerMode: quizAnswerMode, direction: quizDirection });
+});
+
+// 完了画面: ホームに戻るボタン
+document.getElementById('back-to-home-btn').addEventListener('click', () => {
+    initHomeView();
+});
+
+// 統計機能
+const STATS_CHART_DAYS = 14; // グラフに表示する日数
+const STATS_MISSED_LIMIT = 10; // よく間違える問題の表示件数
+
+/**
+ * 日別の学習数と正答率を集計
+ * @param {Array} history - 学習履歴
+ * @param {string} today - 今日の日付（YYYY-MM-DD）
+ * @param {number} days - 集計する日数（今日を含む）
+ * @returns {Array} 古い順の日別集計（{ date, total, correct, accuracy }、学習なしの日のaccuracyはnull）
+ */
+function getDailyStats(history, today, days) {
+    const stats = new Map();
+    for (let i = days - 1; i >= 0; i--) {
+        const date = addDays(today, -i);
+        stats.set(date, { date, total: 0, correct: 0, accuracy: null });
+    }
+
+    history.forEach(entry => {
+        const dayStats = stats.get(getLocalDateString(new Date(entry.timestamp)));
+        if (!dayStats) return;
+        dayStats.total++;
+        if (entry.result === 'correct') dayStats.correct++;
+    });
+
+    return [...stats.values()].map(dayStats => ({
+        ...dayStats,
+        accuracy: dayStats.total === 0 ? null : Math.round((dayStats.correct / dayStats.total) * 100)
+    }));
+}
+
+/**
+ * 連続学習日数を計算
+ * 今日まだ学習していない場合は昨日までの連続日数を返す
+ * @param {Array} history - 学習履歴
+ * @param {string} today - 今日の日付（YYYY-MM-DD）
+ * @returns {number} 連続学習日数
+ */
+function getStudyStreak(history, today) {
+    const studiedDates = new Set(history.map(entry => getLocalDateString(new Date(entry.timestamp))));
+    let date = studiedDates.has(today) ? today : addDays(today, -1);
+    let streak = 0;
+    while (studiedDates.has(date)) {
+        streak++;
+        date = addDays(date, -1);
+    }
+    return streak;
+}
+
+/**
+ * よく間違える問題を取得
+ * 削除済みのカードは履歴に記録した問題文を使って表示する
+ * @param {Array} history - 学習履歴
+ * @param {Array} cards - 現在のカード配列
+ * @param {number} limit - 取得する件数
+ * @returns {Array} 間違えた回数の多い順（{ cardId, category, question, missed, total, deleted }）
+ */
+function getMostMissedCards(history, cards, limit) {
+    const cardMap = new Map(cards.map(card => [card.id, card]));
+    const stats = new Map();
+
+    history.forEach(entry => {
+        const cardStats = stats.get(entry.cardId) || { cardId: entry.cardId, missed: 0, total: 0, category: entry.category, question: entry.question };
+        cardStats.total++;
+        if (entry.result === 'incorrect') cardStats.missed++;
+        stats.set(entry.cardId, cardStats);
+    });
+
+    return [...stats.values()]
+        .filter(cardStats => cardStats.missed > 0)
+        .map(cardStats => {
+            const card = cardMap.get(cardStats.cardId);
+            return card
+                ? { ...cardStats, category: card.category, question: card.question, deleted: false }
+                : { ...cardStats, deleted: true };
+        })
+        .sort((a, b) => b.missed - a.missed || b.missed / b.total - a.missed / a.total)
+        .slice(0, limit);
+}
+
+/**
+ * カテゴリ別の習熟度を計算
+ * 最後に解答したときに正解したカードを「習得済み」とみなす
+ * @param {Array} history - 学習履歴
+ * @param {Array} cards - 現在のカード配列
+ * @returns {Array} カテゴリ名順（{ category, cardCount, studiedCount, masteredCount, mastery }）
+ */
+function getCategoryMastery(history, cards) {
+    // カードごとの最新の結果
+    const lastResults = new Map();
+    [...history].sort((a, b) => a.timestamp - b.timestamp).forEach(entry => {
+        lastResults.set(entry.cardId, entry.result);
+    });
+
+    const categoryMap = new Map();
+    cards.forEach(card => {
+        const stats = categoryMap.get(card.category) || { category: card.category, cardCount: 0, studiedCount: 0, masteredCount: 0 };
+        stats.cardCount++;
+        if (lastResults.has(card.id)) stats.studiedCount++;
+        if (lastResults.get(card.id) === 'correct') stats.masteredCount++;
+        categoryMap.set(card.category, stats);
+    });
+
+    return [...categoryMap.values()]
+        .sort((a, b) => a.category.localeCompare(b.category))
+        .map(stats => ({ ...stats, mastery: Math.round((stats.masteredCount / stats.cardCount) * 100) }));
+}
+
+// 棒グラフを描画（値がnullの日は空欄）
+function renderBarChart(container, items, { max, format }) {
+    container.innerHTML = '';
+    items.forEach(item => {
+        const column = document.createElement('div');
+        column.className = 'chart-column';
+        column.title = `${item.date}: ${item.value === null ? '-' : format(item.value)}`;
+
+        const bar = document.createElement('div');
+        bar.className = 'chart-bar';
+        bar.style.height = `${max > 0 && item.value ? (item.value / max) * 100 : 0}%`;
+
+        const value = document.createElement('div');
+        value.className = 'chart-value';
+        value.textContent = item.value ? format(item.value) : '';
+
+        const label = document.createElement('div');
+        label.className = 'chart-label';
+        label.textContent = item.date.slice(5).replace('-', '/');
+
+        const barArea = document.createElement('div');
+        barArea.className = 'chart-bar-area';
+        barArea.appendChild(bar);
+
+        column.appendChild(value);
+        column.appendChild(barArea);
+        column.appendChild(label);
+        container.appendChild(column);
+    });
+}
+
+// 統計画面の表示
+async function renderStatsView() {
+    showView('stats-view');
+    try {
+        document.getElementById('stats-status').innerHTML = '';
+        const history = filterHistoryByDirection(loadHistory(), document.getElementById('stats-direction-select').value);
+        const cards = await loadCards();
+        const today = getLocalDateString();
+
+        const dailyStats = getDailyStats(history, today, STATS_CHART_DAYS);
+        document.getElementById('stats-total').textContent = `${history.length}回`;
+        document.getElementById('stats-today').textContent = `${dailyStats[dailyStats.length - 1].total}回`;
+        document.getElementById('stats-streak').textContent = `${getStudyStreak(history, today)}日`;
+
+        renderBarChart(
+            document.getElementById('reviews-chart'),
+            dailyStats.map(day => ({ date: day.date, value: day.total })),
+            { max: Math.max(...dailyStats.map(day => day.total)), format: value => String(value) }
+        );
+        renderBarChart(
+            document.getElementById('accuracy-chart'),
+            dailyStats.map(day => ({ date: day.date, value: day.accuracy })),
+            { max: 100, format: value => `${value}%` }
+        );
+
+        // よく間違える問題
+        const missedList = document.getElementById('most-missed-list');
+        missedList.innerHTML = '';
+        const mostMissed = getMostMissedCards(history, cards, STATS_MISSED_LIMIT);
+        if (mostMissed.length === 0) {
+            missedList.innerHTML = '<li class="stats-empty">まだ間違えた問題はありません</li>';
+        }
+        mostMissed.forEach(item => {
+            const li = document.createElement('li');
+            li.innerHTML = `<span class="missed-question">${parseSubscriptSuperscript(item.question || '')}</span>` +
+                `<span class="missed-meta">${escapeHtml(item.category || '')}・${item.missed}/${item.total}回ミス${item.deleted ? '（削除済み）' : ''}</span>`;
+            missedList.appendChild(li);
+        });
+
+        // カテゴリ別の習熟度
+        const masteryTable = document.getElementById('category-mastery-table');
+        masteryTable.innerHTML = '<tr><th>カテゴリ</th><th>学習済み</th><th>習熟度</th></tr>';
+        getCategoryMastery(history, cards).forEach(stats => {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td>${escapeHtml(stats.category)}</td>` +
+                `<td>${stats.studiedCount}/${stats.cardCount}</td>` +
+                `<td><div class="mastery-bar"><div class="mastery-fill" style="width: ${stats.mastery}%"></div></div>${stats.mastery}%</td>`;
+            masteryTable.appendChild(row);
+        });
+    } catch (error) {
+        showViewError('stats-status', '統計を読み込めませんでした', error);
+    }
+}
+
+// ホーム画面: 統計ボタン
+document.getElementById('show-stats-btn').addEventListener('click', () => {
+    renderStatsView();
+});
+
+// 統計画面: 出題方向の切り替え
+document.getElementById('stats-direction-select').addEventListener('change', () => {
+    renderStatsView();
+});
+
+// 統計画面: 戻るボタン
+document.getElementById('back-from-stats-btn').addEventListener('click', () => {
+    initHomeView();
+});
+
+// 設定画面の初期化
+function initSettingsView() {
+    showView('settings-view');
+    const apiKey = loadApiKey();
+    document.getElementById('gemini-api-key-input').value = apiKey;
+    fillGeminiSettingsForm(loadGeminiSettings());
+    document.getElementById('gemini-connection-status').textContent = '';
+    renderOcrProviderOptions();
+    document.getElementById('new-cards-per-day-input').value = loadStudySettings().newCardsPerDay;
+    document.getElementById('trash-retention-days-input').value = loadStudySettings().trashRetentionDays;
+    initParserSettingsForm();
+    initPromptTemplateForm();
+    renderDataRecoverySettings();
+    document.getElementById('settings-status').textContent = '';
+}
+
+// 設定画面のステータスを表示（3秒後に消す）
+function showSettingsStatus(message) {
+    document.getElementById('settings-status').textContent = message;
+    setTimeout(() => {
+        document.getElementById('settings-status').textContent = '';
+    }, 3000);
+}
+
+// Gemini APIの設定をフォームに表示
+function fillGeminiSettingsForm(settings) {
+    document.getElementById('gemini-model-input').value = settings.model;
+    document.getElementById('gemini-base-url-input').value = settings.baseUrl;
+    document.getElementById('gemini-temperature-input').value = settings.temperature;
+    document.getElementById('gemini-max-tokens-input').value = settings.maxOutputTokens;
+}
+
+// フォームに入力されたGemini APIの設定（不正な値がある場合はエラー）
+function readGeminiSettingsForm() {
+    const temperature = document.getElementById('gemini-temperature-input').value.trim();
+    const maxOutputTokens = document.getElementById('gemini-max-tokens-input').value.trim();
+    return validateGeminiSettings({
+        model: document.getElementById('gemini-model-input').value,
+        baseUrl: document.getElementById('gemini-base-url-input').value,
+        // 空欄はNumber('')が0になるため、不正な値として扱う
+        temperature: temperature === '' ? NaN : Number(temperature),
+        maxOutputTokens: maxOutputTokens === '' ? NaN : Number(maxOutputTokens)
+    });
+}
+
+// OCRエンジンの選択肢を表示
+function renderOcrProviderOptions() {
+    const select = document.getElementById('ocr-provider-select');
+    select.innerHTML = '';
+    Object.entries(OCR_PROVIDERS).forEach(([id, provider]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = provider.label;
+        select.appendChild(option);
+    });
+    select.value = loadOcrProviderId();
+}
+
+// 設定画面: OCRエンジンの選択
+document.getElementById('ocr-provider-select').addEventListener('change', (event) => {
+    try {
+        saveOcrProviderId(event.target.value);
+        showSettingsStatus('OCRエンジンを保存しました');
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// 設定画面: データの復旧の状態を表示
+async function renderDataRecoverySettings() {
+    const message = document.getElementById('data-recovery-message');
+    const restoreBtn = document.getElementById('restore-migration-backup-btn');
+    try {
+        const readOnly = await isCardDataReadOnly();
+        const backup = await getMigrationBackup();
+        restoreBtn.disabled = !(backup && Array.isArray(backup.cards));
+        message.classList.toggle('data-recovery-warning', readOnly);
+        if (readOnly) {
+            message.textContent = 'データの移行に失敗したため、変更を保存できません。復旧用のデータをダウンロードしてから、バックアップから復元するか初期化してください。';
+        } else if (backup) {
+            message.textContent = `データの移行前のバックアップ（${formatDateTime(backup.createdAt)}）があります。`;
+        } else {
+            message.textContent = 'データの移行前のバックアップはありません。';
+        }
+    } catch (error) {
+        console.error('データの状態を確認できませんでした:', error);
+        restoreBtn.disabled = true;
+        message.textContent = `データの状態を確認できませんでした: ${error.message}`;
+    }
+}
+
+// 設定画面: 復旧用のデータをダウンロード
+document.getElementById('download-recovery-data-btn').addEventListener('click', async () => {
+    try {
+        const data = await getRecoveryData();
+        const date = formatDateForFilename(new Date());
+        if (Array.isArray(data.cards)) {
+            // JSONインポートで読み込めるよう、エクスポートファイルの形式にする
+            const json = JSON.stringify(buildExportData(data.cards, loadHistory()), null, 2);
+            downloadFile(json, `wordlist-recovery-${date}.json`, 'application/json');
+        } else if (data.raw) {
+            // 破損したデータは手で修正できるよう、保存されていた文字列のまま保存する
+            downloadFile(data.raw, `wordlist-recovery-${date}.txt`, 'text/plain');
+        } else {
+            alert('ダウンロードできるデータがありません');
+            return;
+        }
+        showSettingsStatus('復旧用のデータをダウンロードしました');
+    } catch (error) {
+        alert(`ダウンロードに失敗しました: ${error.message}`);
+    }
+});
+
+// 設定画面: 移行前のバックアップから復元
+document.getElementById('restore-migration-backup-btn').addEventListener('click', async () => {
+    if (!confirm('現在のカードを、データの移行前のバックアップのカードで置き換えますか?')) return;
+    try {
+        const backup = await restoreMigrationBackup();
+        showSettingsStatus(`バックアップから${backup.cards.length}件のカードを復元しました`);
+    } catch (error) {
+        alert(`復元に失敗しました: ${error.message}`);
+    }
+    await renderDataRecoverySettings();
+});
+
+// 設定画面: カードデータの初期化
+document.getElementById('reset-card-data-btn').addEventListener('click', async () => {
+    if (!confirm('すべてのカードを削除して初期化しますか?（学習履歴と設定は残ります）\n先に復旧用のデータをダウンロードしておくことをおすすめします。')) return;
+    try {
+        await resetCardData();
+        showSettingsStatus('カードデータを初期化しました');
+    } catch (error) {
+        alert(`初期化に失敗しました: ${error.message}`);
+    }
+    await renderDataRecoverySettings();
+});
+
+// 設定画面: 戻るボタン
+document.getElementById('back-from-settings-btn').addEventListener('click', () => {
+    initHomeView();
+});
+
+// 設定画面: 保存ボタン
+// API Keyは空欄でも保存できる（Tesseract.jsを使う場合や、API Keyが不要なプロキシを使う場合）
+document.getElementById('save-settings-btn').addEventListener('click', () => {
+    const apiKeyRaw = document.getElementById('gemini-api-key-input').value.trim();
+    // セキュリティ: まず入力をサニタイズ
+    const apiKey = sanitizeInput(apiKeyRaw, 100);
+
+    try {
+        const geminiSettings = readGeminiSettingsForm();
+        // Google以外のURLではGoogleのAPI Keyの形式とは限らないため、形式は検証しない
+        if (apiKey && !usesCustomGeminiBaseUrl(geminiSettings) && !validateApiKey(apiKey)) {
+            alert('API Keyの形式が正しくありません。有効なGemini API Keyを入力してください。');
+            return;
+        }
+        saveGeminiSettings(geminiSettings);
+        if (apiKey) {
+            saveApiKey(apiKey);
+        } else {
+            clearApiKey();
+        }
+        fillGeminiSettingsForm(geminiSettings);
+        const keyNote = !apiKey && !usesCustomGeminiBaseUrl(geminiSettings) ? '（Gemini APIを使うにはAPI Keyを設定してください）' : '';
+        document.getElementById('settings-status').textContent = `設定を保存しました${keyNote}`;
+        setTimeout(() => {
+            document.getElementById('settings-status').textContent = '';
+        }, 3000);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// 設定画面: Gemini APIの接続テスト（保存前の入力内容でテストする）
+document.getElementById('test-gemini-connection-btn').addEventListener('click', async () => {
+    const testBtn = document.getElementById('test-gemini-connection-btn');
+    const statusDiv = document.getElementById('gemini-connection-status');
+    const apiKey = sanitizeInput(document.getElementById('gemini-api-key-input').value.trim(), 100);
+
+    let settings;
+    try {
+        settings = readGeminiSettingsForm();
+    } catch (error) {
+        statusDiv.textContent = error.message;
+        return;
+    }
+
+    if (!apiKey && !usesCustomGeminiBaseUrl(settings)) {
+        statusDiv.textContent = 'API Keyを入力してください';
+        return;
+    }
+
+    testBtn.disabled = true;
+    statusDiv.textContent = `${settings.model}に接続中...`;
+    try {
+        await testGeminiConnection(apiKey, settings);
+        statusDiv.textContent = `接続できました（${settings.model}）`;
+    } catch (error) {
+        console.error('Gemini API connection test failed:', error);
+        statusDiv.textContent = '接続できませんでした: ' + error.message;
+    } finally {
+        testBtn.disabled = false;
+    }
+});
+
+// 設定画面: 学習設定の保存ボタン
+document.getElementById('save-study-settings-btn').addEventListener('click', () => {
+    const newCardsPerDay = parseInt(document.getElementById('new-cards-per-day-input').value, 10);
+    if (!Number.isInteger(newCardsPerDay) || newCardsPerDay < 0 || newCardsPerDay > 1000) {
+        alert('1日の新規カード数は0〜1000の数値で入力してください');
+        return;
+    }
+    const trashRetentionDays = parseInt(document.getElementById('trash-retention-days-input').value, 10);
+    if (!Number.isInteger(trashRetentionDays) || trashRetentionDays < 1 || trashRetentionDays > 365) {
+        alert('ゴミ箱の保存期間は1〜365日の数値で入力してください');
+        return;
+    }
+    try {
+        saveStudySettings({ ...loadStudySettings(), newCardsPerDay, trashRetentionDays });
+        document.getElementById('settings-status').textContent = '学習設定を保存しました';
+        setTimeout(() => {
+            document.getElementById('settings-status').textContent = '';
+        }, 3000);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// 設定画面: API Keyクリアボタン
+document.getElementById('clear-api-key-btn').addEventListener('click', () => {
+    if (confirm('API Keyを削除しますか？Gemini APIで画像をインポートするには再度設定が必要になります。')) {
+        clearApiKey();
+        document.getElementById('gemini-api-key-input').value = '';
+        document.getElementById('settings-status').textContent = 'API Keyを削除しました';
+        setTimeout(() => {
+            document.getElementById('settings-status').textContent = '';
+        }, 3000);
+    }
+});
+
+// 画像インポート機能
+let selectedImage = null;
+let extractedCards = [];
+let isProcessingOCR = false; // OCR処理中フラグ
+let importDuplicateIndex = createDuplicateIndex([]); // 重複判定に使う既存のカードのインデックス
+let importDuplicateActions = new Map(); // 重複したカード → 'skip' | 'overwrite' | 'keep'
+
+// インポートステータス更新のヘルパー関数
+function updateImportStatus(message) {
+    const statusDiv = document.getElementById('import-status');
+    if (statusDiv) {
+        statusDiv.textContent = message;
+    }
+}
+
+/**
+ * 抽出する文字の色の範囲（HSV色空間）
+ *
+ * RGBの固定の閾値では、電球色の照明などで画像全体の色がずれると判定できないため、
+ * 色相（H）で色の種類を、彩度（S）・明度（V）で紙の白や黒い文字・影を区別する
+ * - hue: 色相の中心（0〜359度。赤0、オレンジ30、緑120、青240）
+ * - hueTolerance: 色相の許容範囲（±度）
+ * - minSaturation: 最低彩度（0〜100%）。白い紙や黒・灰色の文字（彩度が低い）を除外する
+ * - minValue: 最低明度（0〜100%）。影や黒に近い部分を除外する
+ */
+const INK_COLOR_PRESETS = {
+    red: { label: '赤', range: { hue: 0, hueTolerance: 20, minSaturation: 35, minValue: 35 } },
+    orange: { label: 'オレンジ', range: { hue: 30, hueTolerance: 12, minSaturation: 45, minValue: 50 } },
+    green: { label: '緑', range: { hue: 130, hueTolerance: 40, minSaturation: 30, minValue: 25 } },
+    blue: { label: '青', range: { hue: 220, hueTolerance: 30, minSaturation: 30, minValue: 25 } }
+};
+const DEFAULT_INK_COLOR_PRESET = 'red';
+const INK_COLOR_SETTINGS_KEY = 'INK_COLOR_SETTINGS';
+const MAX_INK_COLOR_PROFILES = 20;
+// 判定範囲の各項目の最小値・最大値
+const INK_COLOR_RANGE_LIMITS = {
+    hue: [0, 359],
+    hueTolerance: [1, 90],
+    minSaturation: [0, 100],
+    minValue: [0, 100]
+};
+const INK_EYEDROPPER_RADIUS = 2; // スポイトで色の平均を取る範囲（クリックした位置から±ピクセル）
+const MIN_INK_SAMPLE_SATURATION = 15; // スポイトで選べる最低彩度（白・黒・灰色は選べない）
+
+// Gemini API設定
+const GEMINI_API_CONFIG = {
+    maxImageSize: 1024, // 最大画像サイズ（幅・高さ）
+    // プロンプトテンプレートの後に付ける出力形式の指示（構造化出力・テキストで再取得する場合）
+    structuredInstruction: 'questionに問題、answerに解答をそれぞれ画像の表記のまま入れ、品詞・例文・補足があればnoteに入れてください。問題と解答の組にならないテキストは含めないでください。',
+    textInstruction: '問題と解答の組を1行に1組ずつ、画像の表記のまま出力してください。記号や矢印（→、:、-など）が含まれている場合はそのまま保持してください。',
+    // 構造化出力のスキーマ（問題・解答・補足の配列）
+    responseSchema: {
+        type: 'ARRAY',
+        items: {
+            type: 'OBJECT',
+            properties: {
+                question: { type: 'STRING' },
+                answer: { type: 'STRING' },
+                note: { type: 'STRING' }
+            },
+            required: ['question', 'answer'],
+            propertyOrdering: ['question', 'answer', 'note']
+        }
+    },
+    maxStructuredCards: 500, // 構造化された応答で受け付けるカードの上限
+    connectionTestPrompt: '接続テストです。「OK」とだけ返してください。'
+};
+
+// インポート画面の初期化
+function initImportView() {
+    showView('import-view');
+    // メモリリーク防止のため既存の画像をクリア
+    if (selectedImage) {
+        selectedImage.onload = null; // イベントハンドラをクリア
+        selectedImage.onerror = null;
+        selectedImage.src = '';
+        selectedImage = null;
+    }
+    extractedCards = [];
+    isProcessingOCR = false; // 処理フラグもリセット
+    document.getElementById('import-category-input').value = '英単語';
+    document.getElementById('image-input').value = '';
+    document.getElementById('preview-canvas').style.display = 'none';
+    document.getElementById('process-image-btn').disabled = true;
+    document.getElementById('import-text-input').value = '';
+    initInkColorOptions();
+    initImportPromptOptions();
+    tableImportRows = [];
+    document.getElementById('import-file-input').value = '';
+    document.getElementById('column-mapping').classList.add('hidden');
+    updateImportStatus('');
+    document.getElementById('import-preview').innerHTML = '';
+}
+
+// インポート画面: キャンセルボタン
+document.getElementById('cancel-import-btn').addEventListener('click', () => {
+    renderListView();
+});
+
+// インポート画面: 画像選択
+document.getElementById('image-input').addEventListener('change', (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        const img = new Image();
+        img.onload = () => {
+            selectedImage = img;
+            displayImagePreview(img);
+            renderInkMaskPreview();
+            document.getElementById('process-image-btn').disabled = false;
+        };
+        img.src = e.target.result;
+    };
+    reader.readAsDataURL(file);
+});
+
+// 画像プレビューを表示
+function displayImagePreview(img) {
+    const canvas = document.getElementById('preview-canvas');
+    const ctx = canvas.getContext('2d');
+
+    // キャンバスサイズを画像に合わせる（最大幅500px）
+    const maxWidth = 500;
+    const scale = Math.min(1, maxWidth / img.width);
+    canvas.width = img.width * scale;
+    canvas.height = img.height * scale;
+
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    canvas.style.display = 'block';
+}
+
+// 画像をリサイズする関数
+function resizeCanvas(sourceCanvas, maxSize) {
+    const width = sourceCanvas.width;
+    const height = sourceCanvas.height;
+
+    // 既に小さい場合はそのまま返す
+    if (width <= maxSize && height <= maxSize) {
+        return sourceCanvas;
+    }
+
+    // アスペクト比を維持してリサイズ
+    const scale = Math.min(maxSize / width, maxSize / height);
+    const newWidth = Math.floor(width * scale);
+    const newHeight = Math.floor(height * scale);
+
+    const resizedCanvas = document.createElement('canvas');
+    resizedCanvas.width = newWidth;
+    resizedCanvas.height = newHeight;
+
+    const ctx = resizedCanvas.getContext('2d');
+    ctx.drawImage(sourceCanvas, 0, 0, newWidth, newHeight);
+
+    return resizedCanvas;
+}
+
+// 指定した色の文字を抽出してインポート
+document.getElementById('process-image-btn').addEventListener('click', async () => {
+    if (!selectedImage) return;
+
+    const processBtn = document.getElementById('process-image-btn');
+    const previewDiv = document.getElementById('import-preview');
+
+    // レース条件防止: フラグチェックとボタン無効化をアトミックに実行
+    // ボタンが既に無効化されている場合は処理中と判断
+    if (processBtn.disabled || isProcessingOCR) return;
+
+    // フラグとボタンを即座に設定（これより先は1つの実行のみ）
+    isProcessingOCR = true;
+    processBtn.disabled = true;
+
+    updateImportStatus('画像を処理中...');
+    previewDiv.innerHTML = '';
+
+    let colorTextCanvas = null;
+    let resizedCanvas = null;
+
+    try {
+        // 指定した色の部分を抽出
+        updateImportStatus('指定した色の文字を検出中...');
+        colorTextCanvas = extractColorText(selectedImage, readImportInkColor());
+
+        // 画像をリサイズ
+        resizedCanvas = resizeCanvas(colorTextCanvas, GEMINI_API_CONFIG.maxImageSize);
+
+        // OCRで文字認識
+        updateImportStatus('OCRで文字を認識中... (しばらくお待ちください)');
+        const result = await recognizeImage(resizedCanvas, loadOcrProviderId(), { prompt: readImportPrompt() });
+
+        if (result.cards) {
+            // 問題・解答の組を受け取れた場合は区切り文字の推測をしない
+            extractedCards = structuredPairsToCards(result.cards, getImportCategory());
+        } else {
+            // テキストを解析してカードを作成
+            updateImportStatus('テキストを解析中...');
+            extractedCards = parseTextToCards(result.text);
+        }
+
+        if (!extractedCards || extractedCards.length === 0) {
+            updateImportStatus('指定した色のテキストが見つかりませんでした。文字の色の設定を確認するか、別の画像を試してください。');
+            return;
+        }
+
+        // カードデータの妥当性チェック
+        const validCards = extractedCards.filter(card =>
+            card && card.question && card.answer && card.category
+        );
+
+        if (validCards.length === 0) {
+            updateImportStatus('有効なカードデータが見つかりませんでした。別の画像を試してください。');
+            extractedCards = [];
+            return;
+        }
+
+        extractedCards = validCards;
+
+        // プレビューと保存ボタンを表示
+        await showExtractedCardsPreview();
+
+    } catch (error) {
+        console.error('処理エラー:', error);
+        updateImportStatus('エラーが発生しました: ' + error.message);
+        // エラー時のクリーンアップ
+        previewDiv.innerHTML = '';
+        extractedCards = [];
+    } finally {
+        // メモリリーク防止: Canvasをクリーンアップ
+        cleanupCanvas(colorTextCanvas);
+        cleanupCanvas(resizedCanvas);
+
+        isProcessingOCR = false;
+        processBtn.disabled = false; // ボタンを再度有効化
+    }
+});
+
+// Canvasクリーンアップヘルパー関数
+function cleanupCanvas(canvas) {
+    if (canvas) {
+        const ctx = canvas.getContext('2d');
+        if (ctx) {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+        }
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+}
+
+// RGB（0〜255）をHSV（色相0〜360度、彩度・明度0〜100%）に変換
+function rgbToHsv(r, g, b) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const delta = max - min;
+
+    let h = 0;
+    if (delta > 0) {
+        if (max === r) {
+            h = ((g - b) / delta) % 6;
+        } else if (max === g) {
+            h = (b - r) / delta + 2;
+        } else {
+            h = (r - g) / delta + 4;
+        }
+        h *= 60;
+        if (h < 0) h += 360;
+    }
+
+    return {
+        h,
+        s: max === 0 ? 0 : (delta / max) * 100,
+        v: (max / 255) * 100
+    };
+}
+
+// 色相の差（0〜180度。0度と359度は1度差）
+function hueDistance(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+}
+
+// ピクセルの色が文字の色の範囲に入るか
+function matchesInkColor(r, g, b, range) {
+    const { h, s, v } = rgbToHsv(r, g, b);
+    return s >= range.minSaturation &&
+           v >= range.minValue &&
+           hueDistance(h, range.hue) <= range.hueTolerance;
+}
+
+/**
+ * 文字の色の範囲を検証し、不足や不正な値を補う
+ * @param {Object} range - { hue, hueTolerance, minSaturation, minValue }
+ * @param {Object} fallback - 不正な値の代わりに使う範囲（デフォルト: 赤）
+ * @returns {Object} 範囲内の整数に丸めた色の範囲
+ */
+function normalizeInkColorRange(range, fallback = INK_COLOR_PRESETS[DEFAULT_INK_COLOR_PRESET].range) {
+    const source = range && typeof range === 'object' ? range : {};
+    const normalized = {};
+    Object.entries(INK_COLOR_RANGE_LIMITS).forEach(([key, [min, max]]) => {
+        const value = Number(source[key]);
+        normalized[key] = Number.isFinite(value)
+            ? Math.min(max, Math.max(min, Math.round(value)))
+            : fallback[key];
+    });
+    return normalized;
+}
+
+// 色の選択肢（プリセットのキーまたは'custom'）を検証
+function normalizeInkColorPreset(preset) {
+    return preset === 'custom' || Object.hasOwn(INK_COLOR_PRESETS, preset) ? preset : DEFAULT_INK_COLOR_PRESET;
+}
+
+// 文字の色の設定とプロファイルの読み込み（{ preset, range, profiles: [{ name, preset, range }] }）
+function loadInkColorSettings() {
+    try {
+        const data = JSON.parse(localStorage.getItem(INK_COLOR_SETTINGS_KEY) || '{}') || {};
+        const profiles = Array.isArray(data.profiles)
+            ? data.profiles
+                .filter(profile => profile && typeof profile.name === 'string' && profile.name)
+                .map(profile => ({
+                    name: profile.name,
+                    preset: normalizeInkColorPreset(profile.preset),
+                    range: normalizeInkColorRange(profile.range)
+                }))
+            : [];
+        return { preset: normalizeInkColorPreset(data.preset), range: normalizeInkColorRange(data.range), profiles };
+    } catch (e) {
+        console.error('Failed to parse ink color settings from localStorage:', e);
+        return { preset: DEFAULT_INK_COLOR_PRESET, range: normalizeInkColorRange(null), profiles: [] };
+    }
+}
+
+// 文字の色の設定とプロファイルの保存
+function saveInkColorSettings(settings) {
+    try {
+        localStorage.setItem(INK_COLOR_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        handleStorageError(e, '文字の色の設定');
+    }
+}
+
+/**
+ * 名前を付けて文字の色のプロファイルを保存（同じ名前のプロファイルは上書き）
+ * @param {Object} settings - loadInkColorSettings()の結果
+ * @param {string} name - プロファイル名（本の名前など）
+ * @param {string} preset - 色の選択肢
+ * @param {Object} range - 色の範囲
+ * @returns {Object} 更新した設定
+ * @throws {Error} プロファイルが多すぎる場合
+ */
+function upsertInkColorProfile(settings, name, preset, range) {
+    const exists = settings.profiles.some(profile => profile.name === name);
+    if (!exists && settings.profiles.length >= MAX_INK_COLOR_PROFILES) {
+        throw new Error(`プロファイルは${MAX_INK_COLOR_PROFILES}件まで保存できます。不要なプロファイルを削除してください。`);
+    }
+    const profile = { name, preset: normalizeInkColorPreset(preset), range: normalizeInkColorRange(range) };
+    return {
+        ...settings,
+        profiles: exists
+            ? settings.profiles.map(p => p.name === name ? profile : p)
+            : [...settings.profiles, profile]
+    };
+}
+
+/**
+ * スポイトで選んだ色から色の範囲を作成
+ * 彩度・明度の下限は選んだ色の半分にして、同じインクの薄い部分も含める
+ * @param {number} r - 赤（0〜255）
+ * @param {number} g - 緑（0〜255）
+ * @param {number} b - 青（0〜255）
+ * @param {number} hueTolerance - 色相の許容範囲（現在の設定を引き継ぐ）
+ * @returns {Object} 色の範囲
+ * @throws {Error} 白・黒・灰色に近く、色相を判定できない場合
+ */
+function inkColorRangeFromSample(r, g, b, hueTolerance) {
+    const { h, s, v } = rgbToHsv(r, g, b);
+    if (s < MIN_INK_SAMPLE_SATURATION || v < MIN_INK_SAMPLE_SATURATION) {
+        throw new Error('選んだ部分は白・黒・灰色に近いため、色を判定できません。色の付いた文字の上をクリックしてください。');
+    }
+    return normalizeInkColorRange({
+        hue: h % 360,
+        hueTolerance,
+        minSaturation: s / 2,
+        minValue: v / 2
+    });
+}
+
+/**
+ * 画像のピクセルを文字の色の範囲で白黒に変換（範囲内を黒、それ以外を白）
+ * @param {Uint8ClampedArray} data - ImageDataのRGBA配列（書き換える）
+ * @param {Object} range - 色の範囲
+ * @returns {number} 範囲に入ったピクセルの数
+ */
+function applyInkColorMask(data, range) {
+    let matched = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        const value = matchesInkColor(data[i], data[i + 1], data[i + 2], range) ? 0 : 255;
+        if (value === 0) matched++;
+        data[i] = value;
+        data[i + 1] = value;
+        data[i + 2] = value;
+        data[i + 3] = 255;
+    }
+    return matched;
+}
+
+/**
+ * 指定した色の文字を抽出
+ * 画像から指定した色のテキストのみを抽出し、OCR用のキャンバス（白地に黒い文字）を生成
+ * @param {HTMLImageElement} img - ソース画像
+ * @param {Object} range - 色の範囲（{ hue, hueTolerance, minSaturation, minValue }）
+ * @returns {HTMLCanvasElement} 指定した色の文字のみを含むキャンバス
+ */
+function extractColorText(img, range) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    canvas.width = img.width;
+    canvas.height = img.height;
+    ctx.drawImage(img, 0, 0);
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    applyInkColorMask(imageData.data, normalizeInkColorRange(range));
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+// インポート画面: 文字の色の選択肢・スライダー・プロファイルを前回の設定で表示
+function initInkColorOptions() {
+    const settings = loadInkColorSettings();
+    const select = document.getElementById('ink-color-preset-select');
+    select.innerHTML = '';
+    [...Object.entries(INK_COLOR_PRESETS).map(([key, preset]) => [key, preset.label]), ['custom', 'カスタム']]
+        .forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    fillInkColorForm(settings.preset, settings.range);
+    renderInkColorProfileOptions(settings.profiles);
+    document.getElementById('ink-profile-name-input').value = '';
+    setInkEyedropperActive(false);
+}
+
+// インポート画面: 色の選択肢と範囲をフォームに表示してマスクのプレビューを更新
+function fillInkColorForm(preset, range) {
+    document.getElementById('ink-color-preset-select').value = preset;
+    document.getElementById('ink-hue-input').value = range.hue;
+    document.getElementById('ink-hue-tolerance-input').value = range.hueTolerance;
+    document.getElementById('ink-min-saturation-input').value = range.minSaturation;
+    document.getElementById('ink-min-value-input').value = range.minValue;
+    updateInkColorLabels();
+    renderInkMaskPreview();
+}
+
+// インポート画面: フォームに入力された色の選択肢と範囲
+function readInkColorForm() {
+    return {
+        preset: normalizeInkColorPreset(document.getElementById('ink-color-preset-select').value),
+        range: normalizeInkColorRange({
+            hue: document.getElementById('ink-hue-input').value,
+            hueTolerance: document.getElementById('ink-hue-tolerance-input').value,
+            minSaturation: document.getElementById('ink-min-saturation-input').value,
+            minValue: document.getElementById('ink-min-value-input').value
+        })
+    };
+}
+
+/**
+ * インポート画面で指定した色の範囲を取得（次回のために保存）
+ * @returns {Object} 色の範囲
+ */
+function readImportInkColor() {
+    const { preset, range } = readInkColorForm();
+    try {
+        saveInkColorSettings({ ...loadInkColorSettings(), preset, range });
+    } catch (e) {
+        // 設定を保存できなくてもインポートは続ける
+        console.error(e);
+    }
+    return range;
+}
+
+// インポート画面: スライダーの値と色見本を表示
+function updateInkColorLabels() {
+    const { range } = readInkColorForm();
+    document.getElementById('ink-hue-value').textContent = `${range.hue}°`;
+    document.getElementById('ink-hue-tolerance-value').textContent = `±${range.hueTolerance}°`;
+    document.getElementById('ink-min-saturation-value').textContent = `${range.minSaturation}%`;
+    document.getElementById('ink-min-value-value').textContent = `${range.minValue}%`;
+    document.getElementById('ink-color-swatch').style.backgroundColor = `hsl(${range.hue}, 80%, 45%)`;
+}
+
+// インポート画面: 選択中の画像（プレビューの大きさ）に色の範囲を適用したマスクを表示
+function renderInkMaskPreview() {
+    const maskCanvas = document.getElementById('ink-mask-canvas');
+    const status = document.getElementById('ink-mask-status');
+    const previewCanvas = document.getElementById('preview-canvas');
+    const previewCtx = selectedImage ? previewCanvas.getContext('2d') : null;
+    const maskCtx = previewCtx ? maskCanvas.getContext('2d') : null;
+    if (!maskCtx || previewCanvas.width === 0 || previewCanvas.height === 0) {
+        maskCanvas.classList.add('hidden');
+        status.textContent = '';
+        return;
+    }
+
+    const imageData = previewCtx.getImageData(0, 0, previewCanvas.width, previewCanvas.height);
+    const matched = applyInkColorMask(imageData.data, readInkColorForm().range);
+    maskCanvas.width = previewCanvas.width;
+    maskCanvas.height = previewCanvas.height;
+    maskCtx.putImageData(imageData, 0, 0);
+    maskCanvas.classList.remove('hidden');
+
+    const ratio = (matched / (previewCanvas.width * previewCanvas.height)) * 100;
+    status.textContent = `抽出される部分（黒）: 画像の${ratio.toFixed(1)}%`;
+}
+
+// インポート画面: スポイトのオン・オフ
+function setInkEyedropperActive(active) {
+    const button = document.getElementById('ink-eyedropper-btn');
+    button.setAttribute('aria-pressed', String(active));
+    button.textContent = active ? 'スポイトを終了' : 'スポイトで色を選ぶ';
+    document.getElementById('preview-canvas').classList.toggle('eyedropper-active', active);
+}
+
+/**
+ * キャンバスの指定した位置の周辺の平均色を取得
+ * @param {HTMLCanvasElement} canvas - キャンバス
+ * @param {number} x - X座標（キャンバスのピクセル）
+ * @param {number} y - Y座標（キャンバスのピクセル）
+ * @returns {Object|null} { r, g, b }（取得できない場合はnull）
+ */
+function sampleCanvasColor(canvas, x, y) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+
+    const left = Math.max(0, Math.floor(x) - INK_EYEDROPPER_RADIUS);
+    const top = Math.max(0, Math.floor(y) - INK_EYEDROPPER_RADIUS);
+    const width = Math.min(canvas.width, Math.floor(x) + INK_EYEDROPPER_RADIUS + 1) - left;
+    const height = Math.min(canvas.height, Math.floor(y) + INK_EYEDROPPER_RADIUS + 1) - top;
+    if (width <= 0 || height <= 0) return null;
+
+    const data = ctx.getImageData(left, top, width, height).data;
+    const sum = { r: 0, g: 0, b: 0 };
+    for (let i = 0; i < data.length; i += 4) {
+        sum.r += data[i];
+        sum.g += data[i + 1];
+        sum.b += data[i + 2];
+    }
+    const count = data.length / 4;
+    return { r: sum.r / count, g: sum.g / count, b: sum.b / count };
+}
+
+// インポート画面: プロファイルの選択肢を表示
+function renderInkColorProfileOptions(profiles, selectedName = '') {
+    const select = document.getElementById('ink-profile-select');
+    select.innerHTML = '<option value="">（プロファイルを選択）</option>';
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    });
+    select.value = selectedName;
+}
+
+// インポート画面: 色の選択（カスタムの場合は現在の範囲のまま）
+document.getElementById('ink-color-preset-select').addEventListener('change', (event) => {
+    const preset = normalizeInkColorPreset(event.target.value);
+    const range = preset === 'custom' ? readInkColorForm().range : INK_COLOR_PRESETS[preset].range;
+    fillInkColorForm(preset, range);
+});
+
+// インポート画面: スライダーを動かすとカスタムの色にしてマスクのプレビューを更新
+['ink-hue-input', 'ink-hue-tolerance-input', 'ink-min-saturation-input', 'ink-min-value-input'].forEach(id => {
+    document.getElementById(id).addEventListener('input', () => {
+        document.getElementById('ink-color-preset-select').value = 'custom';
+        updateInkColorLabels();
+        renderInkMaskPreview();
+    });
+});
+
+// インポート画面: スポイトボタン
+document.getElementById('ink-eyedropper-btn').addEventListener('click', () => {
+    if (!selectedImage) {
+        alert('先に画像を選択してください');
+        return;
+    }
+    setInkEyedropperActive(document.getElementById('ink-eyedropper-btn').getAttribute('aria-pressed') !== 'true');
+});
+
+// インポート画面: スポイトで画像のプレビューから文字の色を選ぶ
+document.getElementById('preview-canvas').addEventListener('click', (event) => {
+    if (document.getElementById('ink-eyedropper-btn').getAttribute('aria-pressed') !== 'true') return;
+
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+    // 表示サイズとキャンバスのピクセル数の違いを補正
+    const color = sampleCanvasColor(
+        canvas,
+        (event.clientX - rect.left) * (canvas.width / rect.width),
+        (event.clientY - rect.top) * (canvas.height / rect.height)
+    );
+    if (!color) return;
+
+    try {
+        const range = inkColorRangeFromSample(color.r, color.g, color.b, readInkColorForm().range.hueTolerance);
+        fillInkColorForm('custom', range);
+        setInkEyedropperActive(false);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// インポート画面: プロファイルの保存ボタン（本ごとに色の設定を保存）
+document.getElementById('save-ink-profile-btn').addEventListener('click', () => {
+    const name = sanitizeInput(document.getElementById('ink-profile-name-input').value, 30);
+    if (!name) {
+        alert('プロファイル名を入力してください');
+        return;
+    }
+
+    try {
+        const settings = loadInkColorSettings();
+        if (settings.profiles.some(profile => profile.name === name) && !confirm(`プロファイル「${name}」を上書きしますか？`)) {
+            return;
+        }
+        const { preset, range } = readInkColorForm();
+        const updated = upsertInkColorProfile(settings, name, preset, range);
+        saveInkColorSettings(updated);
+        renderInkColorProfileOptions(updated.profiles, name);
+        document.getElementById('ink-profile-name-input').value = '';
+        updateImportStatus(`プロファイル「${name}」を保存しました`);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// インポート画面: プロファイルの読み込みボタン
+document.getElementById('load-ink-profile-btn').addEventListener('click', () => {
+    const name = document.getElementById('ink-profile-select').value;
+    const profile = loadInkColorSettings().profiles.find(p => p.name === name);
+    if (!profile) {
+        alert('プロファイルを選択してください');
+        return;
+    }
+    fillInkColorForm(profile.preset, profile.range);
+});
+
+// インポート画面: プロファイルの削除ボタン
+document.getElementById('delete-ink-profile-btn').addEventListener('click', () => {
+    const name = document.getElementById('ink-profile-select').value;
+    if (!name) {
+        alert('プロファイルを選択してください');
+        return;
+    }
+    if (!confirm(`プロファイル「${name}」を削除しますか？`)) return;
+
+    try {
+        const settings = loadInkColorSettings();
+        const updated = { ...settings, profiles: settings.profiles.filter(profile => profile.name !== name) };
+        saveInkColorSettings(updated);
+        renderInkColorProfileOptions(updated.profiles);
+        updateImportStatus(`プロファイル「${name}」を削除しました`);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// OCRプロバイダー
+const OCR_PROVIDER_KEY = 'OCR_PROVIDER';
+const DEFAULT_OCR_PROVIDER_ID = 'gemini';
+
+// Tesseract.js（端末内OCR）の設定（パスはindex.htmlからの相対パス。tessdataはnpm install時に作成される）
+const TESSERACT_CONFIG = {
+    scriptPath: 'tesseract/tesseract.min.js',
+    workerPath: 'tesseract/worker.min.js',
+    corePath: 'tesseract/core',
+    langPath: 'tessdata',
+    languages: 'jpn+eng'
+};
+
+/**
+ * OCRプロバイダーの一覧
+ * recognize(canvas)は認識結果 { text: テキスト全体, lines: 行の配列 } を返す
+ */
+const OCR_PROVIDERS = {
+    gemini: {
+        label: 'Gemini API（オンライン、API Keyが必要）',
+        recognize: recognizeWithGemini
+    },
+    tesseract: {
+        label: 'Tesseract.js（端末内で処理、オフラインで使用可能）',
+        recognize: recognizeWithTesseract
+    }
+};
+
+/**
+ * OCRプロバイダーを登録（同じIDのプロバイダーは置き換える）
+ * @param {string} id - プロバイダーID
+ * @param {Object} provider - { label, recognize(canvas) }
+ * @throws {Error} recognizeが関数でない場合
+ */
+function registerOcrProvider(id, provider) {
+    if (!provider || typeof provider.recognize !== 'function') {
+        throw new Error(`OCRプロバイダー「${id}」にrecognize関数がありません。`);
+    }
+    OCR_PROVIDERS[id] = { label: provider.label || id, recognize: provider.recognize };
+}
+
+// 選択中のOCRプロバイダーIDを読み込む（未登録のIDはデフォルトに戻す）
+function loadOcrProviderId() {
+    const id = localStorage.getItem(OCR_PROVIDER_KEY);
+    return id && OCR_PROVIDERS[id] ? id : DEFAULT_OCR_PROVIDER_ID;
+}
+
+// 選択したOCRプロバイダーIDを保存
+function saveOcrProviderId(id) {
+    if (!OCR_PROVIDERS[id]) {
+        throw new Error('不明なOCRエンジンです。');
+    }
+    try {
+        localStorage.setItem(OCR_PROVIDER_KEY, id);
+    } catch (e) {
+        handleStorageError(e, 'OCRエンジンの設定');
+    }
+}
+
+// 認識したテキストをOCRの結果の形式にする
+function toOcrResult(text) {
+    return {
+        text,
+        lines: text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0)
+    };
+}
+
+/**
+ * 画像を認識（設定画面で選択したプロバイダーを使用）
+ * @param {HTMLCanvasElement} canvas - OCR対象のキャンバス
+ * @param {string} providerId - プロバイダーID（デフォルト: 設定画面で選択したもの）
+ * @param {Object} options - プロバイダーに渡すオプション（{ prompt }: Gemini APIに送るプロンプト）
+ * @returns {Promise<Object>} { text, lines, cards }（cardsは問題・解答の組を直接返すプロバイダーの場合のみ）
+ * @throws {Error} 認識の失敗、テキストが空・大きすぎる場合
+ */
+async function recognizeImage(canvas, providerId = loadOcrProviderId(), options = {}) {
+    const provider = OCR_PROVIDERS[providerId];
+    if (!provider) {
+        throw new Error('不明なOCRエンジンです。設定画面で選択し直してください。');
+    }
+
+    const result = await provider.recognize(canvas, options);
+    const text = typeof result?.text === 'string'
+        ? result.text
+        : (Array.isArray(result?.lines) ? result.lines.join('\n') : '');
+
+    if (text.trim().length === 0) {
+        throw new Error('画像から文字を認識できませんでした。別の画像を試してください。');
+    }
+    if (text.length > MAX_IMPORT_TEXT_LENGTH) {
+        throw new Error('認識したテキストが大きすぎます。画像サイズを小さくしてください。');
+    }
+    return {
+        ...toOcrResult(text),
+        cards: Array.isArray(result.cards) ? result.cards : null
+    };
+}
+
+/**
+ * OCRで受け取った問題・解答の組をカードにする
+ * 補足（note）は解答の判定や選択肢に混ざらないよう、別のフィールドに保存する
+ * @param {Array} pairs - [{ question, answer, note }]
+ * @param {string} category - カテゴリ名
+ * @returns {Array} カードの配列
+ */
+function structuredPairsToCards(pairs, category) {
+    return pairs.map(pair => ({
+        id: generateUniqueId(),
+        category,
+        question: pair.question,
+        answer: pair.answer,
+        ...(pair.note ? { note: pair.note } : {})
+    }));
+}
+
+// 解答エリアにカードの補足を表示（補足がなければ隠す）
+function showAnswerNote(card) {
+    const noteElement = document.getElementById('answer-note');
+    noteElement.textContent = card && card.note ? card.note : '';
+    noteElement.classList.toggle('hidden', !noteElement.textContent);
+}
+
+/**
+ * Gemini Vision APIで文字認識
+ * 問題・解答の組をJSON（構造化出力）で受け取り、読み込めない場合だけテキストで再取得する
+ * @param {HTMLCanvasElement} canvas - OCR対象のキャンバス
+ * @param {Object} options - { prompt }（省略時は組み込みの単語帳のテンプレート）
+ * @returns {Promise<Object>} { text, lines, cards }（cardsは構造化された応答を読み込めた場合のみ）
+ * @throws {Error} APIキー未設定、ネットワークエラー、APIエラー
+ */
+async function recognizeWithGemini(canvas, options = {}) {
+    const apiKey = loadApiKey();
+    if (!apiKey && !usesCustomGeminiBaseUrl(loadGeminiSettings())) {
+        throw new Error('Gemini API Keyが設定されていません。設定画面から設定してください。');
+    }
+
+    // キャンバスをbase64エンコード
+    const base64Image = canvas.toDataURL('image/png').split(',')[1];
+
+    const prompt = options.prompt || renderPromptTemplate(BUILTIN_PROMPT_TEMPLATES[0].body, DEFAULT_PROMPT_VALUES);
+
+    updateImportStatus('Gemini APIで画像を解析中...');
+    let structuredText = null;
+    try {
+        structuredText = await requestGeminiText(apiKey, base64Image, `${prompt}\n\n${GEMINI_API_CONFIG.structuredInstruction}`, {
+            responseMimeType: 'application/json',
+            responseSchema: GEMINI_API_CONFIG.responseSchema
+        });
+    } catch (error) {
+        // 構造化出力に対応していないモデルは400（INVALID_ARGUMENT）を返すため、テキストで取得し直す
+        // 認証エラーやリクエスト上限などはテキストでも失敗するのでそのまま通知する
+        if (error.status !== 400) throw error;
+        console.warn('Gemini API rejected the structured output request:', error);
+    }
+
+    if (structuredText !== null) {
+        try {
+            const cards = parseStructuredCardResponse(structuredText);
+            return { ...toOcrResult(cards.map(card => `${card.question} → ${card.answer}`).join('\n')), cards };
+        } catch (error) {
+            // APIのエラーではなく応答の形式の問題なので、テキストで出力させて読み込み直す
+            console.warn('Failed to read structured response from Gemini API:', error);
+        }
+    }
+
+    updateImportStatus('Gemini APIでテキストとして再解析中...');
+    return toOcrResult(await requestGeminiText(apiKey, base64Image, `${prompt}\n\n${GEMINI_API_CONFIG.textInstruction}`));
+}
+
+/**
+ * Gemini APIへの接続をテスト（画像を送らず短いプロンプトだけを送る）
+ * @param {string} apiKey - Gemini API Key
+ * @param {Object} settings - テストするモデル・接続先・生成パラメータ
+ * @returns {Promise<string>} 応答のテキスト
+ * @throws {Error} ネットワークエラー、APIエラー、応答が不正な場合
+ */
+async function testGeminiConnection(apiKey, settings) {
+    return requestGeminiText(apiKey, null, GEMINI_API_CONFIG.connectionTestPrompt, null, settings);
+}
+
+/**
+ * Gemini APIの構造化された応答（問題・解答・補足の配列）を厳密に検証
+ * @param {string} text - 応答のJSONテキスト
+ * @returns {Array} [{ question, answer, note }]（noteは空文字の場合あり）
+ * @throws {Error} JSONとして読み込めない場合や、スキーマに合わない要素がある場合
+ */
+function parseStructuredCardResponse(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('JSONとして読み込めません。');
+    }
+
+    if (!Array.isArray(data)) {
+        throw new Error('配列ではありません。');
+    }
+    if (data.length > GEMINI_API_CONFIG.maxStructuredCards) {
+        throw new Error(`カードが多すぎます（${GEMINI_API_CONFIG.maxStructuredCards}件まで）。`);
+    }
+
+    return data.map((item, index) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            throw new Error(`${index + 1}件目がオブジェクトではありません。`);
+        }
+        const unknownKeys = Object.keys(item).filter(key => !['question', 'answer', 'note'].includes(key));
+        if (unknownKeys.length > 0) {
+            throw new Error(`${index + 1}件目に不明な項目があります（${unknownKeys.join(', ')}）。`);
+        }
+        if (typeof item.question !== 'string' || typeof item.answer !== 'string' ||
+            (item.note !== undefined && typeof item.note !== 'string')) {
+            throw new Error(`${index + 1}件目の項目が文字列ではありません。`);
+        }
+
+        const card = {
+            question: sanitizeInput(item.question),
+            answer: sanitizeInput(item.answer),
+            note: sanitizeInput(item.note || '')
+        };
+        if (!card.question || !card.answer) {
+            throw new Error(`${index + 1}件目の問題または解答が空です。`);
+        }
+        return card;
+    });
+}
+
+/**
+ * Gemini APIに画像とプロンプトを送り、応答のテキストを取得
+ * @param {string} apiKey - Gemini API Key
+ * @param {string|null} base64Image - PNG画像（base64）。nullの場合はプロンプトのみ送る
+ * @param {string} prompt - プロンプト
+ * @param {Object|null} generationConfig - 生成の設定（構造化出力のスキーマなど）
+ * @param {Object} settings - モデル・接続先・生成パラメータ（デフォルト: 設定画面で保存したもの）
+ * @returns {Promise<string>} 応答のテキスト
+ * @throws {Error} ネットワークエラー、APIエラー、応答が不正な場合
+ */
+async function requestGeminiText(apiKey, base64Image, prompt, generationConfig = null, settings = loadGeminiSettings()) {
+    const parts = [{ text: prompt }];
+    if (base64Image) {
+        parts.push({
+            inline_data: {
+                mime_type: 'image/png',
+                data: base64Image
+            }
+        });
+    }
+
+    const response = await fetch(getGeminiEndpoint(settings), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            // セキュリティ向上: URLではなくヘッダーでAPI keyを送信（API Keyが不要なプロキシでは送らない）
+            ...(apiKey ? { 'x-goog-api-key': apiKey } : {})
+        },
+        body: JSON.stringify({
+            contents: [{ parts }],
+            generationConfig: {
+                temperature: settings.temperature,
+                maxOutputTokens: settings.maxOutputTokens,
+                ...generationConfig
+            }
+        })
+    });
+
+    if (!response.ok) {
+        // レート制限エラーの特別処理
+        if (response.status === 429) {
+            throw new Error('APIのリクエスト上限に達しました。しばらく時間をおいてから再度お試しください。');
+        }
+
+        // 認証エラーの特別処理
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('API Keyが無効です。設定画面で正しいAPI Keyを設定してください。');
+        }
+
+        // モデルの提供終了やURLの誤り
+        if (response.status === 404) {
+            throw new Error(`モデル「${settings.model}」またはAPIのURLが見つかりません。設定画面でモデルとURLを確認してください。`);
+        }
+
+        let errorMessage = response.statusText;
+        try {
+            const errorData = await response.json();
+            errorMessage = errorData.error?.message || errorMessage;
+        } catch (e) {
+            // JSONパースエラーは無視してstatusTextを使用
+            console.error('Failed to parse error response:', e);
+        }
+        const error = new Error(`Gemini API error: ${errorMessage}`);
+        error.status = response.status; // 呼び出し元でリクエストの内容の誤り（400）を判別できるようにする
+        throw error;
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        throw new Error('Gemini APIからのレスポンスの解析に失敗しました。ネットワーク接続を確認してください。');
+    }
+
+    // レスポンスからテキストを抽出
+    // レスポンス構造の詳細バリデーション
+    if (!data.candidates || !Array.isArray(data.candidates) || data.candidates.length === 0) {
+        throw new Error('Gemini APIからのレスポンスが不正です（candidates配列が存在しません）。画像の内容を確認してください。');
+    }
+
+    const candidate = data.candidates[0];
+    if (!candidate?.content?.parts || !Array.isArray(candidate.content.parts) || candidate.content.parts.length === 0) {
+        throw new Error('Gemini APIからのレスポンスが不正です（parts配列が存在しません）。画像の内容を確認してください。');
+    }
+
+    const textPart = candidate.content.parts[0];
+    if (!textPart?.text || typeof textPart.text !== 'string') {
+        throw new Error('Gemini APIからのレスポンスが不正です（テキストデータが存在しません）。画像の内容を確認してください。');
+    }
+
+    const extractedText = textPart.text;
+
+    // レスポンス内容のバリデーション
+    if (extractedText.trim().length === 0) {
+        throw new Error('APIから空のレスポンスが返されました。画像に認識可能なテキストがあるか確認してください。');
+    }
+
+    // 異常に大きなレスポンスをチェック（100KB以上）
+    if (extractedText.length > MAX_IMPORT_TEXT_LENGTH) {
+        throw new Error('レスポンスが大きすぎます。画像サイズを小さくしてください。');
+    }
+
+    return extractedText;
+}
+
+// Tesseract.jsの読み込み状態（言語データの読み込みに時間がかかるため、ワーカーは使い回す）
+let tesseractLibraryPromise = null;
+let tesseractWorkerPromise = null;
+
+// Tesseract.jsのスクリプトを読み込む（初めて使うときだけ）
+function loadTesseractLibrary() {
+    if (window.Tesseract) return Promise.resolve(window.Tesseract);
+    if (!tesseractLibraryPromise) {
+        tesseractLibraryPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = TESSERACT_CONFIG.scriptPath;
+            script.onload = () => resolve(window.Tesseract);
+            script.onerror = () => {
+                tesseractLibraryPromise = null;
+                script.remove();
+                reject(new Error('Tesseract.jsを読み込めませんでした。npm installを実行したか確認してください。'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return tesseractLibraryPromise;
+}
+
+// Tesseract.jsのワーカーを作成（ワーカーはBlob URLから起動するため、パスは絶対URLにする）
+function getTesseractWorker() {
+    if (!tesseractWorkerPromise) {
+        const toUrl = (path) => new URL(path, window.location.href).href;
+        tesseractWorkerPromise = loadTesseractLibrary()
+            .then(Tesseract => Tesseract.createWorker(TESSERACT_CONFIG.languages, Tesseract.OEM.LSTM_ONLY, {
+                workerPath: toUrl(TESSERACT_CONFIG.workerPath),
+                corePath: toUrl(TESSERACT_CONFIG.corePath),
+                langPath: toUrl(TESSERACT_CONFIG.langPath),
+                logger: (message) => {
+                    if (message.status === 'recognizing text') {
+                        updateImportStatus(`端末内で文字を認識中... ${Math.round(message.progress * 100)}%`);
+                    }
+                }
+            }))
+            .catch(error => {
+                tesseractWorkerPromise = null;
+                throw new Error('端末内のOCRを準備できませんでした。アプリをWebサーバー経由で開いているか確認してください: ' + (error?.message || error));
+            });
+    }
+    return tesseractWorkerPromise;
+}
+
+// 日本語の文字の間に入る空白を取り除く（Tesseractは日本語の文字を空白で区切って出力するため）
+function removeSpacesBetweenJapanese(text) {
+    const japanese = '\u3000-\u30ff\u3400-\u9fff\uff01-\uff60';
+    return text.replace(new RegExp(`([${japanese}])[ \t]+(?=[${japanese}])`, 'g'), '$1');
+}
+
+/**
+ * Tesseract.js（jpn+eng）で端末内の文字認識（API Key不要、オフラインで使用可能）
+ * @param {HTMLCanvasElement} canvas - OCR対象のキャンバス
+ * @returns {Promise<Object>} { text, lines }
+ * @throws {Error} Tesseract.jsや言語データを読み込めない場合
+ */
+async function recognizeWithTesseract(canvas) {
+    updateImportStatus('端末内のOCRを準備中...（初回は言語データの読み込みに時間がかかります）');
+    const worker = await getTesseractWorker();
+    const { data } = await worker.recognize(canvas);
+    return toOcrResult(removeSpacesBetweenJapanese(data?.text || ''));
+}
+
+// インポート画面: 貼り付けたテキストから読み込む（OCRを使わないためAPIキーは不要）
+document.getElementById('parse-text-btn').addEventListener('click', async () => {
+    const text = document.getElementById('import-text-input').value;
+    const previewDiv = document.getElementById('import-preview');
+    tableImportRows = [];
+    document.getElementById('column-mapping').classList.add('hidden');
+
+    if (!text.trim()) {
+        previewDiv.innerHTML = '';
+        updateImportStatus('テキストを貼り付けてください。');
+        return;
+    }
+    if (text.length > MAX_IMPORT_TEXT_LENGTH) {
+        previewDiv.innerHTML = '';
+        updateImportStatus(`テキストが長すぎます（${MAX_IMPORT_TEXT_LENGTH}文字まで）。分けて読み込んでください。`);
+        return;
+    }
+
+    extractedCards = parseTextToCards(text);
+    if (extractedCards.length === 0) {
+        previewDiv.innerHTML = '';
+        updateImportStatus('カードにできる行が見つかりませんでした。「問題 → 解答」のような形式か確認してください。');
+        return;
+    }
+
+    await showExtractedCardsPreview();
+});
+
+// テキストの読み込みルール
+const PARSER_SETTINGS_KEY = 'PARSER_SETTINGS';
+
+/**
+ * 問題と解答を分ける区切り文字の選択肢（この順に探し、最初に見つかった種類の最初の位置で分ける）
+ * 'custom'は読み込みルールのcustomSeparatorを使う
+ */
+const PARSER_SEPARATORS = {
+    custom: { label: 'カスタム', values: [] },
+    arrow: { label: '矢印（→ ⇒）', values: ['→', '⇒'] },
+    tab: { label: 'タブ', values: ['\t'] },
+    equals: { label: 'イコール（= ＝）', values: ['=', '＝'] },
+    colon: { label: 'コロン（: ：）', values: [':', '：'] },
+    spacedHyphen: { label: '前後に空白のあるハイフン（ - ）', values: [' - ', ' － '] },
+    hyphen: { label: 'ハイフン（- －）', values: ['-', '－'] }
+};
+
+const DEFAULT_PARSER_RULES = {
+    separators: ['arrow', 'colon', 'spacedHyphen'], // 使う区切り文字（「well-known」などを分けないよう、ハイフンは前後に空白がある場合だけ）
+    customSeparator: '', // カスタムの区切り文字
+    questionSide: 'left', // 問題の位置: 'left'（区切りの前）| 'right'（区切りの後）
+    splitOnWhitespace: true, // 区切り文字がない行を最初の空白で分ける
+    multiLine: 'pair', // 分けられない行の扱い: 'pair'（次の行と問題・解答の組にする）| 'append'（前のカードの解答に続ける）| 'ignore'
+    stripLineNumbers: false // 行頭の番号（「12.」「(3)」「①」など）を取り除く
+};
+
+const PARSER_MULTI_LINE_MODES = ['pair', 'append', 'ignore'];
+const PARSER_APPEND_SEPARATOR = '; '; // 続きの行をつなぐ区切り（カードは1行で表示するため改行は使わない。入力式の正解の区切り（ANSWER_SEPARATOR_PATTERN）は使わない）
+const MAX_PARSER_PRESETS = 20;
+const LINE_NUMBER_PATTERN = /^(?:[(（]\d+[)）]|\d+[.．、)）]|\d+(?=\s)|[①-⑳])\s*/;
+
+/**
+ * 読み込みルールを検証し、不足や不正な値をデフォルトで補う
+ * @param {Object} rules - 読み込みルール
+ * @returns {Object} 検証済みの読み込みルール
+ */
+function normalizeParserRules(rules) {
+    const source = rules && typeof rules === 'object' ? rules : {};
+    const separators = Array.isArray(source.separators)
+        ? Object.keys(PARSER_SEPARATORS).filter(key => source.separators.includes(key))
+        : [...DEFAULT_PARSER_RULES.separators];
+    return {
+        separators,
+        customSeparator: typeof source.customSeparator === 'string' ? source.customSeparator : '',
+        questionSide: source.questionSide === 'right' ? 'right' : 'left',
+        splitOnWhitespace: typeof source.splitOnWhitespace === 'boolean' ? source.splitOnWhitespace : DEFAULT_PARSER_RULES.splitOnWhitespace,
+        multiLine: PARSER_MULTI_LINE_MODES.includes(source.multiLine) ? source.multiLine : DEFAULT_PARSER_RULES.multiLine,
+        stripLineNumbers: source.stripLineNumbers === true
+    };
+}
+
+// 読み込みルールとプリセットの読み込み（{ rules, presets: [{ name, rules }] }）
+function loadParserSettings() {
+    try {
+        const data = JSON.parse(localStorage.getItem(PARSER_SETTINGS_KEY) || '{}');
+        const presets = Array.isArray(data.presets)
+            ? data.presets
+                .filter(preset => preset && typeof preset.name === 'string' && preset.name)
+                .map(preset => ({ name: preset.name, rules: normalizeParserRules(preset.rules) }))
+            : [];
+        return { rules: normalizeParserRules(data.rules), presets };
+    } catch (e) {
+        console.error('Failed to parse parser settings from localStorage:', e);
+        return { rules: normalizeParserRules(DEFAULT_PARSER_RULES), presets: [] };
+    }
+}
+
+// 読み込みルールとプリセットの保存
+function saveParserSettings(settings) {
+    try {
+        localStorage.setItem(PARSER_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        handleStorageError(e, '読み込みルール');
+    }
+}
+
+/**
+ * 名前を付けてプリセットを保存（同じ名前のプリセットは上書き）
+ * @param {Object} settings - loadParserSettings()の結果
+ * @param {string} name - プリセット名
+ * @param {Object} rules - 読み込みルール
+ * @returns {Object} 更新後の設定
+ * @throws {Error} プリセットが多すぎる場合
+ */
+function upsertParserPreset(settings, name, rules) {
+    const exists = settings.presets.some(preset => preset.name === name);
+    if (!exists && settings.presets.length >= MAX_PARSER_PRESETS) {
+        throw new Error(`プリセットは${MAX_PARSER_PRESETS}件まで保存できます。不要なプリセットを削除してください。`);
+    }
+    const preset = { name, rules: normalizeParserRules(rules) };
+    return {
+        ...settings,
+        presets: exists
+            ? settings.presets.map(p => p.name === name ? preset : p)
+            : [...settings.presets, preset]
+    };
+}
+
+/**
+ * 行を区切り文字で問題側と解答側に分ける
+ * 区切り文字は選択肢の順に探し、最初に見つかった種類の最初の位置だけで分ける（解答の中の「:」などはそのまま残る）
+ * @param {string} line - 行
+ * @param {Object} rules - 読み込みルール
+ * @returns {Array|null} [左側, 右側]、分けられない場合はnull
+ */
+function splitLineBySeparator(line, rules) {
+    for (const key of rules.separators) {
+        const values = key === 'custom'
+            ? (rules.customSeparator ? [rules.customSeparator] : [])
+            : PARSER_SEPARATORS[key].values;
+
+        let best = null;
+        values.forEach(value => {
+            const index = line.indexOf(value);
+            if (index !== -1 && (!best || index < best.index)) best = { index, length: value.length };
+        });
+        if (!best) continue;
+
+        const left = line.substring(0, best.index).trim();
+        const right = line.substring(best.index + best.length).trim();
+        if (left && right) return [left, right];
+    }
+    return null;
+}
+
+/**
+ * 読み込みルールに従ってテキストをカード配列に変換
+ * @param {string} text - 解析するテキスト
+ * @param {Object} rules - 読み込みルール
+ * @param {string} category - カードのカテゴリ
+ * @returns {Array} カード配列
+ */
+function parseTextWithRules(text, rules, category) {
+    const cards = [];
+    // 改行とタブも制御文字として除去されるため、行とタブで分けてからサニタイズする
+    const lines = (text || '').substring(0, MAX_IMPORT_TEXT_LENGTH).split(/\r?\n/)
+        .map(line => line.split('\t').map(part => sanitizeInput(part, MAX_IMPORT_TEXT_LENGTH)).join('\t').trim())
+        .map(line => rules.stripLineNumbers ? line.replace(LINE_NUMBER_PATTERN, '') : line)
+        .filter(line => line.length > 0);
+
+    // 1行から問題と解答を取り出す（区切り文字、または最初の空白で分ける）
+    const splitLine = (line) => {
+        const parts = splitLineBySeparator(line, rules);
+        if (parts) return parts;
+        if (!rules.splitOnWhitespace) return null;
+        const match = line.match(/^(\S+)\s+(\S[\s\S]*)$/);
+        return match ? [match[1], match[2].replace(/\s+/g, ' ')] : null;
+    };
+
+    const addCard = (left, right) => {
+        const sides = [left, right].map(side => side.replace(/\t/g, ' '));
+        const [question, answer] = rules.questionSide === 'right' ? sides.reverse() : sides;
+        cards.push({ id: generateUniqueId(), category, question, answer });
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const parts = splitLine(line);
+        if (parts) {
+            addCard(parts[0], parts[1]);
+            continue;
+        }
+
+        if (rules.multiLine === 'pair') {
+            // 次の行も分けられない場合は2行を問題と解答の組にする
+            if (i + 1 < lines.length && !splitLine(lines[i + 1])) {
+                addCard(line, lines[i + 1]);
+                i++; // 次の行をスキップ
+            }
+        } else if (rules.multiLine === 'append' && cards.length > 0) {
+            // 前のカードの解答（問題の位置が右の場合は問題）の続きとして扱う
+            const previous = cards[cards.length - 1];
+            const field = rules.questionSide === 'right' ? 'question' : 'answer';
+            previous[field] = `${previous[field]}${PARSER_APPEND_SEPARATOR}${line.replace(/\t/g, ' ')}`;
+        }
+    }
+
+    return cards;
+}
+
+/**
+ * テキストを解析してカード配列を作成（保存されている読み込みルールを使う）
+ * @param {string} text - 解析するテキスト
+ * @returns {Array} カード配列
+ */
+function parseTextToCards(text) {
+    return parseTextWithRules(text, loadParserSettings().rules, getImportCategory());
+}
+
+// インポート画面で入力されたカテゴリ（未入力の場合は「英単語」）
+function getImportCategory() {
+    const categoryRaw = document.getElementById('import-category-input').value.trim() || '英単語';
+    return sanitizeInput(categoryRaw);
+}
+
+// 設定画面: テキストの読み込みルール
+
+// 保存されている読み込みルールとプリセットをフォームに表示
+function initParserSettingsForm() {
+    const settings = loadParserSettings();
+    fillParserRulesForm(settings.rules);
+    renderParserPresetOptions(settings.presets);
+    document.getElementById('parser-preset-name-input').value = '';
+}
+
+/**
+ * 読み込みルールをフォームに反映してプレビューを更新
+ * @param {Object} rules - 読み込みルール
+ */
+function fillParserRulesForm(rules) {
+    const options = document.getElementById('parser-separator-options');
+    options.innerHTML = '';
+    Object.entries(PARSER_SEPARATORS).forEach(([key, separator]) => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'parser-separator-checkbox';
+        checkbox.value = key;
+        checkbox.checked = rules.separators.includes(key);
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${separator.label}`));
+        options.appendChild(label);
+    });
+
+    document.getElementById('parser-custom-separator-input').value = rules.customSeparator;
+    document.getElementById('parser-question-side-select').value = rules.questionSide;
+    document.getElementById('parser-split-whitespace-checkbox').checked = rules.splitOnWhitespace;
+    document.getElementById('parser-strip-numbers-checkbox').checked = rules.stripLineNumbers;
+    document.getElementById('parser-multi-line-select').value = rules.multiLine;
+    renderParserPreview();
+}
+
+/**
+ * フォームの入力から読み込みルールを作成
+ * @returns {Object} 読み込みルール
+ * @throws {Error} カスタムの区切り文字を選んで入力していない場合
+ */
+function readParserRulesForm() {
+    const separators = [...document.querySelectorAll('.parser-separator-checkbox:checked')].map(checkbox => checkbox.value);
+    // 区切り文字は前後の空白も意味を持つため、制御文字だけを取り除く
+    const customSeparator = document.getElementById('parser-custom-separator-input').value.replace(/[\x00-\x1F\x7F]/g, '');
+    if (separators.includes('custom') && !customSeparator.trim()) {
+        throw new Error('カスタムの区切り文字を入力してください。');
+    }
+
+    return normalizeParserRules({
+        separators,
+        customSeparator,
+        questionSide: document.getElementById('parser-question-side-select').value,
+        splitOnWhitespace: document.getElementById('parser-split-whitespace-checkbox').checked,
+        multiLine: document.getElementById('parser-multi-line-select').value,
+        stripLineNumbers: document.getElementById('parser-strip-numbers-checkbox').checked
+    });
+}
+
+/**
+ * プリセットの選択肢を表示
+ * @param {Array} presets - プリセットの配列
+ * @param {string} selectedName - 選択するプリセット名
+ */
+function renderParserPresetOptions(presets, selectedName = '') {
+    const select = document.getElementById('parser-preset-select');
+    select.innerHTML = '<option value="">（プリセットを選択）</option>';
+    presets.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = preset.name;
+        select.appendChild(option);
+    });
+    select.value = selectedName;
+}
+
+// プレビュー用のテキストを現在のフォームのルールで解析して表示
+function renderParserPreview() {
+    const preview = document.getElementById('parser-preview');
+    preview.innerHTML = '';
+
+    let rules;
+    try {
+        rules = readParserRulesForm();
+    } catch (error) {
+        preview.innerHTML = `<div class="parser-preview-empty">${escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    const cards = parseTextWithRules(document.getElementById('parser-sample-input').value, rules, '');
+    if (cards.length === 0) {
+        preview.innerHTML = '<div class="parser-preview-empty">カードにできる行がありません</div>';
+        return;
+    }
+
+    preview.innerHTML = `<div class="parser-preview-count">${cards.length}件のカード</div>`;
+    cards.forEach(card => {
+        const row = document.createElement('div');
+        row.className = 'parser-preview-row';
+        row.innerHTML = `
+            <span class="parser-preview-question">${escapeHtml(card.question)}</span>
+            <span class="parser-preview-answer">${escapeHtml(card.answer)}</span>
+        `;
+        preview.appendChild(row);
+    });
+}
+
+// 設定画面: 読み込みルールを変更したらプレビューを更新
+['input', 'change'].forEach(type => {
+    document.getElementById('parser-settings').addEventListener(type, (event) => {
+        if (event.target.id === 'parser-preset-name-input' || event.target.id === 'parser-preset-select') return;
+        renderParserPreview();
+    });
+});
+
+// 設定画面: 読み込みルールの保存ボタン
+document.getElementById('save-parser-settings-btn').addEventListener('click', () => {
+    try {
+        const rules = readParserRulesForm();
+        saveParserSettings({ ...loadParserSettings(), rules });
+        showSettingsStatus('テキストの読み込みルールを保存しました');
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// 設定画面: プリセットとして保存ボタン
+document.getElementById('save-parser-preset-btn').addEventListener('click', () => {
+    const name = sanitizeInput(document.getElementById('parser-preset-name-input').value, 30);
+    if (!name) {
+        alert('プリセット名を入力してください');
+        return;
+    }
+
+    try {
+        const settings = loadParserSettings();
+        if (settings.presets.some(preset => preset.name === name) && !confirm(`プリセット「${name}」を上書きしますか？`)) {
+            return;
+        }
+        const updated = upsertParserPreset(settings, name, readParserRulesForm());
+        saveParserSettings(updated);
+        renderParserPresetOptions(updated.presets, name);
+        document.getElementById('parser-preset-name-input').value = '';
+        showSettingsStatus(`プリセット「${name}」を保存しました`);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// 設定画面: プリセットの読み込みボタン（保存するまで読み込みには使われない）
+document.getElementById('load-parser-preset-btn').addEventListener('click', () => {
+    const name = document.getElementById('parser-preset-select').value;
+    const preset = loadParserSettings().presets.find(p => p.name === name);
+    if (!preset) {
+        alert('プリセットを選択してください');
+        return;
+    }
+    fillParserRulesForm(preset.rules);
+    showSettingsStatus(`プリセット「${name}」を読み込みました。「読み込みルールを保存」で使うルールになります`);
+});
+
+// 設定画面: プリセットの削除ボタン
+document.getElementById('delete-parser-preset-btn').addEventListener('click', () => {
+    const name = document.getElementById('parser-preset-select').value;
+    if (!name) {
+        alert('プリセットを選択してください');
+        return;
+    }
+    if (!confirm(`プリセット「${name}」を削除しますか？`)) return;
+
+    try {
+        const settings = loadParserSettings();
+        const updated = { ...settings, presets: settings.presets.filter(preset => preset.name !== name) };
+        saveParserSettings(updated);
+        renderParserPresetOptions(updated.presets);
+        showSettingsStatus(`プリセット「${name}」を削除しました`);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// プロンプトテンプレート（Gemini APIで画像をインポートする際に、教材の形式に合わせて指示を変える）
+const PROMPT_TEMPLATES_KEY = 'PROMPT_TEMPLATES';
+const PROMPT_TEMPLATES_FORMAT_NAME = 'word-list-exporter-prompts'; // テンプレートのエクスポートファイルの識別子
+const PROMPT_TEMPLATES_FORMAT_VERSION = 1;
+const MAX_PROMPT_TEMPLATES = 20;
+const MAX_PROMPT_TEMPLATE_NAME_LENGTH = 30;
+const MAX_PROMPT_TEMPLATE_LENGTH = 2000;
+const MAX_PROMPT_LANGUAGE_LENGTH = 20;
+const PROMPT_PLACEHOLDER_PATTERN = /\{(category|questionLanguage|answerLanguage)\}/g;
+
+// プレースホルダーのデフォルト
+const DEFAULT_PROMPT_VALUES = {
+    category: '英単語',
+    questionLanguage: '英語',
+    answerLanguage: '日本語'
+};
+
+// 組み込みのテンプレート（編集・削除はできない。先頭がデフォルト）
+// 色のついた文字はマスクしてから送るため、マスクした語句を解答にする形式（穴埋めなど）は組み込まない
+const BUILTIN_PROMPT_TEMPLATES = [
+    {
+        name: '単語帳（対訳の表）',
+        body: '画像は「{category}」の単語帳です。画像の文字から、{questionLanguage}の単語や熟語を問題、{answerLanguage}の訳を解答として抽出してください。'
+    },
+    {
+        name: '漢字の読み',
+        body: '画像は「{category}」の漢字の教材です。画像の文字から、漢字の語句を問題、その読みをひらがなで解答として抽出してください。意味が書かれていれば補足にしてください。'
+    },
+    {
+        name: '化学式',
+        body: '画像は「{category}」の化学の教材です。画像の文字から、物質名を問題、化学式を解答として抽出してください。下付き文字は「H_2O」「SO_{4}」、上付き文字は「Na^+」「SO_4^{2-}」の形式で書いてください。'
+    }
+];
+
+/**
+ * テンプレートの名前と本文を検証して整える
+ * @param {Object} template - { name, body }
+ * @returns {Object} { name, body }
+ * @throws {Error} 名前や本文が空・長すぎる場合
+ */
+function validatePromptTemplate(template) {
+    const name = typeof template?.name === 'string' ? sanitizeInput(template.name) : '';
+    const body = typeof template?.body === 'string' ? template.body.trim() : '';
+    if (!name || name.length > MAX_PROMPT_TEMPLATE_NAME_LENGTH) {
+        throw new Error(`テンプレート名は1〜${MAX_PROMPT_TEMPLATE_NAME_LENGTH}文字で入力してください`);
+    }
+    if (!body || body.length > MAX_PROMPT_TEMPLATE_LENGTH) {
+        throw new Error(`プロンプトは1〜${MAX_PROMPT_TEMPLATE_LENGTH}文字で入力してください`);
+    }
+    return { name, body };
+}
+
+// 組み込みのテンプレートの名前かどうか
+function isBuiltinPromptTemplate(name) {
+    return BUILTIN_PROMPT_TEMPLATES.some(template => template.name === name);
+}
+
+// プロンプトの言語の設定（空の場合はデフォルト）
+function normalizePromptLanguage(value, defaultValue) {
+    const language = typeof value === 'string' ? sanitizeInput(value, MAX_PROMPT_LANGUAGE_LENGTH) : '';
+    return language || defaultValue;
+}
+
+// テンプレートと選択中のテンプレート・言語の読み込み（{ templates, selected, questionLanguage, answerLanguage }）
+function loadPromptSettings() {
+    let data = {};
+    try {
+        data = JSON.parse(localStorage.getItem(PROMPT_TEMPLATES_KEY) || '{}') || {};
+    } catch (e) {
+        console.error('Failed to parse prompt templates from localStorage:', e);
+    }
+
+    const templates = [];
+    (Array.isArray(data.templates) ? data.templates : []).forEach(template => {
+        try {
+            const valid = validatePromptTemplate(template);
+            if (!isBuiltinPromptTemplate(valid.name) && !templates.some(t => t.name === valid.name)) {
+                templates.push(valid);
+            }
+        } catch (e) {
+            // 壊れたテンプレートは読み込まない
+        }
+    });
+    const names = [...BUILTIN_PROMPT_TEMPLATES, ...templates].map(template => template.name);
+
+    return {
+        templates,
+        selected: names.includes(data.selected) ? data.selected : BUILTIN_PROMPT_TEMPLATES[0].name,
+        questionLanguage: normalizePromptLanguage(data.questionLanguage, DEFAULT_PROMPT_VALUES.questionLanguage),
+        answerLanguage: normalizePromptLanguage(data.answerLanguage, DEFAULT_PROMPT_VALUES.answerLanguage)
+    };
+}
+
+// テンプレートと選択中のテンプレート・言語の保存
+function savePromptSettings(settings) {
+    try {
+        localStorage.setItem(PROMPT_TEMPLATES_KEY, JSON.stringify(settings));
+    } catch (e) {
+        handleStorageError(e, 'プロンプトテンプレート');
+    }
+}
+
+// 組み込みとユーザーのテンプレートをすべて取得
+function getPromptTemplates(settings) {
+    return [
+        ...BUILTIN_PROMPT_TEMPLATES.map(template => ({ ...template, builtin: true })),
+        ...settings.templates.map(template => ({ ...template, builtin: false }))
+    ];
+}
+
+/**
+ * 名前を付けてテンプレートを保存（同じ名前のテンプレートは上書き）
+ * @param {Object} settings - loadPromptSettings()の結果
+ * @param {string} name - テンプレート名
+ * @param {string} body - プロンプト
+ * @returns {Object} 更新した設定
+ * @throws {Error} 組み込みのテンプレートと同じ名前の場合、テンプレートが多すぎる場合
+ */
+function upsertPromptTemplate(settings, name, body) {
+    const template = validatePromptTemplate({ name, body });
+    if (isBuiltinPromptTemplate(template.name)) {
+        throw new Error(`「${template.name}」は組み込みのテンプレートのため上書きできません。別の名前を付けて保存してください。`);
+    }
+    const exists = settings.templates.some(t => t.name === template.name);
+    if (!exists && settings.templates.length >= MAX_PROMPT_TEMPLATES) {
+        throw new Error(`テンプレートは${MAX_PROMPT_TEMPLATES}件まで保存できます。不要なテンプレートを削除してください。`);
+    }
+    return {
+        ...settings,
+        templates: exists
+            ? settings.templates.map(t => t.name === template.name ? template : t)
+            : [...settings.templates, template]
+    };
+}
+
+/**
+ * プロンプトのプレースホルダー（{category}, {questionLanguage}, {answerLanguage}）を置き換える
+ * @param {string} body - テンプレートの本文
+ * @param {Object} values - { category, questionLanguage, answerLanguage }
+ * @returns {string} プロンプト
+ */
+function renderPromptTemplate(body, values) {
+    return body.replace(PROMPT_PLACEHOLDER_PATTERN, (match, key) => values[key] || DEFAULT_PROMPT_VALUES[key]);
+}
+
+// テンプレートのエクスポート用データ（ユーザーのテンプレートのみ）
+function buildPromptTemplatesExport(settings) {
+    return {
+        format: PROMPT_TEMPLATES_FORMAT_NAME,
+        version: PROMPT_TEMPLATES_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        templates: settings.templates
+    };
+}
+
+/**
+ * エクスポートしたテンプレートのファイルを読み込む
+ * @param {string} text - ファイルの内容（JSON）
+ * @returns {Object} { templates: [{ name, body }], errors: Array<string> }
+ * @throws {Error} JSONとして読み込めない場合、テンプレートのファイルでない場合
+ */
+function parsePromptTemplatesImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('JSONファイルの形式が正しくありません。');
+    }
+    if (!data || data.format !== PROMPT_TEMPLATES_FORMAT_NAME || !Array.isArray(data.templates)) {
+        throw new Error('プロンプトテンプレートのファイルではありません。');
+    }
+    if (data.version > PROMPT_TEMPLATES_FORMAT_VERSION) {
+        throw new Error('新しいバージョンのアプリで作成されたファイルです。アプリを更新してください。');
+    }
+
+    const templates = [];
+    const errors = [];
+    data.templates.forEach((template, index) => {
+        try {
+            templates.push(validatePromptTemplate(template));
+        } catch (e) {
+            errors.push(`${index + 1}件目: ${e.message}`);
+        }
+    });
+    return { templates, errors };
+}
+
+// インポート画面: テンプレートの選択肢を表示
+function renderPromptTemplateOptions(select, settings, selectedName) {
+    select.innerHTML = '';
+    getPromptTemplates(settings).forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.name;
+        option.textContent = template.builtin ? `${template.name}（組み込み）` : template.name;
+        select.appendChild(option);
+    });
+    select.value = selectedName;
+}
+
+// インポート画面: 前回選択したテンプレートと言語を表示
+function initImportPromptOptions() {
+    const settings = loadPromptSettings();
+    renderPromptTemplateOptions(document.getElementById('import-prompt-template-select'), settings, settings.selected);
+    document.getElementById('import-question-language-input').value = settings.questionLanguage;
+    document.getElementById('import-answer-language-input').value = settings.answerLanguage;
+}
+
+/**
+ * インポート画面で選択したテンプレートからプロンプトを作成（選択は次回のために保存）
+ * @returns {string} プレースホルダーを置き換えたプロンプト
+ */
+function readImportPrompt() {
+    const settings = loadPromptSettings();
+    const templates = getPromptTemplates(settings);
+    const template = templates.find(t => t.name === document.getElementById('import-prompt-template-select').value) || templates[0];
+    const updated = {
+        ...settings,
+        selected: template.name,
+        questionLanguage: normalizePromptLanguage(document.getElementById('import-question-language-input').value, DEFAULT_PROMPT_VALUES.questionLanguage),
+        answerLanguage: normalizePromptLanguage(document.getElementById('import-answer-language-input').value, DEFAULT_PROMPT_VALUES.answerLanguage)
+    };
+    try {
+        savePromptSettings(updated);
+    } catch (e) {
+        // 選択を保存できなくてもインポートは続ける
+        console.error(e);
+    }
+    return renderPromptTemplate(template.body, { ...updated, category: getImportCategory() });
+}
+
+// 設定画面: テンプレートの一覧を表示し、選択したテンプレートをフォームに表示
+function initPromptTemplateForm(selectedName = null) {
+    const settings = loadPromptSettings();
+    renderPromptTemplateOptions(document.getElementById('prompt-template-select'), settings, selectedName || settings.selected);
+    fillPromptTemplateForm();
+    document.getElementById('prompt-templates-import-input').value = '';
+}
+
+// 設定画面: 選択したテンプレートの名前と本文をフォームに表示
+function fillPromptTemplateForm() {
+    const name = document.getElementById('prompt-template-select').value;
+    const template = getPromptTemplates(loadPromptSettings()).find(t => t.name === name);
+    if (!template) return;
+    // 組み込みのテンプレートは別の名前で保存してもらう
+    document.getElementById('prompt-template-name-input').value = template.builtin ? '' : template.name;
+    document.getElementById('prompt-template-body-input').value = template.body;
+    document.getElementById('delete-prompt-template-btn').disabled = template.builtin;
+}
+
+// 設定画面: テンプレートの選択
+document.getElementById('prompt-template-select').addEventListener('change', () => {
+    fillPromptTemplateForm();
+});
+
+// 設定画面: テンプレートの保存ボタン
+document.getElementById('save-prompt-template-btn').addEventListener('click', () => {
+    const name = sanitizeInput(document.getElementById('prompt-template-name-input').value, MAX_PROMPT_TEMPLATE_NAME_LENGTH);
+    if (!name) {
+        alert('テンプレート名を入力してください');
+        return;
+    }
+
+    try {
+        const settings = loadPromptSettings();
+        if (settings.templates.some(t => t.name === name) && !confirm(`テンプレート「${name}」を上書きしますか？`)) {
+            return;
+        }
+        savePromptSettings(upsertPromptTemplate(settings, name, document.getElementById('prompt-template-body-input').value));
+        initPromptTemplateForm(name);
+        showSettingsStatus(`テンプレート「${name}」を保存しました`);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// 設定画面: テンプレートの削除ボタン
+document.getElementById('delete-prompt-template-btn').addEventListener('click', () => {
+    const name = document.getElementById('prompt-template-select').value;
+    if (isBuiltinPromptTemplate(name)) {
+        alert('組み込みのテンプレートは削除できません');
+        return;
+    }
+    if (!confirm(`テンプレート「${name}」を削除しますか？`)) return;
+
+    try {
+        const settings = loadPromptSettings();
+        savePromptSettings({ ...settings, templates: settings.templates.filter(t => t.name !== name) });
+        initPromptTemplateForm(BUILTIN_PROMPT_TEMPLATES[0].name);
+        showSettingsStatus(`テンプレート「${name}」を削除しました`);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// 設定画面: テンプレートのエクスポートボタン
+document.getElementById('export-prompt-templates-btn').addEventListener('click', () => {
+    const settings = loadPromptSettings();
+    if (settings.templates.length === 0) {
+        alert('エクスポートするテンプレートがありません（組み込みのテンプレートはエクスポートされません）');
         return;
     }
+    const json = JSON.stringify(buildPromptTemplatesExport(settings), null, 2);
+    downloadFile(json, `prompt-templates-${formatDateForFilename(new Date())}.json`, 'application/json');
+    showSettingsStatus(`${settings.templates.length}件のテンプレートをエクスポートしました`);
+});
+
+// 設定画面: テンプレートのインポート（同じ名前のテンプレートは上書き）
+document.getElementById('prompt-templates-import-input').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        const { templates, errors } = parsePromptTemplatesImport(await file.text());
+        const imported = templates.filter(template => !isBuiltinPromptTemplate(template.name));
+        if (imported.length < templates.length) {
+            errors.push('組み込みのテンプレートと同じ名前のテンプレートは読み込みませんでした');
+        }
+        if (imported.length === 0) {
+            alert(['読み込めるテンプレートがありませんでした。', ...errors].join('\n'));
+            return;
+        }
+
+        const settings = loadPromptSettings();
+        const overwritten = imported.filter(template => settings.templates.some(t => t.name === template.name));
+        if (overwritten.length > 0 &&
+            !confirm(`同じ名前のテンプレート（${overwritten.map(t => t.name).join('、')}）を上書きしますか？`)) {
+            return;
+        }
+
+        savePromptSettings(imported.reduce((updated, template) =>
+            upsertPromptTemplate(updated, template.name, template.body), settings));
+        initPromptTemplateForm(imported[0].name);
+        showSettingsStatus(`${imported.length}件のテンプレートをインポートしました`);
+        if (errors.length > 0) {
+            alert(errors.join('\n'));
+        }
+    } catch (error) {
+        alert(error.message);
+    } finally {
+        event.target.value = '';
+    }
+});
+
+// 抽出したカードのプレビューと保存ボタンを表示
+async function showExtractedCardsPreview() {
+    importDuplicateIndex = createDuplicateIndex(await loadCards());
+    importDuplicateActions = new Map();
+    displayImportPreview(extractedCards);
+    updateImportStatus(`${extractedCards.length}件のカードを検出しました。確認して保存してください。`);
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'primary-button';
+    saveBtn.textContent = 'すべて保存';
+    saveBtn.style.marginTop = '20px';
+    saveBtn.addEventListener('click', async () => {
+        await saveExtractedCards();
+    });
+    document.getElementById('import-preview').appendChild(saveBtn);
+}
+
+/**
+ * インポートプレビューを表示（編集機能付き）
+ * @param {Array} cards - プレビューするカード配列
+ */
+function displayImportPreview(cards) {
+    const previewDiv = document.getElementById('import-preview');
+    previewDiv.innerHTML = '<h3 style="margin-bottom: 15px; color: #333;">検出されたカード（編集可能）:</h3>';
+
+    cards.forEach((card, index) => {
+        const cardDiv = document.createElement('div');
+        cardDiv.className = 'preview-card';
+        cardDiv.innerHTML = `
+            <div style="margin-bottom: 10px;">
+                <label style="display: block; font-weight: bold; margin-bottom: 5px;">カテゴリ:</label>
+                <input type="text" class="preview-input" data-index="${index}" data-field="category">
+            </div>
+            <div style="margin-bottom: 10px;">
+                <label style="display: block; font-weight: bold; margin-bottom: 5px;">問題:</label>
+                <input type="text" class="preview-input" data-index="${index}" data-field="question">
+            </div>
+            <div style="margin-bottom: 10px;">
+                <label style="display: block; font-weight: bold; margin-bottom: 5px;">答え:</label>
+                <input type="text" class="preview-input" data-index="${index}" data-field="answer">
+            </div>
+            <div class="duplicate-warning hidden" data-index="${index}">
+                <div class="duplicate-warning-message"></div>
+                <select class="duplicate-action-select input-field" data-index="${index}" aria-label="重複したカードの扱い">
+                    <option value="skip">スキップ</option>
+                    <option value="overwrite">既存のカードを上書き</option>
+                    <option value="keep">両方残す</option>
+                </select>
+            </div>
+            <button class="delete-preview-btn" data-index="${index}" style="background-color: #ff4444; color: white; border: none; padding: 5px 10px; border-radius: 3px; cursor: pointer; font-size: 12px;">削除</button>
+        `;
+        // ファイルから読み込んだ値が属性を壊さないよう、値はDOMで設定する
+        cardDiv.querySelectorAll('.preview-input').forEach(input => {
+            input.value = card[input.dataset.field];
+        });
+        if (card.note) {
+            const note = document.createElement('div');
+            note.className = 'card-note';
+            note.textContent = `補足: ${card.note}`;
+            cardDiv.querySelector('.duplicate-warning').before(note);
+        }
+        previewDiv.appendChild(cardDiv);
+    });
+    updateImportDuplicateWarnings(cards);
+
+    // 重複したカードの扱いの選択
+    document.querySelectorAll('.duplicate-action-select').forEach(select => {
+        select.addEventListener('change', (e) => {
+            const index = parseInt(e.target.dataset.index);
+            importDuplicateActions.set(extractedCards[index], e.target.value);
+        });
+    });
+
+    // 編集イベントリスナー（デバウンス適用で性能向上）
+    document.querySelectorAll('.preview-input').forEach(input => {
+        input.addEventListener('input', debounce((e) => {
+            const index = parseInt(e.target.dataset.index);
+            const field = e.target.dataset.field;
+            // ユーザー入力をサニタイズ
+            extractedCards[index][field] = sanitizeInput(e.target.value);
+            updateImportDuplicateWarnings(extractedCards);
+        }, 300));
+    });
+
+    // 削除イベントリスナー
+    document.querySelectorAll('.delete-preview-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const index = parseInt(e.target.dataset.index);
+            if (confirm('このカードを削除しますか？')) {
+                extractedCards.splice(index, 1);
+                displayImportPreview(extractedCards);
+
+                // カウントを更新
+                if (extractedCards.length === 0) {
+                    updateImportStatus('すべてのカードが削除されました。');
+                } else {
+                    updateImportStatus(`${extractedCards.length}件のカードを検出しました。確認して保存してください。`);
+                }
+            }
+        });
+    });
+}
+
+/**
+ * プレビューのカードに重複の警告を表示（既存のカードと重複していない場合は上書きを選べない）
+ * @param {Array} cards - プレビュー中のカード配列
+ */
+function updateImportDuplicateWarnings(cards) {
+    const duplicates = findImportDuplicates(cards, importDuplicateIndex);
+    document.querySelectorAll('#import-preview .duplicate-warning').forEach(warning => {
+        const index = parseInt(warning.dataset.index);
+        const duplicate = duplicates[index];
+        warning.classList.toggle('hidden', !duplicate);
+        warning.closest('.preview-card').classList.toggle('duplicate', !!duplicate);
+        if (!duplicate) return;
+
+        warning.querySelector('.duplicate-warning-message').textContent = duplicate.existing
+            ? `重複: ${describeDuplicate(duplicate)}`
+            : `重複: このインポート内に${describeDuplicate(duplicate)}`;
+
+        const select = warning.querySelector('.duplicate-action-select');
+        select.querySelector('option[value="overwrite"]').disabled = !duplicate.existing;
+        let action = importDuplicateActions.get(cards[index]) || 'skip';
+        if (action === 'overwrite' && !duplicate.existing) action = 'skip';
+        select.value = action;
+    });
+}
+
+// 抽出したカードを保存（重複したカードは選択に応じてスキップ・上書き・追加）
+async function saveExtractedCards() {
+    try {
+        const { cardsToAdd, overwrites, skipped } =
+            resolveImportDuplicates(extractedCards, await loadCards(), importDuplicateActions);
+
+        const batch = cardsToAdd.length > 0 || overwrites.length > 0 ? await importCardsAsBatch(cardsToAdd, overwrites) : null;
+
+        const details = [];
+        if (overwrites.length > 0) details.push(`上書き${overwrites.length}件`);
+        if (skipped > 0) details.push(`スキップ${skipped}件`);
+        const message = `${cardsToAdd.length}件のカードをインポートしました${details.length > 0 ? `（${details.join('・')}）` : ''}`;
+
+        await renderListView();
+        // 追加したカードはゴミ箱に移動し、上書きしたカードは元の内容に戻す
+        showToast(message, batch ? {
+            actionLabel: '元に戻す',
+            onAction: async () => {
+                await rollbackImportBatch(batch.id);
+                await renderListView();
+            }
+        } : {});
+    } catch (error) {
+        alert('カードの保存に失敗しました: ' + error.message);
+    }
+}
+
+// エクスポート・バックアップ機能
+
+/**
+ * ファイル名用の日時文字列を生成（例: 20240131-0930）
+ * @param {Date} date - 日時
+ * @returns {string} ファイル名に使える日時文字列
+ */
+function formatDateForFilename(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+/**
+ * テキストをファイルとしてダウンロードさせる
+ * @param {string} content - ファイルの内容
+ * @param {string} filename - ファイル名
+ * @param {string} mimeType - MIMEタイプ
+ */
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // ダウンロード開始後にURLを解放
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * エクスポート用のデータを作成（フォーマットバージョン付き）
+ * @param {Array} cards - エクスポートするカード配列
+ * @param {Array} history - エクスポートする学習履歴
+ * @returns {Object} エクスポートデータ
+ */
+function buildExportData(cards, history = []) {
+    return {
+        format: EXPORT_FORMAT_NAME,
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        cards: cards.map(card => ({ ...card })),
+        history: history.map(entry => ({ ...entry }))
+    };
+}
+
+/**
+ * エクスポートされたJSONを検証してカード配列と学習履歴に変換
+ * 不正なエントリはスキップし、理由をerrorsに記録する
+ * version 1のファイルには学習履歴が含まれないため、historyは空配列になる
+ * @param {string} text - JSONテキスト
+ * @returns {{cards: Array, history: Array, errors: Array<string>}} 有効なカード・学習履歴とエラーメッセージ
+ * @throws {Error} JSONまたはファイル形式が不正な場合
+ */
+function parseImportData(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('JSONの解析に失敗しました。ファイルの内容を確認してください。');
+    }
 
-    const currentCard = quizWordArray[currentIndex];
+    // エンベロープの検証
+    if (!data || typeof data !== 'object' || Array.isArray(data) || data.format !== EXPORT_FORMAT_NAME) {
+        throw new Error('このアプリのエクスポートファイルではありません。');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('エクスポートファイルのバージョンが不正です。');
+    }
+    if (data.version > EXPORT_FORMAT_VERSION) {
+        throw new Error(`このファイルは新しいバージョン（version ${data.version}）で作成されています。アプリを更新してください。`);
+    }
+    if (!Array.isArray(data.cards)) {
+        throw new Error('エクスポートファイルにカードデータが含まれていません。');
+    }
 
-    // カテゴリを表示
-    document.getElementById('quiz-category').textContent = currentCard.category;
+    const cards = [];
+    const errors = [];
+    const seenIds = new Set();
 
-    // 問題を表示
-    document.getElementById('question-text').innerHTML = parseSubscriptSuperscript(currentCard.question);
+    data.cards.forEach((entry, index) => {
+        const label = `${index + 1}件目`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${label}: カードの形式が正しくありません`);
+            return;
+        }
+        if (typeof entry.question !== 'string' || !entry.question.trim()) {
+            errors.push(`${label}: 問題が空です`);
+            return;
+        }
+        if (typeof entry.answer !== 'string' || !entry.answer.trim()) {
+            errors.push(`${label}: 解答が空です`);
+            return;
+        }
+        if (entry.category !== undefined && typeof entry.category !== 'string') {
+            errors.push(`${label}: カテゴリの形式が正しくありません`);
+            return;
+        }
+        if (entry.id !== undefined && (typeof entry.id !== 'string' || !entry.id)) {
+            errors.push(`${label}: IDの形式が正しくありません`);
+            return;
+        }
 
-    // 解答エリアを非表示にする
-    document.getElementById('answer-area').classList.add('hidden');
-    document.getElementById('answer-text').innerHTML = '';
+        // ファイル内でIDが重複している場合は新しいIDを割り当てる（学習履歴は元のIDを持つ最初のカードのものとして扱う）
+        const id = entry.id && !seenIds.has(entry.id) ? entry.id : generateUniqueId();
+        seenIds.add(id);
 
-    // ボタンのテキストを「答えを表示」に設定
-    document.getElementById('quiz-action-btn').textContent = '答えを表示';
-    isAnswerShown = false;
-}
+        cards.push({
+            ...entry,
+            id,
+            category: (entry.category || '').trim() || '未分類',
+            question: entry.question.trim(),
+            answer: entry.answer.trim()
+        });
+    });
 
-// 学習画面: アクションボタン
-document.getElementById('quiz-action-btn').addEventListener('click', () => {
-    if (!isAnswerShown) {
-        // 解答を表示
-        const currentCard = quizWordArray[currentIndex];
-        document.getElementById('answer-text').innerHTML = parseSubscriptSuperscript(currentCard.answer);
-        document.getElementById('answer-area').classList.remove('hidden');
-        document.getElementById('quiz-action-btn').textContent = '次へ';
-        isAnswerShown = true;
-    } else {
-        // 次の問題へ
-        currentIndex++;
-        displayCurrentCard();
+    const history = [];
+    if (Array.isArray(data.history)) {
+        data.history.forEach((entry, index) => {
+            if (isValidHistoryEntry(entry)) {
+                history.push({ ...entry });
+            } else {
+                errors.push(`学習履歴${index + 1}件目: 形式が正しくありません`);
+            }
+        });
     }
-});
 
-// 学習画面: 終了ボタン
-document.getElementById('quit-quiz-btn').addEventListener('click', () => {
-    if (confirm('学習を終了してホームに戻りますか?')) {
-        initHomeView();
-    }
-});
+    return { cards, history, errors };
+}
 
-// 完了画面を表示
-function showCompletionView() {
-    showView('completion-view');
+/**
+ * インポートしたカードのIDを既存のカードと重複しないように整える
+ * 置き換えモードでも既存のカードはゴミ箱に残るため、ゴミ箱のカードを含めて比較する
+ * @param {Array} existingCards - ゴミ箱を含む既存のカード配列
+ * @param {Array} importedCards - インポートしたカード配列
+ * @returns {{cards: Array, idMap: Map<string, string>}} 追加するカード配列と、IDを付け替えたカードの元のID → 新しいIDの対応
+ */
+function prepareImportedCards(existingCards, importedCards) {
+    const idMap = new Map();
+    const existingIds = new Set(existingCards.map(card => card.id));
+    const cards = importedCards.map(card => {
+        // エクスポート元のゴミ箱やインポート履歴の情報は引き継がない
+        const { deletedAt, importBatchId, ...content } = card;
+        if (!existingIds.has(card.id)) return content;
+        const id = generateUniqueId();
+        idMap.set(card.id, id);
+        return { ...content, id };
+    });
+    return { cards, idMap };
 }
 
-// 完了画面: ホームに戻るボタン
-document.getElementById('back-to-home-btn').addEventListener('click', () => {
-    initHomeView();
-});
+// エクスポートステータス更新のヘルパー関数（詳細メッセージはリスト表示）
+function updateExportStatus(message, details = []) {
+    const statusDiv = document.getElementById('export-status');
+    if (!statusDiv) return;
+
+    statusDiv.textContent = message;
+    if (details.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'status-details';
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.textContent = detail;
+            list.appendChild(item);
+        });
+        statusDiv.appendChild(list);
+    }
+}
 
-// 設定画面の初期化
-function initSettingsView() {
-    showView('settings-view');
-    const apiKey = loadApiKey();
-    document.getElementById('gemini-api-key-input').value = apiKey;
-    document.getElementById('settings-status').textContent = '';
+// エクスポート画面の初期化
+function initExportView() {
+    showView('export-view');
+    document.getElementById('json-import-input').value = '';
+    document.getElementById('import-json-btn').disabled = true;
+    document.querySelector('input[name="json-import-mode"][value="append"]').checked = true;
+    updateExportStatus('');
 }
 
-// 設定画面: 戻るボタン
-document.getElementById('back-from-settings-btn').addEventListener('click', () => {
-    initHomeView();
+// 一覧画面: エクスポートボタン
+document.getElementById('export-from-list-btn').addEventListener('click', () => {
+    initExportView();
 });
 
-// 設定画面: 保存ボタン
-document.getElementById('save-settings-btn').addEventListener('click', () => {
-    const apiKeyRaw = document.getElementById('gemini-api-key-input').value.trim();
-    // セキュリティ: まず入力をサニタイズ
-    const apiKey = sanitizeInput(apiKeyRaw, 100);
+// エクスポート画面: 戻るボタン
+document.getElementById('back-from-export-btn').addEventListener('click', () => {
+    renderListView();
+});
 
-    if (!apiKey) {
-        alert('API Keyを入力してください');
-        return;
-    }
-    if (!validateApiKey(apiKey)) {
-        alert('API Keyの形式が正しくありません。有効なGemini API Keyを入力してください。');
+// エクスポート画面: JSONエクスポートボタン
+document.getElementById('export-json-btn').addEventListener('click', async () => {
+    const cards = await loadCards();
+    if (cards.length === 0) {
+        alert('エクスポートするカードがありません');
         return;
     }
-    try {
-        saveApiKey(apiKey);
-        document.getElementById('settings-status').textContent = '設定を保存しました';
-        setTimeout(() => {
-            document.getElementById('settings-status').textContent = '';
-        }, 3000);
-    } catch (error) {
-        alert(error.message);
-    }
+
+    const json = JSON.stringify(buildExportData(cards, loadHistory()), null, 2);
+    downloadFile(json, `wordlist-${formatDateForFilename(new Date())}.json`, 'application/json');
+    updateExportStatus(`${cards.length}件のカードをエクスポートしました`);
 });
 
-// 設定画面: API Keyクリアボタン
-document.getElementById('clear-api-key-btn').addEventListener('click', () => {
-    if (confirm('API Keyを削除しますか？画像インポート機能を使用するには再度設定が必要になります。')) {
-        clearApiKey();
-        document.getElementById('gemini-api-key-input').value = '';
-        document.getElementById('settings-status').textContent = 'API Keyを削除しました';
-        setTimeout(() => {
-            document.getElementById('settings-status').textContent = '';
-        }, 3000);
-    }
+// エクスポート画面: JSONファイル選択
+document.getElementById('json-import-input').addEventListener('change', (event) => {
+    document.getElementById('import-json-btn').disabled = !event.target.files[0];
+    updateExportStatus('');
 });
 
-// 画像インポート機能
-let selectedImage = null;
-let extractedCards = [];
-let isProcessingOCR = false; // OCR処理中フラグ
+// エクスポート画面: JSONインポートボタン
+document.getElementById('import-json-btn').addEventListener('click', async () => {
+    const file = document.getElementById('json-import-input').files[0];
+    if (!file) return;
 
-// インポートステータス更新のヘルパー関数
-function updateImportStatus(message) {
-    const statusDiv = document.getElementById('import-status');
-    if (statusDiv) {
-        statusDiv.textContent = message;
-    }
-}
+    const mode = document.querySelector('input[name="json-import-mode"]:checked').value;
 
-/**
- * 赤字検出の閾値設定
- *
- * これらの値は以下の原理に基づいて決定されています：
- * - RGB色空間で赤色は R値が高く、G・B値が低い特徴を持つ
- * - 教科書や参考書の赤字マーカーを想定し、実際の画像テストに基づいて調整
- *
- * darkRed (濃い赤の判定):
- *   - R > 150: 赤成分が十分に強い（255段階の約60%）
- *   - G < 100, B < 100: 緑と青の成分が抑えられている
- *   - 用途: ボールペンやマーカーで書かれた濃い赤字
- *
- * lightRed (薄い赤・ピンクの判定):
- *   - R > 180: 赤成分がさらに強い（約70%以上）
- *   - R > G×1.5, R > B×1.5: 相対的に赤が他の色より1.5倍強い
- *   - 用途: 蛍光ペンや薄めの赤字、背景が白に近い場合の赤文字
- *   - 比率ベース判定により、明るさの影響を軽減
- */
-const RED_DETECTION_THRESHOLD = {
-    darkRed: { r: 150, g: 100, b: 100 },
-    lightRed: { r: 180, ratio: 1.5 }
-};
+    try {
+        const { cards: importedCards, history: importedHistory, errors } = parseImportData(await file.text());
 
-// Gemini API設定
-const GEMINI_API_CONFIG = {
-    endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent',
-    maxImageSize: 1024, // 最大画像サイズ（幅・高さ）
-    prompt: '画像から日本語と英語のテキストを抽出してください。単語の対訳形式のリストがあれば、そのまま出力してください。記号や矢印（→、:、-など）が含まれている場合はそのまま保持してください。'
-};
+        if (importedCards.length === 0) {
+            updateExportStatus('有効なカードが見つかりませんでした。', errors);
+            return;
+        }
 
-// インポート画面の初期化
-function initImportView() {
-    showView('import-view');
-    // メモリリーク防止のため既存の画像をクリア
-    if (selectedImage) {
-        selectedImage.onload = null; // イベントハンドラをクリア
-        selectedImage.onerror = null;
-        selectedImage.src = '';
-        selectedImage = null;
-    }
-    extractedCards = [];
-    isProcessingOCR = false; // 処理フラグもリセット
-    document.getElementById('import-category-input').value = '英単語';
-    document.getElementById('image-input').value = '';
-    document.getElementById('preview-canvas').style.display = 'none';
-    document.getElementById('process-image-btn').disabled = true;
-    updateImportStatus('');
-    document.getElementById('import-preview').innerHTML = '';
-}
+        if (mode === 'replace' && !confirm(`現在のカードをすべてゴミ箱に移動し、${importedCards.length}件のカードに置き換えます。よろしいですか？`)) {
+            return;
+        }
 
-// インポート画面: キャンセルボタン
-document.getElementById('cancel-import-btn').addEventListener('click', () => {
-    renderListView();
+        // 置き換えモードでは既存のカードをゴミ箱に移動し、インポートの取り消しで元に戻せるようにする
+        const existingCards = await loadAllCards();
+        const { cards: cardsToAdd, idMap } = prepareImportedCards(existingCards, importedCards);
+        const replacedIds = mode === 'replace' ? existingCards.filter(card => !card.deletedAt).map(card => card.id) : [];
+        const batch = await importCardsAsBatch(cardsToAdd, [], replacedIds);
+        // IDを付け替えたカードの学習履歴は新しいIDに付け替える
+        saveHistory(mergeImportedHistory(loadHistory(), remapHistoryCardIds(importedHistory, idMap), mode));
+
+        const historyMessage = importedHistory.length > 0 ? `（学習履歴${importedHistory.length}件）` : '';
+        const replaceMessage = replacedIds.length > 0 ? `元の${replacedIds.length}件のカードはゴミ箱に移動しました。` : '';
+        const message = `${importedCards.length}件のカードをインポートしました${historyMessage}。${replaceMessage}`;
+        if (errors.length > 0) {
+            updateExportStatus(`${message}${errors.length}件の不正なエントリをスキップしました:`, errors);
+        } else {
+            updateExportStatus(message);
+        }
+        showToast(message, {
+            actionLabel: '元に戻す',
+            onAction: async () => {
+                await rollbackImportBatch(batch.id);
+                updateExportStatus('インポートを取り消しました。');
+            }
+        });
+    } catch (error) {
+        updateExportStatus('インポートに失敗しました: ' + error.message);
+    }
 });
 
-// インポート画面: 画像選択
-document.getElementById('image-input').addEventListener('change', (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+// CSV/TSVエクスポート・インポート機能
+const DELIMITED_EXPORT_COLUMNS = ['category', 'question', 'answer', 'id'];
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        const img = new Image();
-        img.onload = () => {
-            selectedImage = img;
-            displayImagePreview(img);
-            document.getElementById('process-image-btn').disabled = false;
-        };
-        img.src = e.target.result;
+/**
+ * 2次元配列を区切り文字形式のテキストに変換（RFC 4180準拠のクォート）
+ * @param {Array<Array<string>>} rows - 行の配列
+ * @param {string} delimiter - 区切り文字（','または'\t'）
+ * @returns {string} CSV/TSVテキスト（改行はCRLF）
+ */
+function toDelimitedText(rows, delimiter) {
+    const quoteField = (value) => {
+        const field = value === undefined || value === null ? '' : String(value);
+        // 区切り文字・ダブルクォート・改行を含むフィールドのみクォートする
+        if (field.includes(delimiter) || /["\r\n]/.test(field)) {
+            return `"${field.replace(/"/g, '""')}"`;
+        }
+        return field;
     };
-    reader.readAsDataURL(file);
-});
+    return rows.map(row => row.map(quoteField).join(delimiter)).join('\r\n');
+}
 
-// 画像プレビューを表示
-function displayImagePreview(img) {
-    const canvas = document.getElementById('preview-canvas');
-    const ctx = canvas.getContext('2d');
+/**
+ * カード配列をCSV/TSVテキストに変換（1行目は見出し）
+ * @param {Array} cards - カード配列
+ * @param {string} delimiter - 区切り文字
+ * @returns {string} CSV/TSVテキスト
+ */
+function cardsToDelimitedText(cards, delimiter) {
+    const rows = cards.map(card => DELIMITED_EXPORT_COLUMNS.map(column => card[column]));
+    return toDelimitedText([DELIMITED_EXPORT_COLUMNS, ...rows], delimiter);
+}
 
-    // キャンバスサイズを画像に合わせる（最大幅500px）
-    const maxWidth = 500;
-    const scale = Math.min(1, maxWidth / img.width);
-    canvas.width = img.width * scale;
-    canvas.height = img.height * scale;
+/**
+ * CSV/TSVテキストを2次元配列に解析（RFC 4180準拠）
+ * クォート内の区切り文字・改行・エスケープされたダブルクォートに対応
+ * @param {string} text - 解析するテキスト
+ * @param {string} delimiter - 区切り文字
+ * @returns {Array<Array<string>>} 行の配列（空行は除外）
+ */
+function parseDelimitedText(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    // Excelが付与するBOMを除去
+    const source = text.replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(field);
+        // 空行は除外
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
 
-    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-    canvas.style.display = 'block';
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
 }
 
-// 画像をリサイズする関数
-function resizeCanvas(sourceCanvas, maxSize) {
-    const width = sourceCanvas.width;
-    const height = sourceCanvas.height;
+/**
+ * ファイル名と内容から区切り文字を推定
+ * @param {string} text - ファイルの内容
+ * @param {string} filename - ファイル名
+ * @returns {string} 区切り文字（','または'\t'）
+ */
+function detectDelimiter(text, filename = '') {
+    const lowerName = filename.toLowerCase();
+    if (lowerName.endsWith('.tsv')) return '\t';
+    if (lowerName.endsWith('.csv')) return ',';
+
+    // 拡張子で判定できない場合は1行目のタブとカンマの数で判定
+    const firstLine = text.split(/\r?\n/)[0] || '';
+    const tabCount = (firstLine.match(/\t/g) || []).length;
+    const commaCount = (firstLine.match(/,/g) || []).length;
+    return tabCount > commaCount ? '\t' : ',';
+}
 
-    // 既に小さい場合はそのまま返す
-    if (width <= maxSize && height <= maxSize) {
-        return sourceCanvas;
+/**
+ * 見出し行から列の割り当てを推定
+ * @param {Array<string>} headerRow - 見出し行
+ * @returns {{category: number, question: number, answer: number}} 各項目の列番号（-1は割り当てなし）
+ */
+function guessColumnMapping(headerRow) {
+    const patterns = {
+        category: /^(category|カテゴリ|分類)/i,
+        question: /^(question|問題|表|front)/i,
+        answer: /^(answer|解答|答え|裏|back)/i
+    };
+    const mapping = { category: -1, question: -1, answer: -1 };
+
+    Object.keys(patterns).forEach(field => {
+        mapping[field] = headerRow.findIndex(header => patterns[field].test((header || '').trim()));
+    });
+
+    // 見出しから判定できない場合は先頭から「問題・解答」の順とみなす
+    if (mapping.question === -1 && mapping.answer === -1) {
+        mapping.question = 0;
+        mapping.answer = headerRow.length > 1 ? 1 : -1;
     }
 
-    // アスペクト比を維持してリサイズ
-    const scale = Math.min(maxSize / width, maxSize / height);
-    const newWidth = Math.floor(width * scale);
-    const newHeight = Math.floor(height * scale);
+    return mapping;
+}
 
-    const resizedCanvas = document.createElement('canvas');
-    resizedCanvas.width = newWidth;
-    resizedCanvas.height = newHeight;
+/**
+ * 列の割り当てに従って行データをカード配列に変換
+ * 問題・解答が空の行はスキップする
+ * @param {Array<Array<string>>} rows - データ行（見出し行を除く）
+ * @param {{category: number, question: number, answer: number}} mapping - 列の割り当て
+ * @param {string} defaultCategory - カテゴリ列がない場合のカテゴリ
+ * @returns {Array} カード配列
+ */
+function mapRowsToCards(rows, mapping, defaultCategory) {
+    const cell = (row, column) => (column >= 0 && row[column] !== undefined ? row[column].trim() : '');
+
+    return rows
+        .map(row => ({
+            id: generateUniqueId(),
+            category: cell(row, mapping.category) || defaultCategory,
+            question: cell(row, mapping.question),
+            answer: cell(row, mapping.answer)
+        }))
+        .filter(card => card.question && card.answer);
+}
 
-    const ctx = resizedCanvas.getContext('2d');
-    ctx.drawImage(sourceCanvas, 0, 0, newWidth, newHeight);
+// 読み込んだ表データ（CSV/TSVインポート用）
+let tableImportRows = [];
+
+// 列選択のセレクトボックスを見出しに合わせて作成
+function renderColumnMappingOptions(headerRow, hasHeader) {
+    // 見出しがない場合は先頭から「問題・解答」の順とみなす
+    const mapping = hasHeader
+        ? guessColumnMapping(headerRow)
+        : { category: -1, question: 0, answer: headerRow.length > 1 ? 1 : -1 };
+
+    ['category', 'question', 'answer'].forEach(field => {
+        const select = document.getElementById(`${field}-column-select`);
+        select.innerHTML = '';
+
+        const noneOption = document.createElement('option');
+        noneOption.value = '-1';
+        noneOption.textContent = field === 'category' ? '（使用しない）' : '（選択してください）';
+        select.appendChild(noneOption);
+
+        headerRow.forEach((header, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = hasHeader && header.trim() ? header : `列${index + 1}`;
+            select.appendChild(option);
+        });
 
-    return resizedCanvas;
+        select.value = String(mapping[field]);
+    });
 }
 
-// 赤字を抽出してインポート
-document.getElementById('process-image-btn').addEventListener('click', async () => {
-    if (!selectedImage) return;
+// 現在の列の割り当てでプレビューを更新
+function updateTableImportPreview() {
+    const hasHeader = document.getElementById('table-has-header').checked;
+    const mapping = {
+        category: parseInt(document.getElementById('category-column-select').value),
+        question: parseInt(document.getElementById('question-column-select').value),
+        answer: parseInt(document.getElementById('answer-column-select').value)
+    };
 
-    const processBtn = document.getElementById('process-image-btn');
     const previewDiv = document.getElementById('import-preview');
+    if (mapping.question === -1 || mapping.answer === -1) {
+        previewDiv.innerHTML = '';
+        extractedCards = [];
+        updateImportStatus('問題と解答の列を選択してください。');
+        return;
+    }
 
-    // レース条件防止: フラグチェックとボタン無効化をアトミックに実行
-    // ボタンが既に無効化されている場合は処理中と判断
-    if (processBtn.disabled || isProcessingOCR) return;
+    const defaultCategory = sanitizeInput(document.getElementById('import-category-input').value) || '英単語';
+    const dataRows = hasHeader ? tableImportRows.slice(1) : tableImportRows;
+    extractedCards = mapRowsToCards(dataRows, mapping, defaultCategory);
 
-    // フラグとボタンを即座に設定（これより先は1つの実行のみ）
-    isProcessingOCR = true;
-    processBtn.disabled = true;
+    if (extractedCards.length === 0) {
+        previewDiv.innerHTML = '';
+        updateImportStatus('有効な行が見つかりませんでした。列の割り当てを確認してください。');
+        return;
+    }
 
-    updateImportStatus('画像を処理中...');
-    previewDiv.innerHTML = '';
+    showExtractedCardsPreview();
+}
 
-    let redTextCanvas = null;
-    let resizedCanvas = null;
+// CSV/TSVの表データを読み込んで列の割り当てを表示
+function loadTableImport(text, filename) {
+    const mappingDiv = document.getElementById('column-mapping');
+    tableImportRows = parseDelimitedText(text, detectDelimiter(text, filename));
+    if (tableImportRows.length === 0) {
+        mappingDiv.classList.add('hidden');
+        updateImportStatus('ファイルにデータがありません。');
+        return;
+    }
 
-    try {
-        // 赤字部分を抽出
-        updateImportStatus('赤字を検出中...');
-        redTextCanvas = extractRedText(selectedImage);
+    renderColumnMappingOptions(tableImportRows[0], document.getElementById('table-has-header').checked);
+    mappingDiv.classList.remove('hidden');
+    updateTableImportPreview();
+}
 
-        // 画像をリサイズ
-        resizedCanvas = resizeCanvas(redTextCanvas, GEMINI_API_CONFIG.maxImageSize);
+// インポート画面: ファイル選択（形式に応じて読み込み方法を切り替え）
+document.getElementById('import-file-input').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    const mappingDiv = document.getElementById('column-mapping');
+    mappingDiv.classList.add('hidden');
+    tableImportRows = [];
+    if (!file) return;
 
-        // OCRで文字認識
-        updateImportStatus('OCRで文字を認識中... (しばらくお待ちください)');
-        const text = await performOCR(resizedCanvas);
+    const format = document.getElementById('import-file-format').value;
+    const defaultCategory = sanitizeInput(document.getElementById('import-category-input').value) || '英単語';
 
-        // テキストを解析してカードを作成
-        updateImportStatus('テキストを解析中...');
-        extractedCards = parseTextToCards(text);
+    try {
+        const text = await file.text();
+        if (text.length > MAX_IMPORT_TEXT_LENGTH * 10) {
+            throw new Error('ファイルが大きすぎます。');
+        }
 
-        if (!extractedCards || extractedCards.length === 0) {
-            updateImportStatus('赤字のテキストが見つかりませんでした。別の画像を試してください。');
+        if (format === 'csv') {
+            loadTableImport(text, file.name);
             return;
         }
 
-        // カードデータの妥当性チェック
-        const validCards = extractedCards.filter(card =>
-            card && card.question && card.answer && card.category
-        );
+        if (format === 'anki') {
+            extractedCards = parseAnkiText(text, defaultCategory);
+        } else {
+            extractedCards = parseQuizletText(
+                text,
+                readSeparatorSetting('quizlet-import-term-sep', QUIZLET_TERM_SEPARATORS),
+                readSeparatorSetting('quizlet-import-row-sep', QUIZLET_ROW_SEPARATORS),
+                defaultCategory
+            );
+        }
 
-        if (validCards.length === 0) {
-            updateImportStatus('有効なカードデータが見つかりませんでした。別の画像を試してください。');
-            extractedCards = [];
+        if (extractedCards.length === 0) {
+            document.getElementById('import-preview').innerHTML = '';
+            updateImportStatus('有効なカードが見つかりませんでした。ファイル形式を確認してください。');
             return;
         }
+        await showExtractedCardsPreview();
+    } catch (error) {
+        updateImportStatus('ファイルの読み込みに失敗しました: ' + error.message);
+    }
+});
 
-        extractedCards = validCards;
-
-        // プレビューを表示
-        displayImportPreview(extractedCards);
-        updateImportStatus(`${extractedCards.length}件のカードを検出しました。確認して保存してください。`);
-
-        // 保存ボタンを表示
-        const saveBtn = document.createElement('button');
-        saveBtn.className = 'primary-button';
-        saveBtn.textContent = 'すべて保存';
-        saveBtn.style.marginTop = '20px';
-        saveBtn.addEventListener('click', () => {
-            saveExtractedCards();
-        });
-        previewDiv.appendChild(saveBtn);
+// インポート画面: ファイル形式の切り替え
+document.getElementById('import-file-format').addEventListener('change', (event) => {
+    document.getElementById('import-file-input').value = '';
+    document.getElementById('column-mapping').classList.add('hidden');
+    document.getElementById('quizlet-import-options').classList.toggle('hidden', event.target.value !== 'quizlet');
+    tableImportRows = [];
+});
 
-    } catch (error) {
-        console.error('処理エラー:', error);
-        updateImportStatus('エラーが発生しました: ' + error.message);
-        // エラー時のクリーンアップ
-        previewDiv.innerHTML = '';
-        extractedCards = [];
-    } finally {
-        // メモリリーク防止: Canvasをクリーンアップ
-        cleanupCanvas(redTextCanvas);
-        cleanupCanvas(resizedCanvas);
+// インポート画面: 見出し行の有無の切り替え
+document.getElementById('table-has-header').addEventListener('change', (event) => {
+    if (tableImportRows.length === 0) return;
+    renderColumnMappingOptions(tableImportRows[0], event.target.checked);
+    updateTableImportPreview();
+});
 
-        isProcessingOCR = false;
-        processBtn.disabled = false; // ボタンを再度有効化
-    }
+// インポート画面: 列の割り当て変更
+['category', 'question', 'answer'].forEach(field => {
+    document.getElementById(`${field}-column-select`).addEventListener('change', () => {
+        updateTableImportPreview();
+    });
 });
 
-// Canvasクリーンアップヘルパー関数
-function cleanupCanvas(canvas) {
-    if (canvas) {
-        const ctx = canvas.getContext('2d');
-        if (ctx) {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
+// CSV/TSVファイルとしてエクスポート
+async function exportDelimitedFile(delimiter, extension, mimeType) {
+    try {
+        const cards = await loadCards();
+        if (cards.length === 0) {
+            alert('エクスポートするカードがありません');
+            return;
         }
-        canvas.width = 0;
-        canvas.height = 0;
+
+        // ExcelでUTF-8として認識させるためBOMを付与
+        const content = '\uFEFF' + cardsToDelimitedText(cards, delimiter);
+        downloadFile(content, `wordlist-${formatDateForFilename(new Date())}.${extension}`, mimeType);
+        updateExportStatus(`${cards.length}件のカードをエクスポートしました`);
+    } catch (error) {
+        console.error('エクスポートに失敗しました', error);
+        updateExportStatus(`エクスポートに失敗しました: ${error.message}`);
     }
 }
 
+// エクスポート画面: CSVエクスポートボタン
+document.getElementById('export-csv-btn').addEventListener('click', () => {
+    exportDelimitedFile(',', 'csv', 'text/csv');
+});
+
+// エクスポート画面: TSVエクスポートボタン
+document.getElementById('export-tsv-btn').addEventListener('click', () => {
+    exportDelimitedFile('\t', 'tsv', 'text/tab-separated-values');
+});
+
+// Anki・Quizlet形式のエクスポート・インポート機能
+
+// Ankiのヘッダーで使われる区切り文字の名前
+const ANKI_SEPARATOR_NAMES = {
+    tab: '\t',
+    comma: ',',
+    semicolon: ';',
+    colon: ':',
+    pipe: '|',
+    space: ' '
+};
+
+// Quizletの区切り文字の選択肢（'custom'は入力欄の値を使用）
+const QUIZLET_TERM_SEPARATORS = { tab: '\t', comma: ',', dash: ' - ' };
+const QUIZLET_ROW_SEPARATORS = { newline: '\n', semicolon: ';' };
+
 /**
- * 赤字部分を抽出
- * 画像から赤色のテキストのみを抽出し、OCR用のキャンバスを生成
- * @param {HTMLImageElement} img - ソース画像
- * @returns {HTMLCanvasElement} 赤字のみを含むキャンバス
+ * 上付き・下付き記法をHTMLの<sup>/<sub>タグに変換（Ankiエクスポート用）
+ * 記法はparseSubscriptSuperscript()と同じ。改行は<br>に変換する
+ * @param {string} text - 変換するテキスト
+ * @returns {string} HTML
  */
-function extractRedText(img) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-
-    canvas.width = img.width;
-    canvas.height = img.height;
-    ctx.drawImage(img, 0, 0);
+function markupToHtml(text) {
+    return escapeHtml(text)
+        .replace(/\^\{([^}]+)\}/g, '<sup>$1</sup>')
+        .replace(/\^(.)/g, '<sup>$1</sup>')
+        .replace(/_\{([^}]+)\}/g, '<sub>$1</sub>')
+        .replace(/_(.)/g, '<sub>$1</sub>')
+        .replace(/\r?\n/g, '<br>');
+}
 
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
+/**
+ * HTMLを上付き・下付き記法のテキストに変換（Ankiインポート用）
+ * DOMParserで解析するためスクリプトや画像は実行・読み込みされない
+ * @param {string} html - 変換するHTML
+ * @returns {string} 記法付きテキスト
+ */
+function htmlToMarkup(html) {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
 
-    // 赤い部分を白に、それ以外を黒に変換（反転マスク）
-    for (let i = 0; i < data.length; i += 4) {
-        const r = data[i];
-        const g = data[i + 1];
-        const b = data[i + 2];
-
-        // 赤字判定: R値が高く、G・B値が低い
-        // 濃い赤: RGB値の絶対的な閾値判定
-        // 薄い赤: R値が他の色成分より相対的に高いかを判定
-        const isDarkRed = r > RED_DETECTION_THRESHOLD.darkRed.r &&
-                          g < RED_DETECTION_THRESHOLD.darkRed.g &&
-                          b < RED_DETECTION_THRESHOLD.darkRed.b;
-        const isLightRed = r > RED_DETECTION_THRESHOLD.lightRed.r &&
-                           r > g * RED_DETECTION_THRESHOLD.lightRed.ratio &&
-                           r > b * RED_DETECTION_THRESHOLD.lightRed.ratio;
-        const isRed = isDarkRed || isLightRed;
-
-        if (isRed) {
-            // 赤字部分を黒に（OCR用）
-            data[i] = 0;
-            data[i + 1] = 0;
-            data[i + 2] = 0;
-            data[i + 3] = 255;
-        } else {
-            // それ以外を白に
-            data[i] = 255;
-            data[i + 1] = 255;
-            data[i + 2] = 255;
-            data[i + 3] = 255;
+    const convert = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return node.textContent.replace(/\u00A0/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return '';
         }
-    }
 
-    ctx.putImageData(imageData, 0, 0);
-    return canvas;
+        const tag = node.tagName.toLowerCase();
+        const inner = Array.from(node.childNodes).map(convert).join('');
+        if (tag === 'br') return '\n';
+        if (tag === 'sup') return inner.length === 1 ? `^${inner}` : `^{${inner}}`;
+        if (tag === 'sub') return inner.length === 1 ? `_${inner}` : `_{${inner}}`;
+        if (tag === 'div' || tag === 'p') return `\n${inner}`;
+        return inner;
+    };
+
+    return Array.from(doc.body.childNodes).map(convert).join('').trim();
 }
 
 /**
- * OCRで文字認識（Gemini Vision API使用）
- * @param {HTMLCanvasElement} canvas - OCR対象のキャンバス
- * @returns {Promise<string>} 抽出されたテキスト
- * @throws {Error} APIキー未設定、ネットワークエラー、APIエラー
+ * カード配列をAnkiの「テキストファイルのノート」形式に変換
+ * @param {Array} cards - カード配列
+ * @param {string} categoryMode - 'deck'（カテゴリをデッキ名に）または'tag'（タグに）
+ * @returns {string} Ankiインポート用テキスト
  */
-async function performOCR(canvas) {
-    const apiKey = loadApiKey();
-    if (!apiKey) {
-        throw new Error('Gemini API Keyが設定されていません。設定画面から設定してください。');
-    }
+function cardsToAnkiText(cards, categoryMode) {
+    const headers = [
+        '#separator:tab',
+        '#html:true',
+        '#notetype:Basic',
+        categoryMode === 'tag' ? '#tags column:3' : '#deck column:3'
+    ];
+    const rows = cards.map(card => [
+        markupToHtml(card.question),
+        markupToHtml(card.answer),
+        // タグにはスペースを使えないためアンダースコアに置き換える
+        categoryMode === 'tag' ? card.category.replace(/\s+/g, '_') : card.category
+    ]);
+    return headers.join('\n') + '\n' + toDelimitedText(rows, '\t').replace(/\r\n/g, '\n');
+}
 
-    // キャンバスをbase64エンコード
-    const base64Image = canvas.toDataURL('image/png').split(',')[1];
+/**
+ * Ankiの「テキストファイルのノート」形式を解析してカード配列に変換
+ * ヘッダー（#separator, #html, #deck, #deck column, #tags column, #guid column, #notetype column）に対応
+ * @param {string} text - Ankiからエクスポートしたテキスト
+ * @param {string} defaultCategory - デッキ・タグがない場合のカテゴリ
+ * @returns {Array} カード配列
+ */
+function parseAnkiText(text, defaultCategory) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const options = { separator: '\t', html: null, deck: '', columns: {} };
+
+    // 先頭の「#キー:値」行をヘッダーとして解析
+    let bodyStart = 0;
+    while (bodyStart < lines.length && lines[bodyStart].startsWith('#')) {
+        const match = lines[bodyStart].match(/^#([^:]+):(.*)$/);
+        if (match) {
+            const key = match[1].trim().toLowerCase();
+            const value = match[2].trim();
+            if (key === 'separator') {
+                options.separator = ANKI_SEPARATOR_NAMES[value.toLowerCase()] || value.charAt(0) || '\t';
+            } else if (key === 'html') {
+                options.html = value.toLowerCase() === 'true';
+            } else if (key === 'deck') {
+                options.deck = value;
+            } else if (/^(deck|tags|guid|notetype) column$/.test(key)) {
+                // 列番号は1始まり
+                options.columns[key.split(' ')[0]] = parseInt(value) - 1;
+            }
+        }
+        bodyStart++;
+    }
 
-    // Gemini APIにリクエスト
-    updateImportStatus('Gemini APIで画像を解析中...');
+    const specialColumns = Object.values(options.columns);
+    const rows = parseDelimitedText(lines.slice(bodyStart).join('\n'), options.separator);
 
-    const response = await fetch(GEMINI_API_CONFIG.endpoint, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'x-goog-api-key': apiKey  // セキュリティ向上: URLではなくヘッダーでAPI keyを送信
-        },
-        body: JSON.stringify({
-            contents: [{
-                parts: [
-                    {
-                        text: GEMINI_API_CONFIG.prompt
-                    },
-                    {
-                        inline_data: {
-                            mime_type: 'image/png',
-                            data: base64Image
-                        }
-                    }
-                ]
-            }]
-        })
-    });
+    return rows.map(row => {
+        const fields = row.filter((_, index) => !specialColumns.includes(index));
+        // html指定がない場合はタグの有無で判定
+        const toText = (value = '') => {
+            const isHtml = options.html === null ? /<[a-z][^>]*>/i.test(value) : options.html;
+            return (isHtml ? htmlToMarkup(value) : value).trim();
+        };
 
-    if (!response.ok) {
-        // レート制限エラーの特別処理
-        if (response.status === 429) {
-            throw new Error('APIのリクエスト上限に達しました。しばらく時間をおいてから再度お試しください。');
+        let category = options.deck;
+        if (options.columns.deck !== undefined && row[options.columns.deck]) {
+            category = row[options.columns.deck];
+        } else if (options.columns.tags !== undefined && row[options.columns.tags]) {
+            category = row[options.columns.tags].trim().split(/\s+/)[0];
         }
 
-        // 認証エラーの特別処理
-        if (response.status === 401 || response.status === 403) {
-            throw new Error('API Keyが無効です。設定画面で正しいAPI Keyを設定してください。');
-        }
+        return {
+            id: generateUniqueId(),
+            category: category.trim() || defaultCategory,
+            question: toText(fields[0]),
+            answer: toText(fields[1])
+        };
+    }).filter(card => card.question && card.answer);
+}
 
-        let errorMessage = response.statusText;
-        try {
-            const errorData = await response.json();
-            errorMessage = errorData.error?.message || errorMessage;
-        } catch (e) {
-            // JSONパースエラーは無視してstatusTextを使用
-            console.error('Failed to parse error response:', e);
+/**
+ * カード配列をQuizletのインポート形式に変換
+ * Quizletにはエスケープの仕組みがないため、項目内の区切り文字は空白に置き換える
+ * @param {Array} cards - カード配列
+ * @param {string} termSeparator - 単語と定義の区切り文字
+ * @param {string} rowSeparator - カード間の区切り文字
+ * @returns {string} Quizletインポート用テキスト
+ */
+function cardsToQuizletText(cards, termSeparator, rowSeparator) {
+    const clean = (value) => value
+        .replace(/\r\n/g, '\n')
+        .split(termSeparator).join(' ')
+        .split(rowSeparator).join(' ');
+    return cards
+        .map(card => `${clean(card.question)}${termSeparator}${clean(card.answer)}`)
+        .join(rowSeparator);
+}
+
+/**
+ * Quizletからエクスポートしたテキストを解析してカード配列に変換
+ * 各行は最初の区切り文字で単語と定義に分割する
+ * @param {string} text - Quizletのテキスト
+ * @param {string} termSeparator - 単語と定義の区切り文字
+ * @param {string} rowSeparator - カード間の区切り文字
+ * @param {string} category - カテゴリ
+ * @returns {Array} カード配列
+ */
+function parseQuizletText(text, termSeparator, rowSeparator, category) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+
+    return normalized.split(rowSeparator)
+        .map(row => {
+            const separatorIndex = row.indexOf(termSeparator);
+            if (separatorIndex === -1) return null;
+            return {
+                id: generateUniqueId(),
+                category,
+                question: row.substring(0, separatorIndex).trim(),
+                answer: row.substring(separatorIndex + termSeparator.length).trim()
+            };
+        })
+        .filter(card => card && card.question && card.answer);
+}
+
+// 区切り文字の選択値を取得（カスタムの場合は入力欄の値を使用）
+function readSeparatorSetting(selectId, presets) {
+    const value = document.getElementById(selectId).value;
+    if (value === 'custom') {
+        const custom = document.getElementById(`${selectId}-custom`).value;
+        if (!custom) {
+            throw new Error('カスタム区切り文字を入力してください。');
         }
-        throw new Error(`Gemini API error: ${errorMessage}`);
+        return custom;
     }
+    return presets[value];
+}
 
-    let data;
-    try {
-        data = await response.json();
-    } catch (e) {
-        throw new Error('Gemini APIからのレスポンスの解析に失敗しました。ネットワーク接続を確認してください。');
-    }
+// 区切り文字の選択に合わせてカスタム入力欄の表示を切り替え
+['quizlet-export-term-sep', 'quizlet-export-row-sep', 'quizlet-import-term-sep', 'quizlet-import-row-sep'].forEach(selectId => {
+    document.getElementById(selectId).addEventListener('change', (event) => {
+        document.getElementById(`${selectId}-custom`).classList.toggle('hidden', event.target.value !== 'custom');
+    });
+});
 
-    // レスポンスからテキストを抽出
-    // レスポンス構造の詳細バリデーション
-    if (!data.candidates || !Array.isArray(data.candidates) || data.candidates.length === 0) {
-        throw new Error('Gemini APIからのレスポンスが不正です（candidates配列が存在しません）。画像の内容を確認してください。');
+// エクスポート画面: Ankiエクスポートボタン
+document.getElementById('export-anki-btn').addEventListener('click', async () => {
+    const cards = await loadCards();
+    if (cards.length === 0) {
+        alert('エクスポートするカードがありません');
+        return;
     }
 
-    const candidate = data.candidates[0];
-    if (!candidate?.content?.parts || !Array.isArray(candidate.content.parts) || candidate.content.parts.length === 0) {
-        throw new Error('Gemini APIからのレスポンスが不正です（parts配列が存在しません）。画像の内容を確認してください。');
+    const categoryMode = document.querySelector('input[name="anki-category-mode"]:checked').value;
+    downloadFile(cardsToAnkiText(cards, categoryMode), `wordlist-anki-${formatDateForFilename(new Date())}.txt`, 'text/plain');
+    updateExportStatus(`${cards.length}件のカードをエクスポートしました`);
+});
+
+// エクスポート画面: Quizletエクスポートボタン
+document.getElementById('export-quizlet-btn').addEventListener('click', async () => {
+    const cards = await loadCards();
+    if (cards.length === 0) {
+        alert('エクスポートするカードがありません');
+        return;
     }
 
-    const textPart = candidate.content.parts[0];
-    if (!textPart?.text || typeof textPart.text !== 'string') {
-        throw new Error('Gemini APIからのレスポンスが不正です（テキストデータが存在しません）。画像の内容を確認してください。');
+    try {
+        const text = cardsToQuizletText(
+            cards,
+            readSeparatorSetting('quizlet-export-term-sep', QUIZLET_TERM_SEPARATORS),
+            readSeparatorSetting('quizlet-export-row-sep', QUIZLET_ROW_SEPARATORS)
+        );
+        downloadFile(text, `wordlist-quizlet-${formatDateForFilename(new Date())}.txt`, 'text/plain');
+        updateExportStatus(`${cards.length}件のカードをエクスポートしました`);
+    } catch (error) {
+        updateExportStatus('エクスポートに失敗しました: ' + error.message);
     }
+});
 
-    const extractedText = textPart.text;
+// 印刷用シート機能
+const PRINT_LAYOUT = {
+    flashcardColumns: 2,   // 単語カードの列数
+    flashcardRows: 5,      // 単語カードの行数（A4縦1ページあたり）
+    foldTestRows: 20       // 折りたたみテストの1ページあたりの問題数
+};
 
-    // レスポンス内容のバリデーション
-    if (extractedText.trim().length === 0) {
-        throw new Error('APIから空のレスポンスが返されました。画像に認識可能なテキストがあるか確認してください。');
-    }
+// 印刷用シートのスタイル（アプリ内プレビューとダウンロードするHTMLで共通）
+const PRINT_SHEET_STYLES = `
+@page { size: A4; margin: 10mm; }
+.sheet-page { width: 190mm; margin: 0 auto 10mm; background: white; color: #333; font-family: sans-serif; break-after: page; page-break-after: always; }
+.sheet-page:last-child { break-after: auto; page-break-after: auto; }
+.sheet-title { font-size: 12pt; margin-bottom: 4mm; }
+.flashcard-grid { display: grid; grid-template-columns: repeat(${PRINT_LAYOUT.flashcardColumns}, 1fr); grid-auto-rows: 54mm; }
+.flashcard-cell { border: 1px dashed #999; display: flex; flex-direction: column; align-items: center; justify-content: center; padding: 4mm; text-align: center; font-size: 16pt; word-break: break-word; }
+.flashcard-cell .flashcard-category { font-size: 8pt; color: #888; margin-bottom: 2mm; }
+.fold-test { width: 100%; border-collapse: collapse; table-layout: fixed; }
+.fold-test td { border-bottom: 1px solid #ccc; padding: 2mm; height: 11mm; font-size: 12pt; word-break: break-word; }
+.fold-test .fold-number { width: 10mm; color: #888; text-align: right; }
+.fold-test .fold-question { border-right: 2px dashed #999; }
+.fold-test .fold-answer { padding-left: 6mm; }
+.superscript { font-size: 0.6em; vertical-align: super; }
+.subscript { font-size: 0.6em; vertical-align: sub; }
+`;
 
-    // 異常に大きなレスポンスをチェック（100KB以上）
-    if (extractedText.length > MAX_IMPORT_TEXT_LENGTH) {
-        throw new Error('レスポンスが大きすぎます。画像サイズを小さくしてください。');
+/**
+ * 配列を指定サイズごとに分割
+ * @param {Array} items - 分割する配列
+ * @param {number} size - 1グループの要素数
+ * @returns {Array<Array>} 分割された配列
+ */
+function chunkArray(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
     }
-
-    return extractedText;
+    return chunks;
 }
 
 /**
- * テキストを解析してカード配列を作成
- * @param {string} text - 解析するテキスト
- * @returns {Array} カード配列
+ * 切り取り式の単語カードシートのHTMLを作成
+ * 表面（問題）と裏面（解答）のページを交互に出力し、裏面は両面印刷（長辺とじ）で
+ * 表面と重なるように各行の左右を反転して配置する
+ * @param {Array} cards - カード配列
+ * @returns {string} シートのHTML
  */
-function parseTextToCards(text) {
-    // 入力をサニタイズ（テキスト全体を一度だけ）
-    const categoryRaw = document.getElementById('import-category-input').value.trim() || '英単語';
-    const category = sanitizeInput(categoryRaw);
-    const sanitizedText = sanitizeInput(text, MAX_IMPORT_TEXT_LENGTH);
-    const cards = [];
-    const lines = sanitizedText.split('\n')
-        .map(line => line.trim()) // トリムのみ（既にサニタイズ済み）
-        .filter(line => line.length > 0);
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
+function buildFlashcardSheetHtml(cards) {
+    const { flashcardColumns: columns, flashcardRows: rows } = PRINT_LAYOUT;
+    const cell = (card, side) => {
+        if (!card) return '<div class="flashcard-cell"></div>';
+        const category = side === 'front' ? `<div class="flashcard-category">${escapeHtml(card.category)}</div>` : '';
+        return `<div class="flashcard-cell">${category}<div>${parseSubscriptSuperscript(card[side === 'front' ? 'question' : 'answer'])}</div></div>`;
+    };
 
-        // パターン1: 矢印や記号で区切られている場合（→ : - など）
-        const separators = /[→:：\-－]/;
-        if (separators.test(line)) {
-            const parts = line.split(separators)
-                .map(p => p.trim()) // トリムのみ
-                .filter(p => p.length > 0);
-            if (parts.length >= 2) {
-                cards.push({
-                    id: generateUniqueId(),
-                    category: category,
-                    question: parts[0],
-                    answer: parts.slice(1).join(' ')
-                });
-                continue;
-            }
+    return chunkArray(cards, columns * rows).map(pageCards => {
+        // 最終ページも反転位置がずれないよう行単位で空きセルを補う
+        const filled = [...pageCards];
+        while (filled.length % columns !== 0) {
+            filled.push(null);
         }
+        const pageRows = chunkArray(filled, columns);
 
-        // パターン2: スペース、タブで区切られた「問題 答え」形式
-        const parts = line.split(/[\s\t]+/)
-            .map(p => p.trim()) // トリムのみ
-            .filter(p => p.length > 0);
-        if (parts.length >= 2) {
-            cards.push({
-                id: generateUniqueId(),
-                category: category,
-                question: parts[0],
-                answer: parts.slice(1).join(' ')
-            });
-        } else if (parts.length === 1 && i + 1 < lines.length) {
-            // パターン3: 単一の単語の場合、次の行と組み合わせる
-            const nextLine = lines[i + 1];
-            const nextParts = nextLine.split(/[\s\t]+/)
-                .map(p => p.trim()) // トリムのみ
-                .filter(p => p.length > 0);
-            if (nextParts.length === 1) {
-                cards.push({
-                    id: generateUniqueId(),
-                    category: category,
-                    question: parts[0],
-                    answer: nextParts[0]
-                });
-                i++; // 次の行をスキップ
-            }
-        }
-    }
+        const front = pageRows.map(row => row.map(card => cell(card, 'front')).join('')).join('');
+        const back = pageRows.map(row => [...row].reverse().map(card => cell(card, 'back')).join('')).join('');
 
-    return cards;
+        return `<div class="sheet-page"><div class="flashcard-grid">${front}</div></div>` +
+               `<div class="sheet-page"><div class="flashcard-grid">${back}</div></div>`;
+    }).join('');
 }
 
 /**
- * インポートプレビューを表示（編集機能付き）
- * @param {Array} cards - プレビューするカード配列
+ * 中央で折って答えを隠す2列形式のテストシートのHTMLを作成
+ * @param {Array} cards - カード配列
+ * @param {string} title - シートのタイトル
+ * @returns {string} シートのHTML
  */
-function displayImportPreview(cards) {
-    const previewDiv = document.getElementById('import-preview');
-    previewDiv.innerHTML = '<h3 style="margin-bottom: 15px; color: #333;">検出されたカード（編集可能）:</h3>';
-
-    cards.forEach((card, index) => {
-        const cardDiv = document.createElement('div');
-        cardDiv.className = 'preview-card';
-        cardDiv.innerHTML = `
-            <div style="margin-bottom: 10px;">
-                <label style="display: block; font-weight: bold; margin-bottom: 5px;">問題:</label>
-                <input type="text" class="preview-input" data-index="${index}" data-field="question" value="${escapeHtml(card.question)}">
-            </div>
-            <div style="margin-bottom: 10px;">
-                <label style="display: block; font-weight: bold; margin-bottom: 5px;">答え:</label>
-                <input type="text" class="preview-input" data-index="${index}" data-field="answer" value="${escapeHtml(card.answer)}">
-            </div>
-            <button class="delete-preview-btn" data-index="${index}" style="background-color: #ff4444; color: white; border: none; padding: 5px 10px; border-radius: 3px; cursor: pointer; font-size: 12px;">削除</button>
-        `;
-        previewDiv.appendChild(cardDiv);
-    });
+function buildFoldTestSheetHtml(cards, title) {
+    return chunkArray(cards, PRINT_LAYOUT.foldTestRows).map((pageCards, pageIndex) => {
+        const rowsHtml = pageCards.map((card, index) => {
+            const number = pageIndex * PRINT_LAYOUT.foldTestRows + index + 1;
+            return `<tr><td class="fold-number">${number}</td>` +
+                   `<td class="fold-question">${parseSubscriptSuperscript(card.question)}</td>` +
+                   `<td class="fold-answer">${parseSubscriptSuperscript(card.answer)}</td></tr>`;
+        }).join('');
+
+        return `<div class="sheet-page"><div class="sheet-title">${escapeHtml(title)}</div>` +
+               `<table class="fold-test">${rowsHtml}</table></div>`;
+    }).join('');
+}
 
-    // 編集イベントリスナー（デバウンス適用で性能向上）
-    document.querySelectorAll('.preview-input').forEach(input => {
-        input.addEventListener('input', debounce((e) => {
-            const index = parseInt(e.target.dataset.index);
-            const field = e.target.dataset.field;
-            // ユーザー入力をサニタイズ
-            extractedCards[index][field] = sanitizeInput(e.target.value);
-        }, 300));
-    });
+/**
+ * 印刷用シートを単体で開けるHTMLドキュメントにする
+ * @param {string} sheetHtml - シートのHTML
+ * @param {string} title - ドキュメントのタイトル
+ * @returns {string} HTMLドキュメント
+ */
+function buildStandaloneSheetDocument(sheetHtml, title) {
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { margin: 0; background: #eee; }
+@media print { body { background: white; } .sheet-page { margin: 0; } }
+${PRINT_SHEET_STYLES}</style>
+</head>
+<body>
+${sheetHtml}
+</body>
+</html>
+`;
+}
 
-    // 削除イベントリスナー
-    document.querySelectorAll('.delete-preview-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const index = parseInt(e.target.dataset.index);
-            if (confirm('このカードを削除しますか？')) {
-                extractedCards.splice(index, 1);
-                displayImportPreview(extractedCards);
+// 現在の設定で印刷用シートのHTMLを作成
+async function buildSelectedPrintSheet() {
+    const category = document.getElementById('print-category-select').value;
+    const layout = document.getElementById('print-layout-select').value;
+    const cards = category ? await getCardsByCategory(category) : await loadCards();
+    const title = category || 'すべてのカテゴリ';
+    const html = layout === 'fold'
+        ? buildFoldTestSheetHtml(cards, title)
+        : buildFlashcardSheetHtml(cards);
+    return { cards, title, html };
+}
 
-                // カウントを更新
-                if (extractedCards.length === 0) {
-                    updateImportStatus('すべてのカードが削除されました。');
-                } else {
-                    updateImportStatus(`${extractedCards.length}件のカードを検出しました。確認して保存してください。`);
-                }
-            }
-        });
-    });
+// 印刷プレビューを更新
+async function renderPrintPreview() {
+    const { cards, html } = await buildSelectedPrintSheet();
+    const sheetDiv = document.getElementById('print-sheet');
+    if (cards.length === 0) {
+        sheetDiv.innerHTML = '<div class="empty-message">印刷するカードがありません。</div>';
+        return;
+    }
+    sheetDiv.innerHTML = html;
 }
 
-// 抽出したカードを保存
-function saveExtractedCards() {
+// 印刷画面の初期化
+async function initPrintView() {
+    showView('print-view');
     try {
-        const cards = loadCards();
-        extractedCards.forEach(card => {
-            cards.push(card);
+        // シート用スタイルを一度だけ追加
+        if (!document.getElementById('print-sheet-styles')) {
+            const style = document.createElement('style');
+            style.id = 'print-sheet-styles';
+            style.textContent = PRINT_SHEET_STYLES;
+            document.head.appendChild(style);
+        }
+
+        const select = document.getElementById('print-category-select');
+        select.innerHTML = '<option value="">すべてのカテゴリ</option>';
+        (await getCategories()).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            select.appendChild(option);
         });
-        saveCards(cards);
 
-        alert(`${extractedCards.length}件のカードをインポートしました`);
-        renderListView();
+        await renderPrintPreview();
     } catch (error) {
-        alert('カードの保存に失敗しました: ' + error.message);
+        showViewError('print-sheet', '印刷用シートを作成できませんでした', error);
     }
 }
 
+// エクスポート画面: 印刷用シートボタン
+document.getElementById('open-print-view-btn').addEventListener('click', () => {
+    initPrintView();
+});
+
+// 印刷画面: 戻るボタン
+document.getElementById('back-from-print-btn').addEventListener('click', () => {
+    initExportView();
+});
+
+// 印刷画面: カテゴリ・レイアウトの変更
+document.getElementById('print-category-select').addEventListener('change', renderPrintPreview);
+document.getElementById('print-layout-select').addEventListener('change', renderPrintPreview);
+
+// 印刷画面: 印刷ボタン
+document.getElementById('print-sheet-btn').addEventListener('click', () => {
+    window.print();
+});
+
+// 印刷画面: HTMLダウンロードボタン
+document.getElementById('download-sheet-btn').addEventListener('click', async () => {
+    const { cards, title, html } = await buildSelectedPrintSheet();
+    if (cards.length === 0) {
+        alert('印刷するカードがありません');
+        return;
+    }
+    const layout = document.getElementById('print-layout-select').value;
+    downloadFile(
+        buildStandaloneSheetDocument(html, title),
+        `wordlist-${layout === 'fold' ? 'test' : 'cards'}-${formatDateForFilename(new Date())}.html`,
+        'text/html'
+    );
+});
+
 // アプリケーションの初期化
 document.addEventListener('DOMContentLoaded', () => {
     initHomeView();
+    // 保存期間を過ぎたゴミ箱のカードを削除
+    purgeExpiredTrash().catch(e => console.error('ゴミ箱の自動削除に失敗しました:', e));
 });
@@ -0,0 +1,42 @@
+/**
+ * Tesseract.jsの言語データ（jpn・eng）をtessdata/に、本体・ワーカー・コアをtesseract/にコピーする
+ * ブラウザ版のTesseract.jsは1つのディレクトリから言語データを読み込むため、npm installの後に実行する
+ * node_modules/を公開せずに配信できるよう、ブラウザで読み込むファイルはすべて公開するディレクトリにコピーする
+ */
+const fs = require('fs');
+const path = require('path');
+
+const LANGUAGES = ['jpn', 'eng'];
+const MODEL = '4.0.0_best_int'; // LSTMのみの軽量なモデル
+const rootDir = path.join(__dirname, '..');
+const outputDir = path.join(rootDir, 'tessdata');
+const libraryDir = path.join(rootDir, 'tesseract');
+const coreDir = path.join(libraryDir, 'core');
+
+// 本体とワーカー（tesseract.js/dist）
+const LIBRARY_FILES = ['tesseract.min.js', 'worker.min.js'];
+// LSTMのみで認識するため、ワーカーが選ぶLSTM用のコア（SIMD対応・非対応）だけをコピーする
+const CORE_FILE_PATTERN = /^tesseract-core(-relaxedsimd|-simd)?-lstm\.wasm\.js$/;
+
+fs.mkdirSync(outputDir, { recursive: true });
+LANGUAGES.forEach(lang => {
+    const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`));
+    const filename = `${lang}.traineddata.gz`;
+    fs.copyFileSync(path.join(packageDir, MODEL, filename), path.join(outputDir, filename));
+});
+
+fs.mkdirSync(coreDir, { recursive: true });
+const tesseractDir = path.dirname(require.resolve('tesseract.js/package.json'));
+const distDir = path.join(tesseractDir, 'dist');
+LIBRARY_FILES.forEach(filename => {
+    fs.copyFileSync(path.join(distDir, filename), path.join(libraryDir, filename));
+});
+// tesseract.js-coreはtesseract.jsの依存関係のため、tesseract.jsの場所から探す
+const corePackageDir = path.dirname(require.resolve('tesseract.js-core/package.json', { paths: [tesseractDir] }));
+const coreFiles = fs.readdirSync(corePackageDir).filter(filename => CORE_FILE_PATTERN.test(filename));
+coreFiles.forEach(filename => {
+    fs.copyFileSync(path.join(corePackageDir, filename), path.join(coreDir, filename));
+});
+
+console.log(`Copied ${LANGUAGES.join('+')} language data to ${path.relative(process.cwd(), outputDir) || '.'}`);
+console.log(`Copied Tesseract.js (${LIBRARY_FILES.length + coreFiles.length} files) to ${path.relative(process.cwd(), libraryDir) || '.'}`);
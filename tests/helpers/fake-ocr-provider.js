@@ -0,0 +1,26 @@
+/**
+ * テスト用のOCRプロバイダー
+ * 画像の内容に関係なく決まったテキストを返し、渡されたキャンバスを記録する
+ */
+
+/**
+ * @param {string|Object} texts - 返すテキスト、またはキャンバスのサイズ（"幅x高さ"）ごとのテキスト
+ * @returns {Object} { label, recognize(canvas), calls }
+ */
+function createFakeOcrProvider(texts) {
+    const calls = [];
+    return {
+        label: 'テスト用OCR',
+        calls,
+        recognize: async (canvas) => {
+            calls.push(canvas);
+            const text = typeof texts === 'string' ? texts : (texts[`${canvas.width}x${canvas.height}`] || '');
+            return {
+                text,
+                lines: text.split('\n').map(line => line.trim()).filter(line => line.length > 0)
+            };
+        }
+    };
+}
+
+module.exports = { createFakeOcrProvider };
@@ -0,0 +1,193 @@
+/**
+ * Integration tests for IndexedDB card storage
+ * Tests the migration from localStorage and the card API on top of IndexedDB
+ */
+
+// jsdomにはstructuredCloneがないため、fake-indexeddbの読み込み前に補う
+if (typeof structuredClone === 'undefined') {
+    global.structuredClone = value => JSON.parse(JSON.stringify(value));
+}
+require('fake-indexeddb/auto');
+
+// データベースを削除する（開いている接続はversionchangeで閉じられる）
+const deleteCardDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase('word-list-exporter');
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+});
+
+const sampleCards = [
+    { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+    { id: 'id-2', category: '化学', question: 'H_2O', answer: '水' },
+    { id: 'id-3', category: '英単語', question: 'banana', answer: 'バナナ' }
+];
+
+describe('IndexedDB Card Storage', () => {
+    beforeEach(async () => {
+        localStorage.clear();
+        await deleteCardDatabase();
+    });
+
+    describe('Migration from localStorage', () => {
+        test('moves cards into IndexedDB and removes the old key', async () => {
+            localStorage.setItem('MEMORY', JSON.stringify(sampleCards));
+
+            const cards = await loadCards();
+
+            expect(cards).toEqual(sampleCards);
+            expect(localStorage.getItem('MEMORY')).toBeNull();
+        });
+
+        test('keeps a backup of the legacy data and stores the schema version', async () => {
+            localStorage.setItem('MEMORY', JSON.stringify(sampleCards));
+
+            await loadCards();
+
+            expect((await getMigrationBackup()).cards).toEqual(sampleCards);
+            expect(localStorage.getItem('SCHEMA_VERSION')).toBe('2');
+        });
+
+        test('keeps a backup for each schema version', async () => {
+            localStorage.setItem('MEMORY', JSON.stringify(sampleCards));
+            await loadCards();
+            const firstBackup = await getMigrationBackup();
+
+            // 次のバージョンへの移行（スキーマバージョン1から）を実行する
+            localStorage.setItem('SCHEMA_VERSION', '1');
+            await loadCards();
+            const secondBackup = await getMigrationBackup();
+
+            expect(firstBackup.schemaVersion).toBe(0);
+            expect(secondBackup.schemaVersion).toBe(1);
+            expect(secondBackup.createdAt).toBeGreaterThanOrEqual(firstBackup.createdAt);
+
+            // 同じバージョンからの移行を再実行しても上書きしない
+            localStorage.setItem('SCHEMA_VERSION', '1');
+            await saveCards([]);
+            await loadCards();
+            expect((await getMigrationBackup()).cards).toEqual(secondBackup.cards);
+        });
+
+        test('removes backups from older migrations after a successful migration', async () => {
+            localStorage.setItem('MEMORY', JSON.stringify(sampleCards));
+            await loadCards();
+
+            localStorage.setItem('SCHEMA_VERSION', '1');
+            await loadCards();
+
+            const db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open('word-list-exporter');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            const keys = await new Promise(resolve => {
+                const request = db.transaction('backups', 'readonly').objectStore('backups').getAllKeys();
+                request.onsuccess = () => resolve(request.result);
+            });
+            db.close();
+            expect(keys).toEqual(['pre-migration-v1']);
+        });
+
+        test('resets the cards and allows changes after a reset', async () => {
+            await saveCards(sampleCards);
+
+            await resetCardData();
+
+            expect(await loadCards()).toEqual([]);
+            await createCard('英単語', 'cherry', 'さくらんぼ');
+            expect((await loadCards()).map(card => card.question)).toEqual(['cherry']);
+        });
+
+        test('assigns IDs to legacy cards during migration', async () => {
+            localStorage.setItem('MEMORY', JSON.stringify([
+                { category: '英単語', question: 'apple', answer: 'りんご' }
+            ]));
+
+            const cards = await loadCards();
+
+            expect(cards.length).toBe(1);
+            expect(cards[0].id).toBeDefined();
+        });
+
+        test('keeps corrupted data in localStorage', async () => {
+            localStorage.setItem('MEMORY', '{invalid json}');
+
+            expect(await loadCards()).toEqual([]);
+            expect(localStorage.getItem('MEMORY')).toBe('{invalid json}');
+        });
+    });
+
+    describe('Card API', () => {
+        beforeEach(async () => {
+            await saveCards(sampleCards);
+        });
+
+        test('keeps insertion order', async () => {
+            await createCard('化学', 'NaCl', '塩化ナトリウム');
+
+            const cards = await loadCards();
+            expect(cards.map(c => c.question)).toEqual(['apple', 'H_2O', 'banana', 'NaCl']);
+            expect(cards[0]).not.toHaveProperty('order');
+        });
+
+        test('returns sorted unique categories', async () => {
+            expect(await getCategories()).toEqual(['化学', '英単語']);
+        });
+
+        test('returns cards of a category in insertion order', async () => {
+            const cards = await getCardsByCategory('英単語');
+            expect(cards.map(c => c.id)).toEqual(['id-1', 'id-3']);
+        });
+
+        test('updates a card without changing its position', async () => {
+            await updateCard('id-1', { answer: 'リンゴ' });
+
+            const cards = await loadCards();
+            expect(cards.map(c => c.id)).toEqual(['id-1', 'id-2', 'id-3']);
+            expect(cards[0].answer).toBe('リンゴ');
+        });
+
+        test('rejects updates of deleted cards', async () => {
+            await deleteCard('id-2');
+
+            await expect(updateCard('id-2', { answer: 'x' })).rejects.toThrow('カードが見つかりません');
+            expect((await loadCards()).map(c => c.id)).toEqual(['id-1', 'id-3']);
+        });
+
+        test('deletes cards by index (legacy support)', async () => {
+            await deleteCard(0);
+            expect((await loadCards()).map(c => c.id)).toEqual(['id-2', 'id-3']);
+        });
+
+        test('appends cards after existing ones', async () => {
+            await addCards([
+                { id: 'id-4', category: '英単語', question: 'cherry', answer: 'さくらんぼ' },
+                { id: 'id-5', category: '英単語', question: 'date', answer: 'デーツ' }
+            ]);
+
+            expect((await loadCards()).map(c => c.id)).toEqual(['id-1', 'id-2', 'id-3', 'id-4', 'id-5']);
+        });
+
+        test('moves cards to the trash and restores them in place', async () => {
+            await deleteCard('id-1');
+            expect((await loadCards()).map(c => c.id)).toEqual(['id-2', 'id-3']);
+            expect(await getCardsByCategory('英単語')).toEqual([sampleCards[2]]);
+
+            await restoreCards(['id-1']);
+            expect(await loadCards()).toEqual(sampleCards);
+        });
+
+        test('permanently deletes cards in the trash', async () => {
+            await deleteCard('id-2');
+            await emptyTrash();
+
+            expect(await loadTrash()).toEqual([]);
+            expect(await getCategories()).toEqual(['英単語']);
+        });
+
+        test('replaces all cards', async () => {
+            await saveCards([sampleCards[2]]);
+            expect(await loadCards()).toEqual([sampleCards[2]]);
+        });
+    });
+});
@@ -9,7 +9,7 @@ describe('Data Migration Integration', () => {
     });
 
     describe('Legacy Card Migration', () => {
-        test('migrates all legacy cards on first load', () => {
+        test('migrates all legacy cards on first load', async () => {
             // Setup: Create legacy cards without IDs
             const legacyCards = [
                 { category: '英単語', question: 'apple', answer: 'りんご' },
@@ -19,7 +19,7 @@ describe('Data Migration Integration', () => {
             localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
 
             // Execute: Load cards triggers migration
-            const cards = loadCards();
+            const cards = await loadCards();
 
             // Verify: All cards now have IDs
             expect(cards.length).toBe(3);
@@ -36,7 +36,7 @@ describe('Data Migration Integration', () => {
             expect(cards[2].category).toBe('数学');
         });
 
-        test('generates unique IDs for each legacy card', () => {
+        test('generates unique IDs for each legacy card', async () => {
             const legacyCards = Array.from({ length: 100 }, (_, i) => ({
                 category: 'テスト',
                 question: `question${i}`,
@@ -44,7 +44,7 @@ describe('Data Migration Integration', () => {
             }));
             localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
 
-            const cards = loadCards();
+            const cards = await loadCards();
 
             // Extract all IDs
             const ids = cards.map(c => c.id);
@@ -54,14 +54,14 @@ describe('Data Migration Integration', () => {
             expect(uniqueIds.size).toBe(100);
         });
 
-        test('saves migrated cards back to localStorage', () => {
+        test('saves migrated cards back to localStorage', async () => {
             const legacyCards = [
                 { category: '英単語', question: 'apple', answer: 'りんご' }
             ];
             localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
 
             // First load triggers migration
-            const cards = loadCards();
+            const cards = await loadCards();
 
             // Verify: Data in localStorage now has IDs
             const stored = JSON.parse(localStorage.getItem('MEMORY'));
@@ -69,21 +69,21 @@ describe('Data Migration Integration', () => {
             expect(stored[0].id).toBeDefined();
         });
 
-        test('does not re-migrate cards that already have IDs', () => {
+        test('does not re-migrate cards that already have IDs', async () => {
             const cardsWithIds = [
                 { id: 'existing-id-1', category: '英単語', question: 'apple', answer: 'りんご' },
                 { id: 'existing-id-2', category: '英単語', question: 'banana', answer: 'バナナ' }
             ];
             localStorage.setItem('MEMORY', JSON.stringify(cardsWithIds));
 
-            const cards = loadCards();
+            const cards = await loadCards();
 
             // Verify: IDs are preserved, not regenerated
             expect(cards[0].id).toBe('existing-id-1');
             expect(cards[1].id).toBe('existing-id-2');
         });
 
-        test('handles mixed legacy and new cards', () => {
+        test('handles mixed legacy and new cards', async () => {
             const mixedCards = [
                 { id: 'existing-1', category: '英単語', question: 'apple', answer: 'りんご' },
                 { category: '英単語', question: 'banana', answer: 'バナナ' },
@@ -92,7 +92,7 @@ describe('Data Migration Integration', () => {
             ];
             localStorage.setItem('MEMORY', JSON.stringify(mixedCards));
 
-            const cards = loadCards();
+            const cards = await loadCards();
 
             // Verify: Existing IDs preserved, missing IDs added
             expect(cards[0].id).toBe('existing-1');
@@ -103,7 +103,7 @@ describe('Data Migration Integration', () => {
             expect(cards[3].id).not.toBe('existing-2');
         });
 
-        test('handles migration error gracefully', () => {
+        test('handles migration error gracefully', async () => {
             const legacyCards = [
                 { category: '英単語', question: 'apple', answer: 'りんご' }
             ];
@@ -116,7 +116,7 @@ describe('Data Migration Integration', () => {
             });
 
             // Execute: Should not throw, just log error
-            const cards = loadCards();
+            const cards = await loadCards();
 
             // Verify: Cards still returned with IDs, even though save failed
             expect(cards.length).toBe(1);
@@ -128,7 +128,7 @@ describe('Data Migration Integration', () => {
     });
 
     describe('ID-Based Deletion After Migration', () => {
-        test('deletes cards by ID after migration', () => {
+        test('deletes cards by ID after migration', async () => {
             // Setup: Legacy cards
             const legacyCards = [
                 { category: '英単語', question: 'apple', answer: 'りんご' },
@@ -138,20 +138,20 @@ describe('Data Migration Integration', () => {
             localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
 
             // Migrate
-            const cards = loadCards();
+            const cards = await loadCards();
             const idToDelete = cards[1].id;
 
             // Delete by ID
-            deleteCard(idToDelete);
+            await deleteCard(idToDelete);
 
             // Verify
-            const remainingCards = loadCards();
+            const remainingCards = await loadCards();
             expect(remainingCards.length).toBe(2);
             expect(remainingCards.find(c => c.id === idToDelete)).toBeUndefined();
             expect(remainingCards.map(c => c.question)).toEqual(['apple', 'orange']);
         });
 
-        test('backward compatibility: still supports index-based deletion', () => {
+        test('backward compatibility: still supports index-based deletion', async () => {
             const cards = [
                 { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
                 { id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' }
@@ -159,16 +159,16 @@ describe('Data Migration Integration', () => {
             localStorage.setItem('MEMORY', JSON.stringify(cards));
 
             // Delete by index (legacy method)
-            deleteCard(0);
+            await deleteCard(0);
 
-            const remainingCards = loadCards();
+            const remainingCards = await loadCards();
             expect(remainingCards.length).toBe(1);
             expect(remainingCards[0].id).toBe('id-2');
         });
     });
 
     describe('Card Creation After Migration', () => {
-        test('new cards get unique IDs automatically', () => {
+        test('new cards get unique IDs automatically', async () => {
             // Setup: Start with migrated cards
             const existingCards = [
                 { id: 'existing-1', category: '英単語', question: 'apple', answer: 'りんご' }
@@ -176,24 +176,24 @@ describe('Data Migration Integration', () => {
             localStorage.setItem('MEMORY', JSON.stringify(existingCards));
 
             // Create new card
-            createCard('英単語', 'banana', 'バナナ');
+            await createCard('英単語', 'banana', 'バナナ');
 
             // Verify
-            const allCards = loadCards();
+            const allCards = await loadCards();
             expect(allCards.length).toBe(2);
             expect(allCards[1].id).toBeDefined();
             expect(allCards[1].id).not.toBe('existing-1');
             expect(allCards[1].question).toBe('banana');
         });
 
-        test('creates 1000 cards without ID collision', () => {
+        test('creates 1000 cards without ID collision', async () => {
             const idsSet = new Set();
 
             for (let i = 0; i < 1000; i++) {
-                createCard('テスト', `question${i}`, `answer${i}`);
+                await createCard('テスト', `question${i}`, `answer${i}`);
             }
 
-            const cards = loadCards();
+            const cards = await loadCards();
             cards.forEach(card => {
                 expect(idsSet.has(card.id)).toBe(false);
                 idsSet.add(card.id);
@@ -204,30 +204,30 @@ describe('Data Migration Integration', () => {
     });
 
     describe('Migration with Data Corruption', () => {
-        test('handles corrupted JSON gracefully', () => {
+        test('handles corrupted JSON gracefully', async () => {
             localStorage.setItem('MEMORY', '{invalid json}');
 
-            const cards = loadCards();
+            const cards = await loadCards();
 
             expect(cards).toEqual([]);
         });
 
-        test('handles non-array data', () => {
+        test('handles non-array data', async () => {
             localStorage.setItem('MEMORY', JSON.stringify({ notAn: 'array' }));
 
-            const cards = loadCards();
+            const cards = await loadCards();
 
             expect(cards).toEqual([]);
         });
 
-        test('handles null values in array', () => {
+        test('handles null values in array', async () => {
             localStorage.setItem('MEMORY', JSON.stringify([
                 { category: 'test', question: 'q1', answer: 'a1' },
                 null,
                 { category: 'test', question: 'q2', answer: 'a2' }
             ]));
 
-            const cards = loadCards();
+            const cards = await loadCards();
 
             // Migration should handle null gracefully
             expect(cards.length).toBeGreaterThan(0);
@@ -238,14 +238,14 @@ describe('Data Migration Integration', () => {
             });
         });
 
-        test('handles cards with missing fields', () => {
+        test('handles cards with missing fields', async () => {
             localStorage.setItem('MEMORY', JSON.stringify([
                 { question: 'q1', answer: 'a1' }, // Missing category
                 { category: 'test', answer: 'a2' }, // Missing question
                 { category: 'test', question: 'q3' } // Missing answer
             ]));
 
-            const cards = loadCards();
+            const cards = await loadCards();
 
             // Migration should still add IDs
             expect(cards.length).toBe(3);
@@ -255,8 +255,272 @@ describe('Data Migration Integration', () => {
         });
     });
 
+    describe('Schema Versioning', () => {
+        const legacyCards = [
+            { category: '英単語', question: 'apple', answer: 'りんご' },
+            null,
+            { id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' }
+        ];
+
+        beforeEach(() => {
+            jest.spyOn(window, 'alert').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('applies only the steps newer than the stored version', () => {
+            const fromZero = applyCardMigrations(legacyCards, 0);
+            expect(fromZero.version).toBe(2);
+            expect(fromZero.applied.length).toBe(2);
+            expect(fromZero.cards.length).toBe(2);
+
+            const fromOne = applyCardMigrations(legacyCards, 1);
+            expect(fromOne.applied.length).toBe(1);
+            expect(fromOne.cards[0].id).toBeUndefined();
+
+            expect(applyCardMigrations(legacyCards, 2).applied).toEqual([]);
+        });
+
+        test('migration steps are idempotent', () => {
+            const once = applyCardMigrations(legacyCards, 0).cards;
+            const twice = applyCardMigrations(once, 0).cards;
+
+            expect(twice).toEqual(once);
+        });
+
+        test('reports which step failed', () => {
+            expect(() => applyCardMigrations(null, 0)).toThrow('バージョン1');
+        });
+
+        test('stores the schema version after migrating', async () => {
+            localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
+
+            await loadCards();
+
+            expect(localStorage.getItem('SCHEMA_VERSION')).toBe('2');
+            expect(JSON.parse(localStorage.getItem('MEMORY')).length).toBe(2);
+        });
+
+        test('does not run migrations again once the data is current', async () => {
+            localStorage.setItem('SCHEMA_VERSION', '2');
+            localStorage.setItem('MEMORY', JSON.stringify([{ category: '英単語', question: 'apple', answer: 'りんご' }]));
+
+            const cards = await loadCards();
+
+            expect(cards[0].id).toBeUndefined();
+            expect(localStorage.getItem('MEMORY_BACKUP')).toBeNull();
+        });
+
+        test('keeps a backup of the data before migrating', async () => {
+            localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
+
+            await loadCards();
+
+            const backup = await getMigrationBackup();
+            expect(backup.schemaVersion).toBe(0);
+            expect(backup.cards).toEqual(legacyCards);
+            expect(typeof backup.createdAt).toBe('number');
+        });
+
+        test('leaves the data untouched when the backup cannot be saved', async () => {
+            const stored = JSON.stringify(legacyCards);
+            localStorage.setItem('MEMORY', stored);
+
+            const originalSetItem = Storage.prototype.setItem;
+            jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+                if (key === 'MEMORY_BACKUP') {
+                    throw new DOMException('QuotaExceededError');
+                }
+                originalSetItem.call(this, key, value);
+            });
+
+            const cards = await loadCards();
+
+            expect(localStorage.getItem('MEMORY')).toBe(stored);
+            expect(localStorage.getItem('SCHEMA_VERSION')).toBeNull();
+            // 保存できなくても、読み込んだカードは移行後の形式で返す
+            expect(cards.length).toBe(2);
+            expect(cards[0].id).toBeDefined();
+        });
+
+        test('keeps the first backup when the migration runs again', async () => {
+            const stored = JSON.stringify(legacyCards);
+            localStorage.setItem('MEMORY', stored);
+
+            // 1回目は移行後のデータを保存できずに失敗する
+            const originalSetItem = Storage.prototype.setItem;
+            jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+                if (key === 'MEMORY' && value !== stored) {
+                    throw new DOMException('QuotaExceededError');
+                }
+                originalSetItem.call(this, key, value);
+            });
+            await loadCards();
+            const firstBackup = await getMigrationBackup();
+            jest.restoreAllMocks();
+            jest.spyOn(window, 'alert').mockImplementation(() => {});
+
+            // 2回目の移行では別のデータになっていても、最初のバックアップを残す
+            localStorage.setItem('MEMORY', JSON.stringify([{ category: '英単語', question: 'cherry', answer: 'さくらんぼ' }]));
+            await loadCards();
+
+            expect(localStorage.getItem('SCHEMA_VERSION')).toBe('2');
+            expect(await getMigrationBackup()).toEqual(firstBackup);
+            expect(firstBackup.cards).toEqual(legacyCards);
+        });
+
+        test('does not overwrite corrupted data', async () => {
+            localStorage.setItem('MEMORY', '{invalid json}');
+
+            await loadCards();
+
+            expect(localStorage.getItem('MEMORY')).toBe('{invalid json}');
+            expect(localStorage.getItem('SCHEMA_VERSION')).toBeNull();
+        });
+
+        test('keeps corrupted data recoverable when writing after the failed migration', async () => {
+            localStorage.setItem('MEMORY', '{invalid json}');
+
+            expect(await loadCards()).toEqual([]);
+            await expect(createCard('英単語', 'apple', 'りんご')).rejects.toThrow('変更を保存できません');
+            await expect(saveCards([])).rejects.toThrow('変更を保存できません');
+
+            expect(localStorage.getItem('MEMORY')).toBe('{invalid json}');
+            const backup = await getMigrationBackup();
+            expect(backup.raw).toBe('{invalid json}');
+            expect(backup.cards).toBeNull();
+        });
+    });
+
+    describe('Backups and Recovery', () => {
+        const legacyCards = [
+            { category: '英単語', question: 'apple', answer: 'りんご' },
+            { id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' }
+        ];
+
+        // 指定したキーへの保存だけ容量不足で失敗させる
+        const failSetItemFor = (failingKey) => {
+            const originalSetItem = Storage.prototype.setItem;
+            jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+                if (key === failingKey) {
+                    throw new DOMException('full', 'QuotaExceededError');
+                }
+                originalSetItem.call(this, key, value);
+            });
+        };
+
+        beforeEach(() => {
+            jest.spyOn(window, 'alert').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('removes backups from older migrations after a successful migration', async () => {
+            const oldBackup = { schemaVersion: 0, createdAt: 1, cards: [] };
+            localStorage.setItem('MEMORY_BACKUP', JSON.stringify({ 0: oldBackup }));
+            localStorage.setItem('SCHEMA_VERSION', '1');
+            localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
+
+            await loadCards();
+
+            const backups = JSON.parse(localStorage.getItem('MEMORY_BACKUP'));
+            expect(Object.keys(backups)).toEqual(['1']);
+            expect(backups[1].cards).toEqual(legacyCards);
+        });
+
+        test('migrates without a second copy when there is no room for the backup', async () => {
+            localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
+            failSetItemFor('MEMORY_BACKUP');
+
+            const cards = await loadCards();
+
+            expect(localStorage.getItem('MEMORY_BACKUP')).toBeNull();
+            expect(localStorage.getItem('SCHEMA_VERSION')).toBe('2');
+            expect(cards.every(card => card.id)).toBe(true);
+            expect(window.alert).not.toHaveBeenCalled();
+        });
+
+        test('offers the stored data for download when corrupted data could not be backed up', async () => {
+            localStorage.setItem('MEMORY', '{invalid json}');
+            failSetItemFor('MEMORY_BACKUP');
+            await loadCards();
+
+            const data = await getRecoveryData();
+
+            expect(data.cards).toBeNull();
+            expect(data.raw).toBe('{invalid json}');
+        });
+
+        test('resets corrupted data so that changes can be saved again', async () => {
+            localStorage.setItem('MEMORY', '{invalid json}');
+            await loadCards();
+            expect(await isCardDataReadOnly()).toBe(true);
+
+            await resetCardData();
+
+            expect(await isCardDataReadOnly()).toBe(false);
+            await createCard('英単語', 'apple', 'りんご');
+            expect((await loadCards()).map(card => card.question)).toEqual(['apple']);
+            // 破損したデータはバックアップに残る
+            expect((await getMigrationBackup()).raw).toBe('{invalid json}');
+        });
+
+        test('restores the cards from the backup and applies the migrations again', async () => {
+            localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
+            await loadCards();
+            await saveCards([]);
+
+            const backup = await restoreMigrationBackup();
+
+            expect(backup.cards).toEqual(legacyCards);
+            const cards = await loadCards();
+            expect(cards.map(card => card.question)).toEqual(['apple', 'banana']);
+            expect(cards.every(card => card.id)).toBe(true);
+        });
+
+        test('refuses to restore a backup of corrupted data', async () => {
+            localStorage.setItem('MEMORY', '{invalid json}');
+            await loadCards();
+
+            await expect(restoreMigrationBackup()).rejects.toThrow('復元できるバックアップがありません');
+            expect(localStorage.getItem('MEMORY')).toBe('{invalid json}');
+        });
+
+        test('shows the recovery options in the settings view after a failed migration', async () => {
+            localStorage.setItem('MEMORY', '{invalid json}');
+            const download = jest.spyOn(window, 'downloadFile').mockImplementation(() => {});
+
+            await renderDataRecoverySettings();
+            expect(document.getElementById('data-recovery-message').textContent).toContain('変更を保存できません');
+            expect(document.getElementById('restore-migration-backup-btn').disabled).toBe(true);
+
+            document.getElementById('download-recovery-data-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(download).toHaveBeenCalledWith('{invalid json}', expect.stringMatching(/\.txt$/), 'text/plain');
+        });
+
+        test('downloads a backup with cards as an importable export file', async () => {
+            localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
+            await loadCards();
+            const download = jest.spyOn(window, 'downloadFile').mockImplementation(() => {});
+
+            document.getElementById('download-recovery-data-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const [content, filename] = download.mock.calls[0];
+            expect(filename).toMatch(/\.json$/);
+            expect(parseImportData(content).cards.map(card => card.question)).toEqual(['apple', 'banana']);
+        });
+    });
+
     describe('Performance', () => {
-        test('migrates 10000 legacy cards efficiently', () => {
+        test('migrates 10000 legacy cards efficiently', async () => {
             const largeLegacyDataset = Array.from({ length: 10000 }, (_, i) => ({
                 category: `category${i % 10}`,
                 question: `question${i}`,
@@ -265,7 +529,7 @@ describe('Data Migration Integration', () => {
             localStorage.setItem('MEMORY', JSON.stringify(largeLegacyDataset));
 
             const startTime = performance.now();
-            const cards = loadCards();
+            const cards = await loadCards();
             const endTime = performance.now();
 
             // Verify
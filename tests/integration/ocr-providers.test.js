@@ -0,0 +1,123 @@
+/**
+ * Integration tests for OCR providers
+ * Tests provider selection, the local Tesseract.js provider and card creation with a fake provider
+ */
+
+const { createFakeOcrProvider } = require('../helpers/fake-ocr-provider');
+
+// キャンバスを作成
+const createCanvas = (width = 100, height = 100) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+describe('OCR providers', () => {
+    let fetchSpy;
+
+    beforeEach(() => {
+        localStorage.clear();
+        fetchSpy = jest.spyOn(global, 'fetch');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('recognizes text with the selected provider without an API key', async () => {
+        const provider = createFakeOcrProvider('apple→りんご\nbanana→バナナ');
+        registerOcrProvider('fake', provider);
+        saveOcrProviderId('fake');
+        const canvas = createCanvas();
+
+        const text = (await recognizeImage(canvas)).text;
+        document.getElementById('import-category-input').value = '英単語';
+        const cards = parseTextToCards(text);
+
+        expect(provider.calls).toEqual([canvas]);
+        expect(cards.map(c => [c.question, c.answer])).toEqual([['apple', 'りんご'], ['banana', 'バナナ']]);
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    test('returns deterministic text for each canvas size', async () => {
+        registerOcrProvider('fake', createFakeOcrProvider({ '100x50': 'cat→ねこ', '200x50': 'dog→いぬ' }));
+
+        expect((await recognizeImage(createCanvas(200, 50), 'fake')).text).toBe('dog→いぬ');
+        expect((await recognizeImage(createCanvas(100, 50), 'fake')).text).toBe('cat→ねこ');
+    });
+
+    test('joins lines when a provider returns only lines', async () => {
+        registerOcrProvider('lines-only', { recognize: async () => ({ lines: ['apple→りんご', 'banana→バナナ'] }) });
+        expect((await recognizeImage(createCanvas(), 'lines-only')).text).toBe('apple→りんご\nbanana→バナナ');
+    });
+
+    test('reports empty results', async () => {
+        registerOcrProvider('fake', createFakeOcrProvider('  \n '));
+        await expect(recognizeImage(createCanvas(), 'fake')).rejects.toThrow('画像から文字を認識できませんでした');
+    });
+
+    test('rejects providers without recognize', () => {
+        expect(() => registerOcrProvider('broken', {})).toThrow('recognize関数がありません');
+    });
+
+    test('falls back to Gemini for unknown providers', () => {
+        expect(loadOcrProviderId()).toBe('gemini');
+
+        localStorage.setItem('OCR_PROVIDER', 'removed-provider');
+        expect(loadOcrProviderId()).toBe('gemini');
+        expect(() => saveOcrProviderId('removed-provider')).toThrow('不明なOCRエンジン');
+    });
+
+    test('still requires an API key for Gemini', async () => {
+        await expect(recognizeImage(createCanvas(), 'gemini')).rejects.toThrow('Gemini API Keyが設定されていません');
+    });
+});
+
+describe('Tesseract.js provider', () => {
+    afterEach(() => {
+        delete window.Tesseract;
+    });
+
+    test('recognizes jpn+eng locally and reuses the worker', async () => {
+        const recognize = jest.fn(async () => ({ data: { text: 'apple → り ん ご\n赤い 果物 fruit\n' } }));
+        window.Tesseract = {
+            OEM: { LSTM_ONLY: 1 },
+            createWorker: jest.fn(async () => ({ recognize }))
+        };
+
+        const text = (await recognizeImage(createCanvas(), 'tesseract')).text;
+        await recognizeImage(createCanvas(), 'tesseract');
+
+        expect(text).toBe('apple → りんご\n赤い果物 fruit\n');
+        expect(window.Tesseract.createWorker).toHaveBeenCalledTimes(1);
+        const [languages, oem, options] = window.Tesseract.createWorker.mock.calls[0];
+        expect(languages).toBe('jpn+eng');
+        expect(oem).toBe(1);
+        expect(options.langPath).toMatch(/^[a-z]+:.*\/tessdata$/);
+        // node_modules/を公開しなくても読み込めるよう、npm installでコピーしたディレクトリを使う
+        expect(options.workerPath).toMatch(/^[a-z]+:.*\/tesseract\/worker\.min\.js$/);
+        expect(options.corePath).toMatch(/^[a-z]+:.*\/tesseract\/core$/);
+        expect(options.workerPath).not.toContain('node_modules');
+        expect(recognize).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('OCR provider setting', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        initSettingsView();
+    });
+
+    test('lists the providers and saves the selection', () => {
+        const select = document.getElementById('ocr-provider-select');
+        const values = [...select.options].map(option => option.value);
+
+        expect(values).toEqual(expect.arrayContaining(['gemini', 'tesseract']));
+        expect(select.value).toBe('gemini');
+
+        select.value = 'tesseract';
+        select.dispatchEvent(new Event('change'));
+        expect(loadOcrProviderId()).toBe('tesseract');
+    });
+});
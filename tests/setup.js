@@ -44,6 +44,18 @@ if (typeof crypto === 'undefined' || !crypto.randomUUID) {
     };
 }
 
-// Load app.js functions for testing
-// In a real setup, you would extract functions to modules and import them
-// For now, we'll include the functions directly or use JSDOM to load the script
+// jsdomにはfetchがないため、テストでjest.spyOn(global, 'fetch')できるようにスタブを用意
+if (typeof global.fetch === 'undefined') {
+    global.fetch = () => Promise.reject(new Error('fetch is not available in tests'));
+}
+
+// index.htmlのDOMを用意してからapp.jsを読み込む（app.jsは要素へのイベント登録をトップレベルで行うため）
+// app.jsはモジュールではないため、グローバルスコープで評価して関数をテストから呼べるようにする
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+document.documentElement.innerHTML = html.replace(/<script[\s\S]*?<\/script>/g, '');
+
+const appCode = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+(0, eval)(appCode);
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for bulk operations in the card list
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+const sampleCards = [
+    { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご', starred: true },
+    { id: 'id-2', category: '化学', question: 'H_2O', answer: '水' },
+    { id: 'id-3', category: '英単語', question: 'banana', answer: 'バナナ' }
+];
+
+// 非同期の描画・保存が終わるのを待つ
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('applyBulkAction', () => {
+    test('moves selected cards to the trash', () => {
+        const result = applyBulkAction(sampleCards, new Set(['id-1']), 'delete', { now: 1000 });
+
+        expect(result[0].deletedAt).toBe(1000);
+        expect(result[1]).toBe(sampleCards[1]);
+    });
+
+    test('moves selected cards to another category', () => {
+        const result = applyBulkAction(sampleCards, new Set(['id-1', 'id-3']), 'move', { category: '果物' });
+        expect(result.map(c => c.category)).toEqual(['果物', '化学', '果物']);
+    });
+
+    test('inserts duplicates right after the originals', () => {
+        const cards = [...sampleCards];
+        cards[0] = { ...cards[0], review: { interval: 3 }, importBatchId: 'batch-1' };
+        const result = applyBulkAction(cards, new Set(['id-1']), 'duplicate');
+
+        expect(result.length).toBe(4);
+        expect(result[1].id).not.toBe('id-1');
+        expect(result[1].question).toBe('apple');
+        expect(result[1].starred).toBe(true);
+        expect(result[1]).not.toHaveProperty('review');
+        expect(result[1]).not.toHaveProperty('importBatchId');
+        expect(result[2].id).toBe('id-2');
+    });
+
+    test('swaps question and answer', () => {
+        const result = applyBulkAction(sampleCards, new Set(['id-2']), 'swap');
+        expect(result[1]).toEqual({ id: 'id-2', category: '化学', question: '水', answer: 'H_2O' });
+    });
+
+    test('does not modify the original cards', () => {
+        applyBulkAction(sampleCards, new Set(['id-1']), 'move', { category: '果物' });
+        expect(sampleCards[0].category).toBe('英単語');
+    });
+
+    test('rejects unknown actions', () => {
+        expect(() => applyBulkAction(sampleCards, new Set(['id-1']), 'unknown')).toThrow();
+    });
+});
+
+describe('list selection mode', () => {
+    beforeEach(async () => {
+        localStorage.clear();
+        await saveCards(sampleCards);
+        await renderListView();
+        document.getElementById('toggle-select-mode-btn').click();
+        await flush();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        // 選択モードを終了
+        document.getElementById('toggle-select-mode-btn').click();
+        await flush();
+    });
+
+    test('lists categories for the move action without creating attributes', async () => {
+        await saveCards([...sampleCards, { id: 'id-4', category: 'x" onclick="alert(1)', question: 'q', answer: 'a' }]);
+        await renderListView();
+
+        const options = [...document.querySelectorAll('#bulk-category-options option')];
+        expect(options.map(option => option.value)).toContain('x" onclick="alert(1)');
+        expect(options.some(option => option.hasAttribute('onclick'))).toBe(false);
+    });
+
+    test('selects every card of a category from its header', () => {
+        const categoryCheckbox = [...document.querySelectorAll('.category-select-checkbox')]
+            .find(checkbox => checkbox.dataset.category === '英単語');
+        categoryCheckbox.click();
+
+        expect(document.getElementById('bulk-selection-count').textContent).toBe('2件選択中');
+        expect(document.getElementById('bulk-swap-btn').disabled).toBe(false);
+    });
+
+    test('applies a bulk action with a single save', async () => {
+        const saveSpy = jest.spyOn(window, 'saveCards');
+        document.querySelectorAll('.card-select-checkbox')[0].click();
+
+        document.getElementById('bulk-swap-btn').click();
+        await flush();
+
+        expect(saveSpy).toHaveBeenCalledTimes(1);
+        const cards = await loadCards();
+        expect(cards.find(c => c.id === 'id-2').question).toBe('水');
+        expect(document.getElementById('bulk-selection-count').textContent).toBe('0件選択中');
+    });
+});
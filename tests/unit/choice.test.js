@@ -0,0 +1,74 @@
+/**
+ * Unit tests for multiple-choice generation
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+describe('getTextScript', () => {
+    test('detects the main script of the text', () => {
+        expect(getTextScript('apple')).toBe('latin');
+        expect(getTextScript('りんご')).toBe('kana');
+        expect(getTextScript('林檎')).toBe('kanji');
+        expect(getTextScript('1990')).toBe('digit');
+        expect(getTextScript('!?')).toBe('other');
+    });
+});
+
+describe('generateChoices', () => {
+    const card = (id, category, question, answer) => ({ id, category, question, answer });
+    const apple = card('a', '英単語', 'apple', 'りんご');
+    const cards = [
+        apple,
+        card('b', '英単語', 'banana', 'バナナ'),
+        card('c', '英単語', 'cherry', 'さくらんぼ'),
+        card('d', '英単語', 'grape', 'ぶどう'),
+        card('e', '化学', 'H_2O', '水'),
+        card('f', '化学', 'NaCl', '塩化ナトリウム')
+    ];
+
+    test('returns four unique choices including the correct answer', () => {
+        const { choices, correctIndex } = generateChoices(apple, cards);
+
+        expect(choices.length).toBe(4);
+        expect(new Set(choices).size).toBe(4);
+        expect(choices[correctIndex]).toBe('りんご');
+    });
+
+    test('prefers cards from the same category', () => {
+        const { choices } = generateChoices(apple, cards);
+        expect(choices.sort()).toEqual(['さくらんぼ', 'ぶどう', 'りんご', 'バナナ'].sort());
+    });
+
+    test('falls back to other categories for small categories', () => {
+        const water = cards[4];
+        const { choices } = generateChoices(water, cards);
+
+        expect(choices.length).toBe(4);
+        expect(choices).toContain('塩化ナトリウム');
+    });
+
+    test('skips options that look the same as the answer or each other', () => {
+        const pool = [
+            apple,
+            card('x', '英単語', 'apple (fruit)', 'リンゴ'),
+            card('y', '英単語', 'banana', 'バナナ'),
+            card('z', '英単語', 'banana (fruit)', 'ﾊﾞﾅﾅ')
+        ];
+        const { choices } = generateChoices(apple, pool);
+
+        // 「バナナ」と「ﾊﾞﾅﾅ」のどちらが選ばれるかはシャッフル次第
+        expect(choices.length).toBe(2);
+        expect(choices).toContain('りんご');
+        expect(normalizeAnswer(choices.find(choice => choice !== 'りんご'))).toBe(normalizeAnswer('バナナ'));
+    });
+
+    test('uses the question side in reverse direction', () => {
+        const { choices, correctIndex } = generateChoices(apple, cards, 'reverse');
+
+        expect(choices[correctIndex]).toBe('apple');
+        expect(choices).toContain('banana');
+    });
+
+    test('returns only the correct answer when there are no other cards', () => {
+        expect(generateChoices(apple, [apple])).toEqual({ choices: ['りんご'], correctIndex: 0 });
+    });
+});
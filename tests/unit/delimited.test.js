@@ -0,0 +1,133 @@
+/**
+ * Unit tests for CSV/TSV conversion functions
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+describe('toDelimitedText', () => {
+    test('joins fields and rows with CRLF', () => {
+        const text = toDelimitedText([['a', 'b'], ['c', 'd']], ',');
+        expect(text).toBe('a,b\r\nc,d');
+    });
+
+    test('quotes fields containing the delimiter', () => {
+        expect(toDelimitedText([['a,b', 'c']], ',')).toBe('"a,b",c');
+        expect(toDelimitedText([['a\tb', 'c']], '\t')).toBe('"a\tb"\tc');
+    });
+
+    test('escapes double quotes', () => {
+        expect(toDelimitedText([['say "hi"']], ',')).toBe('"say ""hi"""');
+    });
+
+    test('quotes fields containing newlines', () => {
+        expect(toDelimitedText([['line1\nline2']], ',')).toBe('"line1\nline2"');
+    });
+
+    test('does not quote commas in TSV', () => {
+        expect(toDelimitedText([['a,b', 'c']], '\t')).toBe('a,b\tc');
+    });
+
+    test('writes undefined and null as empty fields', () => {
+        expect(toDelimitedText([['a', undefined, null]], ',')).toBe('a,,');
+    });
+});
+
+describe('parseDelimitedText', () => {
+    test('parses simple CSV', () => {
+        expect(parseDelimitedText('a,b\nc,d', ',')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    test('handles CRLF line endings', () => {
+        expect(parseDelimitedText('a,b\r\nc,d\r\n', ',')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    test('handles quoted fields with delimiters, quotes and newlines', () => {
+        const text = '"a,b","say ""hi""","line1\nline2"';
+        expect(parseDelimitedText(text, ',')).toEqual([['a,b', 'say "hi"', 'line1\nline2']]);
+    });
+
+    test('parses TSV', () => {
+        expect(parseDelimitedText('apple\tりんご\nbanana\tバナナ', '\t'))
+            .toEqual([['apple', 'りんご'], ['banana', 'バナナ']]);
+    });
+
+    test('keeps empty fields', () => {
+        expect(parseDelimitedText('a,,c', ',')).toEqual([['a', '', 'c']]);
+    });
+
+    test('skips empty lines', () => {
+        expect(parseDelimitedText('a,b\n\nc,d\n', ',')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    test('strips a leading BOM', () => {
+        expect(parseDelimitedText('\uFEFFa,b', ',')).toEqual([['a', 'b']]);
+    });
+
+    test('round-trips exported cards', () => {
+        const cards = [
+            { id: 'id-1', category: '英単語', question: 'a, "b"', answer: 'line1\nline2' },
+            { id: 'id-2', category: '化学', question: 'H_2O', answer: '水' }
+        ];
+        const rows = parseDelimitedText(cardsToDelimitedText(cards, ','), ',');
+
+        expect(rows[0]).toEqual(['category', 'question', 'answer', 'id']);
+        expect(rows[1]).toEqual(['英単語', 'a, "b"', 'line1\nline2', 'id-1']);
+        expect(rows[2]).toEqual(['化学', 'H_2O', '水', 'id-2']);
+    });
+});
+
+describe('detectDelimiter', () => {
+    test('uses the file extension when available', () => {
+        expect(detectDelimiter('a,b', 'list.tsv')).toBe('\t');
+        expect(detectDelimiter('a\tb', 'list.CSV')).toBe(',');
+    });
+
+    test('falls back to counting delimiters in the first line', () => {
+        expect(detectDelimiter('a\tb\tc\nd', 'list.txt')).toBe('\t');
+        expect(detectDelimiter('a,b,c\nd')).toBe(',');
+    });
+});
+
+describe('guessColumnMapping', () => {
+    test('recognises English headers', () => {
+        expect(guessColumnMapping(['question', 'answer', 'category']))
+            .toEqual({ category: 2, question: 0, answer: 1 });
+    });
+
+    test('recognises Japanese headers', () => {
+        expect(guessColumnMapping(['カテゴリ', '問題', '解答']))
+            .toEqual({ category: 0, question: 1, answer: 2 });
+    });
+
+    test('defaults to question/answer order for unknown headers', () => {
+        expect(guessColumnMapping(['英語', '日本語']))
+            .toEqual({ category: -1, question: 0, answer: 1 });
+    });
+});
+
+describe('mapRowsToCards', () => {
+    test('maps columns to card fields', () => {
+        const rows = [['英単語', 'apple', 'りんご']];
+        const cards = mapRowsToCards(rows, { category: 0, question: 1, answer: 2 }, 'デフォルト');
+
+        expect(cards.length).toBe(1);
+        expect(cards[0].category).toBe('英単語');
+        expect(cards[0].question).toBe('apple');
+        expect(cards[0].answer).toBe('りんご');
+        expect(cards[0].id).toBeDefined();
+    });
+
+    test('uses default category when the column is not mapped or empty', () => {
+        const rows = [['apple', 'りんご', ''], ['banana', 'バナナ', '']];
+        expect(mapRowsToCards(rows, { category: -1, question: 0, answer: 1 }, 'デフォルト')[0].category)
+            .toBe('デフォルト');
+        expect(mapRowsToCards(rows, { category: 2, question: 0, answer: 1 }, 'デフォルト')[1].category)
+            .toBe('デフォルト');
+    });
+
+    test('skips rows without question or answer', () => {
+        const rows = [['apple', 'りんご'], ['banana', ''], ['']];
+        const cards = mapRowsToCards(rows, { category: -1, question: 0, answer: 1 }, '英単語');
+
+        expect(cards.length).toBe(1);
+    });
+});
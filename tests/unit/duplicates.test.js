@@ -0,0 +1,202 @@
+/**
+ * Unit tests for duplicate card detection
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+const sampleCards = [
+    { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+    { id: 'id-2', category: '化学', question: 'H_2O', answer: '水' },
+    { id: 'id-3', category: '英単語', question: 'banana', answer: 'バナナ' }
+];
+
+// 非同期の描画・保存が終わるのを待つ
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('findDuplicateCard', () => {
+    test('finds the same question within a category', () => {
+        const duplicate = findDuplicateCard({ category: '英単語', question: 'Apple', answer: '林檎' }, sampleCards);
+        expect(duplicate).toEqual({ card: sampleCards[0], reason: 'question' });
+    });
+
+    test('allows the same question in another category', () => {
+        expect(findDuplicateCard({ category: '果物', question: 'apple', answer: '林檎' }, sampleCards)).toBeNull();
+    });
+
+    test('finds the same question and answer in any category', () => {
+        const duplicate = findDuplicateCard({ category: '果物', question: 'ＡＰＰＬＥ ', answer: 'リンゴ' }, sampleCards);
+        expect(duplicate).toEqual({ card: sampleCards[0], reason: 'pair' });
+    });
+
+    test('prefers a matching question and answer', () => {
+        const cards = [
+            { id: 'a', category: '英単語', question: 'apple', answer: '林檎' },
+            { id: 'b', category: '果物', question: 'apple', answer: 'りんご' }
+        ];
+        const duplicate = findDuplicateCard({ category: '英単語', question: 'apple', answer: 'りんご' }, cards);
+        expect(duplicate.card.id).toBe('b');
+        expect(duplicate.reason).toBe('pair');
+    });
+
+    test('ignores the excluded card', () => {
+        expect(findDuplicateCard(sampleCards[0], sampleCards, 'id-1')).toBeNull();
+    });
+
+    test('ignores cards without a question', () => {
+        expect(findDuplicateCard({ category: '英単語', question: ' ', answer: '' }, [
+            { id: 'a', category: '英単語', question: '', answer: '' }
+        ])).toBeNull();
+    });
+});
+
+describe('findImportDuplicates', () => {
+    test('compares with existing cards first, then earlier imported cards', () => {
+        const imported = [
+            { category: '英単語', question: 'cherry', answer: 'さくらんぼ' },
+            { category: '英単語', question: 'cherry', answer: 'チェリー' },
+            { category: '英単語', question: 'apple', answer: 'りんご' }
+        ];
+
+        expect(findImportDuplicates(imported, createDuplicateIndex(sampleCards))).toEqual([
+            null,
+            { card: imported[0], reason: 'question', existing: false },
+            { card: sampleCards[0], reason: 'pair', existing: true }
+        ]);
+    });
+
+    test('finds the same duplicates as findDuplicateCard', () => {
+        const index = createDuplicateIndex(sampleCards);
+        [
+            { category: '英単語', question: 'APPLE', answer: '林檎' },
+            { category: '果物', question: 'apple', answer: 'りんご' },
+            { category: '果物', question: 'grape', answer: 'ぶどう' }
+        ].forEach(card => {
+            expect(findInDuplicateIndex(index, card)).toEqual(findDuplicateCard(card, sampleCards));
+        });
+    });
+
+    test('normalizes each existing card only once', () => {
+        const existing = Array.from({ length: 50 }, (_, i) => ({ id: `e${i}`, category: 'テスト', question: `q${i}`, answer: `a${i}` }));
+        const imported = Array.from({ length: 50 }, (_, i) => ({ category: 'テスト', question: `new${i}`, answer: `a${i}` }));
+        const index = createDuplicateIndex(existing);
+        const spy = jest.spyOn(String.prototype, 'normalize');
+
+        findImportDuplicates(imported, index);
+
+        // インポートするカードのキーだけを計算する（既存のカードとの総当たりはしない）
+        expect(spy.mock.calls.length).toBeLessThan(existing.length * imported.length);
+        spy.mockRestore();
+    });
+});
+
+describe('resolveImportDuplicates', () => {
+    const imported = [
+        { id: 'new-1', category: '英単語', question: 'apple', answer: 'リンゴ（果物）' },
+        { id: 'new-2', category: '英単語', question: 'cherry', answer: 'さくらんぼ' },
+        { id: 'new-3', category: '英単語', question: 'cherry', answer: 'さくらんぼ' }
+    ];
+
+    test('skips duplicates by default', () => {
+        const result = resolveImportDuplicates(imported, sampleCards, new Map());
+
+        expect(result.cardsToAdd.map(c => c.id)).toEqual(['new-2']);
+        expect(result.overwrites).toEqual([]);
+        expect(result.skipped).toBe(2);
+    });
+
+    test('overwrites existing cards and keeps both when chosen', () => {
+        const actions = new Map([[imported[0], 'overwrite'], [imported[2], 'keep']]);
+        const result = resolveImportDuplicates(imported, sampleCards, actions);
+
+        expect(result.cardsToAdd.map(c => c.id)).toEqual(['new-2', 'new-3']);
+        expect(result.overwrites).toEqual([{
+            id: 'id-1',
+            fields: { category: '英単語', question: 'apple', answer: 'リンゴ（果物）' }
+        }]);
+        expect(result.skipped).toBe(0);
+    });
+
+    test('does not overwrite duplicates within the same import', () => {
+        const result = resolveImportDuplicates(imported, sampleCards, new Map([[imported[2], 'overwrite']]));
+
+        expect(result.overwrites).toEqual([]);
+        expect(result.skipped).toBe(2);
+    });
+});
+
+describe('findDuplicateGroups', () => {
+    test('groups connected duplicates in insertion order', () => {
+        const cards = [
+            ...sampleCards,
+            { id: 'id-4', category: '英単語', question: 'APPLE', answer: '林檎' },
+            { id: 'id-5', category: '果物', question: 'apple', answer: '林檎' },
+            { id: 'id-6', category: '化学', question: 'H2O', answer: 'みず' }
+        ];
+
+        expect(findDuplicateGroups(cards).map(group => group.map(c => c.id))).toEqual([
+            ['id-1', 'id-4', 'id-5'],
+            ['id-2', 'id-6']
+        ]);
+    });
+
+    test('returns no groups without duplicates', () => {
+        expect(findDuplicateGroups(sampleCards)).toEqual([]);
+    });
+});
+
+describe('adding a duplicate card', () => {
+    beforeEach(async () => {
+        localStorage.clear();
+        await saveCards(sampleCards);
+        initAddView();
+        document.getElementById('category-input').value = '英単語';
+        document.getElementById('question-input').value = 'Apple';
+        document.getElementById('answer-input').value = '林檎';
+        jest.spyOn(window, 'alert').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('does not save when the confirmation is cancelled', async () => {
+        const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(false);
+
+        document.getElementById('save-card-btn').click();
+        await flush();
+
+        expect(confirmSpy.mock.calls[0][0]).toContain('カテゴリ「英単語」に同じ問題のカードがあります');
+        expect((await loadCards()).length).toBe(3);
+    });
+
+    test('keeps both cards when confirmed', async () => {
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+        document.getElementById('save-card-btn').click();
+        await flush();
+
+        expect((await loadCards()).length).toBe(4);
+    });
+});
+
+describe('duplicates view', () => {
+    beforeEach(async () => {
+        localStorage.clear();
+        await saveCards([...sampleCards, { id: 'id-4', category: '英単語', question: 'apple', answer: '林檎' }]);
+        await renderDuplicatesView();
+    });
+
+    test('lists duplicate groups', () => {
+        const groups = document.querySelectorAll('#duplicate-group-list .duplicate-group');
+        expect(groups.length).toBe(1);
+        expect(groups[0].querySelectorAll('.card-item').length).toBe(2);
+    });
+
+    test('keeps the first card and moves the others to the trash', async () => {
+        document.querySelector('.duplicate-group-header button').click();
+        await flush();
+
+        expect((await loadCards()).map(c => c.id)).toEqual(['id-1', 'id-2', 'id-3']);
+        expect((await loadTrash()).map(c => c.id)).toEqual(['id-4']);
+        expect(document.getElementById('duplicate-group-list').textContent).toContain('重複しているカードはありません');
+    });
+});
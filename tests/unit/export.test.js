@@ -0,0 +1,252 @@
+/**
+ * Unit tests for export/import functions
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+describe('buildExportData', () => {
+    test('wraps cards in a versioned envelope', () => {
+        const cards = [
+            { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' }
+        ];
+        const data = buildExportData(cards);
+
+        expect(data.format).toBe('word-list-exporter');
+        expect(data.version).toBe(2);
+        expect(typeof data.exportedAt).toBe('string');
+        expect(new Date(data.exportedAt).toString()).not.toBe('Invalid Date');
+        expect(data.cards).toEqual(cards);
+    });
+
+    test('keeps card IDs', () => {
+        const cards = [
+            { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+            { id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' }
+        ];
+        const data = buildExportData(cards);
+
+        expect(data.cards.map(c => c.id)).toEqual(['id-1', 'id-2']);
+    });
+
+    test('does not share card objects with the source array', () => {
+        const cards = [{ id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' }];
+        const data = buildExportData(cards);
+
+        data.cards[0].question = 'changed';
+        expect(cards[0].question).toBe('apple');
+    });
+
+    test('includes study history', () => {
+        const history = [{ cardId: 'id-1', timestamp: 1704067200000, result: 'correct', responseTime: 1200 }];
+
+        expect(buildExportData([], history).history).toEqual(history);
+        expect(buildExportData([]).history).toEqual([]);
+    });
+});
+
+describe('parseImportData', () => {
+    const envelope = (cards, overrides = {}) => JSON.stringify({
+        format: 'word-list-exporter',
+        version: 1,
+        exportedAt: '2024-01-01T00:00:00.000Z',
+        cards,
+        ...overrides
+    });
+
+    test('round-trips exported data', () => {
+        const cards = [
+            { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+            { id: 'id-2', category: '化学', question: 'H_2O', answer: '水' }
+        ];
+        const result = parseImportData(JSON.stringify(buildExportData(cards)));
+
+        expect(result.cards).toEqual(cards);
+        expect(result.errors).toEqual([]);
+    });
+
+    test('round-trips study history', () => {
+        const history = [{ cardId: 'id-1', timestamp: 1704067200000, result: 'incorrect', responseTime: 800 }];
+        const result = parseImportData(JSON.stringify(buildExportData([], history)));
+
+        expect(result.history).toEqual(history);
+    });
+
+    test('returns empty history for version 1 files', () => {
+        expect(parseImportData(envelope([])).history).toEqual([]);
+    });
+
+    test('skips invalid history entries', () => {
+        const history = [
+            { cardId: 'id-1', timestamp: 1704067200000, result: 'correct' },
+            { cardId: 'id-2', timestamp: 'yesterday', result: 'correct' },
+            { cardId: 'id-3', timestamp: 1704067200000, result: 'skipped' }
+        ];
+        const result = parseImportData(envelope([], { version: 2, history }));
+
+        expect(result.history.map(entry => entry.cardId)).toEqual(['id-1']);
+        expect(result.errors.length).toBe(2);
+    });
+
+    test('rejects invalid JSON', () => {
+        expect(() => parseImportData('{invalid')).toThrow('JSONの解析に失敗しました');
+    });
+
+    test('rejects files without the format identifier', () => {
+        expect(() => parseImportData(JSON.stringify([{ question: 'a', answer: 'b' }])))
+            .toThrow('このアプリのエクスポートファイルではありません');
+        expect(() => parseImportData(envelope([], { format: 'other' })))
+            .toThrow('このアプリのエクスポートファイルではありません');
+    });
+
+    test('rejects newer format versions', () => {
+        expect(() => parseImportData(envelope([], { version: 99 })))
+            .toThrow('新しいバージョン');
+    });
+
+    test('rejects invalid versions', () => {
+        expect(() => parseImportData(envelope([], { version: 'one' })))
+            .toThrow('バージョンが不正です');
+    });
+
+    test('rejects missing cards array', () => {
+        expect(() => parseImportData(envelope(undefined)))
+            .toThrow('カードデータが含まれていません');
+    });
+
+    test('reports malformed entries and keeps valid ones', () => {
+        const result = parseImportData(envelope([
+            { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+            null,
+            { id: 'id-2', category: '英単語', question: '', answer: 'バナナ' },
+            { id: 'id-3', category: '英単語', question: 'orange' },
+            { id: 42, category: '英単語', question: 'grape', answer: 'ぶどう' }
+        ]));
+
+        expect(result.cards.length).toBe(1);
+        expect(result.cards[0].id).toBe('id-1');
+        expect(result.errors.length).toBe(4);
+        expect(result.errors[0]).toContain('2件目');
+        expect(result.errors[1]).toContain('問題が空です');
+        expect(result.errors[2]).toContain('解答が空です');
+        expect(result.errors[3]).toContain('IDの形式');
+    });
+
+    test('assigns IDs and default category when missing', () => {
+        const result = parseImportData(envelope([
+            { question: 'apple', answer: 'りんご' }
+        ]));
+
+        expect(result.cards[0].id).toBeDefined();
+        expect(result.cards[0].category).toBe('未分類');
+    });
+
+    test('reassigns duplicate IDs within the file', () => {
+        const result = parseImportData(envelope([
+            { id: 'dup', category: '英単語', question: 'apple', answer: 'りんご' },
+            { id: 'dup', category: '英単語', question: 'banana', answer: 'バナナ' }
+        ]));
+
+        expect(result.cards[0].id).toBe('dup');
+        expect(result.cards[1].id).not.toBe('dup');
+    });
+});
+
+describe('prepareImportedCards', () => {
+    const existing = [
+        { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+        { id: 'id-9', category: '英単語', question: 'grape', answer: 'ぶどう', deletedAt: 1000 }
+    ];
+
+    test('keeps IDs that do not collide', () => {
+        const imported = [{ id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' }];
+        const { cards, idMap } = prepareImportedCards(existing, imported);
+
+        expect(cards).toEqual(imported);
+        expect(idMap.size).toBe(0);
+    });
+
+    test('assigns new IDs on collision, including cards in the trash', () => {
+        const imported = [
+            { id: 'id-1', category: '英単語', question: 'banana', answer: 'バナナ' },
+            { id: 'id-9', category: '英単語', question: 'cherry', answer: 'さくらんぼ' }
+        ];
+        const { cards, idMap } = prepareImportedCards(existing, imported);
+
+        expect(cards.map(c => c.question)).toEqual(['banana', 'cherry']);
+        expect(cards.map(c => c.id)).not.toContain('id-1');
+        expect(cards.map(c => c.id)).not.toContain('id-9');
+        expect(idMap.get('id-1')).toBe(cards[0].id);
+        expect(idMap.get('id-9')).toBe(cards[1].id);
+    });
+
+    test('drops trash and import batch fields from the file', () => {
+        const imported = [{ id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ', deletedAt: 1, importBatchId: 'old' }];
+        expect(prepareImportedCards(existing, imported).cards[0]).toEqual({ id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' });
+    });
+
+    test('moves history of colliding cards to the new IDs', () => {
+        const existingHistory = [{ cardId: 'id-1', timestamp: 1000, result: 'correct' }];
+        const { cards: imported, history: importedHistory } = parseImportData(JSON.stringify(buildExportData([
+            { id: 'id-1', category: '英単語', question: 'banana', answer: 'バナナ' },
+            { id: 'id-2', category: '英単語', question: 'cherry', answer: 'さくらんぼ' }
+        ], [
+            { cardId: 'id-1', timestamp: 2000, result: 'incorrect' },
+            { cardId: 'id-2', timestamp: 3000, result: 'correct' }
+        ])));
+
+        const { cards, idMap } = prepareImportedCards(existing, imported);
+        const history = mergeImportedHistory(existingHistory, remapHistoryCardIds(importedHistory, idMap), 'append');
+        const banana = cards.find(card => card.question === 'banana');
+
+        expect(history.map(e => e.cardId)).toEqual(['id-1', banana.id, 'id-2']);
+        expect(history.filter(e => e.cardId === 'id-1')).toEqual(existingHistory);
+    });
+});
+
+describe('JSON import', () => {
+    // 非同期の保存が終わるのを待つ
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const importFile = async (cards, mode) => {
+        const input = document.getElementById('json-import-input');
+        const json = JSON.stringify(buildExportData(cards));
+        Object.defineProperty(input, 'files', { value: [{ name: 'cards.json', text: async () => json }], configurable: true });
+        document.querySelector(`input[name="json-import-mode"][value="${mode}"]`).checked = true;
+        document.getElementById('import-json-btn').disabled = false;
+        document.getElementById('import-json-btn').click();
+        for (let i = 0; i < 5; i++) await flush();
+    };
+
+    beforeEach(async () => {
+        localStorage.clear();
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+        await saveCards([
+            { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+            { id: 'id-9', category: '英単語', question: 'grape', answer: 'ぶどう', deletedAt: 1000 }
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('keeps trashed cards whose IDs collide with imported cards', async () => {
+        await importFile([{ id: 'id-9', category: '果物', question: 'cherry', answer: 'さくらんぼ' }], 'append');
+
+        expect((await loadTrash()).map(c => c.question)).toEqual(['grape']);
+        expect((await loadCards()).map(c => c.question)).toEqual(['apple', 'cherry']);
+    });
+
+    test('moves replaced cards to the trash and restores them on rollback', async () => {
+        await importFile([{ id: 'id-1', category: '果物', question: 'cherry', answer: 'さくらんぼ' }], 'replace');
+
+        expect((await loadCards()).map(c => c.question)).toEqual(['cherry']);
+        expect((await loadTrash()).map(c => c.question).sort()).toEqual(['apple', 'grape']);
+
+        const [batch] = loadImportBatches();
+        expect(batch.replaced).toEqual(['id-1']);
+        await rollbackImportBatch(batch.id);
+
+        expect((await loadCards()).map(c => c.question)).toEqual(['apple']);
+        expect((await loadTrash()).map(c => c.question).sort()).toEqual(['cherry', 'grape']);
+    });
+});
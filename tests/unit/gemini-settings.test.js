@@ -0,0 +1,204 @@
+/**
+ * Unit tests for Gemini model, endpoint and generation settings
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+const defaultSettings = {
+    model: 'gemini-2.5-flash',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    temperature: 0,
+    maxOutputTokens: 8192
+};
+
+// Gemini APIの応答（テキスト）
+const geminiResponse = (text) => ({
+    ok: true,
+    json: async () => ({ candidates: [{ content: { parts: [{ text }] } }] })
+});
+
+// 非同期の処理が終わるのを待つ
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('validateGeminiSettings', () => {
+    test('trims the model and the base URL', () => {
+        expect(validateGeminiSettings({
+            ...defaultSettings,
+            model: ' models/gemini-2.5-pro ',
+            baseUrl: 'http://localhost:8080/v1beta/'
+        })).toMatchObject({ model: 'gemini-2.5-pro', baseUrl: 'http://localhost:8080/v1beta' });
+    });
+
+    test('rejects invalid values', () => {
+        expect(() => validateGeminiSettings({ ...defaultSettings, model: 'gemini/../x' })).toThrow('モデル名');
+        expect(() => validateGeminiSettings({ ...defaultSettings, baseUrl: 'ftp://example.com' })).toThrow('APIのURL');
+        expect(() => validateGeminiSettings({ ...defaultSettings, baseUrl: 'https://example.com/?key=x' })).toThrow('APIのURL');
+        expect(() => validateGeminiSettings({ ...defaultSettings, temperature: 2.5 })).toThrow('temperature');
+        expect(() => validateGeminiSettings({ ...defaultSettings, maxOutputTokens: 1.5 })).toThrow('最大出力トークン数');
+    });
+});
+
+describe('Gemini settings storage', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('falls back to the defaults', () => {
+        expect(loadGeminiSettings()).toEqual(defaultSettings);
+
+        localStorage.setItem('GEMINI_SETTINGS', JSON.stringify({ model: 'bad model' }));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(loadGeminiSettings()).toEqual(defaultSettings);
+        jest.restoreAllMocks();
+    });
+
+    test('saves and loads the settings', () => {
+        saveGeminiSettings({ ...defaultSettings, model: 'gemini-2.5-pro', temperature: 0.4 });
+        expect(loadGeminiSettings()).toEqual({ ...defaultSettings, model: 'gemini-2.5-pro', temperature: 0.4 });
+    });
+
+    test('builds the endpoint from the base URL and model', () => {
+        expect(getGeminiEndpoint({ ...defaultSettings, baseUrl: 'http://localhost:8080/v1beta' }))
+            .toBe('http://localhost:8080/v1beta/models/gemini-2.5-flash:generateContent');
+    });
+});
+
+describe('Gemini requests', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('use the saved model, endpoint and generation parameters', async () => {
+        saveGeminiSettings({ ...defaultSettings, baseUrl: 'http://localhost:8080/v1', temperature: 0.2, maxOutputTokens: 1024 });
+        fetch.mockResolvedValueOnce(geminiResponse('OK'));
+
+        await requestGeminiText('AIza' + 'x'.repeat(35), 'AAAA', 'prompt', { responseMimeType: 'application/json' });
+
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toBe('http://localhost:8080/v1/models/gemini-2.5-flash:generateContent');
+        expect(JSON.parse(options.body).generationConfig).toEqual({
+            temperature: 0.2,
+            maxOutputTokens: 1024,
+            responseMimeType: 'application/json'
+        });
+    });
+
+    test('report a missing model', async () => {
+        fetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' });
+
+        await expect(testGeminiConnection('AIza' + 'x'.repeat(35), { ...defaultSettings, model: 'gemini-1.5-flash' }))
+            .rejects.toThrow('モデル「gemini-1.5-flash」またはAPIのURLが見つかりません');
+    });
+
+    test('send only the prompt in the connection test', async () => {
+        fetch.mockResolvedValueOnce(geminiResponse('OK'));
+
+        await testGeminiConnection('AIza' + 'x'.repeat(35), defaultSettings);
+
+        expect(JSON.parse(fetch.mock.calls[0][1].body).contents[0].parts).toEqual([
+            { text: expect.stringContaining('OK') }
+        ]);
+    });
+});
+
+describe('Gemini settings form', () => {
+    const apiKey = 'AIza' + 'x'.repeat(35);
+
+    beforeEach(() => {
+        localStorage.clear();
+        global.fetch = jest.fn();
+        jest.spyOn(window, 'alert').mockImplementation(() => {});
+        initSettingsView();
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+
+    test('shows the saved settings', () => {
+        saveGeminiSettings({ ...defaultSettings, model: 'gemini-2.5-pro' });
+        initSettingsView();
+
+        expect(document.getElementById('gemini-model-input').value).toBe('gemini-2.5-pro');
+        expect(document.getElementById('gemini-max-tokens-input').value).toBe('8192');
+    });
+
+    test('saves the settings alongside the API key', () => {
+        document.getElementById('gemini-api-key-input').value = apiKey;
+        document.getElementById('gemini-model-input').value = 'gemini-2.5-pro';
+        document.getElementById('gemini-temperature-input').value = '0.5';
+        document.getElementById('save-settings-btn').click();
+
+        expect(loadApiKey()).toBe(apiKey);
+        expect(loadGeminiSettings()).toMatchObject({ model: 'gemini-2.5-pro', temperature: 0.5 });
+    });
+
+    test('saves the settings without an API key', () => {
+        document.getElementById('gemini-model-input').value = 'gemini-2.5-pro';
+        document.getElementById('save-settings-btn').click();
+
+        expect(window.alert).not.toHaveBeenCalled();
+        expect(loadApiKey()).toBe('');
+        expect(loadGeminiSettings()).toMatchObject({ model: 'gemini-2.5-pro' });
+        expect(document.getElementById('settings-status').textContent).toContain('API Keyを設定してください');
+    });
+
+    test('rejects a malformed key for the Google API', () => {
+        document.getElementById('gemini-api-key-input').value = 'not a key';
+        document.getElementById('save-settings-btn').click();
+
+        expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('API Keyの形式が正しくありません'));
+        expect(localStorage.getItem('GEMINI_SETTINGS')).toBeNull();
+    });
+
+    test('uses a custom base URL without an API key', async () => {
+        jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,AAAA');
+        fetch.mockResolvedValueOnce(geminiResponse('[{"question":"apple","answer":"りんご"}]'));
+        document.getElementById('gemini-base-url-input').value = 'http://localhost:8080/v1beta';
+        document.getElementById('save-settings-btn').click();
+
+        const result = await recognizeImage(document.createElement('canvas'), 'gemini');
+
+        expect(result.cards).toEqual([{ question: 'apple', answer: 'りんご', note: '' }]);
+        expect(fetch.mock.calls[0][0]).toBe('http://localhost:8080/v1beta/models/gemini-2.5-flash:generateContent');
+        expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('x-goog-api-key');
+    });
+
+    test('saves nothing when a setting is invalid', () => {
+        document.getElementById('gemini-api-key-input').value = apiKey;
+        document.getElementById('gemini-temperature-input').value = '';
+        document.getElementById('save-settings-btn').click();
+
+        expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('temperature'));
+        expect(loadApiKey()).toBe('');
+    });
+
+    test('tests the connection with the unsaved settings', async () => {
+        fetch.mockResolvedValueOnce(geminiResponse('OK'));
+        document.getElementById('gemini-api-key-input').value = apiKey;
+        document.getElementById('gemini-base-url-input').value = 'http://localhost:8080/v1beta';
+        document.getElementById('test-gemini-connection-btn').click();
+        await flush();
+
+        expect(fetch.mock.calls[0][0]).toBe('http://localhost:8080/v1beta/models/gemini-2.5-flash:generateContent');
+        expect(fetch.mock.calls[0][1].headers['x-goog-api-key']).toBe(apiKey);
+        expect(document.getElementById('gemini-connection-status').textContent).toBe('接続できました（gemini-2.5-flash）');
+        expect(localStorage.getItem('GEMINI_SETTINGS')).toBeNull();
+    });
+
+    test('shows the error when the connection fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        fetch.mockResolvedValueOnce({ ok: false, status: 401, statusText: 'Unauthorized' });
+        document.getElementById('gemini-api-key-input').value = apiKey;
+        document.getElementById('test-gemini-connection-btn').click();
+        await flush();
+
+        expect(document.getElementById('gemini-connection-status').textContent).toContain('接続できませんでした: API Keyが無効です');
+        expect(document.getElementById('test-gemini-connection-btn').disabled).toBe(false);
+    });
+});
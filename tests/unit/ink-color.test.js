@@ -0,0 +1,181 @@
+/**
+ * Unit tests for ink colour extraction with HSV ranges
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+// 組み込みの色の範囲
+const ranges = {
+    red: { hue: 0, hueTolerance: 20, minSaturation: 35, minValue: 35 },
+    orange: { hue: 30, hueTolerance: 12, minSaturation: 45, minValue: 50 },
+    blue: { hue: 220, hueTolerance: 30, minSaturation: 30, minValue: 25 }
+};
+
+describe('rgbToHsv', () => {
+    test('converts primary and gray colors', () => {
+        expect(rgbToHsv(255, 0, 0)).toEqual({ h: 0, s: 100, v: 100 });
+        expect(rgbToHsv(0, 0, 255)).toEqual({ h: 240, s: 100, v: 100 });
+        expect(rgbToHsv(128, 128, 128)).toMatchObject({ h: 0, s: 0 });
+        expect(rgbToHsv(0, 0, 0)).toEqual({ h: 0, s: 0, v: 0 });
+    });
+
+    test('keeps hues near red positive', () => {
+        expect(rgbToHsv(255, 0, 51).h).toBeCloseTo(348);
+    });
+});
+
+describe('hueDistance', () => {
+    test('wraps around 360 degrees', () => {
+        expect(hueDistance(355, 5)).toBe(10);
+        expect(hueDistance(0, 180)).toBe(180);
+        expect(hueDistance(220, 200)).toBe(20);
+    });
+});
+
+describe('matchesInkColor', () => {
+    test('detects red ink including pinkish red', () => {
+        expect(matchesInkColor(200, 30, 40, ranges.red)).toBe(true);
+        expect(matchesInkColor(230, 90, 120, ranges.red)).toBe(true);
+    });
+
+    test('ignores paper and black text under warm lighting', () => {
+        // 電球色の照明で黄色っぽくなった白い紙と黒い文字
+        expect(matchesInkColor(250, 225, 190, ranges.red)).toBe(false);
+        expect(matchesInkColor(250, 225, 190, ranges.orange)).toBe(false);
+        expect(matchesInkColor(60, 45, 35, ranges.red)).toBe(false);
+    });
+
+    test('detects blue and orange ink', () => {
+        expect(matchesInkColor(30, 80, 200, ranges.blue)).toBe(true);
+        expect(matchesInkColor(30, 80, 200, ranges.red)).toBe(false);
+        expect(matchesInkColor(245, 140, 30, ranges.orange)).toBe(true);
+        expect(matchesInkColor(245, 140, 30, ranges.red)).toBe(false);
+    });
+});
+
+describe('applyInkColorMask', () => {
+    test('turns matching pixels black and others white', () => {
+        const data = new Uint8ClampedArray([
+            200, 30, 40, 255,
+            250, 250, 250, 255,
+            30, 80, 200, 128
+        ]);
+
+        expect(applyInkColorMask(data, ranges.red)).toBe(1);
+        expect([...data]).toEqual([
+            0, 0, 0, 255,
+            255, 255, 255, 255,
+            255, 255, 255, 255
+        ]);
+    });
+});
+
+describe('normalizeInkColorRange', () => {
+    test('clamps and rounds values and fills missing ones', () => {
+        expect(normalizeInkColorRange({ hue: 400, hueTolerance: 0, minSaturation: '42.6' })).toEqual({
+            hue: 359, hueTolerance: 1, minSaturation: 43, minValue: 35
+        });
+    });
+});
+
+describe('inkColorRangeFromSample', () => {
+    test('centers the range on the sampled color', () => {
+        expect(inkColorRangeFromSample(30, 80, 200, 25)).toEqual({
+            hue: 222, hueTolerance: 25, minSaturation: 43, minValue: 39
+        });
+    });
+
+    test('rejects white, black and gray', () => {
+        expect(() => inkColorRangeFromSample(240, 240, 235, 20)).toThrow('色を判定できません');
+        expect(() => inkColorRangeFromSample(20, 10, 10, 20)).toThrow('色を判定できません');
+    });
+});
+
+describe('ink color settings', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('falls back to red', () => {
+        expect(loadInkColorSettings()).toEqual({ preset: 'red', range: ranges.red, profiles: [] });
+
+        localStorage.setItem('INK_COLOR_SETTINGS', JSON.stringify({ preset: 'purple', profiles: [{ name: '' }] }));
+        expect(loadInkColorSettings()).toEqual({ preset: 'red', range: ranges.red, profiles: [] });
+    });
+
+    test('saves and overwrites profiles per book', () => {
+        let settings = upsertInkColorProfile(loadInkColorSettings(), '英単語帳', 'blue', ranges.blue);
+        settings = upsertInkColorProfile(settings, '英単語帳', 'custom', { ...ranges.blue, hue: 200 });
+        saveInkColorSettings(settings);
+
+        expect(loadInkColorSettings().profiles).toEqual([
+            { name: '英単語帳', preset: 'custom', range: { ...ranges.blue, hue: 200 } }
+        ]);
+    });
+
+    test('limits the number of profiles', () => {
+        let settings = loadInkColorSettings();
+        for (let i = 0; i < 20; i++) {
+            settings = upsertInkColorProfile(settings, `book-${i}`, 'red', ranges.red);
+        }
+        expect(() => upsertInkColorProfile(settings, 'one more', 'red', ranges.red)).toThrow('20件まで');
+    });
+});
+
+describe('import view ink color options', () => {
+    const value = (id) => document.getElementById(id).value;
+
+    beforeEach(() => {
+        localStorage.clear();
+        initImportView();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fills the sliders from the selected color', () => {
+        const select = document.getElementById('ink-color-preset-select');
+        select.value = 'blue';
+        select.dispatchEvent(new Event('change'));
+
+        expect(value('ink-hue-input')).toBe('220');
+        expect(document.getElementById('ink-hue-tolerance-value').textContent).toBe('±30°');
+    });
+
+    test('switches to a custom color when a slider moves and remembers it on import', () => {
+        const slider = document.getElementById('ink-min-saturation-input');
+        slider.value = '60';
+        slider.dispatchEvent(new Event('input'));
+
+        expect(value('ink-color-preset-select')).toBe('custom');
+        expect(readImportInkColor()).toEqual({ ...ranges.red, minSaturation: 60 });
+
+        initImportView();
+        expect(value('ink-color-preset-select')).toBe('custom');
+        expect(value('ink-min-saturation-input')).toBe('60');
+    });
+
+    test('saves a profile and loads it back', () => {
+        const select = document.getElementById('ink-color-preset-select');
+        select.value = 'blue';
+        select.dispatchEvent(new Event('change'));
+        document.getElementById('ink-profile-name-input').value = '化学の参考書';
+        document.getElementById('save-ink-profile-btn').click();
+
+        select.value = 'red';
+        select.dispatchEvent(new Event('change'));
+        document.getElementById('ink-profile-select').value = '化学の参考書';
+        document.getElementById('load-ink-profile-btn').click();
+
+        expect(value('ink-color-preset-select')).toBe('blue');
+        expect(value('ink-hue-input')).toBe('220');
+    });
+
+    test('asks for an image before using the eyedropper', () => {
+        jest.spyOn(window, 'alert').mockImplementation(() => {});
+        document.getElementById('ink-eyedropper-btn').click();
+
+        expect(window.alert).toHaveBeenCalledWith('先に画像を選択してください');
+        expect(document.getElementById('ink-eyedropper-btn').getAttribute('aria-pressed')).toBe('false');
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for Anki/Quizlet conversion functions
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+describe('markupToHtml', () => {
+    test('converts superscript and subscript markup', () => {
+        expect(markupToHtml('x^2')).toBe('x<sup>2</sup>');
+        expect(markupToHtml('10^{-5}')).toBe('10<sup>-5</sup>');
+        expect(markupToHtml('H_2O')).toBe('H<sub>2</sub>O');
+        expect(markupToHtml('C_{12}H_{22}O_{11}')).toBe('C<sub>12</sub>H<sub>22</sub>O<sub>11</sub>');
+    });
+
+    test('escapes HTML before conversion', () => {
+        const result = markupToHtml('<b>x</b>^2');
+        expect(result).not.toContain('<b>');
+        expect(result).toContain('&lt;b&gt;');
+    });
+
+    test('converts newlines to <br>', () => {
+        expect(markupToHtml('line1\nline2')).toBe('line1<br>line2');
+    });
+});
+
+describe('htmlToMarkup', () => {
+    test('converts <sup>/<sub> back to markup', () => {
+        expect(htmlToMarkup('x<sup>2</sup>')).toBe('x^2');
+        expect(htmlToMarkup('10<sup>-5</sup>')).toBe('10^{-5}');
+        expect(htmlToMarkup('H<sub>2</sub>O')).toBe('H_2O');
+    });
+
+    test('decodes entities and strips other tags', () => {
+        expect(htmlToMarkup('<b>Tom</b> &amp; Jerry')).toBe('Tom & Jerry');
+    });
+
+    test('converts <br> and <div> to newlines', () => {
+        expect(htmlToMarkup('line1<br>line2')).toBe('line1\nline2');
+        expect(htmlToMarkup('<div>line1</div><div>line2</div>')).toBe('line1\nline2');
+    });
+
+    test('round-trips markup', () => {
+        ['x^2 + y^{10}', 'H_2O', '10^{-5}', 'a < b & c'].forEach(text => {
+            expect(htmlToMarkup(markupToHtml(text))).toBe(text);
+        });
+    });
+});
+
+describe('cardsToAnkiText', () => {
+    const cards = [
+        { id: 'id-1', category: '化学 基礎', question: 'H_2O', answer: '水' }
+    ];
+
+    test('writes Anki headers', () => {
+        const text = cardsToAnkiText(cards, 'deck');
+        expect(text).toContain('#separator:tab');
+        expect(text).toContain('#html:true');
+        expect(text).toContain('#deck column:3');
+    });
+
+    test('emits category as deck', () => {
+        const lines = cardsToAnkiText(cards, 'deck').split('\n');
+        expect(lines[lines.length - 1]).toBe('H<sub>2</sub>O\t水\t化学 基礎');
+    });
+
+    test('emits category as tag without spaces', () => {
+        const text = cardsToAnkiText(cards, 'tag');
+        expect(text).toContain('#tags column:3');
+        expect(text).toContain('\t化学_基礎');
+    });
+});
+
+describe('parseAnkiText', () => {
+    test('round-trips exported text', () => {
+        const cards = [
+            { id: 'id-1', category: '化学', question: 'H_2O', answer: '水' },
+            { id: 'id-2', category: '数学', question: 'x^{2}', answer: 'line1\nline2' }
+        ];
+        const parsed = parseAnkiText(cardsToAnkiText(cards, 'deck'), '英単語');
+
+        expect(parsed.length).toBe(2);
+        expect(parsed[0].category).toBe('化学');
+        expect(parsed[0].question).toBe('H_2O');
+        expect(parsed[1].question).toBe('x^2');
+        expect(parsed[1].answer).toBe('line1\nline2');
+    });
+
+    test('uses first tag as category', () => {
+        const text = '#separator:tab\n#html:false\n#tags column:3\napple\tりんご\tfruit english\n';
+        const parsed = parseAnkiText(text, '英単語');
+
+        expect(parsed[0].category).toBe('fruit');
+        expect(parsed[0].question).toBe('apple');
+    });
+
+    test('skips guid and notetype columns', () => {
+        const text = '#separator:comma\n#guid column:1\n#notetype column:2\nabc123,Basic,apple,りんご\n';
+        const parsed = parseAnkiText(text, '英単語');
+
+        expect(parsed[0].question).toBe('apple');
+        expect(parsed[0].answer).toBe('りんご');
+    });
+
+    test('uses #deck header and default category', () => {
+        expect(parseAnkiText('#deck:Vocab\napple\tりんご', '英単語')[0].category).toBe('Vocab');
+        expect(parseAnkiText('apple\tりんご', '英単語')[0].category).toBe('英単語');
+    });
+
+    test('skips rows without both fields', () => {
+        expect(parseAnkiText('apple\n\tりんご\nbanana\tバナナ', '英単語').length).toBe(1);
+    });
+});
+
+describe('Quizlet conversion', () => {
+    const cards = [
+        { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+        { id: 'id-2', category: '英単語', question: 'well-known', answer: 'よく知られた' }
+    ];
+
+    test('writes term/definition pairs with separators', () => {
+        expect(cardsToQuizletText(cards, '\t', '\n')).toBe('apple\tりんご\nwell-known\tよく知られた');
+        expect(cardsToQuizletText(cards, ',', ';')).toBe('apple,りんご;well-known,よく知られた');
+    });
+
+    test('replaces separators inside fields', () => {
+        const text = cardsToQuizletText([{ question: 'a\tb', answer: 'c\nd' }], '\t', '\n');
+        expect(text).toBe('a b\tc d');
+    });
+
+    test('parses term/definition pairs on the first separator', () => {
+        const parsed = parseQuizletText('time - 時間 - とき\napple - りんご', ' - ', '\n', '英単語');
+
+        expect(parsed.length).toBe(2);
+        expect(parsed[0].question).toBe('time');
+        expect(parsed[0].answer).toBe('時間 - とき');
+        expect(parsed[0].category).toBe('英単語');
+    });
+
+    test('round-trips exported text', () => {
+        const parsed = parseQuizletText(cardsToQuizletText(cards, '\t', '\n'), '\t', '\n', '英単語');
+        expect(parsed.map(c => [c.question, c.answer])).toEqual([
+            ['apple', 'りんご'],
+            ['well-known', 'よく知られた']
+        ]);
+    });
+});
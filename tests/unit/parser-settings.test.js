@@ -0,0 +1,199 @@
+/**
+ * Unit tests for configurable text parsing rules
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+// 読み込みルールのデフォルト
+const defaultRules = {
+    separators: ['arrow', 'colon', 'spacedHyphen'],
+    customSeparator: '',
+    questionSide: 'left',
+    splitOnWhitespace: true,
+    multiLine: 'pair',
+    stripLineNumbers: false
+};
+
+// 指定しなかった項目はデフォルトのルールで解析する
+const parse = (text, rules = {}) =>
+    parseTextWithRules(text, normalizeParserRules({ ...defaultRules, ...rules }), 'テスト')
+        .map(card => [card.question, card.answer]);
+
+describe('parseTextWithRules', () => {
+    test('keeps the previous behavior with the default rules', () => {
+        expect(parse('apple→りんご\nbanana バナナ\norange:オレンジ\ncherry\nさくらんぼ')).toEqual([
+            ['apple', 'りんご'],
+            ['banana', 'バナナ'],
+            ['orange', 'オレンジ'],
+            ['cherry', 'さくらんぼ']
+        ]);
+    });
+
+    test('splits only at the first separator and keeps the rest of the answer', () => {
+        expect(parse('note: memo: a short letter')).toEqual([['note', 'memo: a short letter']]);
+    });
+
+    test('prefers earlier separator types over hyphens in words', () => {
+        expect(parse('well-known → 有名な')).toEqual([['well-known', '有名な']]);
+    });
+
+    test('does not split hyphenated words with the default rules', () => {
+        expect(parse('well-known 有名な')).toEqual([['well-known', '有名な']]);
+        expect(parse('well-known - 有名な')).toEqual([['well-known', '有名な']]);
+        expect(normalizeParserRules({}).separators).toEqual(['arrow', 'colon', 'spacedHyphen']);
+    });
+
+    test('splits on plain hyphens when selected', () => {
+        expect(parse('apple-りんご', { separators: ['hyphen'] })).toEqual([['apple', 'りんご']]);
+    });
+
+    test('uses only the selected separators', () => {
+        expect(parse('well-known 有名な', { separators: ['spacedHyphen'] })).toEqual([['well-known', '有名な']]);
+        expect(parse('well-known - 有名な', { separators: ['spacedHyphen'] })).toEqual([['well-known', '有名な']]);
+    });
+
+    test('uses a custom separator', () => {
+        expect(parse('apple / りんご', { separators: ['custom'], customSeparator: ' / ' })).toEqual([['apple', 'りんご']]);
+    });
+
+    test('splits on tabs', () => {
+        expect(parse('take off\t離陸する', { separators: ['tab'] })).toEqual([['take off', '離陸する']]);
+    });
+
+    test('puts the question on the right side', () => {
+        expect(parse('りんご → apple', { questionSide: 'right' })).toEqual([['apple', 'りんご']]);
+    });
+
+    test('does not split on whitespace when disabled', () => {
+        expect(parse('take off\n離陸する', { splitOnWhitespace: false })).toEqual([['take off', '離陸する']]);
+    });
+
+    test('appends lines without a separator to the previous answer', () => {
+        expect(parse('apple: りんご\n赤い果物\nbanana: バナナ', { multiLine: 'append' })).toEqual([
+            ['apple', 'りんご; 赤い果物'],
+            ['banana', 'バナナ']
+        ]);
+        // 続きの行だけでは正解にならない
+        expect(splitAcceptableAnswers('りんご; 赤い果物')).toEqual(['りんご; 赤い果物']);
+    });
+
+    test('ignores lines without a separator', () => {
+        expect(parse('見出し\napple: りんご', { multiLine: 'ignore' })).toEqual([['apple', 'りんご']]);
+    });
+
+    test('strips line numbers', () => {
+        expect(parse('12. apple: りんご\n(3) banana: バナナ\n①cherry: さくらんぼ', { stripLineNumbers: true })).toEqual([
+            ['apple', 'りんご'],
+            ['banana', 'バナナ'],
+            ['cherry', 'さくらんぼ']
+        ]);
+    });
+});
+
+describe('parser settings', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('falls back to the default rules', () => {
+        expect(loadParserSettings()).toEqual({ rules: defaultRules, presets: [] });
+
+        localStorage.setItem('PARSER_SETTINGS', '{broken');
+        expect(loadParserSettings().rules).toEqual(defaultRules);
+    });
+
+    test('drops unknown values', () => {
+        const rules = normalizeParserRules({ separators: ['colon', 'unknown', 'arrow'], multiLine: 'x', questionSide: 'up' });
+
+        expect(rules.separators).toEqual(['arrow', 'colon']);
+        expect(rules.multiLine).toBe('pair');
+        expect(rules.questionSide).toBe('left');
+    });
+
+    test('parseTextToCards uses the saved rules', () => {
+        saveParserSettings({ rules: { ...defaultRules, questionSide: 'right' }, presets: [] });
+        document.getElementById('import-category-input').value = '果物';
+
+        const cards = parseTextToCards('りんご → apple');
+        expect(cards[0]).toMatchObject({ category: '果物', question: 'apple', answer: 'りんご' });
+    });
+
+    test('saves and overwrites named presets', () => {
+        let settings = upsertParserPreset(loadParserSettings(), '番号付き', { stripLineNumbers: true });
+        settings = upsertParserPreset(settings, '右が問題', { questionSide: 'right' });
+        settings = upsertParserPreset(settings, '番号付き', { stripLineNumbers: true, multiLine: 'ignore' });
+
+        expect(settings.presets.map(preset => preset.name)).toEqual(['番号付き', '右が問題']);
+        expect(settings.presets[0].rules.multiLine).toBe('ignore');
+    });
+
+    test('limits the number of presets', () => {
+        let settings = loadParserSettings();
+        for (let i = 0; i < 20; i++) {
+            settings = upsertParserPreset(settings, `preset-${i}`, {});
+        }
+        expect(() => upsertParserPreset(settings, 'one more', {})).toThrow('20件まで');
+    });
+});
+
+describe('parser settings form', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        initSettingsView();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const previewRows = () => [...document.querySelectorAll('#parser-preview .parser-preview-row')]
+        .map(row => [...row.querySelectorAll('span')].map(span => span.textContent));
+
+    test('updates the preview when the rules change', () => {
+        document.getElementById('parser-sample-input').value = '1. note: a short letter';
+        document.getElementById('parser-sample-input').dispatchEvent(new Event('input', { bubbles: true }));
+        expect(previewRows()).toEqual([['1. note', 'a short letter']]);
+
+        const checkbox = document.getElementById('parser-strip-numbers-checkbox');
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+        expect(previewRows()).toEqual([['note', 'a short letter']]);
+    });
+
+    test('asks for a custom separator', () => {
+        document.querySelector('.parser-separator-checkbox[value="custom"]').click();
+        expect(document.getElementById('parser-preview').textContent).toContain('カスタムの区切り文字を入力してください');
+    });
+
+    test('saves the rules', () => {
+        document.getElementById('parser-question-side-select').value = 'right';
+        document.getElementById('save-parser-settings-btn').click();
+
+        expect(loadParserSettings().rules.questionSide).toBe('right');
+    });
+
+    test('saves a preset and loads it back into the form', () => {
+        document.getElementById('parser-multi-line-select').value = 'append';
+        document.getElementById('parser-preset-name-input').value = '複数行';
+        document.getElementById('save-parser-preset-btn').click();
+
+        document.getElementById('parser-multi-line-select').value = 'pair';
+        document.getElementById('parser-preset-select').value = '複数行';
+        document.getElementById('load-parser-preset-btn').click();
+
+        expect(document.getElementById('parser-multi-line-select').value).toBe('append');
+        // プリセットを読み込んだだけでは保存されない
+        expect(loadParserSettings().rules.multiLine).toBe('pair');
+    });
+
+    test('deletes a preset', () => {
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+        saveParserSettings(upsertParserPreset(loadParserSettings(), '不要', {}));
+        initSettingsView();
+
+        document.getElementById('parser-preset-select').value = '不要';
+        document.getElementById('delete-parser-preset-btn').click();
+
+        expect(loadParserSettings().presets).toEqual([]);
+        expect(document.querySelectorAll('#parser-preset-select option').length).toBe(1);
+    });
+});
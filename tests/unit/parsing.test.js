@@ -6,6 +6,7 @@
 describe('parseTextToCards', () => {
     // Mock DOM elements needed by parseTextToCards
     beforeEach(() => {
+        localStorage.clear();
         document.body.innerHTML = `
             <input id="import-category-input" value="テストカテゴリ" />
         `;
@@ -32,7 +33,7 @@ describe('parseTextToCards', () => {
     });
 
     test('parses hyphen-separated format', () => {
-        const text = 'apple-りんご\nbanana-バナナ';
+        const text = 'apple - りんご\nbanana - バナナ';
         const cards = parseTextToCards(text);
 
         expect(cards.length).toBe(2);
@@ -145,14 +146,14 @@ describe('loadCards (with migration)', () => {
         localStorage.clear();
     });
 
-    test('migrates legacy cards without IDs', () => {
+    test('migrates legacy cards without IDs', async () => {
         const legacyCards = [
             { category: '英単語', question: 'apple', answer: 'りんご' },
             { category: '英単語', question: 'banana', answer: 'バナナ' }
         ];
         localStorage.setItem('MEMORY', JSON.stringify(legacyCards));
 
-        const cards = loadCards();
+        const cards = await loadCards();
 
         expect(cards.length).toBe(2);
         expect(cards[0].id).toBeDefined();
@@ -160,47 +161,47 @@ describe('loadCards (with migration)', () => {
         expect(cards[0].id).not.toBe(cards[1].id);
     });
 
-    test('preserves existing IDs', () => {
+    test('preserves existing IDs', async () => {
         const cardsWithIds = [
             { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
             { id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' }
         ];
         localStorage.setItem('MEMORY', JSON.stringify(cardsWithIds));
 
-        const cards = loadCards();
+        const cards = await loadCards();
 
         expect(cards[0].id).toBe('id-1');
         expect(cards[1].id).toBe('id-2');
     });
 
-    test('handles mixed legacy and new cards', () => {
+    test('handles mixed legacy and new cards', async () => {
         const mixedCards = [
             { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
             { category: '英単語', question: 'banana', answer: 'バナナ' }
         ];
         localStorage.setItem('MEMORY', JSON.stringify(mixedCards));
 
-        const cards = loadCards();
+        const cards = await loadCards();
 
         expect(cards[0].id).toBe('id-1');
         expect(cards[1].id).toBeDefined();
         expect(cards[1].id).not.toBe('id-1');
     });
 
-    test('returns empty array for non-existent data', () => {
-        const cards = loadCards();
+    test('returns empty array for non-existent data', async () => {
+        const cards = await loadCards();
         expect(cards).toEqual([]);
     });
 
-    test('returns empty array for corrupted data', () => {
+    test('returns empty array for corrupted data', async () => {
         localStorage.setItem('MEMORY', 'corrupted{invalid}json');
-        const cards = loadCards();
+        const cards = await loadCards();
         expect(cards).toEqual([]);
     });
 
-    test('returns empty array for non-array data', () => {
+    test('returns empty array for non-array data', async () => {
         localStorage.setItem('MEMORY', JSON.stringify({ not: 'an array' }));
-        const cards = loadCards();
+        const cards = await loadCards();
         expect(cards).toEqual([]);
     });
 });
@@ -210,7 +211,7 @@ describe('deleteCard', () => {
         localStorage.clear();
     });
 
-    test('deletes card by ID', () => {
+    test('deletes card by ID', async () => {
         const cards = [
             { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
             { id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' },
@@ -218,38 +219,90 @@ describe('deleteCard', () => {
         ];
         localStorage.setItem('MEMORY', JSON.stringify(cards));
 
-        deleteCard('id-2');
+        await deleteCard('id-2');
 
-        const remainingCards = loadCards();
+        const remainingCards = await loadCards();
         expect(remainingCards.length).toBe(2);
         expect(remainingCards.find(c => c.id === 'id-2')).toBeUndefined();
         expect(remainingCards.find(c => c.id === 'id-1')).toBeDefined();
         expect(remainingCards.find(c => c.id === 'id-3')).toBeDefined();
     });
 
-    test('deletes card by index (legacy support)', () => {
+    test('deletes card by index (legacy support)', async () => {
         const cards = [
             { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
             { id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' }
         ];
         localStorage.setItem('MEMORY', JSON.stringify(cards));
 
-        deleteCard(0);
+        await deleteCard(0);
 
-        const remainingCards = loadCards();
+        const remainingCards = await loadCards();
         expect(remainingCards.length).toBe(1);
         expect(remainingCards[0].id).toBe('id-2');
     });
 
-    test('handles non-existent ID gracefully', () => {
+    test('handles non-existent ID gracefully', async () => {
         const cards = [
             { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' }
         ];
         localStorage.setItem('MEMORY', JSON.stringify(cards));
 
-        deleteCard('non-existent-id');
+        await deleteCard('non-existent-id');
 
-        const remainingCards = loadCards();
+        const remainingCards = await loadCards();
         expect(remainingCards.length).toBe(1);
     });
 });
+
+describe('updateCard', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('updates fields in place without changing ID or position', async () => {
+        const cards = [
+            { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+            { id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' },
+            { id: 'id-3', category: '英単語', question: 'orange', answer: 'オレンジ' }
+        ];
+        localStorage.setItem('MEMORY', JSON.stringify(cards));
+
+        await updateCard('id-2', { category: '果物', question: 'Banana', answer: 'ばなな' });
+
+        const updatedCards = await loadCards();
+        expect(updatedCards.map(c => c.id)).toEqual(['id-1', 'id-2', 'id-3']);
+        expect(updatedCards[1]).toEqual({ id: 'id-2', category: '果物', question: 'Banana', answer: 'ばなな' });
+    });
+
+    test('keeps fields that are not updated', async () => {
+        const cards = [
+            { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' }
+        ];
+        localStorage.setItem('MEMORY', JSON.stringify(cards));
+
+        await updateCard('id-1', { answer: 'リンゴ' });
+
+        const updatedCard = (await loadCards())[0];
+        expect(updatedCard.category).toBe('英単語');
+        expect(updatedCard.question).toBe('apple');
+        expect(updatedCard.answer).toBe('リンゴ');
+    });
+
+    test('ignores attempts to change the ID', async () => {
+        const cards = [
+            { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' }
+        ];
+        localStorage.setItem('MEMORY', JSON.stringify(cards));
+
+        await updateCard('id-1', { id: 'other-id', answer: 'リンゴ' });
+
+        expect((await loadCards())[0].id).toBe('id-1');
+    });
+
+    test('throws for non-existent ID', async () => {
+        localStorage.setItem('MEMORY', JSON.stringify([]));
+
+        await expect(updateCard('non-existent-id', { answer: 'x' })).rejects.toThrow('カードが見つかりません');
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for importing pasted text
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+// 非同期の描画・保存が終わるのを待つ
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('paste-text import', () => {
+    const pasteAndParse = async (text) => {
+        document.getElementById('import-text-input').value = text;
+        document.getElementById('parse-text-btn').click();
+        await flush();
+    };
+
+    beforeEach(async () => {
+        localStorage.clear();
+        await saveCards([]);
+        initImportView();
+        document.getElementById('import-category-input').value = '果物';
+    });
+
+    test('shows the editable preview of the parsed cards', async () => {
+        await pasteAndParse('apple → りんご\nbanana: バナナ\n\ncherry\nさくらんぼ');
+
+        const questions = [...document.querySelectorAll('#import-preview .preview-input[data-field="question"]')]
+            .map(input => input.value);
+        expect(questions).toEqual(['apple', 'banana', 'cherry']);
+        expect(document.getElementById('import-status').textContent).toContain('3件のカードを検出しました');
+    });
+
+    test('keeps quotes in the preview values without creating attributes', async () => {
+        await pasteAndParse('x" autofocus onfocus="alert(1) → りんご');
+
+        const input = document.querySelector('#import-preview .preview-input[data-field="question"]');
+        expect(input.value).toBe('x" autofocus onfocus="alert(1)');
+        expect(input.hasAttribute('onfocus')).toBe(false);
+        expect(input.hasAttribute('autofocus')).toBe(false);
+    });
+
+    test('saves the cards without an API key', async () => {
+        const fetchSpy = jest.fn();
+        global.fetch = fetchSpy;
+        await pasteAndParse('apple → りんご');
+
+        [...document.querySelectorAll('#import-preview button')].find(btn => btn.textContent === 'すべて保存').click();
+        await flush();
+        await flush();
+
+        const cards = await loadCards();
+        expect(cards.map(c => [c.category, c.question, c.answer])).toEqual([['果物', 'apple', 'りんご']]);
+        expect(fetchSpy).not.toHaveBeenCalled();
+        delete global.fetch;
+    });
+
+    test('asks for text when nothing is pasted', async () => {
+        await pasteAndParse('   ');
+        expect(document.getElementById('import-status').textContent).toBe('テキストを貼り付けてください。');
+    });
+
+    test('reports text without any cards', async () => {
+        await pasteAndParse('apple');
+
+        expect(document.getElementById('import-status').textContent).toContain('カードにできる行が見つかりませんでした');
+        expect(document.getElementById('import-preview').innerHTML).toBe('');
+    });
+
+    test('clears the pasted text when the import view is opened again', async () => {
+        document.getElementById('import-text-input').value = 'apple → りんご';
+        initImportView();
+        expect(document.getElementById('import-text-input').value).toBe('');
+    });
+});
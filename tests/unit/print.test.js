@@ -0,0 +1,97 @@
+/**
+ * Unit tests for printable sheet functions
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+const makeCards = (count) => Array.from({ length: count }, (_, i) => ({
+    id: `id-${i + 1}`,
+    category: '英単語',
+    question: `q${i + 1}`,
+    answer: `a${i + 1}`
+}));
+
+// シートHTMLからセルのテキストを順に取り出す
+const cellTexts = (html, selector) => {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    return Array.from(container.querySelectorAll('.sheet-page')).map(page =>
+        Array.from(page.querySelectorAll(selector)).map(cell => cell.lastChild ? cell.lastChild.textContent : '')
+    );
+};
+
+describe('chunkArray', () => {
+    test('splits into groups of the given size', () => {
+        expect(chunkArray([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    test('returns empty array for empty input', () => {
+        expect(chunkArray([], 3)).toEqual([]);
+    });
+});
+
+describe('buildFlashcardSheetHtml', () => {
+    test('outputs a front and back page per group of cards', () => {
+        const pages = cellTexts(buildFlashcardSheetHtml(makeCards(12)), '.flashcard-cell');
+        // 1ページ10枚 → 表裏2ページ × 2
+        expect(pages.length).toBe(4);
+    });
+
+    test('mirrors each row on the back page', () => {
+        const pages = cellTexts(buildFlashcardSheetHtml(makeCards(4)), '.flashcard-cell');
+
+        expect(pages[0]).toEqual(['q1', 'q2', 'q3', 'q4']);
+        expect(pages[1]).toEqual(['a2', 'a1', 'a4', 'a3']);
+    });
+
+    test('pads incomplete rows so the back stays aligned', () => {
+        const pages = cellTexts(buildFlashcardSheetHtml(makeCards(3)), '.flashcard-cell');
+
+        expect(pages[0]).toEqual(['q1', 'q2', 'q3', '']);
+        expect(pages[1]).toEqual(['a2', 'a1', '', 'a3']);
+    });
+
+    test('keeps superscript/subscript rendering', () => {
+        const html = buildFlashcardSheetHtml([{ category: '化学', question: 'H_2O', answer: 'x^2' }]);
+        expect(html).toContain('<span class="subscript">2</span>');
+        expect(html).toContain('<span class="superscript">2</span>');
+    });
+
+    test('escapes HTML in card text', () => {
+        const html = buildFlashcardSheetHtml([{ category: '<b>', question: '<script>', answer: 'a' }]);
+        expect(html).not.toContain('<script>');
+        expect(html).not.toContain('<b>');
+    });
+});
+
+describe('buildFoldTestSheetHtml', () => {
+    test('numbers questions continuously across pages', () => {
+        const container = document.createElement('div');
+        container.innerHTML = buildFoldTestSheetHtml(makeCards(25), '英単語');
+
+        const numbers = Array.from(container.querySelectorAll('.fold-number')).map(td => td.textContent);
+        expect(container.querySelectorAll('.sheet-page').length).toBe(2);
+        expect(numbers[0]).toBe('1');
+        expect(numbers[24]).toBe('25');
+    });
+
+    test('places questions and answers in separate columns', () => {
+        const container = document.createElement('div');
+        container.innerHTML = buildFoldTestSheetHtml(makeCards(1), '英単語');
+
+        expect(container.querySelector('.fold-question').textContent).toBe('q1');
+        expect(container.querySelector('.fold-answer').textContent).toBe('a1');
+        expect(container.querySelector('.sheet-title').textContent).toBe('英単語');
+    });
+});
+
+describe('buildStandaloneSheetDocument', () => {
+    test('embeds styles and escapes the title', () => {
+        const doc = buildStandaloneSheetDocument('<div class="sheet-page"></div>', '<英単語>');
+
+        expect(doc).toContain('<!DOCTYPE html>');
+        expect(doc).toContain('.flashcard-grid');
+        expect(doc).toContain('.superscript');
+        expect(doc).toContain('<title>&lt;英単語&gt;</title>');
+        expect(doc).toContain('<div class="sheet-page"></div>');
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * Unit tests for prompt templates used by the Gemini image import
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+// 非同期の処理が終わるのを待つ
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// テンプレートのエクスポートファイル
+const templatesFile = (templates, extra = {}) => JSON.stringify({
+    format: 'word-list-exporter-prompts',
+    version: 1,
+    templates,
+    ...extra
+});
+
+describe('renderPromptTemplate', () => {
+    test('replaces the placeholders', () => {
+        expect(renderPromptTemplate('{category}: {questionLanguage}→{answerLanguage} {category}', {
+            category: '古文', questionLanguage: '古語', answerLanguage: '現代語'
+        })).toBe('古文: 古語→現代語 古文');
+    });
+
+    test('uses the defaults for empty values and keeps unknown placeholders', () => {
+        expect(renderPromptTemplate('{questionLanguage} {unknown} SO_{4}', { questionLanguage: '' }))
+            .toBe('英語 {unknown} SO_{4}');
+    });
+});
+
+describe('prompt template settings', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('selects the first built-in template by default', () => {
+        const settings = loadPromptSettings();
+
+        expect(settings).toMatchObject({ templates: [], questionLanguage: '英語', answerLanguage: '日本語' });
+        expect(settings.selected).toBe(getPromptTemplates(settings)[0].name);
+        expect(getPromptTemplates(settings).every(t => t.builtin)).toBe(true);
+    });
+
+    test('falls back to the default when the selected template no longer exists', () => {
+        localStorage.setItem('PROMPT_TEMPLATES', JSON.stringify({ selected: '穴埋め（歴史など）' }));
+
+        expect(loadPromptSettings().selected).toBe('単語帳（対訳の表）');
+    });
+
+    test('saves and overwrites named templates', () => {
+        let settings = upsertPromptTemplate(loadPromptSettings(), '古文単語', '{category}の古語と現代語訳');
+        settings = upsertPromptTemplate(settings, '古文単語', '古語を問題にしてください');
+        savePromptSettings(settings);
+
+        expect(loadPromptSettings().templates).toEqual([{ name: '古文単語', body: '古語を問題にしてください' }]);
+    });
+
+    test('does not overwrite built-in templates', () => {
+        const builtinName = getPromptTemplates(loadPromptSettings())[0].name;
+        expect(() => upsertPromptTemplate(loadPromptSettings(), builtinName, 'x')).toThrow('組み込みのテンプレート');
+    });
+
+    test('rejects empty templates and limits the number of templates', () => {
+        expect(() => upsertPromptTemplate(loadPromptSettings(), '空', '  ')).toThrow('プロンプトは');
+
+        let settings = loadPromptSettings();
+        for (let i = 0; i < 20; i++) {
+            settings = upsertPromptTemplate(settings, `template-${i}`, 'body');
+        }
+        expect(() => upsertPromptTemplate(settings, 'one more', 'body')).toThrow('20件まで');
+    });
+
+    test('ignores broken stored data', () => {
+        localStorage.setItem('PROMPT_TEMPLATES', JSON.stringify({
+            templates: [{ name: '', body: 'x' }, { name: 'ok', body: 'y' }, 'broken'],
+            selected: 'removed',
+            questionLanguage: ''
+        }));
+
+        const settings = loadPromptSettings();
+        expect(settings.templates).toEqual([{ name: 'ok', body: 'y' }]);
+        expect(settings.selected).toBe(getPromptTemplates(settings)[0].name);
+        expect(settings.questionLanguage).toBe('英語');
+    });
+});
+
+describe('parsePromptTemplatesImport', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('reads exported templates', () => {
+        const settings = upsertPromptTemplate(loadPromptSettings(), '古文単語', '古語');
+        const { templates, errors } = parsePromptTemplatesImport(JSON.stringify(buildPromptTemplatesExport(settings)));
+
+        expect(templates).toEqual([{ name: '古文単語', body: '古語' }]);
+        expect(errors).toEqual([]);
+    });
+
+    test('reports invalid templates', () => {
+        const { templates, errors } = parsePromptTemplatesImport(templatesFile([{ name: 'a', body: 'b' }, { name: 'c' }]));
+
+        expect(templates).toEqual([{ name: 'a', body: 'b' }]);
+        expect(errors[0]).toContain('2件目');
+    });
+
+    test('rejects other files', () => {
+        expect(() => parsePromptTemplatesImport('{broken')).toThrow('JSONファイルの形式');
+        expect(() => parsePromptTemplatesImport(JSON.stringify({ format: 'word-list-exporter', cards: [] })))
+            .toThrow('プロンプトテンプレートのファイルではありません');
+        expect(() => parsePromptTemplatesImport(templatesFile([], { version: 2 }))).toThrow('新しいバージョン');
+    });
+});
+
+describe('import view prompt', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        savePromptSettings(upsertPromptTemplate(loadPromptSettings(), '古文単語', '{category}: {questionLanguage}を{answerLanguage}に'));
+        initImportView();
+    });
+
+    test('builds the prompt from the selected template and remembers the choice', () => {
+        document.getElementById('import-category-input').value = '古文';
+        document.getElementById('import-prompt-template-select').value = '古文単語';
+        document.getElementById('import-question-language-input').value = '古語';
+
+        expect(readImportPrompt()).toBe('古文: 古語を日本語に');
+
+        initImportView();
+        expect(document.getElementById('import-prompt-template-select').value).toBe('古文単語');
+        expect(document.getElementById('import-question-language-input').value).toBe('古語');
+    });
+
+    test('sends the prompt to the Gemini API', async () => {
+        const apiKey = 'AIza' + 'x'.repeat(35);
+        localStorage.setItem('GEMINI_API_KEY', apiKey);
+        jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,AAAA');
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            json: async () => ({ candidates: [{ content: { parts: [{ text: '[{"question":"あはれ","answer":"しみじみとした趣"}]' }] } }] })
+        });
+
+        document.getElementById('import-prompt-template-select').value = '古文単語';
+        await recognizeImage(document.createElement('canvas'), 'gemini', { prompt: readImportPrompt() });
+
+        const prompt = JSON.parse(fetch.mock.calls[0][1].body).contents[0].parts[0].text;
+        expect(prompt.startsWith('英単語: 英語を日本語に\n\n')).toBe(true);
+
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+});
+
+describe('prompt template settings form', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        initSettingsView();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const select = () => document.getElementById('prompt-template-select');
+
+    test('shows a built-in template without a name so it is saved as a copy', () => {
+        expect(document.getElementById('prompt-template-name-input').value).toBe('');
+        expect(document.getElementById('prompt-template-body-input').value).toContain('{category}');
+        expect(document.getElementById('delete-prompt-template-btn').disabled).toBe(true);
+    });
+
+    test('saves a template and selects it', () => {
+        document.getElementById('prompt-template-name-input').value = '古文単語';
+        document.getElementById('prompt-template-body-input').value = '古語を問題にしてください';
+        document.getElementById('save-prompt-template-btn').click();
+
+        expect(loadPromptSettings().templates).toEqual([{ name: '古文単語', body: '古語を問題にしてください' }]);
+        expect(select().value).toBe('古文単語');
+        expect(document.getElementById('delete-prompt-template-btn').disabled).toBe(false);
+    });
+
+    test('deletes a template', () => {
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+        savePromptSettings(upsertPromptTemplate(loadPromptSettings(), '不要', 'x'));
+        initSettingsView();
+
+        select().value = '不要';
+        select().dispatchEvent(new Event('change'));
+        document.getElementById('delete-prompt-template-btn').click();
+
+        expect(loadPromptSettings().templates).toEqual([]);
+    });
+
+    test('imports templates from a file', async () => {
+        jest.spyOn(window, 'alert').mockImplementation(() => {});
+        const input = document.getElementById('prompt-templates-import-input');
+        const file = new File([templatesFile([{ name: '化学（イオン）', body: 'イオン式を解答に' }])], 'templates.json');
+        file.text = async () => templatesFile([{ name: '化学（イオン）', body: 'イオン式を解答に' }]);
+        Object.defineProperty(input, 'files', { value: [file], configurable: true });
+
+        input.dispatchEvent(new Event('change'));
+        await flush();
+
+        expect(loadPromptSettings().templates).toEqual([{ name: '化学（イオン）', body: 'イオン式を解答に' }]);
+        expect(select().value).toBe('化学（イオン）');
+        expect(window.alert).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for quiz card selection
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+describe('selectQuizCards', () => {
+    const cards = [
+        { id: 'a', category: '英単語', question: 'apple', answer: 'りんご', starred: true },
+        { id: 'b', category: '英単語', question: 'banana', answer: 'バナナ' },
+        { id: 'c', category: '化学', question: 'H_2O', answer: '水' },
+        { id: 'd', category: '化学', question: 'NaCl', answer: '塩化ナトリウム', starred: true }
+    ];
+    const entry = (cardId, result) => ({ cardId, timestamp: Date.now(), result });
+
+    test('returns all cards with default config', () => {
+        const selected = selectQuizCards(cards, {}, []);
+        expect(selected.map(c => c.id).sort()).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    test('keeps insertion order', () => {
+        const selected = selectQuizCards(cards, { order: 'insertion' }, []);
+        expect(selected.map(c => c.id)).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    test('filters by category', () => {
+        const selected = selectQuizCards(cards, { categories: ['化学'], order: 'insertion' }, []);
+        expect(selected.map(c => c.id)).toEqual(['c', 'd']);
+    });
+
+    test('returns no cards when no category is selected', () => {
+        expect(selectQuizCards(cards, { categories: [] }, [])).toEqual([]);
+    });
+
+    test('filters starred cards', () => {
+        const selected = selectQuizCards(cards, { starredOnly: true, order: 'insertion' }, []);
+        expect(selected.map(c => c.id)).toEqual(['a', 'd']);
+    });
+
+    test('filters previously missed cards', () => {
+        const history = [entry('b', 'correct'), entry('c', 'incorrect'), entry('c', 'correct')];
+        const selected = selectQuizCards(cards, { missedOnly: true, order: 'insertion' }, history);
+        expect(selected.map(c => c.id)).toEqual(['c']);
+    });
+
+    test('limits the number of cards', () => {
+        expect(selectQuizCards(cards, { limit: 2, order: 'insertion' }, []).map(c => c.id)).toEqual(['a', 'b']);
+        expect(selectQuizCards(cards, { limit: 0 }, []).length).toBe(4);
+    });
+
+    test('orders weakest cards first and unstudied cards last', () => {
+        const history = [
+            entry('a', 'correct'),
+            entry('b', 'incorrect'),
+            entry('b', 'correct'),
+            entry('d', 'incorrect')
+        ];
+        const selected = selectQuizCards(cards, { order: 'weakest' }, history);
+        expect(selected.map(c => c.id)).toEqual(['d', 'b', 'a', 'c']);
+    });
+});
+
+describe('quiz direction', () => {
+    const cards = [
+        { id: 'a', category: '英単語', question: 'apple', answer: 'りんご' },
+        { id: 'b', category: '化学', question: 'H_2O', answer: '水' }
+    ];
+
+    test('applies a fixed direction to every card', () => {
+        expect(resolveQuizDirections(cards, 'forward')).toEqual(['forward', 'forward']);
+        expect(resolveQuizDirections(cards, 'reverse')).toEqual(['reverse', 'reverse']);
+    });
+
+    test('uses per-category directions and defaults to forward', () => {
+        expect(resolveQuizDirections(cards, 'category', { '英単語': 'reverse' })).toEqual(['reverse', 'forward']);
+    });
+
+    test('picks a random direction per card in mixed mode', () => {
+        const random = jest.spyOn(Math, 'random').mockReturnValueOnce(0.1).mockReturnValueOnce(0.9);
+        expect(resolveQuizDirections(cards, 'mixed')).toEqual(['forward', 'reverse']);
+        random.mockRestore();
+    });
+
+    test('swaps sides in reverse direction', () => {
+        expect(getQuizSides(cards[0], 'forward')).toEqual({ prompt: 'apple', answer: 'りんご' });
+        expect(getQuizSides(cards[0], 'reverse')).toEqual({ prompt: 'りんご', answer: 'apple' });
+    });
+
+    test('uses only history of the selected direction', () => {
+        const history = [
+            { cardId: 'a', timestamp: 1, result: 'incorrect', direction: 'reverse' },
+            { cardId: 'b', timestamp: 2, result: 'incorrect' }
+        ];
+
+        expect(selectQuizCards(cards, { missedOnly: true, direction: 'forward' }, history).map(c => c.id)).toEqual(['b']);
+        expect(selectQuizCards(cards, { missedOnly: true, direction: 'reverse' }, history).map(c => c.id)).toEqual(['a']);
+        expect(selectQuizCards(cards, { missedOnly: true, direction: 'mixed', order: 'insertion' }, history).length).toBe(2);
+    });
+});
+
+describe('getCardResultCounts', () => {
+    test('counts answers and misses per card', () => {
+        const counts = getCardResultCounts([
+            { cardId: 'a', result: 'correct' },
+            { cardId: 'a', result: 'incorrect' },
+            { cardId: 'b', result: 'correct' }
+        ]);
+
+        expect(counts.get('a')).toEqual({ total: 2, missed: 1 });
+        expect(counts.get('b')).toEqual({ total: 1, missed: 0 });
+    });
+});
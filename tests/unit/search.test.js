@@ -0,0 +1,131 @@
+/**
+ * Unit tests for searching the card list
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+// 非同期の描画が終わるのを待つ
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('parseSearchTerms', () => {
+    test('normalizes and splits on whitespace', () => {
+        expect(parseSearchTerms('  Apple　リンゴ ')).toEqual(['apple', 'りんご']);
+        expect(parseSearchTerms('   ')).toEqual([]);
+    });
+});
+
+describe('findMatchRanges', () => {
+    test('finds every occurrence', () => {
+        expect(findMatchRanges('apple pie apple', ['apple'])).toEqual([{ start: 0, end: 5 }, { start: 10, end: 15 }]);
+    });
+
+    test('merges adjacent matches', () => {
+        expect(findMatchRanges('banana', ['an'])).toEqual([{ start: 1, end: 5 }]);
+    });
+
+    test('ignores width and case differences', () => {
+        expect(findMatchRanges('ＡＰＰＬＥ pie', parseSearchTerms('apple'))).toEqual([{ start: 0, end: 5 }]);
+    });
+
+    test('matches katakana with hiragana', () => {
+        expect(findMatchRanges('青リンゴ', parseSearchTerms('りんご'))).toEqual([{ start: 1, end: 4 }]);
+    });
+
+    test('maps half-width kana with voiced marks back to the original text', () => {
+        // 「ﾘﾝｺﾞ」は4文字（濁点が別の文字）
+        expect(findMatchRanges('ﾘﾝｺﾞ', parseSearchTerms('りんご'))).toEqual([{ start: 0, end: 4 }]);
+    });
+
+    test('merges overlapping matches of several terms', () => {
+        expect(findMatchRanges('abcdef', ['abc', 'cde'])).toEqual([{ start: 0, end: 5 }]);
+    });
+
+    test('returns no ranges when nothing matches', () => {
+        expect(findMatchRanges('apple', ['xyz'])).toEqual([]);
+    });
+});
+
+describe('cardMatchesSearch', () => {
+    const card = { id: 'a', category: '英単語', question: 'apple', answer: 'リンゴ' };
+
+    test('searches question, answer and category', () => {
+        expect(cardMatchesSearch(card, parseSearchTerms('APPLE'))).toBe(true);
+        expect(cardMatchesSearch(card, parseSearchTerms('りんご'))).toBe(true);
+        expect(cardMatchesSearch(card, parseSearchTerms('英単語'))).toBe(true);
+        expect(cardMatchesSearch(card, parseSearchTerms('banana'))).toBe(false);
+    });
+
+    test('requires every term to match', () => {
+        expect(cardMatchesSearch(card, parseSearchTerms('apple りんご'))).toBe(true);
+        expect(cardMatchesSearch(card, parseSearchTerms('apple バナナ'))).toBe(false);
+    });
+
+    test('ignores superscript/subscript markup', () => {
+        expect(cardMatchesSearch({ ...card, question: 'H_2O' }, parseSearchTerms('h2o'))).toBe(true);
+    });
+});
+
+describe('highlightSearchMatches', () => {
+    test('wraps matches in mark elements and escapes text', () => {
+        const element = document.createElement('div');
+        element.textContent = '<b>リンゴ</b>';
+        highlightSearchMatches(element, parseSearchTerms('りんご'));
+
+        expect(element.innerHTML).toBe('&lt;b&gt;<mark class="search-highlight">リンゴ</mark>&lt;/b&gt;');
+    });
+
+    test('leaves the element unchanged without terms', () => {
+        const element = document.createElement('div');
+        element.innerHTML = 'x<sup>2</sup>';
+        highlightSearchMatches(element, []);
+
+        expect(element.innerHTML).toBe('x<sup>2</sup>');
+    });
+});
+
+describe('card list search', () => {
+    const input = () => document.getElementById('card-search-input');
+
+    beforeEach(async () => {
+        localStorage.clear();
+        await saveCards([
+            { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+            { id: 'id-2', category: '化学', question: 'H_2O', answer: '水' },
+            { id: 'id-3', category: '英単語', question: 'banana', answer: 'バナナ' }
+        ]);
+    });
+
+    afterEach(async () => {
+        await search('');
+    });
+
+    const search = async (query) => {
+        jest.useFakeTimers();
+        input().value = query;
+        input().dispatchEvent(new Event('input'));
+        jest.advanceTimersByTime(200);
+        jest.useRealTimers();
+        await flush();
+    };
+
+    test('filters cards and shows the result count', async () => {
+        await search('リンゴ');
+
+        const items = document.querySelectorAll('#card-list .card-item');
+        expect(items.length).toBe(1);
+        expect(items[0].querySelector('mark').textContent).toBe('りんご');
+        expect(document.getElementById('card-search-count').textContent).toBe('1件 / 全3件');
+    });
+
+    test('keeps the search when the list is shown again', async () => {
+        await search('banana');
+        await renderListView();
+
+        expect(input().value).toBe('banana');
+        expect(document.querySelectorAll('#card-list .card-item').length).toBe(1);
+    });
+
+    test('shows a message when nothing matches', async () => {
+        await search('xyz');
+        expect(document.getElementById('card-list').textContent).toContain('一致するカードはありません');
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for quiz session result functions
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+describe('summarizeSessionResults', () => {
+    const apple = { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' };
+    const banana = { id: 'id-2', category: '英単語', question: 'banana', answer: 'バナナ' };
+    const water = { id: 'id-3', category: '化学', question: 'H_2O', answer: '水' };
+
+    test('returns zeros for an empty session', () => {
+        const summary = summarizeSessionResults([]);
+
+        expect(summary.total).toBe(0);
+        expect(summary.correct).toBe(0);
+        expect(summary.accuracy).toBe(0);
+        expect(summary.byCategory).toEqual([]);
+        expect(summary.missedCards).toEqual([]);
+    });
+
+    test('calculates score and accuracy', () => {
+        const summary = summarizeSessionResults([
+            { card: apple, correct: true },
+            { card: banana, correct: false },
+            { card: water, correct: true }
+        ]);
+
+        expect(summary.total).toBe(3);
+        expect(summary.correct).toBe(2);
+        expect(summary.accuracy).toBe(67);
+    });
+
+    test('calculates accuracy by category', () => {
+        const summary = summarizeSessionResults([
+            { card: apple, correct: true },
+            { card: banana, correct: false },
+            { card: water, correct: true }
+        ]);
+
+        expect(summary.byCategory).toEqual([
+            { category: '化学', total: 1, correct: 1, accuracy: 100 },
+            { category: '英単語', total: 2, correct: 1, accuracy: 50 }
+        ]);
+    });
+
+    test('lists each missed card once', () => {
+        const summary = summarizeSessionResults([
+            { card: banana, correct: false },
+            { card: apple, correct: true },
+            { card: banana, correct: false }
+        ]);
+
+        expect(summary.missedCards).toEqual([banana]);
+    });
+
+    test('calculates accuracy by direction', () => {
+        const summary = summarizeSessionResults([
+            { card: apple, correct: true, direction: 'forward' },
+            { card: apple, correct: false, direction: 'reverse' },
+            { card: banana, correct: true, direction: 'reverse' },
+            { card: water, correct: true }
+        ]);
+
+        expect(summary.byDirection).toEqual([
+            { direction: 'forward', total: 2, correct: 2, accuracy: 100 },
+            { direction: 'reverse', total: 2, correct: 1, accuracy: 50 }
+        ]);
+    });
+});
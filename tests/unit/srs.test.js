@@ -0,0 +1,127 @@
+/**
+ * Unit tests for spaced-repetition (SM-2) scheduling
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+describe('date helpers', () => {
+    test('getLocalDateString formats local dates', () => {
+        expect(getLocalDateString(new Date(2024, 0, 5))).toBe('2024-01-05');
+    });
+
+    test('addDays crosses month and year boundaries', () => {
+        expect(addDays('2024-01-31', 1)).toBe('2024-02-01');
+        expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+        expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    });
+});
+
+describe('scheduleReview', () => {
+    const today = '2024-01-01';
+
+    test('first successful review is due the next day', () => {
+        const review = scheduleReview(createInitialReviewState(), 'good', today);
+
+        expect(review.repetitions).toBe(1);
+        expect(review.interval).toBe(1);
+        expect(review.dueDate).toBe('2024-01-02');
+        expect(review.introducedOn).toBe(today);
+    });
+
+    test('second successful review is due after 6 days', () => {
+        const first = scheduleReview(createInitialReviewState(), 'good', today);
+        const second = scheduleReview(first, 'good', '2024-01-02');
+
+        expect(second.repetitions).toBe(2);
+        expect(second.interval).toBe(6);
+        expect(second.dueDate).toBe('2024-01-08');
+    });
+
+    test('later intervals grow by the ease factor', () => {
+        const review = { easeFactor: 2.5, interval: 6, repetitions: 2, dueDate: today };
+        const next = scheduleReview(review, 'good', today);
+
+        expect(next.interval).toBe(15);
+    });
+
+    test('again resets repetitions without changing ease factor', () => {
+        const review = { easeFactor: 2.2, interval: 15, repetitions: 4, dueDate: today, introducedOn: '2023-12-01' };
+        const next = scheduleReview(review, 'again', today);
+
+        expect(next.repetitions).toBe(0);
+        expect(next.interval).toBe(1);
+        expect(next.easeFactor).toBe(2.2);
+        expect(next.introducedOn).toBe('2023-12-01');
+    });
+
+    test('ease factor follows the SM-2 formula', () => {
+        const base = createInitialReviewState();
+        expect(scheduleReview(base, 'easy', today).easeFactor).toBe(2.6);
+        expect(scheduleReview(base, 'good', today).easeFactor).toBe(2.5);
+        expect(scheduleReview(base, 'hard', today).easeFactor).toBe(2.36);
+    });
+
+    test('ease factor never drops below 1.3', () => {
+        let review = { ...createInitialReviewState(), easeFactor: 1.3 };
+        review = scheduleReview(review, 'hard', today);
+        expect(review.easeFactor).toBe(1.3);
+    });
+
+    test('throws for unknown grades', () => {
+        expect(() => scheduleReview(createInitialReviewState(), 'perfect', today)).toThrow('不明な評価です');
+    });
+});
+
+describe('getDueSession', () => {
+    const today = '2024-01-10';
+    const reviewed = (id, dueDate, introducedOn = '2024-01-01') => ({
+        id, category: '英単語', question: id, answer: id,
+        review: { easeFactor: 2.5, interval: 1, repetitions: 1, dueDate, introducedOn }
+    });
+    const fresh = (id) => ({ id, category: '英単語', question: id, answer: id });
+
+    test('returns due cards sorted by due date', () => {
+        const cards = [reviewed('b', '2024-01-09'), reviewed('a', '2024-01-05'), reviewed('c', '2024-01-11')];
+        const { dueCards } = getDueSession(cards, today, 20);
+
+        expect(dueCards.map(c => c.id)).toEqual(['a', 'b']);
+    });
+
+    test('limits new cards per day', () => {
+        const cards = [fresh('n1'), fresh('n2'), fresh('n3')];
+        const { newCards } = getDueSession(cards, today, 2);
+
+        expect(newCards.map(c => c.id)).toEqual(['n1', 'n2']);
+    });
+
+    test('counts new cards already introduced today against the limit', () => {
+        const cards = [reviewed('r1', '2024-01-11', today), fresh('n1'), fresh('n2')];
+        const { newCards } = getDueSession(cards, today, 2);
+
+        expect(newCards.map(c => c.id)).toEqual(['n1']);
+    });
+
+    test('returns no new cards when the limit is zero', () => {
+        const { newCards } = getDueSession([fresh('n1')], today, 0);
+        expect(newCards).toEqual([]);
+    });
+});
+
+describe('study settings', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('returns defaults when nothing is saved', () => {
+        expect(loadStudySettings().newCardsPerDay).toBe(20);
+    });
+
+    test('saves and loads settings', () => {
+        saveStudySettings({ newCardsPerDay: 5 });
+        expect(loadStudySettings().newCardsPerDay).toBe(5);
+    });
+
+    test('falls back to defaults for corrupted data', () => {
+        localStorage.setItem('STUDY_SETTINGS', '{broken');
+        expect(loadStudySettings().newCardsPerDay).toBe(20);
+    });
+});
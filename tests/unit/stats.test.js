@@ -0,0 +1,273 @@
+/**
+ * Unit tests for study history and statistics functions
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+// ローカル時刻でのタイムスタンプ
+const at = (dateString, hour = 12) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day, hour).getTime();
+};
+
+const entry = (cardId, dateString, result, overrides = {}) => ({
+    cardId,
+    timestamp: at(dateString),
+    result,
+    responseTime: 1000,
+    category: '英単語',
+    question: cardId,
+    ...overrides
+});
+
+describe('study history storage', () => {
+    beforeEach(() => {
+        // まだ保存していない履歴も破棄する
+        saveHistory([]);
+        localStorage.clear();
+    });
+
+    test('returns empty history when nothing is saved', () => {
+        expect(loadHistory()).toEqual([]);
+    });
+
+    test('appends entries with a snapshot of the card', () => {
+        appendHistoryEntry({ id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' }, true, 1500);
+        const history = loadHistory();
+
+        expect(history.length).toBe(1);
+        expect(history[0].cardId).toBe('id-1');
+        expect(history[0].result).toBe('correct');
+        expect(history[0].responseTime).toBe(1500);
+        expect(history[0].question).toBe('apple');
+        expect(typeof history[0].timestamp).toBe('number');
+    });
+
+    test('records the quiz direction', () => {
+        const card = { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' };
+        appendHistoryEntry(card, true, 1000);
+        appendHistoryEntry(card, false, 1000, 'reverse');
+
+        expect(loadHistory().map(e => e.direction)).toEqual(['forward', 'reverse']);
+    });
+
+    test('falls back to empty history for corrupted data', () => {
+        localStorage.setItem('STUDY_HISTORY', '{broken');
+        expect(loadHistory()).toEqual([]);
+    });
+
+    test('saves entries in batches instead of rewriting the history on every answer', () => {
+        const card = { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' };
+        const setItem = jest.spyOn(Storage.prototype, 'setItem');
+
+        for (let i = 0; i < 9; i++) {
+            appendHistoryEntry(card, true, 1000);
+        }
+        expect(setItem).not.toHaveBeenCalled();
+        expect(loadHistory().length).toBe(9);
+
+        appendHistoryEntry(card, true, 1000);
+        expect(setItem).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(localStorage.getItem('STUDY_HISTORY')).length).toBe(10);
+        setItem.mockRestore();
+    });
+
+    test('flushes the remaining entries', () => {
+        appendHistoryEntry({ id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' }, true, 1000);
+        flushHistory();
+
+        expect(JSON.parse(localStorage.getItem('STUDY_HISTORY')).map(e => e.cardId)).toEqual(['id-1']);
+        expect(loadHistory().length).toBe(1);
+    });
+
+    test('keeps unsaved entries when saving fails so they can be retried', () => {
+        const card = { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new DOMException('full', 'QuotaExceededError');
+        });
+
+        appendHistoryEntry(card, true, 1000);
+        expect(() => flushHistory()).toThrow('ストレージの容量が不足しています');
+
+        setItem.mockRestore();
+        console.error.mockRestore();
+        flushHistory();
+        expect(JSON.parse(localStorage.getItem('STUDY_HISTORY')).length).toBe(1);
+    });
+
+    test('tells the user when the history of a session cannot be saved', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new DOMException('full', 'QuotaExceededError');
+        });
+
+        appendHistoryEntry({ id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' }, true, 1000);
+        saveSessionHistory();
+
+        expect(document.getElementById('toast').classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('toast-message').textContent).toContain('学習履歴を保存できませんでした');
+        setItem.mockRestore();
+        console.error.mockRestore();
+    });
+
+    test('truncates long questions in history entries', () => {
+        const card = { id: 'id-1', category: '英単語', question: 'a'.repeat(1000), answer: 'りんご' };
+        appendHistoryEntry(card, true, 1000);
+
+        expect(loadHistory()[0].question.length).toBe(200);
+    });
+});
+
+describe('trimHistoryToSize', () => {
+    test('keeps the newest entries that fit in the size limit', () => {
+        const history = [entry('a', '2024-01-01', 'correct'), entry('b', '2024-01-02', 'correct'), entry('c', '2024-01-03', 'correct')];
+        const entrySize = JSON.stringify(history[0]).length + 1;
+
+        expect(trimHistoryToSize(history, 2 + entrySize * 2).map(e => e.cardId)).toEqual(['b', 'c']);
+        expect(trimHistoryToSize(history, 2 + entrySize * 3)).toEqual(history);
+        expect(trimHistoryToSize(history, 1)).toEqual([]);
+    });
+
+    test('keeps the saved history within the size limit', () => {
+        const history = Array.from({ length: 20000 }, (_, i) =>
+            entry(`id-${i}`, '2024-01-01', 'correct', { question: 'q'.repeat(100) }));
+        saveHistory(history);
+
+        const saved = localStorage.getItem('STUDY_HISTORY');
+        expect(saved.length).toBeLessThanOrEqual(1000000);
+        expect(JSON.parse(saved).pop().cardId).toBe('id-19999');
+        localStorage.clear();
+    });
+});
+
+describe('mergeImportedHistory', () => {
+    const existing = [entry('a', '2024-01-01', 'correct')];
+
+    test('skips duplicate entries in append mode', () => {
+        const imported = [entry('a', '2024-01-01', 'correct'), entry('b', '2024-01-02', 'incorrect')];
+        const merged = mergeImportedHistory(existing, imported, 'append');
+
+        expect(merged.map(e => e.cardId)).toEqual(['a', 'b']);
+    });
+
+    test('replaces history in replace mode', () => {
+        const imported = [entry('b', '2024-01-02', 'incorrect')];
+        expect(mergeImportedHistory(existing, imported, 'replace')).toEqual(imported);
+    });
+});
+
+describe('filterHistoryByDirection', () => {
+    const history = [
+        entry('a', '2024-01-01', 'correct', { direction: 'forward' }),
+        entry('b', '2024-01-01', 'correct', { direction: 'reverse' }),
+        entry('c', '2024-01-01', 'correct', { direction: undefined })
+    ];
+
+    test('treats entries without direction as forward', () => {
+        expect(filterHistoryByDirection(history, 'forward').map(e => e.cardId)).toEqual(['a', 'c']);
+        expect(filterHistoryByDirection(history, 'reverse').map(e => e.cardId)).toEqual(['b']);
+        expect(filterHistoryByDirection(history, 'all').length).toBe(3);
+    });
+
+    test('rejects unknown directions on import', () => {
+        expect(isValidHistoryEntry(entry('a', '2024-01-01', 'correct', { direction: 'sideways' }))).toBe(false);
+        expect(isValidHistoryEntry(entry('a', '2024-01-01', 'correct', { direction: 'reverse' }))).toBe(true);
+    });
+});
+
+describe('getDailyStats', () => {
+    test('returns one entry per day including days without reviews', () => {
+        const history = [
+            entry('a', '2024-01-09', 'correct'),
+            entry('b', '2024-01-10', 'correct'),
+            entry('c', '2024-01-10', 'incorrect'),
+            entry('d', '2023-12-01', 'correct')
+        ];
+        const stats = getDailyStats(history, '2024-01-10', 3);
+
+        expect(stats).toEqual([
+            { date: '2024-01-08', total: 0, correct: 0, accuracy: null },
+            { date: '2024-01-09', total: 1, correct: 1, accuracy: 100 },
+            { date: '2024-01-10', total: 2, correct: 1, accuracy: 50 }
+        ]);
+    });
+});
+
+describe('getStudyStreak', () => {
+    test('counts consecutive days ending today', () => {
+        const history = ['2024-01-08', '2024-01-09', '2024-01-10'].map(date => entry('a', date, 'correct'));
+        expect(getStudyStreak(history, '2024-01-10')).toBe(3);
+    });
+
+    test('keeps the streak when today has not been studied yet', () => {
+        const history = ['2024-01-08', '2024-01-09'].map(date => entry('a', date, 'correct'));
+        expect(getStudyStreak(history, '2024-01-10')).toBe(2);
+    });
+
+    test('returns zero after a missed day', () => {
+        expect(getStudyStreak([entry('a', '2024-01-07', 'correct')], '2024-01-10')).toBe(0);
+        expect(getStudyStreak([], '2024-01-10')).toBe(0);
+    });
+});
+
+describe('getMostMissedCards', () => {
+    const cards = [
+        { id: 'a', category: '英単語', question: 'apple (edited)', answer: 'りんご' },
+        { id: 'b', category: '英単語', question: 'banana', answer: 'バナナ' }
+    ];
+
+    test('sorts by miss count and uses current card text', () => {
+        const history = [
+            entry('a', '2024-01-01', 'incorrect'),
+            entry('b', '2024-01-01', 'incorrect'),
+            entry('b', '2024-01-02', 'incorrect'),
+            entry('b', '2024-01-03', 'correct')
+        ];
+        const missed = getMostMissedCards(history, cards, 10);
+
+        expect(missed.map(m => m.cardId)).toEqual(['b', 'a']);
+        expect(missed[0].missed).toBe(2);
+        expect(missed[0].total).toBe(3);
+        expect(missed[1].question).toBe('apple (edited)');
+    });
+
+    test('keeps deleted cards using the history snapshot', () => {
+        const history = [entry('gone', '2024-01-01', 'incorrect', { question: 'deleted question' })];
+        const missed = getMostMissedCards(history, cards, 10);
+
+        expect(missed[0].deleted).toBe(true);
+        expect(missed[0].question).toBe('deleted question');
+    });
+
+    test('excludes cards that were never missed and respects the limit', () => {
+        const history = [
+            entry('a', '2024-01-01', 'correct'),
+            entry('b', '2024-01-01', 'incorrect'),
+            entry('c', '2024-01-01', 'incorrect')
+        ];
+        expect(getMostMissedCards(history, cards, 1).length).toBe(1);
+        expect(getMostMissedCards(history, cards, 10).map(m => m.cardId)).not.toContain('a');
+    });
+});
+
+describe('getCategoryMastery', () => {
+    test('uses the latest result of each card', () => {
+        const cards = [
+            { id: 'a', category: '英単語', question: 'apple', answer: 'りんご' },
+            { id: 'b', category: '英単語', question: 'banana', answer: 'バナナ' },
+            { id: 'c', category: '化学', question: 'H_2O', answer: '水' }
+        ];
+        const history = [
+            entry('a', '2024-01-02', 'correct'),
+            entry('a', '2024-01-01', 'incorrect'),
+            entry('b', '2024-01-01', 'correct'),
+            entry('b', '2024-01-02', 'incorrect')
+        ];
+        const mastery = getCategoryMastery(history, cards);
+
+        expect(mastery).toEqual([
+            { category: '化学', cardCount: 1, studiedCount: 0, masteredCount: 0, mastery: 0 },
+            { category: '英単語', cardCount: 2, studiedCount: 2, masteredCount: 1, mastery: 50 }
+        ]);
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit tests for validating structured card responses from the Gemini API
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+describe('parseStructuredCardResponse', () => {
+    test('reads question, answer and note', () => {
+        expect(parseStructuredCardResponse(JSON.stringify([
+            { question: 'apple', answer: 'りんご' },
+            { question: ' take off ', answer: '離陸する', note: '句動詞' }
+        ]))).toEqual([
+            { question: 'apple', answer: 'りんご', note: '' },
+            { question: 'take off', answer: '離陸する', note: '句動詞' }
+        ]);
+    });
+
+    test('accepts an empty array', () => {
+        expect(parseStructuredCardResponse('[]')).toEqual([]);
+    });
+
+    test('rejects text that is not JSON', () => {
+        expect(() => parseStructuredCardResponse('apple→りんご')).toThrow('JSONとして読み込めません');
+        expect(() => parseStructuredCardResponse('```json\n[]\n```')).toThrow('JSONとして読み込めません');
+    });
+
+    test('rejects values other than an array of objects', () => {
+        expect(() => parseStructuredCardResponse('{"question":"apple","answer":"りんご"}')).toThrow('配列ではありません');
+        expect(() => parseStructuredCardResponse('["apple"]')).toThrow('1件目がオブジェクトではありません');
+        expect(() => parseStructuredCardResponse('[null]')).toThrow('1件目がオブジェクトではありません');
+    });
+
+    test('rejects missing, empty or non-string fields', () => {
+        expect(() => parseStructuredCardResponse('[{"question":"apple"}]')).toThrow('1件目の項目が文字列ではありません');
+        expect(() => parseStructuredCardResponse('[{"question":"apple","answer":1}]')).toThrow('文字列ではありません');
+        expect(() => parseStructuredCardResponse('[{"question":"apple","answer":"りんご","note":null}]')).toThrow('文字列ではありません');
+        expect(() => parseStructuredCardResponse('[{"question":"a","answer":"b"},{"question":" ","answer":"c"}]'))
+            .toThrow('2件目の問題または解答が空です');
+    });
+
+    test('rejects unknown fields', () => {
+        expect(() => parseStructuredCardResponse('[{"question":"apple","answer":"りんご","category":"果物"}]'))
+            .toThrow('不明な項目があります（category）');
+    });
+
+    test('rejects too many cards', () => {
+        const items = Array.from({ length: 501 }, (_, i) => ({ question: `q${i}`, answer: `a${i}` }));
+        expect(() => parseStructuredCardResponse(JSON.stringify(items))).toThrow('500件まで');
+    });
+});
+
+describe('structuredPairsToCards', () => {
+    test('keeps the note out of the answer', () => {
+        const [card] = structuredPairsToCards([{ question: 'take off', answer: '離陸する', note: '句動詞' }], '英単語');
+
+        expect(card).toMatchObject({ category: '英単語', question: 'take off', answer: '離陸する', note: '句動詞' });
+        expect(checkTypedAnswer('離陸する', card.answer).correct).toBe(true);
+    });
+
+    test('does not add an empty note', () => {
+        const [card] = structuredPairsToCards([{ question: 'apple', answer: 'りんご', note: '' }], '英単語');
+        expect(card).not.toHaveProperty('note');
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Unit tests for the trash bin and import batches
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const sampleCards = [
+    { id: 'id-1', category: '英単語', question: 'apple', answer: 'りんご' },
+    { id: 'id-2', category: '化学', question: 'H_2O', answer: '水' },
+    { id: 'id-3', category: '英単語', question: 'banana', answer: 'バナナ' }
+];
+
+describe('trash bin', () => {
+    beforeEach(async () => {
+        localStorage.clear();
+        await saveCards(sampleCards);
+    });
+
+    test('moves deleted cards to the trash', async () => {
+        const deleted = await deleteCard('id-2');
+
+        expect(deleted.id).toBe('id-2');
+        expect((await loadCards()).map(c => c.id)).toEqual(['id-1', 'id-3']);
+
+        const trash = await loadTrash();
+        expect(trash.map(c => c.id)).toEqual(['id-2']);
+        expect(typeof trash[0].deletedAt).toBe('number');
+    });
+
+    test('excludes trashed cards from categories', async () => {
+        await deleteCard('id-2');
+
+        expect(await getCategories()).toEqual(['英単語']);
+        expect(await getCardsByCategory('化学')).toEqual([]);
+    });
+
+    test('restores cards to their original position', async () => {
+        await deleteCard('id-1');
+        await restoreCards(['id-1']);
+
+        const cards = await loadCards();
+        expect(cards.map(c => c.id)).toEqual(['id-1', 'id-2', 'id-3']);
+        expect(cards[0]).not.toHaveProperty('deletedAt');
+        expect(await loadTrash()).toEqual([]);
+    });
+
+    test('does not update trashed cards', async () => {
+        await deleteCard('id-1');
+        await expect(updateCard('id-1', { answer: 'x' })).rejects.toThrow('カードが見つかりません');
+    });
+
+    test('permanently deletes only cards in the trash', async () => {
+        await deleteCard('id-1');
+        await permanentlyDeleteCards(['id-1', 'id-2']);
+
+        expect(await loadTrash()).toEqual([]);
+        expect((await loadCards()).map(c => c.id)).toEqual(['id-2', 'id-3']);
+    });
+
+    test('keeps the trash when all cards are replaced', async () => {
+        await deleteCard('id-1');
+        await saveCards([sampleCards[2]]);
+
+        expect(await loadCards()).toEqual([sampleCards[2]]);
+        expect((await loadTrash()).map(c => c.id)).toEqual(['id-1']);
+    });
+
+    test('empties the trash', async () => {
+        await deleteCard('id-1');
+        await deleteCard('id-3');
+        await emptyTrash();
+
+        expect(await loadTrash()).toEqual([]);
+        expect((await loadCards()).map(c => c.id)).toEqual(['id-2']);
+    });
+});
+
+describe('trash auto-purge', () => {
+    const now = new Date(2024, 0, 31).getTime();
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('getExpiredTrashIds returns cards older than the retention period', () => {
+        const trash = [
+            { id: 'old', deletedAt: now - 31 * DAY },
+            { id: 'edge', deletedAt: now - 30 * DAY },
+            { id: 'new', deletedAt: now - 29 * DAY }
+        ];
+        expect(getExpiredTrashIds(trash, 30, now)).toEqual(['old', 'edge']);
+    });
+
+    test('purges expired cards using the configured retention period', async () => {
+        saveStudySettings({ ...loadStudySettings(), trashRetentionDays: 7 });
+        await saveCards([
+            { ...sampleCards[0], deletedAt: now - 8 * DAY },
+            { ...sampleCards[1], deletedAt: now - 1 * DAY },
+            sampleCards[2]
+        ]);
+
+        expect(await purgeExpiredTrash(now)).toBe(1);
+        expect((await loadTrash()).map(c => c.id)).toEqual(['id-2']);
+        expect((await loadCards()).map(c => c.id)).toEqual(['id-3']);
+    });
+
+    test('defaults to 30 days', () => {
+        expect(loadStudySettings().trashRetentionDays).toBe(30);
+    });
+});
+
+describe('import batches', () => {
+    beforeEach(async () => {
+        localStorage.clear();
+        await saveCards([sampleCards[0]]);
+    });
+
+    test('records an import batch and tags the imported cards', async () => {
+        const batch = await importCardsAsBatch([sampleCards[1], sampleCards[2]]);
+
+        expect(batch.count).toBe(2);
+        expect(batch.categories).toEqual(['化学', '英単語']);
+        expect(loadImportBatches()).toEqual([batch]);
+
+        const cards = await loadCards();
+        expect(cards.map(c => c.importBatchId)).toEqual([undefined, batch.id, batch.id]);
+    });
+
+    test('rolls back a whole batch into the trash', async () => {
+        const batch = await importCardsAsBatch([sampleCards[1], sampleCards[2]]);
+
+        expect(await rollbackImportBatch(batch.id)).toBe(2);
+        expect((await loadCards()).map(c => c.id)).toEqual(['id-1']);
+        expect((await loadTrash()).map(c => c.id).sort()).toEqual(['id-2', 'id-3']);
+        expect(typeof loadImportBatches()[0].rolledBackAt).toBe('number');
+    });
+
+    test('restores overwritten cards when rolling back', async () => {
+        await saveCards([{ ...sampleCards[0], starred: true }]);
+        const batch = await importCardsAsBatch([sampleCards[1]], [
+            { id: 'id-1', fields: { category: '果物', question: 'apple', answer: 'リンゴ', note: '名詞' } }
+        ]);
+
+        expect(batch.overwritten).toEqual([{ id: 'id-1', previous: { category: '英単語', question: 'apple', answer: 'りんご' } }]);
+        expect(batch.categories).toEqual(['化学', '果物']);
+        expect((await loadCards())[0]).toMatchObject({ category: '果物', answer: 'リンゴ', note: '名詞', starred: true });
+
+        expect(await rollbackImportBatch(batch.id)).toBe(2);
+        const cards = await loadCards();
+        expect(cards).toEqual([{ ...sampleCards[0], starred: true }]);
+    });
+
+    test('keeps only the latest batches', async () => {
+        for (let i = 0; i < 22; i++) {
+            await importCardsAsBatch([{ id: `batch-${i}`, category: 'テスト', question: `q${i}`, answer: `a${i}` }]);
+        }
+
+        const batches = loadImportBatches();
+        expect(batches.length).toBe(20);
+        expect(batches[0].createdAt).toBeLessThanOrEqual(batches[19].createdAt);
+    });
+
+    test('falls back to empty history for corrupted data', () => {
+        localStorage.setItem('IMPORT_BATCHES', '{broken');
+        expect(loadImportBatches()).toEqual([]);
+    });
+});
+
+describe('showToast', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('runs the action and hides the toast', async () => {
+        const onAction = jest.fn();
+        showToast('カードをゴミ箱に移動しました', { actionLabel: '元に戻す', onAction });
+
+        expect(document.getElementById('toast').classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('toast-message').textContent).toBe('カードをゴミ箱に移動しました');
+
+        await document.getElementById('toast-action-btn').onclick();
+        expect(onAction).toHaveBeenCalled();
+        expect(document.getElementById('toast').classList.contains('hidden')).toBe(true);
+    });
+
+    test('hides itself after the duration', () => {
+        showToast('保存しました', { duration: 1000 });
+
+        expect(document.getElementById('toast-action-btn').classList.contains('hidden')).toBe(true);
+        jest.advanceTimersByTime(1000);
+        expect(document.getElementById('toast').classList.contains('hidden')).toBe(true);
+    });
+});
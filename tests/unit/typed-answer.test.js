@@ -0,0 +1,111 @@
+/**
+ * Unit tests for typed-answer checking
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+describe('normalizeAnswer', () => {
+    test('ignores full-width/half-width and case differences', () => {
+        expect(normalizeAnswer('ＡＰＰＬＥ')).toBe('apple');
+        expect(normalizeAnswer('１２３')).toBe('123');
+    });
+
+    test('converts katakana (including half-width) to hiragana', () => {
+        expect(normalizeAnswer('リンゴ')).toBe('りんご');
+        expect(normalizeAnswer('ﾘﾝｺﾞ')).toBe('りんご');
+    });
+
+    test('collapses whitespace', () => {
+        expect(normalizeAnswer('  look 　 up ')).toBe('look up');
+    });
+
+    test('ignores superscript/subscript markup', () => {
+        expect(normalizeAnswer('H_2O')).toBe('h2o');
+        expect(normalizeAnswer('10^{-5}')).toBe('10-5');
+    });
+});
+
+describe('splitAcceptableAnswers', () => {
+    test('splits on slash and Japanese comma', () => {
+        expect(splitAcceptableAnswers('時間/とき')).toEqual(['時間/とき', '時間', 'とき']);
+        expect(splitAcceptableAnswers('速い、早い')).toEqual(['速い、早い', '速い', '早い']);
+    });
+
+    test('returns the whole answer when there is no separator', () => {
+        expect(splitAcceptableAnswers('りんご')).toEqual(['りんご']);
+    });
+});
+
+describe('editDistance', () => {
+    test('counts insertions, deletions and substitutions', () => {
+        expect(editDistance('kitten', 'sitting')).toBe(3);
+        expect(editDistance('', 'abc')).toBe(3);
+        expect(editDistance('abc', 'abc')).toBe(0);
+    });
+
+    test('counts an adjacent transposition as one edit', () => {
+        expect(editDistance('receive', 'recieve')).toBe(1);
+    });
+});
+
+describe('checkTypedAnswer', () => {
+    test('accepts exact matches after normalization', () => {
+        const result = checkTypedAnswer('Apple', 'apple');
+        expect(result.correct).toBe(true);
+        expect(result.exact).toBe(true);
+    });
+
+    test('accepts kana variants', () => {
+        expect(checkTypedAnswer('リンゴ', 'りんご').exact).toBe(true);
+    });
+
+    test('accepts any of multiple answers', () => {
+        const result = checkTypedAnswer('とき', '時間/とき');
+        expect(result.exact).toBe(true);
+        expect(result.matchedAnswer).toBe('とき');
+    });
+
+    test('tolerates small typos in longer answers', () => {
+        const result = checkTypedAnswer('recieve', 'receive');
+        expect(result.correct).toBe(true);
+        expect(result.exact).toBe(false);
+    });
+
+    test('requires exact matches for short answers', () => {
+        expect(checkTypedAnswer('cat', 'car').correct).toBe(false);
+    });
+
+    test('rejects answers that are too different', () => {
+        expect(checkTypedAnswer('banana', 'apple').correct).toBe(false);
+    });
+
+    test('rejects empty input', () => {
+        expect(checkTypedAnswer('  ', 'apple').correct).toBe(false);
+    });
+});
+
+describe('diffCharacters', () => {
+    test('returns a single equal segment for identical text', () => {
+        expect(diffCharacters('apple', 'apple')).toEqual([{ type: 'equal', text: 'apple' }]);
+    });
+
+    test('marks missing and extra characters', () => {
+        expect(diffCharacters('receive', 'recieve')).toEqual([
+            { type: 'equal', text: 'rec' },
+            { type: 'extra', text: 'i' },
+            { type: 'equal', text: 'e' },
+            { type: 'missing', text: 'i' },
+            { type: 'equal', text: 've' }
+        ]);
+    });
+
+    test('handles empty input', () => {
+        expect(diffCharacters('abc', '')).toEqual([{ type: 'missing', text: 'abc' }]);
+    });
+});
+
+describe('renderAnswerDiff', () => {
+    test('escapes HTML in segments', () => {
+        const html = renderAnswerDiff([{ type: 'missing', text: '<b>' }]);
+        expect(html).toBe('<span class="diff-missing">&lt;b&gt;</span>');
+    });
+});
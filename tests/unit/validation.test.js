@@ -109,6 +109,8 @@ describe('escapeHtml', () => {
         const input = '"double" and \'single\'';
         const result = escapeHtml(input);
         expect(result).toContain('&quot;');
+        expect(result).toContain('&#39;');
+        expect(result).not.toMatch(/["']/);
     });
 
     test('escapes ampersands', () => {
@@ -192,7 +194,13 @@ describe('parseSubscriptSuperscript', () => {
 });
 
 describe('debounce', () => {
-    jest.useFakeTimers();
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
 
     test('delays function execution', () => {
         const mockFn = jest.fn();
@@ -226,6 +234,4 @@ describe('debounce', () => {
 
         expect(mockFn).toHaveBeenCalledWith('arg1', 'arg2');
     });
-
-    jest.useRealTimers();
 });
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for error messages shown when an asynchronous view fails to load
+ * Run these tests using a test framework like Jest or Mocha
+ */
+
+describe('async view errors', () => {
+    const failure = new Error('読み込みエラー');
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(window, 'loadCards').mockRejectedValue(failure);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('shows an error in the card list instead of a blank view', async () => {
+        document.getElementById('card-list').innerHTML = '<div class="card-item"></div>';
+
+        await expect(renderListView()).resolves.toBeUndefined();
+
+        const message = document.querySelector('#card-list .view-error');
+        expect(message.textContent).toBe('カード一覧を読み込めませんでした: 読み込みエラー');
+        expect(document.querySelectorAll('#card-list .card-item').length).toBe(0);
+        expect(document.getElementById('list-view').classList.contains('hidden')).toBe(false);
+    });
+
+    test('shows an error in the trash view', async () => {
+        jest.spyOn(window, 'loadTrash').mockRejectedValue(failure);
+
+        await renderTrashView();
+
+        expect(document.querySelector('#trash-list .view-error').textContent).toContain('ゴミ箱を読み込めませんでした');
+    });
+
+    test('shows an error in the duplicates view', async () => {
+        await renderDuplicatesView();
+
+        expect(document.querySelector('#duplicate-group-list .view-error').textContent).toContain('重複カードを読み込めませんでした');
+    });
+
+    test('shows an error in the stats view and clears it after a successful load', async () => {
+        await renderStatsView();
+        expect(document.querySelector('#stats-status .view-error').textContent).toContain('統計を読み込めませんでした');
+
+        window.loadCards.mockResolvedValue([]);
+        await renderStatsView();
+        expect(document.getElementById('stats-status').textContent).toBe('');
+    });
+
+    test('shows an error in the print view', async () => {
+        jest.spyOn(window, 'getCategories').mockRejectedValue(failure);
+
+        await initPrintView();
+
+        expect(document.querySelector('#print-sheet .view-error').textContent).toContain('印刷用シートを作成できませんでした');
+    });
+
+    test('reports a failed CSV export in the export status', async () => {
+        await exportDelimitedFile(',', 'csv', 'text/csv');
+
+        expect(document.getElementById('export-status').textContent).toBe('エクスポートに失敗しました: 読み込みエラー');
+    });
+
+    test('escapes the error message', async () => {
+        window.loadCards.mockRejectedValue(new Error('<img src=x onerror=alert(1)>'));
+
+        await renderListView();
+
+        expect(document.querySelector('#card-list img')).toBeNull();
+    });
+});